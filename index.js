@@ -1,6 +1,9 @@
 
 const dotenv = require('dotenv')
 const createApp = require('./src/app.js')
+const { startSuspensionExpiryJob } = require('./src/services/suspensionExpiry')
+const { startDataExportJob } = require('./src/services/dataExportJobs')
+const { startAccountAnonymizationJob } = require('./src/services/accountAnonymization')
 
 // Load environment variables
 dotenv.config();
@@ -14,6 +17,9 @@ const startServer = async () => {
 
     server.listen(PORT, () => {
       console.log(`Server is running successsfully on http://localhost:${PORT}`);
+      startSuspensionExpiryJob();
+      startDataExportJob();
+      startAccountAnonymizationJob();
 
     });
   } catch (error) {
@@ -0,0 +1,103 @@
+// scripts/jwt-keys.js
+// Manage the key pairs tokens are signed with. Usage:
+//
+//   npm run jwt-keys -- list
+//   npm run jwt-keys -- rotate [--alg RS256|ES256]   add a key and sign with it now
+//   npm run jwt-keys -- add [--alg RS256|ES256]      add a key that only verifies for now
+//   npm run jwt-keys -- activate <kid>               start signing with an added key
+//   npm run jwt-keys -- retire <kid>                 remove a key; its tokens stop working
+//   npm run jwt-keys -- export                       print the key set for the JWT_KEYS variable
+//
+// Keys live in JWT_KEYS_FILE (default keys/jwt-keys.json). With several instances,
+// `add` and deploy everywhere before `activate`, so no instance meets an unknown kid.
+// Retire the old key once the longest-lived token it signed has expired.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_KEYS_FILE,
+  addSigningKey,
+  activateSigningKey,
+  retireSigningKey,
+} = require("../src/services/jwtSigning");
+
+const file = process.env.JWT_KEYS_FILE || DEFAULT_KEYS_FILE;
+
+const readKeySet = () => {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+};
+
+const writeKeySet = (keySet) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(keySet, null, 2)}\n`, { mode: 0o600 });
+};
+
+const option = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const list = (keySet) => {
+  if (!keySet?.keys.length) {
+    console.log(`No keys in ${file}; tokens are signed with JWT_SECRET (HS256)`);
+    return;
+  }
+
+  for (const key of keySet.keys) {
+    const marker = key.kid === keySet.signingKeyId ? "* signing" : "  verifying";
+    console.log(`${marker}  ${key.kid}  ${key.alg}  created ${key.createdAt}`);
+  }
+};
+
+const run = ([command, ...args]) => {
+  const keySet = readKeySet();
+
+  switch (command) {
+    case "list":
+      return list(keySet);
+
+    case "add":
+    case "rotate": {
+      const added = addSigningKey(keySet, option(args, "--alg"));
+      const next =
+        command === "rotate"
+          ? activateSigningKey(added.keySet, added.key.kid)
+          : added.keySet;
+      writeKeySet(next);
+      console.log(
+        next.signingKeyId === added.key.kid
+          ? `Added ${added.key.kid} (${added.key.alg}); new tokens are signed with it`
+          : `Added ${added.key.kid} (${added.key.alg}) for verification; activate it once every instance has it`
+      );
+      return list(next);
+    }
+
+    case "activate": {
+      const next = activateSigningKey(keySet, args[0]);
+      writeKeySet(next);
+      return list(next);
+    }
+
+    case "retire": {
+      const next = retireSigningKey(keySet, args[0]);
+      writeKeySet(next);
+      return list(next);
+    }
+
+    case "export":
+      if (!keySet) {
+        throw new Error(`No keys in ${file}`);
+      }
+      return console.log(JSON.stringify(keySet));
+
+    default:
+      throw new Error("Usage: jwt-keys <list|add|rotate|activate|retire|export> [kid] [--alg RS256|ES256]");
+  }
+};
+
+try {
+  run(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
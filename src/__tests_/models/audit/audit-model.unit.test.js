@@ -0,0 +1,123 @@
+const { sql } = require('../../../config/database');
+const {
+  diffChanges,
+  recordAuditEvent,
+  iterateAuditEvents,
+  AuditActions,
+  AuditTargets
+} = require('../../../models/audit/auditModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Audit Model Unit Tests', () => {
+  const actor = { id: 'admin-1', email: 'admin@church.org' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diffChanges', () => {
+    test('should only keep fields that changed', () => {
+      const changes = diffChanges(
+        { full_name: 'Jane Doe', role: 'member', status: 'active' },
+        { full_name: 'Jane Doe', role: 'admin', status: 'active' }
+      );
+
+      expect(changes).toEqual({ role: { before: 'member', after: 'admin' } });
+    });
+
+    test('should record the full snapshot for deletions', () => {
+      expect(diffChanges({ title: 'Harvest' }, null)).toEqual({
+        title: { before: 'Harvest', after: null }
+      });
+    });
+
+    test('should return null when nothing changed', () => {
+      expect(diffChanges({ status: 'active' }, { status: 'active' })).toBeNull();
+    });
+
+    test('should redact credentials', () => {
+      const changes = diffChanges({ password: 'old-hash' }, { password: 'new-hash' });
+
+      expect(changes.password).toEqual({ before: '[REDACTED]', after: '[REDACTED]' });
+    });
+
+    test('should keep only the names of changed personal fields', () => {
+      const changes = diffChanges(
+        { full_name: 'Jane Doe', phone_number: '0712345678', role: 'member' },
+        { full_name: 'Jane Smith', phone_number: '0712345678', role: 'admin' }
+      );
+
+      expect(changes).toEqual({
+        full_name: { before: '[REDACTED]', after: '[REDACTED]' },
+        role: { before: 'member', after: 'admin' }
+      });
+    });
+  });
+
+  describe('recordAuditEvent', () => {
+    test('should store the actor, target and diff', async () => {
+      sql.mockResolvedValueOnce([{ id: 1 }]);
+
+      const event = await recordAuditEvent({
+        actor,
+        action: AuditActions.USER_UPDATE,
+        targetType: AuditTargets.USER,
+        targetId: 'user-123',
+        before: { status: 'active' },
+        after: { status: 'suspended' },
+        ipAddress: '10.0.0.1'
+      });
+
+      expect(event).toEqual({ id: 1 });
+      const values = sql.mock.calls[0].slice(1);
+      expect(values).toEqual(
+        expect.arrayContaining([
+          'admin-1',
+          'admin@church.org',
+          'user.update',
+          'user',
+          'user-123',
+          JSON.stringify({ status: { before: 'active', after: 'suspended' } }),
+          '10.0.0.1'
+        ])
+      );
+    });
+
+    test('should not throw when the write fails', async () => {
+      sql.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(
+        recordAuditEvent({
+          actor,
+          action: AuditActions.MEDIA_DELETE,
+          targetType: AuditTargets.MEDIA,
+          targetId: 7
+        })
+      ).resolves.toBeNull();
+    });
+  });
+
+  test('should page through events by id for exports', async () => {
+    sql.mockResolvedValueOnce([{ id: 9 }, { id: 8 }]);
+    sql.mockResolvedValueOnce([{ id: 7 }]);
+
+    const batches = [];
+    for await (const batch of iterateAuditEvents({ action: 'user.update' }, 2)) {
+      batches.push(batch);
+    }
+
+    expect(batches).toEqual([[{ id: 9 }, { id: 8 }], [{ id: 7 }]]);
+    expect(sql).toHaveBeenCalledTimes(2);
+    expect(sql.mock.calls[1]).toContain(8);
+  });
+});
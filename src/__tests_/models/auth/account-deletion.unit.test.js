@@ -0,0 +1,167 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const { revokeAllSessions } = require('../../../models/auth/sessionModel');
+const { recordAuditEvent } = require('../../../models/audit/auditModel');
+const { removeProfilePhoto } = require('../../../models/members/profilePhotoModel');
+const { removeUserDataExports } = require('../../../models/members/dataExportModel');
+const {
+  scheduleAccountDeletion,
+  restoreAccountWithToken,
+  anonymizeDueAccounts
+} = require('../../../models/auth/accountDeletionModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendAccountDeletionScheduledEmail: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../../models/auth/sessionModel', () => ({
+  revokeAllSessions: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../models/members/profilePhotoModel', () => ({
+  removeProfilePhoto: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../../../models/members/dataExportModel', () => ({
+  removeUserDataExports: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../models/audit/auditModel', () => ({
+  AuditActions: { USER_ANONYMIZE: 'user.anonymize' },
+  AuditTargets: { USER: 'user' },
+  recordAuditEvent: jest.fn().mockResolvedValue(null)
+}));
+
+const queryText = (call) => call[0].join('?');
+
+describe('Account Deletion Model Unit Tests', () => {
+  const member = {
+    id: 'user-123',
+    full_name: 'Jane Doe',
+    email: 'jane@church.org',
+    role: 'member',
+    status: 'active',
+    is_super_admin: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scheduleAccountDeletion', () => {
+    it('should deactivate the account instead of deleting it', async () => {
+      sql
+        .mockResolvedValueOnce([member])
+        .mockResolvedValueOnce([{ ...member, status: 'pending_deletion' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const { user, scheduledFor } = await scheduleAccountDeletion(member.id, { reason: 'Moving away' });
+
+      expect(user.status).toBe('pending_deletion');
+      const days = (scheduledFor - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(30);
+
+      expect(sql.mock.calls.some((call) => /DELETE FROM users/.test(queryText(call)))).toBe(false);
+      expect(queryText(sql.mock.calls[1])).toContain('token_invalidated_at = NOW()');
+      expect(queryText(sql.mock.calls[2])).toContain('INSERT INTO account_deletions');
+      expect(revokeAllSessions).toHaveBeenCalledWith(member.id, 'account_deleted');
+      expect(removeUserDataExports).toHaveBeenCalledWith(member.id);
+      expect(emailService.sendAccountDeletionScheduledEmail).toHaveBeenCalledWith(
+        member.email,
+        member.full_name,
+        expect.stringContaining('/restore-account?token='),
+        scheduledFor
+      );
+    });
+
+    it('should refuse to delete the last super admin', async () => {
+      sql
+        .mockResolvedValueOnce([{ ...member, role: 'super_admin', is_super_admin: true }])
+        .mockResolvedValueOnce([{ count: '1' }]);
+
+      await expect(scheduleAccountDeletion(member.id)).rejects.toMatchObject({ statusCode: 409 });
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse accounts that are not active', async () => {
+      sql.mockResolvedValueOnce([{ ...member, status: 'suspended' }]);
+
+      await expect(scheduleAccountDeletion(member.id)).rejects.toThrow('Only active accounts can be deleted');
+    });
+  });
+
+  describe('restoreAccountWithToken', () => {
+    it('should reactivate an account inside the grace period', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'del-1', user_id: member.id, scheduled_for: new Date(Date.now() + 60000) }])
+        .mockResolvedValueOnce([{ ...member, status: 'active' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const user = await restoreAccountWithToken('restore-token');
+
+      expect(user.status).toBe('active');
+      expect(queryText(sql.mock.calls[2])).toContain('restored_at = NOW()');
+    });
+
+    it('should refuse once the grace period has ended', async () => {
+      sql.mockResolvedValueOnce([{ id: 'del-1', user_id: member.id, scheduled_for: new Date(Date.now() - 60000) }]);
+
+      await expect(restoreAccountWithToken('restore-token')).rejects.toMatchObject({ statusCode: 410 });
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown links', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(restoreAccountWithToken('nope')).rejects.toThrow('Invalid or already used restore link');
+    });
+  });
+
+  describe('anonymizeDueAccounts', () => {
+    it('should strip personal fields but never touch payments', async () => {
+      sql.mockResolvedValueOnce([{ id: 'del-1', user_id: member.id, requested_at: new Date() }]);
+      sql.mockResolvedValueOnce([{ id: member.id }]);
+      sql.mockResolvedValue([]);
+
+      const count = await anonymizeDueAccounts();
+
+      expect(count).toBe(1);
+      const anonymize = sql.mock.calls[1];
+      expect(queryText(anonymize)).toContain('phone_number = NULL');
+      expect(anonymize).toContain('Deleted member');
+      expect(anonymize).toContain(`deleted-${member.id}@deleted.invalid`);
+
+      const statements = sql.mock.calls.map(queryText);
+      expect(statements.some((text) => /payments/.test(text))).toBe(false);
+      expect(statements.some((text) => /DELETE FROM users/.test(text))).toBe(false);
+      expect(statements.some((text) => /DELETE FROM contacts/.test(text))).toBe(true);
+      expect(removeUserDataExports).toHaveBeenCalledWith(member.id);
+      expect(statements[statements.length - 1]).toContain('anonymized_at = NOW()');
+      expect(recordAuditEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'user.anonymize', targetId: member.id, actor: null })
+      );
+
+      sql.mockReset();
+    });
+
+    it('should leave an account restored after the job picked it up untouched', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'del-1', user_id: member.id, requested_at: new Date() }])
+        .mockResolvedValueOnce([]);
+
+      const count = await anonymizeDueAccounts();
+
+      expect(count).toBe(0);
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(removeProfilePhoto).not.toHaveBeenCalled();
+      expect(recordAuditEvent).not.toHaveBeenCalled();
+    });
+  });
+});
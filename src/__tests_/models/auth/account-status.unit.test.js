@@ -0,0 +1,160 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const { revokeAllSessions } = require('../../../models/auth/sessionModel');
+const { getUserPermissions } = require('../../../models/roles/roleModel');
+const {
+  suspendUser,
+  banUser,
+  reactivateUser,
+  reactivateExpiredSuspensions
+} = require('../../../models/auth/accountStatusModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendAccountStatusEmail: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../../models/auth/sessionModel', () => ({
+  revokeAllSessions: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../models/roles/roleModel', () => ({
+  getUserPermissions: jest.fn(),
+  hasPermission: (permissions, required) =>
+    permissions.includes('*') || permissions.includes(required)
+}));
+
+jest.mock('../../../models/audit/auditModel', () => ({
+  AuditActions: { USER_REACTIVATE: 'user.reactivate' },
+  AuditTargets: { USER: 'user' },
+  recordAuditEvent: jest.fn().mockResolvedValue(null)
+}));
+
+describe('Account Status Model Unit Tests', () => {
+  const admin = { id: 'admin-1', permissions: ['users.suspend'] };
+  const member = {
+    id: 'user-123',
+    full_name: 'Jane Doe',
+    email: 'jane@church.org',
+    role: 'member',
+    is_super_admin: false,
+    status: 'active'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserPermissions.mockResolvedValue([]);
+  });
+
+  test('should suspend until the expiry, sign the member out and email them', async () => {
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+    sql.mockResolvedValueOnce([member]);
+    sql.mockResolvedValueOnce([{ ...member, status: 'suspended', status_expires_at: expiresAt }]);
+    sql.mockResolvedValueOnce([{ id: 1, new_status: 'suspended' }]);
+
+    const result = await suspendUser(
+      'user-123',
+      { reason: 'Repeated spam in chat', expiresAt },
+      admin
+    );
+
+    expect(result.user.status).toBe('suspended');
+    expect(sql.mock.calls[1]).toContain('suspended');
+    expect(revokeAllSessions).toHaveBeenCalledWith('user-123', 'suspended');
+    expect(emailService.sendAccountStatusEmail).toHaveBeenCalledWith('jane@church.org', {
+      status: 'suspended',
+      reason: 'Repeated spam in chat',
+      expiresAt
+    });
+  });
+
+  test('should reject an expiry in the past', async () => {
+    sql.mockResolvedValueOnce([member]);
+
+    await expect(
+      suspendUser('user-123', { reason: 'Spam', expiresAt: '2020-01-01T00:00:00Z' }, admin)
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(sql).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not let admins act on their own account', async () => {
+    sql.mockResolvedValueOnce([{ ...member, id: 'admin-1' }]);
+
+    await expect(
+      banUser('admin-1', { reason: 'Testing' }, admin)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should only let super admins suspend a super admin', async () => {
+    sql.mockResolvedValueOnce([{ ...member, role: 'super_admin', is_super_admin: true }]);
+
+    await expect(
+      suspendUser('user-123', { reason: 'Testing' }, admin)
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('should not let admins suspend staff they do not outrank', async () => {
+    const staff = { ...member, role: 'admin' };
+
+    // A peer with the same permissions
+    sql.mockResolvedValueOnce([staff]);
+    getUserPermissions.mockResolvedValueOnce(['users.suspend']);
+    await expect(
+      suspendUser('user-123', { reason: 'Testing' }, admin)
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    // Someone holding a permission the admin lacks
+    sql.mockResolvedValueOnce([staff]);
+    getUserPermissions.mockResolvedValueOnce(['users.view', 'roles.manage']);
+    await expect(
+      banUser('user-123', { reason: 'Testing' }, { id: 'admin-1', permissions: ['users.suspend', 'users.view'] })
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(sql).toHaveBeenCalledTimes(2);
+  });
+
+  test('should let staff suspend staff they outrank', async () => {
+    const staff = { ...member, role: 'admin' };
+    sql.mockResolvedValueOnce([staff]);
+    sql.mockResolvedValueOnce([{ ...staff, status: 'suspended' }]);
+    sql.mockResolvedValueOnce([{ id: 1, new_status: 'suspended' }]);
+    getUserPermissions.mockResolvedValueOnce(['suggestions.view']);
+
+    const result = await suspendUser(
+      'user-123',
+      { reason: 'Testing' },
+      { id: 'admin-1', permissions: ['users.suspend', 'suggestions.view'] }
+    );
+
+    expect(result.user.status).toBe('suspended');
+    expect(getUserPermissions).toHaveBeenCalledWith(staff);
+  });
+
+  test('should refuse to reactivate an account that is already active', async () => {
+    sql.mockResolvedValueOnce([member]);
+
+    await expect(
+      reactivateUser('user-123', {}, admin)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should lift expired suspensions without revoking sessions again', async () => {
+    sql.mockResolvedValueOnce([{ id: 'user-123' }]);
+    sql.mockResolvedValueOnce([{ ...member, status: 'suspended' }]);
+    sql.mockResolvedValueOnce([{ ...member, status: 'active' }]);
+    sql.mockResolvedValueOnce([{ id: 2, new_status: 'active' }]);
+
+    const reactivated = await reactivateExpiredSuspensions();
+
+    expect(reactivated).toEqual([{ ...member, status: 'active' }]);
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+    expect(emailService.sendAccountStatusEmail).toHaveBeenCalledWith(
+      'jane@church.org',
+      expect.objectContaining({ status: 'active' })
+    );
+  });
+});
@@ -0,0 +1,144 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const { assertCanGrantSystemRole } = require('../../../models/roles/roleModel');
+const { hashToken } = require('../../../utils/secureTokens');
+const {
+  createAdminInvitation,
+  revokeAdminInvitation,
+  acceptAdminInvitation
+} = require('../../../models/auth/adminInvitationModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendAdminInvitationEmail: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../../models/roles/roleModel', () => ({
+  assertCanGrantSystemRole: jest.fn().mockResolvedValue(undefined)
+}));
+
+const queryText = (call) => (Array.isArray(call[0]) ? call[0].join('?') : call[0]);
+
+describe('Admin Invitation Model Unit Tests', () => {
+  const superAdmin = {
+    id: 'admin-1',
+    full_name: 'Pastor Admin',
+    permissions: ['*']
+  };
+
+  const pendingInvitation = {
+    id: 'invite-1',
+    email: 'new.admin@church.org',
+    role: 'admin',
+    status: 'pending',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000)
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ADMIN_DASHBOARD_URL = 'https://admin.church.org';
+  });
+
+  describe('createAdminInvitation', () => {
+    it('should store only a hash of the emailed token', async () => {
+      sql
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 'invite-1' }])
+        .mockResolvedValueOnce([pendingInvitation]);
+
+      const result = await createAdminInvitation(
+        { email: ' New.Admin@Church.org ', role: 'admin' },
+        superAdmin
+      );
+
+      expect(result.emailSent).toBe(true);
+      expect(assertCanGrantSystemRole).toHaveBeenCalledWith('admin', ['*']);
+
+      const { invitationLink } = emailService.sendAdminInvitationEmail.mock.calls[0][1];
+      expect(invitationLink).toMatch(/^https:\/\/admin\.church\.org\/accept-invitation\?token=/);
+
+      const token = decodeURIComponent(invitationLink.split('token=')[1]);
+      const insert = sql.mock.calls[2];
+      expect(queryText(insert)).toContain('INSERT INTO admin_invitations');
+      expect(insert).toContain('new.admin@church.org');
+      expect(insert).toContain(hashToken(token));
+      expect(insert).not.toContain(token);
+    });
+
+    it('should refuse an address that already has an account', async () => {
+      sql.mockResolvedValueOnce([{ id: 'user-9' }]);
+
+      await expect(
+        createAdminInvitation({ email: 'member@church.org', role: 'admin' }, superAdmin)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(emailService.sendAdminInvitationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should refuse roles that are not admin roles', async () => {
+      await expect(
+        createAdminInvitation({ email: 'x@church.org', role: 'member' }, superAdmin)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAdminInvitation', () => {
+    it('should not revoke an accepted invitation', async () => {
+      sql.mockResolvedValueOnce([{ ...pendingInvitation, status: 'accepted' }]);
+
+      await expect(revokeAdminInvitation('invite-1', superAdmin)).rejects.toMatchObject({
+        statusCode: 409
+      });
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('acceptAdminInvitation', () => {
+    const details = { fullName: 'New Admin', password: 'StrongPass123' };
+
+    it('should create an active, verified account with the invited role', async () => {
+      sql
+        .mockResolvedValueOnce([{ ...pendingInvitation, role: 'super_admin' }])
+        .mockResolvedValueOnce([{ id: 'invite-1' }])
+        .mockResolvedValueOnce([{ id: 'user-2', email: pendingInvitation.email, role: 'super_admin' }])
+        .mockResolvedValueOnce([]);
+
+      const { user } = await acceptAdminInvitation('token', details);
+
+      expect(user.id).toBe('user-2');
+      const insert = sql.mock.calls[2];
+      expect(queryText(insert)).toContain('INSERT INTO users');
+      expect(insert).toEqual(
+        expect.arrayContaining(['New Admin', pendingInvitation.email, 'super_admin', true, 'active'])
+      );
+      expect(insert).not.toContain('StrongPass123');
+    });
+
+    it('should reject an expired invitation', async () => {
+      sql.mockResolvedValueOnce([
+        { ...pendingInvitation, expires_at: new Date(Date.now() - 1000) }
+      ]);
+
+      await expect(acceptAdminInvitation('token', details)).rejects.toMatchObject({
+        statusCode: 410
+      });
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not create a second account when the link is used concurrently', async () => {
+      sql
+        .mockResolvedValueOnce([pendingInvitation])
+        .mockResolvedValueOnce([]);
+
+      await expect(acceptAdminInvitation('token', details)).rejects.toMatchObject({
+        statusCode: 400
+      });
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+  });
+});
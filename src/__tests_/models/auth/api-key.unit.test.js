@@ -0,0 +1,110 @@
+const { sql } = require('../../../config/database');
+const { hashToken } = require('../../../utils/secureTokens');
+const {
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey
+} = require('../../../models/auth/apiKeyModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+const queryText = (call) => (Array.isArray(call[0]) ? call[0].join('?') : call[0]);
+
+describe('API Key Model Unit Tests', () => {
+  const superAdmin = { id: 'admin-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createApiKey', () => {
+    it('should return the key once and store only its hash and prefix', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'key-1' }])
+        .mockResolvedValueOnce([{ id: 'key-1', name: 'Signage', scopes: ['announcements:read'] }]);
+
+      const { apiKey, key } = await createApiKey(
+        { name: 'Signage', scopes: ['announcements:read', 'announcements:read'] },
+        superAdmin
+      );
+
+      expect(apiKey.id).toBe('key-1');
+      expect(key).toMatch(/^mck_[A-Za-z0-9_-]{43}$/);
+
+      const insert = sql.mock.calls[0];
+      expect(queryText(insert)).toContain('INSERT INTO api_keys');
+      expect(insert).toContain(hashToken(key));
+      expect(insert).toContain(key.slice(0, 12));
+      expect(insert).not.toContain(key);
+      expect(insert).toContainEqual(['announcements:read']);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await expect(
+        createApiKey({ name: 'Spreadsheet', scopes: ['users.manage'] }, superAdmin)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expiry in the past', async () => {
+      await expect(
+        createApiKey(
+          { name: 'Spreadsheet', scopes: ['payment_summaries:read'], expiresAt: '2020-01-01' },
+          superAdmin
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    it('should refuse to revoke a key twice', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'key-1', status: 'revoked' }])
+        .mockResolvedValueOnce([]);
+
+      await expect(revokeApiKey('key-1', superAdmin)).rejects.toMatchObject({
+        statusCode: 409
+      });
+    });
+  });
+
+  describe('authenticateApiKey', () => {
+    it('should look keys up by hash and record their use', async () => {
+      const key = 'mck_abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG';
+      sql
+        .mockResolvedValueOnce([{ id: 'key-1', name: 'Signage', scopes: ['announcements:read'] }])
+        .mockResolvedValueOnce([]);
+
+      const apiKey = await authenticateApiKey(key, '10.0.0.5');
+
+      expect(apiKey).toMatchObject({ id: 'key-1', scopes: ['announcements:read'] });
+      expect(sql.mock.calls[0]).toContain(hashToken(key));
+      expect(queryText(sql.mock.calls[0])).toContain('revoked_at IS NULL');
+      expect(queryText(sql.mock.calls[1])).toContain('last_used_at = NOW()');
+      expect(sql.mock.calls[1]).toContain('10.0.0.5');
+    });
+
+    it('should return null for an unknown, revoked or expired key', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(authenticateApiKey('mck_unknown')).resolves.toBeNull();
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not query for values that are not API keys', async () => {
+      await expect(authenticateApiKey('Bearer something')).resolves.toBeNull();
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should still authenticate when usage tracking fails', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'key-1', name: 'Signage', scopes: [] }])
+        .mockRejectedValueOnce(new Error('connection reset'));
+
+      await expect(authenticateApiKey('mck_key')).resolves.toMatchObject({ id: 'key-1' });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const { revokeAllSessions } = require('../../../models/auth/sessionModel');
+const { hashToken } = require('../../../utils/secureTokens');
+const {
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+} = require('../../../models/auth/emailChangeModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendEmailChangeCode: jest.fn(),
+  sendEmailChangeNoticeEmail: jest.fn()
+}));
+
+jest.mock('../../../models/auth/sessionModel', () => ({
+  revokeAllSessions: jest.fn()
+}));
+
+describe('Email Change Model Unit Tests', () => {
+  const member = { id: 'user-123', full_name: 'Grace Member', email: 'old@church.org' };
+
+  const openChange = (overrides = {}) => ({
+    id: 'change-1',
+    user_id: 'user-123',
+    old_email: 'old@church.org',
+    new_email: 'new@church.org',
+    code_hash: hashToken('123456'),
+    attempts: 0,
+    expires_at: new Date(Date.now() + 60000),
+    created_at: new Date(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestEmailChange', () => {
+    test('should send a code to the new address and a cancel link to the current one', async () => {
+      sql
+        .mockResolvedValueOnce([member])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 'change-1' }]);
+
+      const result = await requestEmailChange('user-123', ' new@church.org ');
+
+      expect(result.newEmail).toBe('new@church.org');
+      expect(emailService.sendEmailChangeCode).toHaveBeenCalledWith(
+        'new@church.org',
+        'Grace Member',
+        expect.stringMatching(/^\d{6}$/),
+        '30 minutes'
+      );
+      expect(emailService.sendEmailChangeNoticeEmail).toHaveBeenCalledWith(
+        'old@church.org',
+        expect.objectContaining({
+          newEmail: 'new@church.org',
+          cancelLink: expect.stringContaining('/cancel-email-change?token=')
+        })
+      );
+    });
+
+    test('should refuse an address another account uses', async () => {
+      sql
+        .mockResolvedValueOnce([member])
+        .mockResolvedValueOnce([{ id: 'user-456' }]);
+
+      await expect(
+        requestEmailChange('user-123', 'taken@church.org')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(emailService.sendEmailChangeCode).not.toHaveBeenCalled();
+    });
+
+    test('should cancel the request when the code cannot be delivered', async () => {
+      sql
+        .mockResolvedValueOnce([member])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 'change-1' }])
+        .mockResolvedValueOnce([]);
+      emailService.sendEmailChangeCode.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+      await expect(
+        requestEmailChange('user-123', 'new@church.org')
+      ).rejects.toMatchObject({ statusCode: 502 });
+      expect(sql).toHaveBeenCalledTimes(5);
+      expect(emailService.sendEmailChangeNoticeEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmEmailChange', () => {
+    test('should apply the change and sign out every session', async () => {
+      sql
+        .mockResolvedValueOnce([openChange()])
+        .mockResolvedValueOnce([{ id: 'change-1' }])
+        .mockResolvedValueOnce([{ id: 'user-123', email: 'new@church.org' }]);
+
+      const result = await confirmEmailChange('user-123', '123456');
+
+      expect(result).toEqual({
+        user: { id: 'user-123', email: 'new@church.org' },
+        oldEmail: 'old@church.org'
+      });
+      expect(revokeAllSessions).toHaveBeenCalledWith('user-123', 'email_changed');
+    });
+
+    test('should count a wrong code against the request', async () => {
+      sql.mockResolvedValueOnce([openChange()]).mockResolvedValueOnce([]);
+
+      await expect(
+        confirmEmailChange('user-123', '654321')
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test('should stop accepting codes after too many attempts', async () => {
+      sql.mockResolvedValueOnce([openChange({ attempts: 5 })]);
+
+      await expect(
+        confirmEmailChange('user-123', '123456')
+      ).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    test('should not apply a change cancelled from the old address meanwhile', async () => {
+      sql.mockResolvedValueOnce([openChange()]).mockResolvedValueOnce([]);
+
+      await expect(
+        confirmEmailChange('user-123', '123456')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test('should release the claim when the address was taken meanwhile', async () => {
+      const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+      sql
+        .mockResolvedValueOnce([openChange()])
+        .mockResolvedValueOnce([{ id: 'change-1' }])
+        .mockRejectedValueOnce(duplicate)
+        .mockResolvedValueOnce([]);
+
+      await expect(
+        confirmEmailChange('user-123', '123456')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(sql).toHaveBeenCalledTimes(4);
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelEmailChange', () => {
+    test('should cancel an open change from its link', async () => {
+      sql.mockResolvedValueOnce([
+        { user_id: 'user-123', old_email: 'old@church.org', new_email: 'new@church.org' }
+      ]);
+
+      const result = await cancelEmailChange('cancel-token');
+
+      expect(result).toEqual({
+        userId: 'user-123',
+        oldEmail: 'old@church.org',
+        newEmail: 'new@church.org'
+      });
+    });
+
+    test('should reject a link for a change that is no longer open', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(cancelEmailChange('cancel-token')).rejects.toMatchObject({
+        statusCode: 404
+      });
+    });
+  });
+});
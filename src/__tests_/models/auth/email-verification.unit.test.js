@@ -0,0 +1,108 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const loginProtection = require('../../../services/loginProtection');
+const { hashToken } = require('../../../utils/secureTokens');
+const {
+  resendEmailVerification,
+  verifyEmail
+} = require('../../../models/userModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true)
+}));
+
+const queryText = (call) => call[0].join('?');
+
+describe('Email Verification Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loginProtection.setLoginAttemptStore(loginProtection.createMemoryStore());
+  });
+
+  describe('resendEmailVerification', () => {
+    test('should replace the previous code and email a new one', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'user-123', email: 'jane@church.org' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      await expect(resendEmailVerification('jane@church.org')).resolves.toBe(true);
+
+      expect(queryText(sql.mock.calls[1])).toContain('SET consumed_at = NOW()');
+      const code = emailService.sendVerificationCode.mock.calls[0][1];
+      expect(code).toMatch(/^\d{6}$/);
+      expect(sql.mock.calls[2]).toContain(hashToken(code));
+      expect(sql.mock.calls[2]).not.toContain(code);
+    });
+
+    test('should throttle unknown addresses exactly like registered ones', async () => {
+      sql.mockResolvedValue([]);
+
+      await expect(resendEmailVerification('nobody@church.org')).resolves.toBe(false);
+      await expect(resendEmailVerification('Nobody@church.org'))
+        .rejects.toMatchObject({ statusCode: 429 });
+      expect(sql).toHaveBeenCalledTimes(1);
+      expect(emailService.sendVerificationCode).not.toHaveBeenCalled();
+      sql.mockReset();
+    });
+  });
+
+  describe('verifyEmail', () => {
+    const storedCode = (overrides = {}) => ({
+      id: 'verification-1',
+      user_id: 'user-123',
+      code_hash: hashToken('123456'),
+      attempts: 0,
+      expires_at: new Date(Date.now() + 60 * 1000),
+      ...overrides
+    });
+
+    test('should verify the account with the right code', async () => {
+      sql
+        .mockResolvedValueOnce([storedCode()])
+        .mockResolvedValueOnce([{ id: 'verification-1' }])
+        .mockResolvedValueOnce([{ id: 'user-123', is_verified: true }]);
+
+      const user = await verifyEmail('jane@church.org', '123456');
+
+      expect(user.is_verified).toBe(true);
+      expect(queryText(sql.mock.calls[1])).toContain('consumed_at IS NULL');
+    });
+
+    test('should count a failed attempt for a wrong code', async () => {
+      sql.mockResolvedValueOnce([storedCode()]).mockResolvedValueOnce([]);
+
+      await expect(verifyEmail('jane@church.org', '654321'))
+        .rejects.toThrow('Invalid verification code');
+      expect(queryText(sql.mock.calls[1])).toContain('attempts = attempts + 1');
+    });
+
+    test('should refuse once the attempt limit is reached', async () => {
+      sql.mockResolvedValueOnce([storedCode({ attempts: 5 })]);
+
+      await expect(verifyEmail('jane@church.org', '123456'))
+        .rejects.toThrow('Too many failed attempts');
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject an expired code', async () => {
+      sql.mockResolvedValueOnce([storedCode({ expires_at: new Date(Date.now() - 1000) })]);
+
+      await expect(verifyEmail('jane@church.org', '123456'))
+        .rejects.toThrow('Verification code has expired');
+    });
+
+    test('should not verify twice when a concurrent request consumed the code first', async () => {
+      sql.mockResolvedValueOnce([storedCode()]).mockResolvedValueOnce([]);
+
+      await expect(verifyEmail('jane@church.org', '123456'))
+        .rejects.toThrow('Invalid verification attempt');
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { sql } = require('../../../config/database');
+const { verifyGoogleIdToken } = require('../../../services/googleAuth');
+const { completeLogin } = require('../../../models/userModel');
+const { revokeAllSessions } = require('../../../models/auth/sessionModel');
+const { invalidateAuthUser } = require('../../../services/authUserCache');
+const { signInWithGoogle } = require('../../../models/auth/googleAuthModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/googleAuth', () => ({
+  verifyGoogleIdToken: jest.fn()
+}));
+
+jest.mock('../../../models/userModel', () => ({
+  UserRoles: { MEMBER: 'member' },
+  completeLogin: jest.fn()
+}));
+
+jest.mock('../../../models/auth/sessionModel', () => ({
+  revokeAllSessions: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../services/authUserCache', () => ({
+  invalidateAuthUser: jest.fn().mockResolvedValue()
+}));
+
+const queryText = (call) => call[0].join('?');
+
+describe('Google Auth Model Unit Tests', () => {
+  const linkedRow = { id: 'user-123', email: 'jane@church.org', is_verified: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    verifyGoogleIdToken.mockResolvedValue({
+      sub: 'google-1',
+      email: 'Jane@church.org',
+      email_verified: true
+    });
+    completeLogin.mockResolvedValue({ accessToken: 'access-token' });
+  });
+
+  test('should link a verified account and keep its password', async () => {
+    sql
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 'user-123', google_id: null, status: 'active', is_verified: true }])
+      .mockResolvedValueOnce([linkedRow]);
+
+    await signInWithGoogle('id-token');
+
+    expect(sql).toHaveBeenCalledTimes(3);
+    expect(queryText(sql.mock.calls[2])).toContain('google_id =');
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+    expect(invalidateAuthUser).toHaveBeenCalledWith('user-123');
+    expect(completeLogin).toHaveBeenCalledWith(linkedRow, {});
+  });
+
+  test('should drop credentials a squatter may have set on an unverified account', async () => {
+    sql
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 'user-123', google_id: null, status: 'active', is_verified: false }])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([linkedRow]);
+
+    await signInWithGoogle('id-token');
+
+    const cleared = queryText(sql.mock.calls[2]);
+    expect(cleared).toContain('password = null');
+    expect(cleared).toContain('phone_number = null');
+    expect(cleared).toContain('token_invalidated_at = NOW()');
+    expect(queryText(sql.mock.calls[3])).toContain('UPDATE refresh_tokens');
+    expect(revokeAllSessions).toHaveBeenCalledWith('user-123', 'google_link');
+    expect(queryText(sql.mock.calls[4])).toContain('google_id =');
+    expect(invalidateAuthUser).toHaveBeenCalledWith('user-123');
+  });
+
+  test('should not link an email Google has not verified', async () => {
+    verifyGoogleIdToken.mockResolvedValueOnce({ sub: 'google-1', email: 'jane@church.org', email_verified: false });
+
+    await expect(signInWithGoogle('id-token')).rejects.toThrow('Google account email is not verified');
+    expect(sql).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+const bcrypt = require('bcrypt');
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const { revokeAllSessions } = require('../../../models/auth/sessionModel');
+const { hashToken } = require('../../../utils/secureTokens');
+const {
+  requestPasswordReset,
+  resetPassword
+} = require('../../../models/userModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendPasswordResetCode: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../../models/auth/sessionModel', () => ({
+  revokeAllSessions: jest.fn().mockResolvedValue([])
+}));
+
+const queryText = (call) => call[0].join('?');
+
+describe('Password Reset Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestPasswordReset', () => {
+    test('should store only a hash of the emailed code', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: 'user-123', email: 'jane@church.org' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      await expect(requestPasswordReset('jane@church.org')).resolves.toBe(true);
+
+      const code = emailService.sendPasswordResetCode.mock.calls[0][1];
+      expect(code).toMatch(/^\d{6}$/);
+      expect(queryText(sql.mock.calls[1])).toContain('SET consumed_at = NOW()');
+      expect(sql.mock.calls[2]).toContain(hashToken(code));
+      expect(sql.mock.calls[2]).not.toContain(code);
+    });
+
+    test('should not send anything for an unknown email', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(requestPasswordReset('nobody@church.org')).resolves.toBe(false);
+      expect(emailService.sendPasswordResetCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    const storedReset = (overrides = {}) => ({
+      id: 'reset-1',
+      user_id: 'user-123',
+      code_hash: hashToken('123456'),
+      attempts: 0,
+      expires_at: new Date(Date.now() + 60 * 1000),
+      ...overrides
+    });
+
+    test('should set the new password and sign out every device', async () => {
+      sql
+        .mockResolvedValueOnce([storedReset()])
+        .mockResolvedValueOnce([{ id: 'reset-1' }])
+        .mockResolvedValue([]);
+
+      await expect(
+        resetPassword('jane@church.org', '123456', 'NewPassword1!')
+      ).resolves.toBe(true);
+
+      const passwordUpdate = sql.mock.calls[2];
+      expect(queryText(passwordUpdate)).toContain('password_changed_at = NOW()');
+      expect(await bcrypt.compare('NewPassword1!', passwordUpdate[1])).toBe(true);
+      expect(queryText(sql.mock.calls[3])).toContain('UPDATE refresh_tokens');
+      expect(revokeAllSessions).toHaveBeenCalledWith('user-123', 'password_reset');
+      sql.mockReset();
+    });
+
+    test('should count a failed attempt for a wrong code', async () => {
+      sql.mockResolvedValueOnce([storedReset()]).mockResolvedValueOnce([]);
+
+      await expect(
+        resetPassword('jane@church.org', '654321', 'NewPassword1!')
+      ).rejects.toThrow('Invalid reset code');
+      expect(queryText(sql.mock.calls[1])).toContain('attempts = attempts + 1');
+    });
+
+    test('should refuse once the attempt limit is reached', async () => {
+      sql.mockResolvedValueOnce([storedReset({ attempts: 5 })]);
+
+      await expect(
+        resetPassword('jane@church.org', '123456', 'NewPassword1!')
+      ).rejects.toThrow('Too many failed attempts');
+    });
+
+    test('should reject an expired code', async () => {
+      sql.mockResolvedValueOnce([storedReset({ expires_at: new Date(Date.now() - 1000) })]);
+
+      await expect(
+        resetPassword('jane@church.org', '123456', 'NewPassword1!')
+      ).rejects.toThrow('Reset code has expired');
+    });
+
+    test('should not reset twice when a concurrent request consumed the code first', async () => {
+      sql.mockResolvedValueOnce([storedReset()]).mockResolvedValueOnce([]);
+
+      await expect(
+        resetPassword('jane@church.org', '123456', 'NewPassword1!')
+      ).rejects.toThrow('Invalid or expired reset code');
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test('should refuse short passwords before touching the database', async () => {
+      await expect(
+        resetPassword('jane@church.org', '123456', 'short')
+      ).rejects.toThrow('at least 8 characters');
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { sql } = require('../../../config/database');
+const { completeLogin } = require('../../../models/userModel');
+const { setSmsTransport, createMemoryTransport } = require('../../../services/sendSms');
+const { hashToken } = require('../../../utils/secureTokens');
+const loginProtection = require('../../../services/loginProtection');
+const {
+  requestPhoneLoginCode,
+  verifyPhoneLoginCode
+} = require('../../../models/auth/phoneOtpModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+// Mock login completion
+jest.mock('../../../models/userModel', () => ({
+  completeLogin: jest.fn()
+}));
+
+describe('Phone OTP Model Unit Tests', () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transport = setSmsTransport(createMemoryTransport());
+    loginProtection.setLoginAttemptStore(loginProtection.createMemoryStore());
+  });
+
+  describe('requestPhoneLoginCode', () => {
+    test('should text a code to the member registered with the number', async () => {
+      sql.mockResolvedValueOnce([{ id: 'user-123' }]);
+      sql.mockResolvedValueOnce([]);
+      sql.mockResolvedValueOnce([]);
+
+      const result = await requestPhoneLoginCode('0712 345 678');
+
+      expect(result).toBe(true);
+      expect(transport.messages).toHaveLength(1);
+      expect(transport.messages[0].to).toBe('+254712345678');
+      expect(transport.messages[0].body).toMatch(/\d{6}/);
+    });
+
+    test('should not send anything for an unknown number', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      const result = await requestPhoneLoginCode('+254700000000');
+
+      expect(result).toBe(false);
+      expect(transport.messages).toHaveLength(0);
+    });
+
+    test('should throttle repeated requests for the same number', async () => {
+      sql.mockResolvedValueOnce([{ id: 'user-123' }]).mockResolvedValue([]);
+      await requestPhoneLoginCode('+254712345678');
+
+      await expect(requestPhoneLoginCode('+254712345678'))
+        .rejects.toMatchObject({ statusCode: 429 });
+      expect(transport.messages).toHaveLength(1);
+      sql.mockReset();
+    });
+
+    test('should throttle unknown numbers exactly like registered ones', async () => {
+      sql.mockResolvedValue([]);
+
+      await expect(requestPhoneLoginCode('+254700000000')).resolves.toBe(false);
+      await expect(requestPhoneLoginCode('+254700000000'))
+        .rejects.toMatchObject({ statusCode: 429 });
+      sql.mockReset();
+    });
+
+    test('should cap the number of codes per hour', async () => {
+      const store = loginProtection.getLoginAttemptStore();
+      for (let i = 0; i < 5; i++) {
+        await store.increment('code:hourly:phone:254712345678', 3600);
+      }
+
+      await expect(requestPhoneLoginCode('+254712345678'))
+        .rejects.toThrow('Too many login codes requested');
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyPhoneLoginCode', () => {
+    const storedCode = (overrides = {}) => ({
+      id: 'code-1',
+      user_id: 'user-123',
+      code_hash: hashToken('123456'),
+      attempts: 0,
+      expires_at: new Date(Date.now() + 60 * 1000),
+      ...overrides
+    });
+
+    test('should count a failed attempt for a wrong code', async () => {
+      sql.mockResolvedValueOnce([storedCode()]);
+      sql.mockResolvedValueOnce([]);
+
+      await expect(verifyPhoneLoginCode('+254712345678', '654321'))
+        .rejects.toThrow('Invalid login code');
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(sql.mock.calls[1][0].join('')).toContain('attempts = attempts + 1');
+    });
+
+    test('should refuse once the attempt limit is reached', async () => {
+      sql.mockResolvedValueOnce([storedCode({ attempts: 5 })]);
+
+      await expect(verifyPhoneLoginCode('+254712345678', '123456'))
+        .rejects.toThrow('Too many failed attempts');
+    });
+
+    test('should reject an expired code', async () => {
+      sql.mockResolvedValueOnce([storedCode({ expires_at: new Date(Date.now() - 1000) })]);
+
+      await expect(verifyPhoneLoginCode('+254712345678', '123456'))
+        .rejects.toThrow('Login code has expired');
+    });
+
+    test('should issue tokens for a valid code', async () => {
+      const user = { id: 'user-123', email: 'member@example.com', role: 'member' };
+      sql.mockResolvedValueOnce([storedCode()]);
+      sql.mockResolvedValueOnce([{ id: 'code-1' }]);
+      sql.mockResolvedValueOnce([user]);
+      completeLogin.mockResolvedValueOnce({
+        user,
+        accessToken: 'access',
+        refreshToken: 'refresh'
+      });
+
+      const result = await verifyPhoneLoginCode('0712345678', '123456');
+
+      expect(completeLogin).toHaveBeenCalledWith(user, {});
+      expect(result.accessToken).toBe('access');
+    });
+
+    test('should not accept a code once interleaved guesses used up the attempts', async () => {
+      sql.mockResolvedValueOnce([storedCode({ attempts: 4 })]);
+      sql.mockResolvedValueOnce([]);
+
+      await expect(verifyPhoneLoginCode('+254712345678', '123456'))
+        .rejects.toThrow('Invalid or expired login code');
+      expect(sql.mock.calls[1][0].join('')).toContain('attempts < ');
+      expect(sql.mock.calls[1]).toContain(5);
+      expect(completeLogin).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const { sql } = require('../../../config/database');
+const { hashToken } = require('../../../utils/secureTokens');
+const { refreshAccessToken } = require('../../../models/userModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+// Mock email delivery
+jest.mock('../../../services/nodemailer', () => ({}));
+
+describe('Refresh Token Rotation Unit Tests', () => {
+  const familyId = '0b9a3c4e-8f1d-4c51-9d35-2b8f7c6a1e90';
+  let presentedToken;
+
+  const storedToken = (overrides = {}) => ({
+    id: 1,
+    user_id: 'user-123',
+    family_id: familyId,
+    replaced_by_id: null,
+    is_revoked: false,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-access-secret';
+    process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    presentedToken = jwt.sign(
+      { userId: 'user-123', type: 'refresh', familyId, jti: 'jti-1' },
+      process.env.REFRESH_TOKEN_SECRET,
+      { expiresIn: '1d' }
+    );
+  });
+
+  test('should look tokens up by hash rather than plaintext', async () => {
+    sql.mockResolvedValueOnce([]);
+
+    await expect(refreshAccessToken(presentedToken))
+      .rejects.toThrow('Refresh token not found');
+    expect(sql.mock.calls[0][0].join('')).toContain('token_hash');
+    expect(sql.mock.calls[0][1]).toBe(hashToken(presentedToken));
+  });
+
+  test('should rotate the token within its family', async () => {
+    sql.mockResolvedValueOnce([storedToken()]);
+    sql.mockResolvedValueOnce([{ id: 'user-123', email: 'member@example.com', role: 'member' }]);
+    sql.mockResolvedValueOnce([{ id: 1 }]);
+    sql.mockResolvedValueOnce([{ id: 2 }]);
+    sql.mockResolvedValueOnce([]);
+
+    const result = await refreshAccessToken(presentedToken);
+
+    expect(result.accessToken).toBeDefined();
+    expect(result.refreshToken).not.toBe(presentedToken);
+
+    const rotated = jwt.verify(result.refreshToken, process.env.REFRESH_TOKEN_SECRET);
+    expect(rotated.familyId).toBe(familyId);
+
+    // Old token retired, new one stored hashed, then linked as its replacement
+    expect(sql.mock.calls[2][0].join('')).toContain("revoked_reason = 'rotated'");
+    expect(sql.mock.calls[3]).toContain(hashToken(result.refreshToken));
+    expect(sql.mock.calls[3]).not.toContain(result.refreshToken);
+    expect(sql.mock.calls[4][0].join('')).toContain('replaced_by_id');
+  });
+
+  test('should keep the device session across rotations', async () => {
+    const sessionId = '5f0c2a9e-3b7d-4e61-8a2f-9c1d4b6e7f80';
+    sql.mockResolvedValueOnce([storedToken({ session_id: sessionId })]);
+    sql.mockResolvedValueOnce([{ id: 'user-123', email: 'member@example.com', role: 'member' }]);
+    sql.mockResolvedValueOnce([{ id: 1 }]);
+    sql.mockResolvedValueOnce([{ id: 2 }]);
+    sql.mockResolvedValueOnce([]);
+    sql.mockResolvedValueOnce([]);
+
+    const result = await refreshAccessToken(presentedToken, { ipAddress: '10.0.0.1' });
+
+    expect(jwt.decode(result.accessToken).sessionId).toBe(sessionId);
+    expect(sql.mock.calls[3]).toContain(sessionId);
+    expect(sql.mock.calls[5][0].join('')).toContain('UPDATE user_sessions');
+  });
+
+  test('should revoke the whole family when a rotated token is replayed', async () => {
+    sql.mockResolvedValueOnce([storedToken({ is_revoked: true, replaced_by_id: 2 })]);
+    sql.mockResolvedValueOnce([]);
+
+    await expect(refreshAccessToken(presentedToken))
+      .rejects.toThrow('Refresh token reuse detected');
+
+    const revokeQuery = sql.mock.calls[1];
+    expect(revokeQuery[0].join('')).toContain('WHERE family_id =');
+    expect(revokeQuery).toContain('reuse_detected');
+    expect(revokeQuery).toContain(familyId);
+  });
+
+  test('should treat losing a concurrent rotation as reuse', async () => {
+    sql.mockResolvedValueOnce([storedToken()]);
+    sql.mockResolvedValueOnce([{ id: 'user-123', email: 'member@example.com', role: 'member' }]);
+    sql.mockResolvedValueOnce([]);
+    sql.mockResolvedValueOnce([]);
+
+    await expect(refreshAccessToken(presentedToken))
+      .rejects.toThrow('Refresh token reuse detected');
+    expect(sql.mock.calls[3][0].join('')).toContain('WHERE family_id =');
+  });
+
+  test('should not revoke the family for a token revoked at logout', async () => {
+    sql.mockResolvedValueOnce([storedToken({ is_revoked: true })]);
+
+    await expect(refreshAccessToken(presentedToken))
+      .rejects.toThrow('Refresh token has been revoked');
+    expect(sql).toHaveBeenCalledTimes(1);
+  });
+});
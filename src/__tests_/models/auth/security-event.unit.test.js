@@ -0,0 +1,173 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const {
+  SecurityEventTypes,
+  recordSecurityEvent,
+  recordLogin,
+  listSecurityEvents
+} = require('../../../models/auth/securityEventModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendNewDeviceLoginEmail: jest.fn()
+}));
+
+describe('Security Event Model Unit Tests', () => {
+  const device = {
+    deviceName: null,
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0.6099.71',
+    ipAddress: '203.0.113.24'
+  };
+
+  const history = (logins, deviceLogins, networkLogins) => [
+    { logins, device_logins: deviceLogins, network_logins: networkLogins }
+  ];
+
+  // Let the background new-device alert finish
+  const flushAlerts = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store the event with its device and network', async () => {
+    sql.mockResolvedValueOnce([{ id: 'event-1', event_type: 'password_changed' }]);
+
+    const event = await recordSecurityEvent(
+      'user-123',
+      SecurityEventTypes.PASSWORD_CHANGED,
+      device
+    );
+
+    expect(event).toMatchObject({ id: 'event-1' });
+    const values = sql.mock.calls[0].slice(1);
+    expect(values).toEqual(
+      expect.arrayContaining(['user-123', 'password_changed', '203.0.113.24', '203.0.113.0/24'])
+    );
+  });
+
+  test('should not fail the action when the event cannot be written', async () => {
+    sql.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(
+      recordSecurityEvent('user-123', SecurityEventTypes.LOGOUT, device)
+    ).resolves.toBeNull();
+  });
+
+  test('should treat a browser update on the same network as a known device', async () => {
+    sql.mockResolvedValueOnce([{ id: 'event-1' }]);
+    await recordSecurityEvent('user-123', SecurityEventTypes.LOGIN, device);
+    const storedHash = sql.mock.calls[0][6];
+
+    sql.mockResolvedValueOnce([{ id: 'event-2' }]);
+    await recordSecurityEvent('user-123', SecurityEventTypes.LOGIN, {
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/121.0.6167.85',
+      ipAddress: '203.0.113.80'
+    });
+
+    expect(sql.mock.calls[1][6]).toBe(storedHash);
+    expect(sql.mock.calls[1][7]).toBe('203.0.113.0/24');
+  });
+
+  test('should alert the member about a login from a new device', async () => {
+    sql
+      .mockResolvedValueOnce(history(3, 0, 3))
+      .mockResolvedValueOnce([{ id: 'event-1', created_at: new Date() }])
+      .mockResolvedValueOnce([{ full_name: 'Grace Member', email: 'grace@church.org' }]);
+
+    const result = await recordLogin('user-123', device, { sessionId: 'session-1' });
+    await flushAlerts();
+
+    expect(result).toMatchObject({ newDevice: true, newLocation: false });
+    expect(emailService.sendNewDeviceLoginEmail).toHaveBeenCalledWith(
+      'grace@church.org',
+      expect.objectContaining({
+        fullName: 'Grace Member',
+        device: device.userAgent,
+        ipAddress: '203.0.113.24'
+      })
+    );
+  });
+
+  test('should alert the member about a login from a new network', async () => {
+    sql
+      .mockResolvedValueOnce(history(3, 3, 0))
+      .mockResolvedValueOnce([{ id: 'event-1', created_at: new Date() }])
+      .mockResolvedValueOnce([{ full_name: 'Grace Member', email: 'grace@church.org' }]);
+
+    const result = await recordLogin('user-123', device);
+    await flushAlerts();
+
+    expect(result).toMatchObject({ newDevice: false, newLocation: true });
+    expect(emailService.sendNewDeviceLoginEmail).toHaveBeenCalled();
+  });
+
+  test('should not alert on a familiar device and network', async () => {
+    sql
+      .mockResolvedValueOnce(history(3, 2, 2))
+      .mockResolvedValueOnce([{ id: 'event-1', created_at: new Date() }]);
+
+    const result = await recordLogin('user-123', device);
+
+    expect(result).toMatchObject({ newDevice: false, newLocation: false });
+    expect(emailService.sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+  });
+
+  test('should not alert on a first login', async () => {
+    sql
+      .mockResolvedValueOnce(history(0, 0, 0))
+      .mockResolvedValueOnce([{ id: 'event-1', created_at: new Date() }]);
+
+    const result = await recordLogin('user-123', device);
+
+    expect(result).toMatchObject({ newDevice: false, newLocation: false });
+    expect(emailService.sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+  });
+
+  test('should still log the member in when the alert email fails', async () => {
+    sql
+      .mockResolvedValueOnce(history(3, 0, 0))
+      .mockResolvedValueOnce([{ id: 'event-1', created_at: new Date() }])
+      .mockResolvedValueOnce([{ full_name: 'Grace Member', email: 'grace@church.org' }]);
+    emailService.sendNewDeviceLoginEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    await expect(recordLogin('user-123', device)).resolves.toMatchObject({
+      newDevice: true,
+      newLocation: true
+    });
+    await flushAlerts();
+    expect(emailService.sendNewDeviceLoginEmail).toHaveBeenCalled();
+  });
+
+  test('should not wait for the alert email before returning', async () => {
+    sql
+      .mockResolvedValueOnce(history(3, 0, 3))
+      .mockResolvedValueOnce([{ id: 'event-1', created_at: new Date() }])
+      .mockResolvedValueOnce([{ full_name: 'Grace Member', email: 'grace@church.org' }]);
+    emailService.sendNewDeviceLoginEmail.mockReturnValueOnce(new Promise(() => {}));
+
+    await expect(recordLogin('user-123', device)).resolves.toMatchObject({
+      newDevice: true
+    });
+  });
+
+  test('should page through the member\'s events', async () => {
+    sql
+      .mockResolvedValueOnce([{ id: 'event-3', event_type: 'login' }])
+      .mockResolvedValueOnce([{ total: '41' }]);
+
+    const result = await listSecurityEvents('user-123', { eventType: 'login' }, 3, 20);
+
+    expect(result.events).toHaveLength(1);
+    expect(result.pagination).toEqual({
+      currentPage: 3,
+      totalPages: 3,
+      totalEvents: 41,
+      limit: 20
+    });
+  });
+});
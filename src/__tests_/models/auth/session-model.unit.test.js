@@ -0,0 +1,90 @@
+const { sql } = require('../../../config/database');
+const {
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../../../models/auth/sessionModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+describe('Session Model Unit Tests', () => {
+  const userId = 'user-123';
+  const sessionId = '5f0c2a9e-3b7d-4e61-8a2f-9c1d4b6e7f80';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isSessionActive', () => {
+    test('should reject a revoked or unknown session', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(isSessionActive(sessionId, userId)).resolves.toBe(false);
+    });
+
+    test('should accept an active session without rewriting a recent last-used time', async () => {
+      sql.mockResolvedValueOnce([{ id: sessionId, last_used_at: new Date() }]);
+
+      await expect(isSessionActive(sessionId, userId)).resolves.toBe(true);
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refresh a stale last-used time', async () => {
+      sql.mockResolvedValueOnce([
+        { id: sessionId, last_used_at: new Date(Date.now() - 60 * 60 * 1000) }
+      ]);
+      sql.mockResolvedValueOnce([]);
+
+      await expect(isSessionActive(sessionId, userId)).resolves.toBe(true);
+      expect(sql.mock.calls[1][0].join('')).toContain('last_used_at = NOW()');
+    });
+  });
+
+  test('should flag the session making the request', async () => {
+    sql.mockResolvedValueOnce([
+      { id: sessionId, device_name: 'Pixel 8', last_used_at: new Date() },
+      { id: 'other-session', device_name: null, last_used_at: new Date() }
+    ]);
+
+    const sessions = await listSessions(userId, sessionId);
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions[0]).toMatchObject({ id: sessionId, deviceName: 'Pixel 8', current: true });
+    expect(sessions[1].current).toBe(false);
+  });
+
+  describe('revokeSession', () => {
+    test('should revoke the session and its refresh tokens', async () => {
+      sql.mockResolvedValueOnce([{ id: sessionId }]);
+      sql.mockResolvedValueOnce([]);
+
+      await expect(revokeSession(userId, sessionId)).resolves.toBe(true);
+      expect(sql.mock.calls[0][0].join('')).toContain('AND user_id =');
+      expect(sql.mock.calls[1][0].join('')).toContain('UPDATE refresh_tokens');
+      expect(sql.mock.calls[1]).toContainEqual([sessionId]);
+    });
+
+    test("should not revoke another member's session", async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(revokeSession(userId, sessionId)).rejects.toThrow('Session not found');
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('should keep the current session when signing out other devices', async () => {
+    sql.mockResolvedValueOnce([{ id: 'other-1' }, { id: 'other-2' }]);
+    sql.mockResolvedValueOnce([]);
+
+    const revokedCount = await revokeOtherSessions(userId, sessionId);
+
+    expect(revokedCount).toBe(2);
+    expect(sql.mock.calls[0][0].join('')).toContain('IS DISTINCT FROM');
+    expect(sql.mock.calls[0]).toContain(sessionId);
+    expect(sql.mock.calls[1]).toContainEqual(['other-1', 'other-2']);
+  });
+});
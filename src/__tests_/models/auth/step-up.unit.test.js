@@ -0,0 +1,73 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { sql } = require('../../../config/database');
+const loginProtection = require('../../../services/loginProtection');
+const {
+  reauthenticate,
+  isValidStepUpToken
+} = require('../../../models/auth/stepUpModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({}));
+
+describe('Step-up Authentication Unit Tests', () => {
+  const requester = { id: 'user-123', sessionId: 'session-1' };
+  let passwordHash;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    passwordHash = await bcrypt.hash('CorrectHorse1!', 4);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loginProtection.setLoginAttemptStore(loginProtection.createMemoryStore());
+  });
+
+  test('should issue a token bound to the user and session after a password check', async () => {
+    sql.mockResolvedValueOnce([
+      { id: 'user-123', email: 'member@church.org', password: passwordHash }
+    ]);
+
+    const result = await reauthenticate(requester, { password: 'CorrectHorse1!' });
+
+    expect(result.method).toBe('password');
+    expect(isValidStepUpToken(result.reauthToken, requester)).toBe(true);
+    expect(
+      isValidStepUpToken(result.reauthToken, { id: 'user-123', sessionId: 'session-2' })
+    ).toBe(false);
+    expect(
+      isValidStepUpToken(result.reauthToken, { id: 'user-456', sessionId: 'session-1' })
+    ).toBe(false);
+  });
+
+  test('should reject a wrong password', async () => {
+    sql.mockResolvedValueOnce([
+      { id: 'user-123', email: 'member@church.org', password: passwordHash }
+    ]);
+
+    await expect(
+      reauthenticate(requester, { password: 'wrong' })
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('should require some proof of identity', async () => {
+    sql.mockResolvedValueOnce([{ id: 'user-123', email: 'member@church.org' }]);
+
+    await expect(reauthenticate(requester, {})).rejects.toMatchObject({
+      statusCode: 400
+    });
+  });
+
+  test('should not accept an access token or garbage as a step-up token', () => {
+    const accessToken = jwt.sign({ userId: 'user-123', sessionId: 'session-1' }, 'test-secret');
+
+    expect(isValidStepUpToken(accessToken, requester)).toBe(false);
+    expect(isValidStepUpToken('not-a-token', requester)).toBe(false);
+    expect(isValidStepUpToken(undefined, requester)).toBe(false);
+  });
+});
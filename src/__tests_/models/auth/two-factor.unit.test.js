@@ -0,0 +1,121 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const { sql } = require('../../../config/database');
+const { hashToken, encryptSecret } = require('../../../utils/secureTokens');
+const {
+  generateTotpSecret,
+  generateTotp,
+  currentTotpStep
+} = require('../../../utils/totp');
+const { verifySecondFactor } = require('../../../models/auth/twoFactorModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+const queryText = (call) => call[0].join('?');
+
+describe('Two-Factor Model Unit Tests', () => {
+  const secret = generateTotpSecret();
+  const twoFactorRecord = (overrides = {}) => ({
+    user_id: 'user-123',
+    secret_encrypted: encryptSecret(secret),
+    enabled_at: new Date(),
+    last_used_step: null,
+    failed_attempts: 0,
+    locked_until: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('verifySecondFactor with a recovery code', () => {
+    const storedCodes = [{ id: 'code-1', code_hash: hashToken('a1b2c-3d4e5') }];
+
+    test('should accept an unused recovery code and claim it', async () => {
+      sql
+        .mockResolvedValueOnce([twoFactorRecord()])
+        .mockResolvedValueOnce(storedCodes)
+        .mockResolvedValueOnce([{ id: 'code-1' }])
+        .mockResolvedValueOnce([]);
+
+      await expect(
+        verifySecondFactor('user-123', { recoveryCode: ' A1B2C-3D4E5 ' })
+      ).resolves.toBe(true);
+
+      expect(queryText(sql.mock.calls[2])).toContain('used_at IS NULL');
+      expect(queryText(sql.mock.calls[3])).toContain('failed_attempts = 0');
+    });
+
+    test('should reject a code a concurrent request already spent', async () => {
+      sql
+        .mockResolvedValueOnce([twoFactorRecord()])
+        .mockResolvedValueOnce(storedCodes)
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      await expect(
+        verifySecondFactor('user-123', { recoveryCode: 'a1b2c-3d4e5' })
+      ).rejects.toThrow('Invalid two-factor code');
+
+      expect(sql.mock.calls[3]).toContain(1);
+    });
+
+    test('should reject an unknown recovery code', async () => {
+      sql
+        .mockResolvedValueOnce([twoFactorRecord()])
+        .mockResolvedValueOnce(storedCodes)
+        .mockResolvedValueOnce([]);
+
+      await expect(
+        verifySecondFactor('user-123', { recoveryCode: 'fffff-fffff' })
+      ).rejects.toThrow('Invalid two-factor code');
+      expect(sql).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('verifySecondFactor with an authenticator code', () => {
+    test('should accept the current code and claim its step', async () => {
+      const step = currentTotpStep();
+      sql
+        .mockResolvedValueOnce([twoFactorRecord()])
+        .mockResolvedValueOnce([{ user_id: 'user-123' }])
+        .mockResolvedValueOnce([]);
+
+      await expect(
+        verifySecondFactor('user-123', { code: generateTotp(secret, step) })
+      ).resolves.toBe(true);
+
+      expect(queryText(sql.mock.calls[1])).toContain('last_used_step < ?');
+      expect(sql.mock.calls[1]).toContain(step);
+    });
+
+    test('should refuse to replay a code another request already used', async () => {
+      const step = currentTotpStep();
+      sql
+        .mockResolvedValueOnce([twoFactorRecord()])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      await expect(
+        verifySecondFactor('user-123', { code: generateTotp(secret, step) })
+      ).rejects.toThrow('Invalid two-factor code');
+
+      expect(queryText(sql.mock.calls[2])).toContain('failed_attempts =');
+    });
+
+    test('should refuse while the account is locked', async () => {
+      sql.mockResolvedValueOnce([
+        twoFactorRecord({ locked_until: new Date(Date.now() + 60 * 1000) })
+      ]);
+
+      await expect(
+        verifySecondFactor('user-123', { code: '123456' })
+      ).rejects.toThrow('Too many failed two-factor attempts');
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+  });
+});
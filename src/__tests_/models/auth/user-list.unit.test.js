@@ -0,0 +1,94 @@
+const { sql } = require('../../../config/database');
+const { getAllUsers, iterateUsers } = require('../../../models/userModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+// Mock email delivery
+jest.mock('../../../services/nodemailer', () => ({}));
+
+describe('Admin User List Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should build a parameterised query from every filter', async () => {
+    sql.mockResolvedValueOnce([]);
+    sql.mockResolvedValueOnce([{ count: '0' }]);
+
+    await getAllUsers(
+      {
+        search: '0712 345',
+        role: 'member',
+        status: 'active',
+        isVerified: false,
+        registeredFrom: '2024-01-01',
+        lastLoginTo: '2024-06-01',
+        neverLoggedIn: false
+      },
+      2,
+      25
+    );
+
+    const [query, params] = sql.mock.calls[0];
+    expect(query).toContain('role = $1');
+    expect(query).toContain('status = $2');
+    expect(query).toContain('is_verified = $3');
+    expect(query).toContain('phone_number ILIKE $4');
+    expect(query).toContain("REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') LIKE $5");
+    expect(query).toContain('created_at >= $6::timestamptz');
+    expect(query).toContain('last_login < $7::timestamptz');
+    expect(query).not.toContain('last_login IS NULL');
+    expect(params).toEqual([
+      'member', 'active', false, '%0712 345%', '%712345%', '2024-01-01', '2024-06-01', 25, 25
+    ]);
+
+    // Count query shares the filters but not the paging
+    expect(sql.mock.calls[1][1]).toEqual(params.slice(0, -2));
+  });
+
+  test('should sort by a whitelisted column with a stable tie-breaker', async () => {
+    sql.mockResolvedValueOnce([]);
+    sql.mockResolvedValueOnce([{ count: '0' }]);
+
+    await getAllUsers({}, 1, 10, { sortBy: 'lastLogin', sortOrder: 'asc' });
+    expect(sql.mock.calls[0][0]).toContain('ORDER BY last_login ASC NULLS LAST, id ASC');
+
+    sql.mockResolvedValueOnce([]);
+    sql.mockResolvedValueOnce([{ count: '0' }]);
+
+    await getAllUsers({}, 1, 10, { sortBy: 'password; DROP TABLE users', sortOrder: 'sideways' });
+    expect(sql.mock.calls[2][0]).toContain('ORDER BY created_at DESC NULLS LAST, id DESC');
+  });
+
+  test('should report totals and pages', async () => {
+    sql.mockResolvedValueOnce([{ id: 'user-1' }]);
+    sql.mockResolvedValueOnce([{ count: '21' }]);
+
+    const result = await getAllUsers({}, 1, 10);
+
+    expect(result).toEqual({
+      users: [{ id: 'user-1' }],
+      total: 21,
+      page: 1,
+      totalPages: 3
+    });
+  });
+
+  test('should page through every matching user for exports', async () => {
+    sql.mockResolvedValueOnce([{ id: 'user-1' }, { id: 'user-2' }]);
+    sql.mockResolvedValueOnce([{ id: 'user-3' }]);
+
+    const batches = [];
+    for await (const batch of iterateUsers({ status: 'active' }, {}, 2)) {
+      batches.push(batch);
+    }
+
+    expect(batches).toEqual([[{ id: 'user-1' }, { id: 'user-2' }], [{ id: 'user-3' }]]);
+    expect(sql).toHaveBeenCalledTimes(2);
+    expect(sql.mock.calls[0][1]).toEqual(['active', 2, 0]);
+    expect(sql.mock.calls[1][1]).toEqual(['active', 2, 2]);
+  });
+});
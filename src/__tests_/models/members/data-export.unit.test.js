@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-exports-'));
+process.env.DATA_EXPORT_DIR = exportDir;
+process.env.JWT_SECRET = 'test-secret';
+process.env.BASE_URL = 'https://api.example.org';
+
+const {
+  requestDataExport,
+  processDataExport,
+  getDataExportDownload,
+  removeUserDataExports
+} = require('../../../models/members/dataExportModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendDataExportReadyEmail: jest.fn().mockResolvedValue(true)
+}));
+
+describe('Data Export Model Unit Tests', () => {
+  const exportId = '3f1c7a52-9b0e-4d4e-8f57-2a6d1c9e8b10';
+  const userId = 'user-123';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  describe('requestDataExport', () => {
+    it('should refuse a second export while one is being prepared', async () => {
+      sql.mockResolvedValueOnce([{ id: exportId }]);
+
+      await expect(requestDataExport(userId)).rejects.toMatchObject({
+        statusCode: 409
+      });
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue a pending export', async () => {
+      sql
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: exportId, user_id: userId, status: 'pending', requested_at: new Date() }]);
+
+      const dataExport = await requestDataExport(userId);
+
+      expect(dataExport).toMatchObject({ id: exportId, status: 'pending', downloadUrl: null });
+    });
+  });
+
+  describe('processDataExport', () => {
+    const expiresAt = new Date(Date.now() + 48 * 60 * 60 * 1000);
+
+    const mockSections = () => {
+      sql
+        .mockResolvedValueOnce([{ id: userId, full_name: 'Jane Doe', email: 'jane@church.org' }]) // profile
+        .mockResolvedValueOnce([]) // directory
+        .mockResolvedValueOnce([]) // household
+        .mockResolvedValueOnce([{ id: 's-1', description: '=cmd', status: 'pending' }]) // suggestions
+        .mockResolvedValueOnce([]) // messages
+        .mockResolvedValueOnce([]) // contacts
+        .mockResolvedValueOnce([{ id: 'p-1', amount: '500.00', purpose: 'TITHE' }]) // payments
+        .mockResolvedValueOnce([]) // statements
+        .mockResolvedValueOnce([]) // notifications
+        .mockResolvedValueOnce([]) // media
+        .mockResolvedValueOnce([]); // security
+    };
+
+    it('should skip an export another worker has already claimed', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(processDataExport(exportId)).resolves.toBeNull();
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should write the archive and email a download link that resolves to it', async () => {
+      sql.mockResolvedValueOnce([{ id: exportId, user_id: userId, status: 'processing' }]);
+      mockSections();
+      sql.mockImplementationOnce(async (strings, ...values) => [
+        { id: exportId, user_id: userId, status: 'ready', file_path: values[1], expires_at: expiresAt }
+      ]);
+
+      const ready = await processDataExport(exportId);
+
+      expect(ready.status).toBe('ready');
+      expect(ready.file_path).toBe(path.join(exportDir, `${exportId}.zip`));
+      const archive = fs.readFileSync(ready.file_path);
+      expect(archive.subarray(0, 2).toString()).toBe('PK');
+
+      expect(emailService.sendDataExportReadyEmail).toHaveBeenCalledWith(
+        'jane@church.org',
+        'Jane Doe',
+        expect.stringContaining('https://api.example.org/api/auth/data-export/download?token='),
+        expiresAt
+      );
+
+      const link = emailService.sendDataExportReadyEmail.mock.calls[0][2];
+      const token = new URL(link).searchParams.get('token');
+      sql.mockResolvedValueOnce([{ id: exportId, file_path: ready.file_path, completed_at: new Date('2026-03-01T10:00:00Z') }]);
+
+      const download = await getDataExportDownload(token);
+
+      expect(download).toEqual({
+        filePath: ready.file_path,
+        fileName: 'my-church-data-2026-03-01.zip'
+      });
+      expect(sql.mock.calls[sql.mock.calls.length - 1]).toContain(exportId);
+    });
+
+    it('should mark the export failed when collecting data fails', async () => {
+      sql
+        .mockResolvedValueOnce([{ id: exportId, user_id: userId, status: 'processing' }])
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce([]);
+
+      await expect(processDataExport(exportId)).resolves.toBeNull();
+
+      const failUpdate = sql.mock.calls[2];
+      expect(failUpdate).toContain('failed');
+      expect(failUpdate).toContain('connection lost');
+      expect(emailService.sendDataExportReadyEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeUserDataExports', () => {
+    it('should delete the member\'s exports and their archives', async () => {
+      const filePath = path.join(exportDir, 'to-remove.zip');
+      fs.writeFileSync(filePath, 'PK');
+      sql.mockResolvedValueOnce([
+        { id: exportId, file_path: filePath },
+        { id: 'pending-export', file_path: null }
+      ]);
+
+      await expect(removeUserDataExports(userId)).resolves.toBe(2);
+      expect(sql.mock.calls[0]).toContain(userId);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('getDataExportDownload', () => {
+    it('should reject tokens that are not data export links', async () => {
+      const jwt = require('jsonwebtoken');
+      const token = jwt.sign({ userId, type: 'step_up' }, process.env.JWT_SECRET);
+
+      await expect(getDataExportDownload(token)).rejects.toMatchObject({ statusCode: 410 });
+      await expect(getDataExportDownload('garbage')).rejects.toMatchObject({ statusCode: 410 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+});
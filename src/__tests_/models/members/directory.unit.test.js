@@ -0,0 +1,148 @@
+const { sql } = require('../../../config/database');
+const { getUserPermissions } = require('../../../models/roles/roleModel');
+const {
+  getDirectorySettings,
+  updateDirectorySettings,
+  searchDirectory
+} = require('../../../models/members/directoryModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../models/roles/roleModel', () => ({
+  getUserPermissions: jest.fn(),
+  hasPermission: (permissions, required) =>
+    permissions.includes('*') || permissions.includes(required)
+}));
+
+describe('Directory Model Unit Tests', () => {
+  const member = { id: 'user-1', permissions: [] };
+  const admin = { id: 'admin-1', permissions: ['users.view'] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getDirectorySettings', () => {
+    it('should keep contact details private by default', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(getDirectorySettings('user-1')).resolves.toEqual({
+        phone: 'admins',
+        email: 'admins',
+        photo: 'members',
+        ministry: 'members'
+      });
+    });
+  });
+
+  describe('updateDirectorySettings', () => {
+    it('should only change the fields given', async () => {
+      sql
+        .mockResolvedValueOnce([])
+        .mockImplementationOnce(async (strings, ...values) => [{
+          phone_visibility: values[1],
+          email_visibility: values[2],
+          photo_visibility: values[3],
+          ministry_visibility: values[4]
+        }]);
+
+      const settings = await updateDirectorySettings('user-1', { phone: 'members', photo: 'nobody' });
+
+      expect(settings).toEqual({
+        phone: 'members',
+        email: 'admins',
+        photo: 'nobody',
+        ministry: 'members'
+      });
+    });
+  });
+
+  describe('searchDirectory', () => {
+    const mockResults = (rows = []) => {
+      sql
+        .mockResolvedValueOnce([{ total: String(rows.length) }])
+        .mockResolvedValueOnce(rows);
+    };
+
+    it('should show members only the fields shared with members', async () => {
+      mockResults([{ id: 'user-2', full_name: 'Mary', phone_number: null, profile_photo_key: null }]);
+
+      const result = await searchDirectory(member, { search: 'mar' }, 1, 20);
+
+      const [query, params] = sql.mock.calls[1];
+      expect(params[0]).toBe('user-1');
+      expect(params[1]).toEqual(['members']);
+      expect(params).toContain('%mar%');
+      expect(query).toContain("CASE WHEN (u.id = $1 OR COALESCE(s.phone_visibility, 'admins') = ANY($2)) THEN u.phone_number END");
+      expect(query).toContain('u.status = $3');
+
+      expect(result.members[0]).toEqual({
+        id: 'user-2',
+        full_name: 'Mary',
+        phone_number: null,
+        profile_photo_urls: null
+      });
+    });
+
+    it('should also show admins the fields shared with admins', async () => {
+      mockResults();
+
+      await searchDirectory(admin, { search: 'mar' }, 1, 20);
+
+      expect(sql.mock.calls[1][1][1]).toEqual(['members', 'admins']);
+      expect(getUserPermissions).not.toHaveBeenCalled();
+    });
+
+    it('should load permissions when the request has not', async () => {
+      getUserPermissions.mockResolvedValueOnce(['*']);
+      mockResults();
+
+      await searchDirectory({ id: 'admin-2' }, { ministry: 'Choir' }, 1, 20);
+
+      expect(sql.mock.calls[1][1][1]).toEqual(['members', 'admins']);
+    });
+
+    it('should not match emails or ministries hidden from the viewer', async () => {
+      mockResults();
+
+      await searchDirectory(member, { search: 'church.org', ministry: 'Choir' }, 1, 20);
+
+      const [query] = sql.mock.calls[0];
+      expect(query).toContain('u.full_name ILIKE $4 OR ((u.id = $1 OR COALESCE(s.email_visibility');
+      expect(query).toContain("COALESCE(s.ministry_visibility, 'members') = ANY($2)) AND LOWER(u.ministry) = LOWER($5)");
+    });
+
+    it('should match wildcard characters literally', async () => {
+      mockResults();
+
+      await searchDirectory(member, { search: ' 50%_off\\ ' }, 1, 20);
+
+      expect(sql.mock.calls[0][1]).toContain('%50\\%\\_off\\\\%');
+    });
+
+    it('should refuse a search made only of wildcards', async () => {
+      await expect(searchDirectory(member, { search: '%%' }, 1, 20))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should cap the page size', async () => {
+      mockResults();
+
+      const result = await searchDirectory(member, { search: 'mar' }, 3, 500);
+
+      const params = sql.mock.calls[1][1];
+      expect(params.slice(-2)).toEqual([50, 100]);
+      expect(result.pagination).toMatchObject({ page: 3, limit: 50 });
+    });
+
+    it('should refuse to list everyone without a search term or ministry', async () => {
+      await expect(searchDirectory(member, { search: '  ' }, 1, 20))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const {
+  createHousehold,
+  inviteMember,
+  respondToInvitation,
+  updateMember,
+  removeMember,
+  getHouseholdGiving
+} = require('../../../models/members/householdModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendHouseholdInvitationEmail: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../../models/roles/roleModel', () => ({
+  getUserPermissions: jest.fn().mockResolvedValue([]),
+  hasPermission: (permissions, required) =>
+    permissions.includes('*') || permissions.includes(required)
+}));
+
+const queryText = (call) => (Array.isArray(call[0]) ? call[0].join('?') : call[0]);
+
+describe('Household Model Unit Tests', () => {
+  const householdId = 'household-1';
+  const head = { id: 'user-1', full_name: 'John Otieno', permissions: [] };
+  const household = { id: householdId, name: 'The Otieno Family' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createHousehold', () => {
+    it('should refuse members who already belong to a household', async () => {
+      sql.mockResolvedValueOnce([{ household_id: 'household-2' }]);
+
+      await expect(createHousehold({ name: 'Second Home' }, head)).rejects.toMatchObject({
+        statusCode: 409
+      });
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('inviteMember', () => {
+    const manageAsHead = () => {
+      sql
+        .mockResolvedValueOnce([household])
+        .mockResolvedValueOnce([{ id: 'member-1', relationship: 'head' }]);
+    };
+
+    it('should not let new members join as head', async () => {
+      manageAsHead();
+
+      await expect(
+        inviteMember(householdId, { userId: 'user-2', relationship: 'head' }, head)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should keep the invitation when the email cannot be sent', async () => {
+      manageAsHead();
+      sql
+        .mockResolvedValueOnce([{ id: 'user-2', full_name: 'Mary Otieno', email: 'mary@church.org' }])
+        .mockResolvedValueOnce([{ id: 'member-2', user_id: 'user-2', relationship: 'spouse', status: 'invited' }])
+        .mockResolvedValueOnce([household]);
+      emailService.sendHouseholdInvitationEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const member = await inviteMember(householdId, { userId: 'user-2', relationship: 'spouse' }, head);
+
+      expect(member).toMatchObject({ id: 'member-2', status: 'invited', full_name: 'Mary Otieno' });
+      expect(sql.mock.calls[3]).toContain('invited');
+      expect(emailService.sendHouseholdInvitationEmail).toHaveBeenCalledWith(
+        'mary@church.org',
+        expect.objectContaining({ householdName: 'The Otieno Family', relationship: 'spouse' })
+      );
+    });
+
+    it('should stop members who are not head or spouse', async () => {
+      sql
+        .mockResolvedValueOnce([household])
+        .mockResolvedValueOnce([{ id: 'member-3', relationship: 'child' }]);
+
+      await expect(
+        inviteMember(householdId, { userId: 'user-4', relationship: 'child' }, { id: 'user-3', permissions: [] })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('respondToInvitation', () => {
+    it('should refuse to join a second household', async () => {
+      const conflict = Object.assign(new Error('duplicate key'), { code: '23505' });
+      sql
+        .mockResolvedValueOnce([{ id: 'member-2', household_id: householdId }])
+        .mockRejectedValueOnce(conflict);
+
+      await expect(respondToInvitation('member-2', { id: 'user-2' }, true)).rejects.toMatchObject({
+        statusCode: 409
+      });
+    });
+
+    it('should delete a declined invitation', async () => {
+      sql.mockResolvedValueOnce([{ id: 'member-2', household_id: householdId }]).mockResolvedValueOnce([]);
+
+      await expect(respondToInvitation('member-2', { id: 'user-2' }, false)).resolves.toBeNull();
+      expect(queryText(sql.mock.calls[1])).toContain('DELETE FROM household_members');
+    });
+  });
+
+  describe('updateMember', () => {
+    it('should not leave the household without a head', async () => {
+      sql
+        .mockResolvedValueOnce([household])
+        .mockResolvedValueOnce([{ id: 'member-1', relationship: 'head' }])
+        .mockResolvedValueOnce([{ id: 'member-1', user_id: 'user-1', relationship: 'head', status: 'active' }])
+        .mockResolvedValueOnce([{ count: '0' }]);
+
+      await expect(
+        updateMember(householdId, 'member-1', { relationship: 'spouse' }, head)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('removeMember', () => {
+    const headMember = { id: 'member-1', user_id: 'user-1', relationship: 'head', status: 'active' };
+
+    it('should ask the last head to hand over before leaving', async () => {
+      sql
+        .mockResolvedValueOnce([headMember])
+        .mockResolvedValueOnce([{ count: '1' }])
+        .mockResolvedValueOnce([{ count: '0' }]);
+
+      await expect(removeMember(householdId, 'member-1', head)).rejects.toMatchObject({
+        statusCode: 409
+      });
+    });
+
+    it('should delete the household when its last account holder leaves', async () => {
+      sql
+        .mockResolvedValueOnce([headMember])
+        .mockResolvedValueOnce([{ count: '0' }])
+        .mockResolvedValueOnce([]);
+
+      await expect(removeMember(householdId, 'member-1', head)).resolves.toEqual({
+        householdDeleted: true
+      });
+      expect(queryText(sql.mock.calls[2])).toContain('DELETE FROM households');
+    });
+  });
+
+  describe('getHouseholdGiving', () => {
+    it('should only show giving to household members and finance staff', async () => {
+      sql.mockResolvedValueOnce([household]).mockResolvedValueOnce([]);
+
+      await expect(
+        getHouseholdGiving(householdId, { id: 'user-9', permissions: ['users.view'] })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should total completed payments of the household by purpose', async () => {
+      sql
+        .mockResolvedValueOnce([household])
+        .mockResolvedValueOnce([{ id: 'member-1', relationship: 'head' }])
+        .mockResolvedValueOnce([
+          { purpose: 'OFFERING', total_amount: '250.50', transaction_count: 2 },
+          { purpose: 'TITHE', total_amount: '1000.00', transaction_count: 1 }
+        ])
+        .mockResolvedValueOnce([{ user_id: 'user-1', full_name: 'John Otieno', total_amount: '1250.50' }]);
+
+      const giving = await getHouseholdGiving(householdId, head, { from: '2026-01-01' });
+
+      expect(giving).toMatchObject({ householdId, from: '2026-01-01', to: null, total: '1250.50' });
+      expect(giving.byPurpose).toHaveLength(2);
+      expect(queryText(sql.mock.calls[2])).toContain("p.status = 'COMPLETED'");
+      expect(queryText(sql.mock.calls[2])).toContain('p.payment_date >= m.joined_at::date');
+      expect(sql.mock.calls[2]).toContain('2026-01-01');
+      expect(giving.byMember).toHaveLength(1);
+    });
+
+    it('should hide what each person gives from children and other relatives', async () => {
+      sql
+        .mockResolvedValueOnce([household])
+        .mockResolvedValueOnce([{ id: 'member-3', relationship: 'child' }])
+        .mockResolvedValueOnce([{ purpose: 'TITHE', total_amount: '1000.00', transaction_count: 1 }]);
+
+      const giving = await getHouseholdGiving(householdId, { id: 'user-3', permissions: [] });
+
+      expect(giving).toMatchObject({ total: '1000.00', byMember: null });
+      expect(sql).toHaveBeenCalledTimes(3);
+    });
+  });
+});
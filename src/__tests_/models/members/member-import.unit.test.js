@@ -0,0 +1,152 @@
+const { sql } = require('../../../config/database');
+const emailService = require('../../../services/nodemailer');
+const {
+  importMembers,
+  acceptMemberInvitation,
+  RowStatus
+} = require('../../../models/members/memberImportModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../../services/nodemailer', () => ({
+  sendMemberInvitationEmail: jest.fn().mockResolvedValue(true)
+}));
+
+describe('Member Import Model Unit Tests', () => {
+  const records = [
+    { rowNumber: 2, fullName: 'Jane Doe', email: 'Jane@Church.org', phoneNumber: '0712345678', ministry: 'Choir' },
+    { rowNumber: 3, fullName: ' ', email: 'not-an-email', phoneNumber: '' },
+    { rowNumber: 4, fullName: 'John Doe', email: 'john@church.org', phoneNumber: '+254 722 000 111' },
+    { rowNumber: 5, fullName: 'Jane Again', email: 'jane@church.org', phoneNumber: '0733000222' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('importMembers', () => {
+    it('should report invalid, existing and in-file duplicate rows on a dry run without writing', async () => {
+      sql
+        .mockResolvedValueOnce([]) // existing emails
+        .mockResolvedValueOnce([{ phone_digits: '254722000111' }]); // existing phones
+
+      const report = await importMembers(
+        { records, missingHeaders: [] },
+        { dryRun: true, invitedBy: 'admin-1' }
+      );
+
+      expect(report.rows.map((row) => row.status)).toEqual([
+        RowStatus.VALID,
+        RowStatus.INVALID,
+        RowStatus.DUPLICATE,
+        RowStatus.DUPLICATE
+      ]);
+      expect(report.rows[0].email).toBe('jane@church.org');
+      expect(report.rows[0]).not.toHaveProperty('phoneDigits');
+      expect(report.rows[1].errors.map((error) => error.field)).toEqual(
+        expect.arrayContaining(['fullName', 'email', 'phoneNumber'])
+      );
+      expect(report.rows[3].errors[0].message).toBe('Same email as row 2');
+      expect(report.summary).toMatchObject({
+        dryRun: true,
+        total: 4,
+        valid: 1,
+        invalid: 1,
+        duplicates: 2,
+        created: 0
+      });
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(emailService.sendMemberInvitationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should create invited accounts and email an invitation for valid rows', async () => {
+      sql
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 'user-1', full_name: 'Jane Doe', email: 'jane@church.org' }])
+        .mockResolvedValueOnce([]); // invitation insert
+
+      const report = await importMembers(
+        { records: [records[0]], missingHeaders: [] },
+        { dryRun: false, invitedBy: 'admin-1' }
+      );
+
+      expect(report.summary.created).toBe(1);
+      expect(report.rows[0]).toMatchObject({
+        status: RowStatus.CREATED,
+        userId: 'user-1',
+        invitationSent: true
+      });
+      expect(emailService.sendMemberInvitationEmail).toHaveBeenCalledWith(
+        'jane@church.org',
+        'Jane Doe',
+        expect.stringContaining('/accept-invitation?token='),
+        expect.any(Date)
+      );
+    });
+
+    it('should keep the account when the invitation email fails', async () => {
+      sql
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 'user-1', full_name: 'Jane Doe', email: 'jane@church.org' }])
+        .mockResolvedValueOnce([]);
+      emailService.sendMemberInvitationEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const report = await importMembers(
+        { records: [records[0]], missingHeaders: [] },
+        { dryRun: false, invitedBy: 'admin-1' }
+      );
+
+      expect(report.rows[0]).toMatchObject({
+        status: RowStatus.CREATED,
+        invitationSent: false
+      });
+    });
+
+    it('should reject files missing required columns', async () => {
+      await expect(
+        importMembers(
+          { records, missingHeaders: ['phoneNumber', 'ministry'] },
+          { dryRun: true }
+        )
+      ).rejects.toThrow('Missing required columns: phoneNumber');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty file', async () => {
+      await expect(
+        importMembers({ records: [], missingHeaders: [] }, { dryRun: true })
+      ).rejects.toThrow('The file has no member rows');
+    });
+  });
+
+  describe('acceptMemberInvitation', () => {
+    it('should reject an expired invitation', async () => {
+      sql.mockResolvedValueOnce([
+        { id: 1, user_id: 'user-1', expires_at: new Date(Date.now() - 1000) }
+      ]);
+
+      await expect(
+        acceptMemberInvitation('token', 'password123')
+      ).rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    it('should set the password and activate the account', async () => {
+      sql
+        .mockResolvedValueOnce([
+          { id: 1, user_id: 'user-1', expires_at: new Date(Date.now() + 60000) }
+        ])
+        .mockResolvedValueOnce([{ id: 1 }])
+        .mockResolvedValueOnce([{ id: 'user-1', email: 'jane@church.org', status: 'active' }]);
+
+      const user = await acceptMemberInvitation('token', 'password123');
+
+      expect(user.status).toBe('active');
+      expect(sql).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { sql } = require('../../../config/database');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-photos-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.BASE_URL = 'https://api.example.org';
+
+const {
+  setProfilePhoto,
+  removeProfilePhoto
+} = require('../../../models/members/profilePhotoModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+const storedFiles = (userId) => {
+  const dir = path.join(storageDir, 'profile-photos', userId);
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+};
+
+// A camera-style JPEG carrying EXIF metadata
+const createPhoto = () =>
+  sharp({
+    create: { width: 800, height: 600, channels: 3, background: '#3366cc' }
+  })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Make: 'TestCam', Model: 'Phone' } } })
+    .toBuffer();
+
+describe('Profile Photo Model Unit Tests', () => {
+  const userId = 'user-123';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  describe('setProfilePhoto', () => {
+    it('should store EXIF-free variants and return their URLs', async () => {
+      const buffer = await createPhoto();
+      expect((await sharp(buffer).metadata()).exif).toBeDefined();
+
+      sql
+        .mockResolvedValueOnce([{ profile_photo_key: null }])
+        .mockImplementationOnce((strings, ...values) =>
+          Promise.resolve([{ id: userId, profile_photo: values[0], profile_photo_key: values[1] }])
+        );
+
+      const user = await setProfilePhoto(userId, { buffer });
+
+      const files = storedFiles(userId);
+      expect(files).toHaveLength(3);
+
+      for (const [name, size] of [['small', 64], ['medium', 256], ['large', 512]]) {
+        const file = files.find((entry) => entry.endsWith(`-${size}.webp`));
+        const metadata = await sharp(path.join(storageDir, 'profile-photos', userId, file)).metadata();
+
+        expect(metadata).toMatchObject({ format: 'webp', width: size, height: size });
+        expect(metadata.exif).toBeUndefined();
+        expect(user.profile_photo_urls[name]).toBe(
+          `https://api.example.org/files/profile-photos/${userId}/${file}`
+        );
+      }
+
+      expect(user.profile_photo).toBe(user.profile_photo_urls.medium);
+      expect(user).not.toHaveProperty('profile_photo_key');
+    });
+
+    it('should delete the previous photo when it is replaced', async () => {
+      const previousKey = `profile-photos/${userId}/${storedFiles(userId)[0].replace(/-\d+\.webp$/, '')}`;
+
+      sql
+        .mockResolvedValueOnce([{ profile_photo_key: previousKey }])
+        .mockResolvedValueOnce([{ id: userId }]);
+
+      await setProfilePhoto(userId, { buffer: await createPhoto() });
+
+      const files = storedFiles(userId);
+      expect(files).toHaveLength(3);
+      expect(files.some((file) => previousKey.endsWith(file.replace(/-\d+\.webp$/, '')))).toBe(false);
+    });
+
+    it('should reject a file that only claims to be an image', async () => {
+      const buffer = Buffer.from('<?php echo "not a photo"; ?>');
+
+      await expect(
+        setProfilePhoto(userId, { buffer, mimetype: 'image/jpeg' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeProfilePhoto', () => {
+    it('should clear the photo and delete its files', async () => {
+      const key = `profile-photos/${userId}/${storedFiles(userId)[0].replace(/-\d+\.webp$/, '')}`;
+
+      sql
+        .mockResolvedValueOnce([{ profile_photo_key: key }])
+        .mockResolvedValueOnce([]);
+
+      await expect(removeProfilePhoto(userId)).resolves.toBe(true);
+      expect(storedFiles(userId)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { sql } = require('../../../config/database');
+const {
+  getUserPermissions,
+  hasPermission,
+  assertCanGrantSystemRole,
+  createRole,
+  updateRole,
+  assignRole
+} = require('../../../models/roles/roleModel');
+
+// Mock the database connection
+jest.mock('../../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+describe('Role Model Unit Tests', () => {
+  const superAdminPermissions = ['*'];
+  const adminPermissions = ['announcements.publish', 'users.view', 'users.manage'];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hasPermission', () => {
+    test('should match an exact permission', () => {
+      expect(hasPermission(adminPermissions, 'users.view')).toBe(true);
+      expect(hasPermission(adminPermissions, 'roles.manage')).toBe(false);
+    });
+
+    test('should treat * as every permission', () => {
+      expect(hasPermission(superAdminPermissions, 'roles.manage')).toBe(true);
+    });
+  });
+
+  describe('getUserPermissions', () => {
+    test('should combine the built-in role with assigned roles', async () => {
+      sql.mockResolvedValueOnce([{ key: 'suggestions.delete' }, { key: 'suggestions.view' }]);
+
+      const permissions = await getUserPermissions({ id: 'user-123', role: 'member' });
+
+      expect(permissions).toEqual(['suggestions.delete', 'suggestions.view']);
+      expect(sql.mock.calls[0]).toContain('member');
+      expect(sql.mock.calls[0]).toContain('user-123');
+    });
+
+    test('should use the super_admin role for flagged super admins', async () => {
+      sql.mockResolvedValueOnce([{ key: '*' }]);
+
+      await getUserPermissions({ id: 'user-1', role: 'admin', is_super_admin: true });
+
+      expect(sql.mock.calls[0]).toContain('super_admin');
+    });
+  });
+
+  describe('createRole', () => {
+    test('should reject unknown permission keys', async () => {
+      await expect(
+        createRole({ name: 'choir_lead', permissions: ['choir.sing'] }, superAdminPermissions)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    test('should not let an actor grant permissions they lack', async () => {
+      await expect(
+        createRole({ name: 'role_admins', permissions: ['roles.manage'] }, adminPermissions)
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should create a scoped role for a ministry leader', async () => {
+      const created = {
+        id: 4,
+        name: 'youth_leader',
+        is_system: false,
+        permissions: ['announcements.publish']
+      };
+      sql.mockResolvedValueOnce([]);
+      sql.mockResolvedValueOnce([{ id: 4 }]);
+      sql.mockResolvedValueOnce([]);
+      sql.mockResolvedValueOnce([]);
+      sql.mockResolvedValueOnce([created]);
+
+      const role = await createRole(
+        { name: 'youth_leader', permissions: ['announcements.publish'] },
+        superAdminPermissions
+      );
+
+      expect(role).toEqual(created);
+      expect(sql.mock.calls[3]).toContainEqual(['announcements.publish']);
+    });
+
+    test('should refuse a duplicate name', async () => {
+      sql.mockResolvedValueOnce([{ id: 2 }]);
+
+      await expect(
+        createRole({ name: 'admin', permissions: [] }, superAdminPermissions)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  test('should not allow built-in roles to be edited', async () => {
+    sql.mockResolvedValueOnce([{ id: 1, name: 'admin', is_system: true, permissions: [] }]);
+
+    await expect(
+      updateRole(1, { permissions: [] }, superAdminPermissions)
+    ).rejects.toThrow('Built-in roles cannot be changed');
+  });
+
+  test('should stop admins promoting anyone to super admin', async () => {
+    sql.mockResolvedValueOnce([{ key: '*' }]);
+
+    await expect(
+      assertCanGrantSystemRole('super_admin', adminPermissions)
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('should stop an actor assigning a role more powerful than their own', async () => {
+    sql.mockResolvedValueOnce([
+      { id: 5, name: 'treasurer', is_system: false, permissions: ['payments.view_reports'] }
+    ]);
+
+    await expect(
+      assignRole('user-123', 5, { id: 'admin-1', permissions: adminPermissions })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(sql).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,210 @@
+const jwt = require('jsonwebtoken');
+const { sql } = require('../../config/database');
+const { isSessionActive } = require('../../models/auth/sessionModel');
+const { authenticateApiKey } = require('../../models/auth/apiKeyModel');
+const jwtSigning = require('../../services/jwtSigning');
+const {
+  createMemoryStore,
+  setAuthUserCacheStore,
+  invalidateAuthUser
+} = require('../../services/authUserCache');
+const {
+  AuthStrategies,
+  authenticate,
+  fromRequest,
+  fromSocketHandshake,
+  authenticateSocket
+} = require('../../services/authentication');
+
+// Mock the database connection
+jest.mock('../../config/database', () => ({
+  sql: jest.fn()
+}));
+
+jest.mock('../../models/auth/sessionModel', () => ({
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../models/auth/apiKeyModel', () => ({
+  authenticateApiKey: jest.fn()
+}));
+
+describe('Authentication Unit Tests', () => {
+  const { BEARER, COOKIE, API_KEY } = AuthStrategies;
+  const member = {
+    id: 'user-1',
+    email: 'member@church.org',
+    role: 'member',
+    status: 'active',
+    is_verified: true,
+    password_changed_at: null,
+    token_invalidated_at: null
+  };
+
+  const signToken = (payload = {}) =>
+    jwt.sign({ userId: 'user-1', sessionId: 'session-1', ...payload }, process.env.JWT_SECRET);
+
+  const request = ({ headers = {}, cookies = {} } = {}) =>
+    fromRequest({ headers, cookies, ip: '10.0.0.1' });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setAuthUserCacheStore(null);
+  });
+
+  describe('access tokens', () => {
+    it('should authenticate a Bearer token and describe the user', async () => {
+      sql.mockResolvedValueOnce([member]);
+
+      const result = await authenticate(
+        request({ headers: { authorization: `Bearer ${signToken()}` } }),
+        [BEARER, COOKIE]
+      );
+
+      expect(result.strategy).toBe(BEARER);
+      expect(result.user).toMatchObject({ id: 'user-1', userId: 'user-1', sessionId: 'session-1' });
+      expect(isSessionActive).toHaveBeenCalledWith('session-1', 'user-1');
+    });
+
+    it('should fall back to the auth_token cookie', async () => {
+      sql.mockResolvedValueOnce([member]);
+
+      const result = await authenticate(request({ cookies: { auth_token: signToken() } }), [
+        BEARER,
+        COOKIE
+      ]);
+
+      expect(result.strategy).toBe(COOKIE);
+    });
+
+    it('should reject challenge and other special-purpose tokens', async () => {
+      await expect(
+        authenticate(
+          request({ headers: { authorization: `Bearer ${signToken({ type: 'two_factor' })}` } }),
+          [BEARER]
+        )
+      ).rejects.toMatchObject({ statusCode: 401, details: { code: 'INVALID_TOKEN' } });
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens signed for another audience', async () => {
+      const token = jwtSigning.signToken({ userId: 'user-1', sessionId: 'session-1' });
+
+      await expect(
+        authenticate(request({ headers: { authorization: `Bearer ${token}` } }), [BEARER])
+      ).rejects.toMatchObject({ statusCode: 401, details: { code: 'INVALID_TOKEN' } });
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens issued before the user logged out everywhere', async () => {
+      sql.mockResolvedValueOnce([{ ...member, token_invalidated_at: new Date(Date.now() + 5000) }]);
+
+      await expect(
+        authenticate(request({ headers: { authorization: `Bearer ${signToken()}` } }), [BEARER])
+      ).rejects.toMatchObject({ statusCode: 401, message: 'Session expired. Please login again' });
+    });
+
+    it('should reject suspended accounts and revoked sessions', async () => {
+      sql.mockResolvedValueOnce([{ ...member, status: 'suspended' }]);
+      await expect(
+        authenticate(request({ headers: { authorization: `Bearer ${signToken()}` } }), [BEARER])
+      ).rejects.toMatchObject({ message: 'Account is suspended' });
+
+      sql.mockResolvedValueOnce([member]);
+      isSessionActive.mockResolvedValueOnce(false);
+      await expect(
+        authenticate(request({ headers: { authorization: `Bearer ${signToken()}` } }), [BEARER])
+      ).rejects.toMatchObject({ details: { code: 'SESSION_REVOKED' } });
+    });
+
+    it('should not try the cookie when a Bearer token fails', async () => {
+      await expect(
+        authenticate(
+          request({
+            headers: { authorization: 'Bearer not-a-jwt' },
+            cookies: { auth_token: signToken() }
+          }),
+          [BEARER, COOKIE]
+        )
+      ).rejects.toMatchObject({ details: { code: 'INVALID_TOKEN' } });
+    });
+
+    it('should require a credential', async () => {
+      await expect(authenticate(request(), [BEARER, COOKIE])).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Authentication required'
+      });
+    });
+  });
+
+  describe('API keys', () => {
+    it('should return the key for a valid X-API-Key', async () => {
+      authenticateApiKey.mockResolvedValueOnce({ id: 'key-1', scopes: ['announcements:read'] });
+
+      const result = await authenticate(request({ headers: { 'x-api-key': 'mck_key' } }), [
+        API_KEY,
+        BEARER
+      ]);
+
+      expect(result).toMatchObject({ strategy: API_KEY, apiKey: { id: 'key-1' } });
+      expect(authenticateApiKey).toHaveBeenCalledWith('mck_key', '10.0.0.1');
+    });
+
+    it('should reject an unknown key', async () => {
+      authenticateApiKey.mockResolvedValueOnce(null);
+
+      await expect(
+        authenticate(request({ headers: { 'x-api-key': 'mck_bad' } }), [API_KEY])
+      ).rejects.toMatchObject({ statusCode: 401, details: { code: 'INVALID_API_KEY' } });
+    });
+  });
+
+  describe('socket handshakes', () => {
+    it('should read the token from the auth payload or the cookie header', async () => {
+      const token = signToken();
+
+      expect(fromSocketHandshake({ headers: {}, auth: { token } }).token).toBe(token);
+      expect(
+        fromSocketHandshake({ headers: { cookie: `theme=dark; auth_token=${token}` } }).cookies
+      ).toMatchObject({ theme: 'dark', auth_token: token });
+    });
+
+    it('should attach the user to the socket or refuse the connection', async () => {
+      sql.mockResolvedValueOnce([member]);
+      const socket = { handshake: { headers: {}, auth: { token: signToken() } }, data: {} };
+      const next = jest.fn();
+
+      await authenticateSocket(socket, next);
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data.user).toMatchObject({ id: 'user-1' });
+
+      const anonymous = { handshake: { headers: {} }, data: {} };
+      await authenticateSocket(anonymous, next);
+      expect(next.mock.calls[1][0]).toMatchObject({
+        message: 'Authentication required',
+        data: { code: 'AUTHENTICATION_FAILED' }
+      });
+      expect(anonymous.data.user).toBeUndefined();
+    });
+  });
+
+  describe('user cache', () => {
+    it('should reuse the user until it is invalidated', async () => {
+      setAuthUserCacheStore(createMemoryStore());
+      sql.mockResolvedValue([member]);
+      const source = request({ headers: { authorization: `Bearer ${signToken()}` } });
+
+      await authenticate(source, [BEARER]);
+      await authenticate(source, [BEARER]);
+      expect(sql).toHaveBeenCalledTimes(1);
+
+      await invalidateAuthUser('user-1');
+      await authenticate(source, [BEARER]);
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  createJwksKeySource,
+  setGoogleKeySource,
+  verifyGoogleIdToken
+} = require('../../services/googleAuth');
+
+describe('Google Auth Service Unit Tests', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'local-key', alg: 'RS256', use: 'sig' };
+
+  const signIdToken = (claims = {}, options = {}) => jwt.sign(
+    {
+      sub: 'google-user-1',
+      email: 'member@example.com',
+      email_verified: true,
+      ...claims
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: 'local-key',
+      audience: 'test-client-id',
+      issuer: 'https://accounts.google.com',
+      expiresIn: '5m',
+      ...options
+    }
+  );
+
+  beforeAll(() => {
+    process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+    setGoogleKeySource(createJwksKeySource({ keys: [jwk] }));
+  });
+
+  afterAll(() => {
+    delete process.env.GOOGLE_CLIENT_ID;
+  });
+
+  test('should verify a token signed by a key in the configured key set', async () => {
+    const payload = await verifyGoogleIdToken(signIdToken());
+
+    expect(payload.sub).toBe('google-user-1');
+    expect(payload.email).toBe('member@example.com');
+  });
+
+  test('should reject a token issued for another client', async () => {
+    await expect(verifyGoogleIdToken(signIdToken({}, { audience: 'other-client' })))
+      .rejects.toThrow('Invalid Google ID token');
+  });
+
+  test('should reject a token from an unexpected issuer', async () => {
+    await expect(verifyGoogleIdToken(signIdToken({}, { issuer: 'https://evil.example.com' })))
+      .rejects.toThrow('Invalid Google ID token');
+  });
+
+  test('should reject a token signed with an unknown key', async () => {
+    await expect(verifyGoogleIdToken(signIdToken({}, { keyid: 'rotated-away' })))
+      .rejects.toThrow('Unknown Google signing key');
+  });
+
+  test('should reject a token signed by a different private key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign(
+      { sub: 'google-user-1', email: 'member@example.com', email_verified: true },
+      otherKey,
+      {
+        algorithm: 'RS256',
+        keyid: 'local-key',
+        audience: 'test-client-id',
+        issuer: 'https://accounts.google.com'
+      }
+    );
+
+    await expect(verifyGoogleIdToken(forged)).rejects.toThrow('Invalid Google ID token');
+  });
+});
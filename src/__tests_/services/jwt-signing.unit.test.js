@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+const {
+  TokenAudiences,
+  setKeySet,
+  signToken,
+  verifyToken,
+  getJwks,
+  addSigningKey,
+  activateSigningKey,
+  retireSigningKey
+} = require('../../services/jwtSigning');
+
+describe('JWT Signing Unit Tests', () => {
+  let keySet;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    keySet = addSigningKey(null, 'ES256').keySet;
+  });
+
+  beforeEach(() => {
+    delete process.env.JWT_ACCEPT_LEGACY_HS256;
+    setKeySet(keySet);
+  });
+
+  afterAll(() => {
+    setKeySet(null);
+  });
+
+  test('should sign with the current key and name it in the header', () => {
+    const token = signToken({ userId: 'user-1' }, { expiresIn: '1h' });
+
+    const { header } = jwt.decode(token, { complete: true });
+    expect(header).toMatchObject({ alg: 'ES256', kid: keySet.signingKeyId });
+    expect(verifyToken(token)).toMatchObject({ userId: 'user-1' });
+  });
+
+  test('should keep verifying tokens from the previous key after a rotation', () => {
+    const oldToken = signToken({ userId: 'user-1' });
+
+    const { keySet: withNewKey, key } = addSigningKey(keySet, 'RS256');
+    const rotated = activateSigningKey(withNewKey, key.kid);
+    setKeySet(rotated);
+
+    const newToken = signToken({ userId: 'user-1' });
+    expect(jwt.decode(newToken, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: key.kid });
+    expect(verifyToken(oldToken)).toMatchObject({ userId: 'user-1' });
+
+    setKeySet(retireSigningKey(rotated, keySet.signingKeyId));
+    expect(() => verifyToken(oldToken)).toThrow(jwt.JsonWebTokenError);
+    expect(verifyToken(newToken)).toMatchObject({ userId: 'user-1' });
+  });
+
+  test('should not retire the key tokens are signed with', () => {
+    expect(() => retireSigningKey(keySet, keySet.signingKeyId)).toThrow(/Activate another key/);
+  });
+
+  test('should publish only public keys', () => {
+    const { keys } = getJwks();
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', kid: keySet.signingKeyId, alg: 'ES256', use: 'sig' });
+    expect(keys[0].d).toBeUndefined();
+  });
+
+  test('should refuse HS256 tokens once keys are configured, unless allowed during the switch', () => {
+    const legacyToken = jwt.sign({ userId: 'user-1' }, 'test-secret');
+
+    expect(() => verifyToken(legacyToken)).toThrow(jwt.JsonWebTokenError);
+
+    process.env.JWT_ACCEPT_LEGACY_HS256 = 'true';
+    expect(verifyToken(legacyToken, { audience: TokenAudiences.ACCESS })).toMatchObject({ userId: 'user-1' });
+    expect(() => verifyToken(legacyToken)).toThrow(/audience invalid/);
+  });
+
+  test('should keep access tokens and special-purpose tokens apart by audience', () => {
+    const accessToken = signToken({ userId: 'user-1' }, { audience: TokenAudiences.ACCESS });
+    const challengeToken = signToken({ userId: 'user-1', type: '2fa_challenge' });
+
+    expect(jwt.decode(accessToken).aud).toBe('api');
+    expect(jwt.decode(challengeToken).aud).toBe('auth-internal');
+    expect(verifyToken(accessToken, { audience: TokenAudiences.ACCESS })).toMatchObject({ userId: 'user-1' });
+    expect(() => verifyToken(challengeToken, { audience: TokenAudiences.ACCESS })).toThrow(/audience invalid/);
+    expect(() => verifyToken(accessToken)).toThrow(/audience invalid/);
+  });
+
+  test('should not accept a token signed with the public key as an HMAC secret', () => {
+    const publicKey = keySet.keys[0].publicKey;
+    const forged = jwt.sign({ userId: 'admin-1' }, publicKey, {
+      algorithm: 'HS256',
+      keyid: keySet.signingKeyId
+    });
+
+    expect(() => verifyToken(forged)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test('should fall back to JWT_SECRET when no keys are configured', () => {
+    setKeySet(null);
+
+    const token = signToken({ userId: 'user-1' });
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(verifyToken(token)).toMatchObject({ userId: 'user-1' });
+    expect(getJwks()).toEqual({ keys: [] });
+  });
+});
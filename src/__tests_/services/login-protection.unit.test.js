@@ -0,0 +1,78 @@
+const {
+  createMemoryStore,
+  setLoginAttemptStore,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} = require('../../services/loginProtection');
+
+describe('Login Protection Unit Tests', () => {
+  const attempt = { email: 'Member@Example.com', ipAddress: '10.0.0.1' };
+
+  beforeEach(() => {
+    setLoginAttemptStore(createMemoryStore());
+  });
+
+  test('should allow the first attempts without delay', async () => {
+    await recordLoginFailure(attempt);
+    await recordLoginFailure(attempt);
+
+    await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+  });
+
+  test('should delay further attempts once failures pile up', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordLoginFailure(attempt);
+    }
+
+    await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+      statusCode: 429,
+      details: { code: 'LOGIN_DELAYED', retryAfter: 1 }
+    });
+  });
+
+  test('should lock the account after too many failures', async () => {
+    let result;
+    for (let i = 0; i < 5; i++) {
+      result = await recordLoginFailure(attempt);
+    }
+
+    expect(result.locked).toBe(true);
+    expect(result.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+
+    // Locks follow the account, whatever the case of the email or the IP
+    await expect(
+      assertLoginAllowed({ email: 'member@example.com', ipAddress: '10.0.0.2' })
+    ).rejects.toMatchObject({ statusCode: 423, details: { code: 'ACCOUNT_LOCKED' } });
+  });
+
+  test('should block an IP spraying many accounts', async () => {
+    for (let i = 0; i < 20; i++) {
+      await recordLoginFailure({ email: `user${i}@example.com`, ipAddress: '10.0.0.9' });
+    }
+
+    await expect(
+      assertLoginAllowed({ email: 'fresh@example.com', ipAddress: '10.0.0.9' })
+    ).rejects.toMatchObject({ statusCode: 429, details: { code: 'TOO_MANY_ATTEMPTS' } });
+  });
+
+  test('should reset account failures after a successful login', async () => {
+    for (let i = 0; i < 4; i++) {
+      await recordLoginFailure(attempt);
+    }
+    await recordLoginSuccess(attempt);
+
+    await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+    expect((await recordLoginFailure(attempt)).failures).toBe(1);
+  });
+
+  test('should let an admin unlock a locked account', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure(attempt);
+    }
+
+    await expect(unlockAccount('member@example.com')).resolves.toBe(true);
+    await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+  });
+});
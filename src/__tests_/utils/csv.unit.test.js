@@ -0,0 +1,23 @@
+const { toCsvRow, toCsvRecord } = require('../../utils/csv');
+
+describe('CSV helpers', () => {
+  test('should quote commas, quotes and line breaks', () => {
+    expect(toCsvRow(['a,b', 'say "hi"', 'two\nlines'])).toBe(
+      '"a,b","say ""hi""","two\nlines"\r\n'
+    );
+  });
+
+  test('should neutralise spreadsheet formulas', () => {
+    expect(toCsvRow(['=HYPERLINK("x")', '+1', 'ok'])).toBe(
+      '"\'=HYPERLINK(""x"")",\'+1,ok\r\n'
+    );
+  });
+
+  test('should write objects as JSON and empty cells for missing values', () => {
+    const columns = [{ key: 'id' }, { key: 'changes' }, { key: 'note' }];
+
+    expect(toCsvRecord(columns, { id: 1, changes: { a: 1 } })).toBe(
+      '1,"{""a"":1}",\r\n'
+    );
+  });
+});
@@ -0,0 +1,44 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../../utils/totp');
+
+// RFC 6238 test secret, ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utility Unit Tests', () => {
+  test('should round-trip base32 encoding', () => {
+    const bytes = Buffer.from('two-factor secret');
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+  });
+
+  test('should match the RFC 6238 SHA-1 test vector', () => {
+    // T = 59s, 6-digit truncation of 94287082
+    expect(generateTotp(RFC_SECRET, 1)).toBe('287082');
+  });
+
+  test('should accept a code from the adjacent time step', () => {
+    const timestamp = 59 * 1000 + 30 * 1000;
+    expect(verifyTotp('287082', RFC_SECRET, { timestamp })).toBe(1);
+  });
+
+  test('should reject a code outside the allowed window', () => {
+    const timestamp = 59 * 1000 + 90 * 1000;
+    expect(verifyTotp('287082', RFC_SECRET, { timestamp })).toBeNull();
+  });
+
+  test('should build an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri({
+      secret: RFC_SECRET,
+      accountName: 'admin@example.com',
+      issuer: 'Bishop Amiraki Church'
+    });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\//);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('issuer=Bishop%20Amiraki%20Church');
+  });
+});
@@ -1,5 +1,6 @@
 const express = require("express");
 const http = require("http");
+const path = require("path");
 const cors = require("cors");
 const helmet = require("helmet");
 const compression = require("compression");
@@ -10,7 +11,20 @@ const suggestionRoutes = require("./routes/suggestions/suggestionsRoutes");
 const session = require("express-session");
 const cookieParser = require("cookie-parser");
 const mediaContentRoutes = require("./routes/churchgallery/mediaContent");
+const roleRoutes = require("./routes/roles/rolesRoutes");
+const auditRoutes = require("./routes/audit/auditRoutes");
+const apiKeyRoutes = require("./routes/apiKeys/apiKeysRoutes");
+const paymentSummaryRoutes = require("./routes/payments/paymentSummariesRoutes");
+const directoryRoutes = require("./routes/directory/directoryRoutes");
+const householdRoutes = require("./routes/households/householdsRoutes");
 const { errorHandler } = require("./utils/global-errorHandler");
+const { getJwks } = require("./services/jwtSigning");
+const {
+  StorageDrivers,
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_PUBLIC_PATH,
+  getStorageDriver,
+} = require("./services/storage");
 
 const createApp = () => {
   const app = express();
@@ -20,7 +34,8 @@ const createApp = () => {
   app.use(cookieParser());
   app.use(
     session({
-      secret: process.env.JWT_SECRET,
+      // Kept apart from token signing; JWT_SECRET is only a fallback for older deployments
+      secret: process.env.SESSION_SECRET || process.env.JWT_SECRET,
       resave: false,
       saveUninitialized: false,
       cookie: {
@@ -37,7 +52,13 @@ const createApp = () => {
       cors({
         origin: process.env.CORS_ORIGIN || "*",
         methods: ["GET", "POST", "PUT", "DELETE"],
-        allowedHeaders: ["Content-Type", "Authorization"],
+        allowedHeaders: [
+          "Content-Type",
+          "Authorization",
+          "X-Device-Name",
+          "X-Reauth-Token",
+          "X-API-Key",
+        ],
         credentials: true,
         maxAge: 86400,
       })
@@ -60,12 +81,38 @@ const createApp = () => {
     app.use("/api/announcements", announcementRoutes);
     app.use("/api/suggestions", suggestionRoutes);
     app.use("/api/media", mediaContentRoutes);
+    app.use("/api/roles", roleRoutes);
+    app.use("/api/audit-events", auditRoutes);
+    app.use("/api/api-keys", apiKeyRoutes);
+    app.use("/api/payment-summaries", paymentSummaryRoutes);
+    app.use("/api/directory", directoryRoutes);
+    app.use("/api/households", householdRoutes);
+
+    // Files stored on local disk (development and tests); keys never change, so cache hard
+    if (getStorageDriver() === StorageDrivers.LOCAL) {
+      app.use(
+        LOCAL_STORAGE_PUBLIC_PATH,
+        express.static(path.resolve(LOCAL_STORAGE_DIR), {
+          immutable: true,
+          maxAge: "365d",
+          setHeaders: (res) => {
+            res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+          },
+        })
+      );
+    }
 
     // Health check
     app.get("/health", (req, res) => {
       res.json({ status: "healthy", timestamp: new Date().toISOString() });
     });
 
+    // Public keys for services verifying our tokens; short cache so rotations spread quickly
+    app.get("/.well-known/jwks.json", (req, res) => {
+      res.set("Cache-Control", "public, max-age=300");
+      res.json(getJwks());
+    });
+
     // API documentation
     app.get("/api", (req, res) => {
       res.json({
@@ -75,6 +122,12 @@ const createApp = () => {
           announcements: "/api/announcements/*",
           suggestions: "/api/suggestions/*",
           media: "/api/media/*",
+          roles: "/api/roles/*",
+          audit: "/api/audit-events/*",
+          apiKeys: "/api/api-keys/*",
+          paymentSummaries: "/api/payment-summaries",
+          directory: "/api/directory/*",
+          households: "/api/households/*",
         },
         documentation: process.env.API_DOCS_URL || "Documentation URL not set",
       });
@@ -90,6 +143,12 @@ const createApp = () => {
           "/api/announcements/*",
           "/api/suggestions/*",
           "/api/media/*",
+          "/api/roles/*",
+          "/api/audit-events/*",
+          "/api/api-keys/*",
+          "/api/payment-summaries",
+          "/api/directory/*",
+          "/api/households/*",
         ],
       });
     });
@@ -1,5 +1,10 @@
 const dotenv = require("dotenv");
 const { neon } = require("@neondatabase/serverless");
+const {
+  PERMISSION_DESCRIPTIONS,
+  ALL_PERMISSIONS,
+  SYSTEM_ROLES,
+} = require("./permissions");
 dotenv.config();
 
 const sql = neon(process.env.DATABASE_URL);
@@ -73,8 +78,11 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(255) UNIQUE NOT NULL,
   password VARCHAR(255),
   phone_number VARCHAR(20),
+  ministry VARCHAR(100),
   role VARCHAR(20) DEFAULT 'member' CHECK (role IN ('member', 'admin', 'super_admin')),
   status VARCHAR(20) NOT NULL DEFAULT 'active',
+  status_reason TEXT,
+  status_expires_at TIMESTAMPTZ,
   is_super_admin BOOLEAN DEFAULT false,
   verification_code VARCHAR(6),
   verification_code_expires_at TIMESTAMPTZ,
@@ -82,6 +90,7 @@ CREATE TABLE IF NOT EXISTS users (
   token_invalidated_at TIMESTAMPTZ,
   password_changed_at TIMESTAMPTZ,
   profile_photo TEXT,
+  profile_photo_key TEXT,
   auth_provider auth_provider DEFAULT 'manual',
   google_id VARCHAR(255) UNIQUE,
   is_verified BOOLEAN DEFAULT false,
@@ -90,6 +99,15 @@ CREATE TABLE IF NOT EXISTS users (
 );
 
     `);
+
+    // Columns added after launch, for databases created before them
+    await sql(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS ministry VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS status_expires_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS profile_photo_key TEXT;
+    `);
     console.log("Users table created successfully");
   } catch (error) {
     console.error("Error creating users table:", error.message);
@@ -485,14 +503,46 @@ const createSuggestionNotificationsTable = async () => {
   }
 };
 
+// One row per logged-in device; refresh token families belong to a session
+const createUserSessionsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device_name VARCHAR(100),
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        revoked_reason VARCHAR(30),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+    `);
+
+    console.log("User sessions table created successfully");
+  } catch (error) {
+    console.error("Error creating user sessions table:", error.message);
+  }
+};
+
 const createRefreshTokensTable = async () => {
   try {
     await sql`
-      CREATE TABLE refresh_tokens (
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
         id SERIAL PRIMARY KEY,
         user_id UUID NOT NULL,  -- Change from INTEGER to UUID
-        token TEXT NOT NULL UNIQUE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        family_id UUID NOT NULL,
+        replaced_by_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
         is_revoked BOOLEAN DEFAULT false,
+        revoked_reason VARCHAR(30),
         expires_at TIMESTAMP NOT NULL,
         created_at TIMESTAMP NOT NULL DEFAULT NOW(),
         revoked_at TIMESTAMP,
@@ -500,13 +550,50 @@ const createRefreshTokensTable = async () => {
       );
     `;
 
+    // Older tables stored plaintext tokens without families; hash them in place
+    await sql(`
+      ALTER TABLE refresh_tokens
+        ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS family_id UUID,
+        ADD COLUMN IF NOT EXISTS replaced_by_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE;
+    `);
+
+    await sql(`
+      DO $$ 
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'refresh_tokens' AND column_name = 'token'
+        ) THEN
+          UPDATE refresh_tokens
+          SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex')
+          WHERE token_hash IS NULL;
+          ALTER TABLE refresh_tokens DROP COLUMN token;
+        END IF;
+      END $$;
+    `);
+
+    await sql`
+      UPDATE refresh_tokens SET family_id = gen_random_uuid() WHERE family_id IS NULL;
+    `;
+
     // Create indexes separately after the table creation
     await sql`
-      CREATE INDEX idx_token ON refresh_tokens (token);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_token_hash ON refresh_tokens (token_hash);
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id);
     `;
     
     await sql`
-      CREATE INDEX idx_user_id ON refresh_tokens (user_id);
+      CREATE INDEX IF NOT EXISTS idx_user_id ON refresh_tokens (user_id);
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens (session_id);
     `;
 
     console.log("Refresh tokens table and indexes created successfully");
@@ -515,7 +602,573 @@ const createRefreshTokensTable = async () => {
   }
 };
 
+const createPasswordResetsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_password_resets_user_id ON password_resets(user_id);
+    `);
+
+    console.log("Password resets table created successfully");
+  } catch (error) {
+    console.error("Error creating password resets table:", error.message);
+  }
+};
+
+const createEmailVerificationsTable = async () => {
+  try {
+    // Members who joined before email verification existed were never asked to
+    // verify. Trust them once, before this table first exists, so the giving
+    // and chat gates do not lock them out; later accounts must verify.
+    await sql(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.tables
+          WHERE table_name = 'email_verifications'
+        ) THEN
+          UPDATE users SET is_verified = true WHERE is_verified IS NOT TRUE;
+        END IF;
+      END $$;
+    `);
+
+    await sql(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_email_verifications_user_id ON email_verifications(user_id);
+    `);
+
+    console.log("Email verifications table created successfully");
+  } catch (error) {
+    console.error("Error creating email verifications table:", error.message);
+  }
+};
+
+// Pending email address changes: a code confirms the new address, a link
+// sent to the old address cancels
+const createEmailChangesTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS email_changes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        old_email VARCHAR(255) NOT NULL,
+        new_email VARCHAR(255) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        cancel_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        confirmed_at TIMESTAMPTZ,
+        cancelled_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    // One open change per member
+    await sql(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_email_changes_open_user
+      ON email_changes(user_id)
+      WHERE confirmed_at IS NULL AND cancelled_at IS NULL;
+    `);
 
+    console.log("Email changes table created successfully");
+  } catch (error) {
+    console.error("Error creating email changes table:", error.message);
+  }
+};
+
+// Per-member feed of logins, password, token and 2FA changes
+const createSecurityEventsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS security_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(40) NOT NULL,
+        device_name VARCHAR(100),
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        device_hash VARCHAR(64),
+        network VARCHAR(50),
+        metadata JSONB,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_security_events_user_created
+      ON security_events(user_id, created_at DESC);
+    `);
+
+    // Earlier logins are compared against to spot new devices and networks
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_security_events_user_logins
+      ON security_events(user_id, device_hash, network)
+      WHERE event_type = 'login';
+    `);
+
+    console.log("Security events table created successfully");
+  } catch (error) {
+    console.error("Error creating security events table:", error.message);
+  }
+};
+
+const createPhoneLoginCodesTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS phone_login_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone_number VARCHAR(20) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_phone_login_codes_phone ON phone_login_codes(phone_number, created_at);
+    `);
+
+    console.log("Phone login codes table created successfully");
+  } catch (error) {
+    console.error("Error creating phone login codes table:", error.message);
+  }
+};
+
+const createTwoFactorTables = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret_encrypted TEXT NOT NULL,
+        enabled_at TIMESTAMPTZ,
+        last_used_step BIGINT,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+    `);
+
+    console.log("Two-factor tables created successfully");
+  } catch (error) {
+    console.error("Error creating two-factor tables:", error.message);
+  }
+};
+
+const createRbacTables = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        is_system BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        id SERIAL PRIMARY KEY,
+        key VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT
+      );
+    `);
+
+    await sql(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+        permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+        PRIMARY KEY (role_id, permission_id)
+      );
+    `);
+
+    await sql(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+        assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        assigned_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (user_id, role_id)
+      );
+    `);
+
+    // Seed the permission catalogue and built-in roles
+    const catalogue = {
+      ...PERMISSION_DESCRIPTIONS,
+      [ALL_PERMISSIONS]: "Every permission",
+    };
+    for (const [key, description] of Object.entries(catalogue)) {
+      await sql`
+        INSERT INTO permissions (key, description)
+        VALUES (${key}, ${description})
+        ON CONFLICT (key) DO UPDATE SET description = EXCLUDED.description;
+      `;
+    }
+
+    for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+      await sql`
+        INSERT INTO roles (name, description, is_system)
+        VALUES (${name}, ${role.description}, true)
+        ON CONFLICT (name) DO UPDATE SET is_system = true;
+      `;
+      await sql`
+        INSERT INTO role_permissions (role_id, permission_id)
+        SELECT r.id, p.id FROM roles r, permissions p
+        WHERE r.name = ${name} AND p.key = ANY(${role.permissions}::text[])
+        ON CONFLICT DO NOTHING;
+      `;
+    }
+
+    console.log("RBAC tables created successfully");
+  } catch (error) {
+    console.error("Error creating RBAC tables:", error.message);
+  }
+};
+
+const createUserStatusHistoryTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS user_status_history (
+        id SERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        previous_status VARCHAR(20),
+        new_status VARCHAR(20) NOT NULL,
+        reason TEXT,
+        expires_at TIMESTAMPTZ,
+        changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_user_status_history_user_id ON user_status_history(user_id, created_at DESC);
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_users_status_expires_at ON users(status_expires_at)
+      WHERE status = 'suspended';
+    `);
+
+    console.log("User status history table created successfully");
+  } catch (error) {
+    console.error("Error creating user status history table:", error.message);
+  }
+};
+
+const createMemberInvitationsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS member_invitations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        accepted_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE INDEX IF NOT EXISTS idx_member_invitations_user_id ON member_invitations(user_id);
+    `);
+
+    console.log("Member invitations table created successfully");
+  } catch (error) {
+    console.error("Error creating member invitations table:", error.message);
+  }
+};
+
+// Admin accounts are only created by accepting one of these; there is no public sign-up
+const createAdminInvitationsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS admin_invitations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'super_admin')),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        sent_count INTEGER NOT NULL DEFAULT 1,
+        last_sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        accepted_at TIMESTAMPTZ,
+        accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        revoked_at TIMESTAMPTZ,
+        revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    // At most one open invitation per address
+    await sql(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_invitations_open_email
+      ON admin_invitations(LOWER(email))
+      WHERE accepted_at IS NULL AND revoked_at IS NULL;
+    `);
+
+    console.log("Admin invitations table created successfully");
+  } catch (error) {
+    console.error("Error creating admin invitations table:", error.message);
+  }
+};
+
+// Keys for integrations; only a SHA-256 hash of each key is kept
+const createApiKeysTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMPTZ,
+        last_used_at TIMESTAMPTZ,
+        last_used_ip VARCHAR(45),
+        revoked_at TIMESTAMPTZ,
+        revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    console.log("API keys table created successfully");
+  } catch (error) {
+    console.error("Error creating API keys table:", error.message);
+  }
+};
+
+// Per-member choice of who sees each directory field; no row means the defaults
+const createDirectorySettingsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS directory_settings (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        phone_visibility VARCHAR(10) NOT NULL CHECK (phone_visibility IN ('members', 'admins', 'nobody')),
+        email_visibility VARCHAR(10) NOT NULL CHECK (email_visibility IN ('members', 'admins', 'nobody')),
+        photo_visibility VARCHAR(10) NOT NULL CHECK (photo_visibility IN ('members', 'admins', 'nobody')),
+        ministry_visibility VARCHAR(10) NOT NULL CHECK (ministry_visibility IN ('members', 'admins', 'nobody')),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    console.log("Directory settings table created successfully");
+  } catch (error) {
+    console.error("Error creating directory settings table:", error.message);
+  }
+};
+
+// Families: account holders join by invitation, dependents have no login
+const createHouseholdTables = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS households (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await sql(`
+      CREATE TABLE IF NOT EXISTS household_members (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        full_name VARCHAR(100),
+        date_of_birth DATE,
+        relationship VARCHAR(20) NOT NULL CHECK (relationship IN ('head', 'spouse', 'child', 'guardian', 'other')),
+        status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('invited', 'active')),
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        joined_at TIMESTAMPTZ,
+        CHECK (user_id IS NOT NULL OR full_name IS NOT NULL)
+      );
+    `);
+
+    const indexCommands = [
+      "CREATE INDEX IF NOT EXISTS idx_household_members_household_id ON household_members(household_id);",
+      // An account belongs to at most one household, and is invited to each at most once
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_household_members_active_user ON household_members(user_id) WHERE status = 'active';",
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_household_members_household_user ON household_members(household_id, user_id);",
+    ];
+
+    for (const command of indexCommands) {
+      await sql(command);
+    }
+
+    console.log("Household tables created successfully");
+  } catch (error) {
+    console.error("Error creating household tables:", error.message);
+  }
+};
+
+// Self-service deletions: the account is anonymised once the grace period ends
+const createAccountDeletionsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS account_deletions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        reason TEXT,
+        restore_token_hash VARCHAR(64) UNIQUE,
+        requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        scheduled_for TIMESTAMPTZ NOT NULL,
+        restored_at TIMESTAMPTZ,
+        restored_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        anonymized_at TIMESTAMPTZ
+      );
+    `);
+
+    const indexCommands = [
+      "CREATE INDEX IF NOT EXISTS idx_account_deletions_user_id ON account_deletions(user_id);",
+      "CREATE INDEX IF NOT EXISTS idx_account_deletions_due ON account_deletions(scheduled_for) WHERE restored_at IS NULL AND anonymized_at IS NULL;",
+    ];
+
+    for (const command of indexCommands) {
+      await sql(command);
+    }
+
+    console.log("Account deletions table created successfully");
+  } catch (error) {
+    console.error("Error creating account deletions table:", error.message);
+  }
+};
+
+// "Download my data" archives; the file itself lives on disk until it expires
+const createDataExportsTable = async () => {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+        file_path TEXT,
+        file_size BIGINT,
+        error TEXT,
+        requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ,
+        downloaded_at TIMESTAMPTZ
+      );
+    `);
+
+    const indexCommands = [
+      "CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id, requested_at DESC);",
+      "CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status);",
+    ];
+
+    for (const command of indexCommands) {
+      await sql(command);
+    }
+
+    console.log("Data exports table created successfully");
+  } catch (error) {
+    console.error("Error creating data exports table:", error.message);
+  }
+};
+
+const createAuditEventsTable = async () => {
+  try {
+    // actor_id has no foreign key so deleting a user never touches their trail
+    await sql(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGSERIAL PRIMARY KEY,
+        actor_id UUID,
+        actor_email VARCHAR(255),
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50) NOT NULL,
+        target_id VARCHAR(100),
+        changes JSONB,
+        metadata JSONB,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    const indexCommands = [
+      "CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at DESC);",
+      "CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id ON audit_events(actor_id);",
+      "CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id);",
+      "CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);",
+    ];
+
+    for (const command of indexCommands) {
+      await sql(command);
+    }
+
+    // Append-only: reject any UPDATE or DELETE, whoever issues it
+    await sql(`
+      CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await sql(`
+      DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+    `);
+
+    await sql(`
+      CREATE TRIGGER audit_events_append_only
+      BEFORE UPDATE OR DELETE ON audit_events
+      FOR EACH ROW EXECUTE FUNCTION prevent_audit_event_changes();
+    `);
+
+    console.log("Audit events table created successfully");
+  } catch (error) {
+    console.error("Error creating audit events table:", error.message);
+  }
+};
 
 const initializeDatabaseTables = async () => {
   try {
@@ -532,7 +1185,24 @@ const initializeDatabaseTables = async () => {
     await createContactsTable();
     await createMessagesTable();
     await createSuggestionNotificationsTable();
+    await createUserSessionsTable();
     await createRefreshTokensTable();
+    await createPasswordResetsTable();
+    await createEmailVerificationsTable();
+    await createEmailChangesTable();
+    await createSecurityEventsTable();
+    await createPhoneLoginCodesTable();
+    await createTwoFactorTables();
+    await createRbacTables();
+    await createUserStatusHistoryTable();
+    await createMemberInvitationsTable();
+    await createAdminInvitationsTable();
+    await createApiKeysTable();
+    await createDirectorySettingsTable();
+    await createHouseholdTables();
+    await createDataExportsTable();
+    await createAccountDeletionsTable();
+    await createAuditEventsTable();
     console.log("Database initialization completed successfully");
   } catch (error) {
     console.error("Error initializing database:", error.message);
@@ -555,5 +1225,22 @@ module.exports = {
   // createContactsTable,
   createSuggestionNotificationsTable,
   createMessagesTable,
+  createUserSessionsTable,
   createRefreshTokensTable,
+  createPasswordResetsTable,
+  createEmailVerificationsTable,
+  createEmailChangesTable,
+  createSecurityEventsTable,
+  createPhoneLoginCodesTable,
+  createTwoFactorTables,
+  createRbacTables,
+  createUserStatusHistoryTable,
+  createMemberInvitationsTable,
+  createAdminInvitationsTable,
+  createApiKeysTable,
+  createDirectorySettingsTable,
+  createHouseholdTables,
+  createDataExportsTable,
+  createAccountDeletionsTable,
+  createAuditEventsTable,
 };
@@ -0,0 +1,97 @@
+// Permission catalogue and the built-in roles seeded into the roles tables.
+// Routes check permissions with requirePermission(); roles are just bundles of them.
+
+const Permissions = {
+  ANNOUNCEMENTS_PUBLISH: "announcements.publish",
+  ANNOUNCEMENTS_PIN: "announcements.pin",
+  ANNOUNCEMENTS_CLEANUP: "announcements.cleanup",
+  MEDIA_UPLOAD: "media.upload",
+  MEDIA_DELETE: "media.delete",
+  SUGGESTIONS_VIEW: "suggestions.view",
+  SUGGESTIONS_DELETE: "suggestions.delete",
+  PAYMENTS_VIEW_REPORTS: "payments.view_reports",
+  USERS_VIEW: "users.view",
+  USERS_MANAGE: "users.manage",
+  USERS_UNLOCK: "users.unlock",
+  USERS_SUSPEND: "users.suspend",
+  USERS_IMPORT: "users.import",
+  USERS_EXPORT: "users.export",
+  ADMINS_CREATE: "admins.create",
+  API_KEYS_MANAGE: "api_keys.manage",
+  ROLES_MANAGE: "roles.manage",
+  AUDIT_VIEW: "audit.view",
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [Permissions.ANNOUNCEMENTS_PUBLISH]: "Create, edit and delete announcements",
+  [Permissions.ANNOUNCEMENTS_PIN]: "Pin and unpin announcements",
+  [Permissions.ANNOUNCEMENTS_CLEANUP]: "Purge old announcements",
+  [Permissions.MEDIA_UPLOAD]: "Upload gallery media",
+  [Permissions.MEDIA_DELETE]: "Delete gallery media",
+  [Permissions.SUGGESTIONS_VIEW]: "View member suggestions and statistics",
+  [Permissions.SUGGESTIONS_DELETE]: "Permanently delete suggestions",
+  [Permissions.PAYMENTS_VIEW_REPORTS]: "View giving and payment reports",
+  [Permissions.USERS_VIEW]: "View member accounts",
+  [Permissions.USERS_MANAGE]: "Edit member accounts",
+  [Permissions.USERS_UNLOCK]: "Unlock accounts locked after failed logins",
+  [Permissions.USERS_SUSPEND]: "Suspend, ban and reactivate member accounts",
+  [Permissions.USERS_IMPORT]: "Import members in bulk from a spreadsheet",
+  [Permissions.USERS_EXPORT]: "Export the member list to CSV or XLSX",
+  [Permissions.ADMINS_CREATE]: "Create administrator accounts",
+  [Permissions.API_KEYS_MANAGE]: "Issue and revoke API keys for integrations",
+  [Permissions.ROLES_MANAGE]: "Create roles and assign them to members",
+  [Permissions.AUDIT_VIEW]: "View and export the audit log of admin actions",
+};
+
+// What an API key can be allowed to do. Integrations (signage, finance
+// spreadsheets) only ever get read access, never user permissions.
+const ApiKeyScopes = {
+  ANNOUNCEMENTS_READ: "announcements:read",
+  PAYMENT_SUMMARIES_READ: "payment_summaries:read",
+};
+
+const API_KEY_SCOPE_DESCRIPTIONS = {
+  [ApiKeyScopes.ANNOUNCEMENTS_READ]: "List announcements",
+  [ApiKeyScopes.PAYMENT_SUMMARIES_READ]: "Read daily giving totals by purpose",
+};
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = "*";
+
+// Built-in roles matching users.role; they cannot be edited or deleted
+const SYSTEM_ROLES = {
+  member: {
+    description: "Church member",
+    permissions: [],
+  },
+  admin: {
+    description: "Church administrator",
+    permissions: [
+      Permissions.ANNOUNCEMENTS_PUBLISH,
+      Permissions.MEDIA_UPLOAD,
+      Permissions.MEDIA_DELETE,
+      Permissions.SUGGESTIONS_VIEW,
+      Permissions.SUGGESTIONS_DELETE,
+      Permissions.PAYMENTS_VIEW_REPORTS,
+      Permissions.USERS_VIEW,
+      Permissions.USERS_MANAGE,
+      Permissions.USERS_UNLOCK,
+      Permissions.USERS_SUSPEND,
+      Permissions.USERS_IMPORT,
+      Permissions.USERS_EXPORT,
+    ],
+  },
+  super_admin: {
+    description: "Super administrator with every permission",
+    permissions: [ALL_PERMISSIONS],
+  },
+};
+
+module.exports = {
+  Permissions,
+  PERMISSION_DESCRIPTIONS,
+  ALL_PERMISSIONS,
+  SYSTEM_ROLES,
+  ApiKeyScopes,
+  API_KEY_SCOPE_DESCRIPTIONS,
+};
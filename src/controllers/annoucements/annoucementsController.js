@@ -8,6 +8,12 @@ const {
   unpinAnnouncement,
   AnnouncementStatus,
 } = require("../../models/annoucements/annoucementsModel");
+const {
+  AuditActions,
+  AuditTargets,
+  auditContext,
+  recordAuditEvent,
+} = require("../../models/audit/auditModel");
 const logger = require("../../config/logger");
 const { validationResult } = require("express-validator");
 
@@ -134,13 +140,21 @@ class AnnouncementController {
     const logContext = "AnnouncementController:Delete";
     try {
       const { id } = req.params;
-      await deleteAnnouncement(id, req.user.id);
+      const deleted = await deleteAnnouncement(id, req.user.id);
 
       logger.info(`${logContext} - Announcement deleted`, {
         announcementId: id,
         adminId: req.user.id,
       });
 
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ANNOUNCEMENT_DELETE,
+        targetType: AuditTargets.ANNOUNCEMENT,
+        targetId: id,
+        before: deleted,
+      });
+
       res.status(200).json({
         status: "success",
         message: "Announcement deleted successfully",
@@ -204,6 +218,14 @@ class AnnouncementController {
         adminId: req.user.id,
       });
 
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ANNOUNCEMENT_PIN,
+        targetType: AuditTargets.ANNOUNCEMENT,
+        targetId: id,
+        after: { status: AnnouncementStatus.PINNED },
+      });
+
       res.status(200).json({
         status: "success",
         data: pinnedAnnouncement,
@@ -238,6 +260,15 @@ class AnnouncementController {
         adminId: req.user.id,
       });
 
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ANNOUNCEMENT_UNPIN,
+        targetType: AuditTargets.ANNOUNCEMENT,
+        targetId: id,
+        before: { status: AnnouncementStatus.PINNED },
+        after: { status: AnnouncementStatus.PUBLISHED },
+      });
+
       res.status(200).json({
         status: "success",
         data: unpinnedAnnouncement,
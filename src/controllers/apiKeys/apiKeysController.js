@@ -0,0 +1,164 @@
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require("../../models/auth/apiKeyModel");
+const {
+  AuditActions,
+  AuditTargets,
+  auditContext,
+  recordAuditEvent,
+} = require("../../models/audit/auditModel");
+const { API_KEY_SCOPE_DESCRIPTIONS } = require("../../config/permissions");
+const logger = require("../../config/logger");
+const { validationResult } = require("express-validator");
+
+/**
+ * Controller class for integration API keys
+ * Super admins (api_keys.manage) issue read-only keys to signage and finance
+ * tools; the key is shown once on creation and only its hash is stored.
+ */
+class ApiKeysController {
+  /**
+   * List the scopes a key can be given
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with scope keys and descriptions
+   */
+  static async getScopes(req, res) {
+    res.status(200).json({
+      status: "success",
+      data: {
+        scopes: Object.entries(API_KEY_SCOPE_DESCRIPTIONS).map(
+          ([key, description]) => ({ key, description })
+        ),
+      },
+    });
+  }
+
+  /**
+   * List API keys, without the keys themselves
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with all keys
+   */
+  static async getAll(req, res) {
+    try {
+      const apiKeys = await listApiKeys();
+
+      res.status(200).json({
+        status: "success",
+        data: { apiKeys },
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: "error",
+        message: "Failed to retrieve API keys",
+      });
+    }
+  }
+
+  /**
+   * Issue an API key
+   * @param {Object} req - Express request object containing name, scopes and expiresAt
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the key details and the key, shown only this once
+   */
+  static async create(req, res) {
+    const logContext = "ApiKeysController:Create";
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { name, scopes, expiresAt } = req.body;
+      const { apiKey, key } = await createApiKey(
+        { name, scopes, expiresAt },
+        req.user
+      );
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.API_KEY_CREATE,
+        targetType: AuditTargets.API_KEY,
+        targetId: apiKey.id,
+        after: {
+          name: apiKey.name,
+          key_prefix: apiKey.key_prefix,
+          scopes: apiKey.scopes,
+          expires_at: apiKey.expires_at,
+        },
+      });
+
+      res.status(201).json({
+        status: "success",
+        message: "Copy this key now. It will not be shown again",
+        data: { apiKey, key },
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to create API key`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {Object} req - Express request object containing the key ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the revoked key
+   */
+  static async revoke(req, res) {
+    const logContext = "ApiKeysController:Revoke";
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { before, apiKey } = await revokeApiKey(
+        req.params.apiKeyId,
+        req.user
+      );
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.API_KEY_REVOKE,
+        targetType: AuditTargets.API_KEY,
+        targetId: apiKey.id,
+        before: { status: before.status },
+        after: { status: apiKey.status },
+        metadata: { name: apiKey.name, key_prefix: apiKey.key_prefix },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "API key revoked",
+        data: { apiKey },
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to revoke API key`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = ApiKeysController;
@@ -0,0 +1,141 @@
+const {
+  queryAuditEvents,
+  iterateAuditEvents,
+} = require("../../models/audit/auditModel");
+const { toCsvHeader, toCsvRecord } = require("../../utils/csv");
+const logger = require("../../config/logger");
+const { validationResult } = require("express-validator");
+
+const EXPORT_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "created_at", header: "Timestamp" },
+  { key: "actor_id", header: "Actor ID" },
+  { key: "actor_email", header: "Actor Email" },
+  { key: "action", header: "Action" },
+  { key: "target_type", header: "Target Type" },
+  { key: "target_id", header: "Target ID" },
+  { key: "changes", header: "Changes" },
+  { key: "metadata", header: "Metadata" },
+  { key: "ip_address", header: "IP Address" },
+  { key: "user_agent", header: "User Agent" },
+];
+
+// Filters shared by the list and export endpoints
+const getFilters = (query) => ({
+  actorId: query.actorId || null,
+  action: query.action || null,
+  targetType: query.targetType || null,
+  targetId: query.targetId || null,
+  from: query.from || null,
+  to: query.to || null,
+});
+
+/**
+ * Controller class for the audit log of admin actions
+ * Events are written by the controllers performing the actions; this class
+ * only reads them back for super admins.
+ */
+class AuditController {
+  /**
+   * List audit events with filters and pagination
+   * @param {Object} req - Express request object with filter and page query parameters
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with events and pagination details
+   */
+  static async getAll(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const filters = getFilters(req.query);
+
+      const result = await queryAuditEvents(filters, page, limit);
+
+      res.status(200).json({
+        status: "success",
+        data: result,
+        meta: { page, limit, filters },
+      });
+    } catch (error) {
+      logger.error("AuditController:GetAll - Failed to fetch audit events", {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch audit events",
+      });
+    }
+  }
+
+  /**
+   * Export matching audit events as CSV, streamed in batches
+   * @param {Object} req - Express request object with filter query parameters
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves when the file has been written
+   */
+  static async exportCsv(req, res) {
+    const logContext = "AuditController:ExportCsv";
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const filters = getFilters(req.query);
+    const fileName = `audit-events-${new Date().toISOString().slice(0, 10)}.csv`;
+    let exported = 0;
+
+    // Headers go out with the first batch so an early failure can still return JSON
+    const startFile = () => {
+      if (res.headersSent) return;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+      res.write(toCsvHeader(EXPORT_COLUMNS));
+    };
+
+    try {
+      for await (const batch of iterateAuditEvents(filters)) {
+        startFile();
+        for (const event of batch) {
+          res.write(toCsvRecord(EXPORT_COLUMNS, event));
+        }
+        exported += batch.length;
+      }
+
+      startFile();
+      logger.info(`${logContext} - Audit events exported`, {
+        adminId: req.user.id,
+        exported,
+        filters,
+      });
+      res.end();
+    } catch (error) {
+      logger.error(`${logContext} - Export failed`, {
+        error: error.message,
+        adminId: req.user.id,
+        exported,
+      });
+
+      // Once streaming has started the status line is gone; cut the file short
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        status: "error",
+        message: "Failed to export audit events",
+      });
+    }
+  }
+}
+
+module.exports = AuditController;
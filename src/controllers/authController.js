@@ -1,9 +1,84 @@
 const userModel = require("../models/userModel");
+const phoneOtpModel = require("../models/auth/phoneOtpModel");
+const googleAuthModel = require("../models/auth/googleAuthModel");
+const twoFactorModel = require("../models/auth/twoFactorModel");
+const sessionModel = require("../models/auth/sessionModel");
+const stepUpModel = require("../models/auth/stepUpModel");
+const accountStatusModel = require("../models/auth/accountStatusModel");
+const accountDeletionModel = require("../models/auth/accountDeletionModel");
+const memberImportModel = require("../models/members/memberImportModel");
+const adminInvitationModel = require("../models/auth/adminInvitationModel");
+const dataExportModel = require("../models/members/dataExportModel");
+const emailChangeModel = require("../models/auth/emailChangeModel");
+const securityEventModel = require("../models/auth/securityEventModel");
+const { scheduleDataExport } = require("../services/dataExportJobs");
+const {
+  XLSX_MIME_TYPE,
+  readSpreadsheet,
+  createXlsxWriter,
+} = require("../utils/spreadsheet");
+const { toCsvHeader, toCsvRecord } = require("../utils/csv");
+const loginProtection = require("../services/loginProtection");
+const roleModel = require("../models/roles/roleModel");
+const {
+  AuditActions,
+  AuditTargets,
+  auditContext,
+  recordAuditEvent,
+} = require("../models/audit/auditModel");
 const { validationResult } = require("express-validator");
 const logger = require("../config/logger");
 const { verify } = require("jsonwebtoken");
 const { sql } = require("../config/database");
 const { UserRoles } = userModel;
+const { AccountStatus } = accountStatusModel;
+const { SecurityEventTypes } = securityEventModel;
+
+const USER_EXPORT_COLUMNS = [
+  { key: "id", header: "ID", width: 38 },
+  { key: "full_name", header: "Full Name", width: 30 },
+  { key: "email", header: "Email", width: 32 },
+  { key: "phone_number", header: "Phone Number" },
+  { key: "ministry", header: "Ministry" },
+  { key: "role", header: "Role" },
+  { key: "status", header: "Status" },
+  { key: "is_verified", header: "Verified" },
+  { key: "created_at", header: "Registered At" },
+  { key: "last_login", header: "Last Login" },
+];
+
+// Filters and sort shared by the admin user list and export
+const getUserListFilters = (query) => ({
+  search: query.search,
+  role: query.role,
+  status: query.status,
+  ministry: query.ministry,
+  isVerified:
+    query.isVerified === undefined ? undefined : query.isVerified === "true",
+  registeredFrom: query.registeredFrom,
+  registeredTo: query.registeredTo,
+  lastLoginFrom: query.lastLoginFrom,
+  lastLoginTo: query.lastLoginTo,
+  neverLoggedIn: query.neverLoggedIn === "true",
+});
+
+const getUserListSort = (query) => ({
+  sortBy: query.sortBy,
+  sortOrder: query.sortOrder,
+});
+
+// Let a slow client catch up before fetching the next batch
+const waitForDrain = (stream) =>
+  new Promise((resolve) => {
+    if (!stream.writableNeedDrain) return resolve();
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
 // Register new user
 const register = async (req, res) => {
   const logContext = `UserController.register: ${req.body.email}`;
@@ -39,7 +114,8 @@ const register = async (req, res) => {
 
     res.status(201).json({
       status: "success",
-      message: "Registration successful",
+      message:
+        "Registration successful. Please check your email for a verification code",
       data: user,
     });
   } catch (error) {
@@ -53,108 +129,150 @@ const register = async (req, res) => {
   }
 };
 
-// Register admin with email verification
-const registerAdmin = async (req, res) => {
-  const logContext = `UserController.registerAdmin: ${req.body.email}`;
+// Verify member email address
+const verifyEmail = async (req, res) => {
+  const logContext = `UserController.verifyEmail: ${req.body.email}`;
 
   try {
-    logger.info(`${logContext} - Starting admin registration`);
+    logger.info(`${logContext} - Attempting email verification`);
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn(`${logContext} - Validation errors`, {
-        errors: errors.array(),
-      });
       return res.status(400).json({
-        success: false, // Changed from status to success
+        status: "error",
         errors: errors.array(),
       });
     }
 
-    const { fullName, email, password, phoneNumber, is_super_admin } = req.body;
+    const { email, verificationCode } = req.body;
+    const user = await userModel.verifyEmail(email, verificationCode);
 
-    // Create admin account
-    const admin = await userModel.createAdmin({
-      fullName,
-      email,
-      password,
-      phoneNumber,
-      is_super_admin,
+    logger.info(`${logContext} - Email verified successfully`, {
+      userId: user.id,
     });
 
-    // Log success after admin creation
-    logger.info(
-      `${logContext} - Admin registered and verification email sent`,
-      {
-        adminId: admin.id,
-        adminEmail: email,
-      }
-    );
-
-    res.status(201).json({
-      success: true, // Changed from status to success
-      message:
-        "Admin registration initiated. Please check your email for verification code",
-      data: {
-        id: admin.id,
-        email: email,
-        status: "pending",
-      },
+    res.status(200).json({
+      status: "success",
+      message: "Email verified successfully",
+      data: user,
     });
   } catch (error) {
-    logger.error(`${logContext} - Admin registration failed`, {
+    logger.error(`${logContext} - Email verification failed`, {
       error: error.message,
     });
     res.status(400).json({
-      success: false, // Changed from status to success
+      status: "error",
       message: error.message,
     });
   }
 };
-// Verify admin account
-const verifyAdmin = async (req, res) => {
-  const logContext = `UserController.verifyAdmin: ${req.body.email}`;
+
+// Resend member email verification code
+const resendVerification = async (req, res) => {
+  const logContext = `UserController.resendVerification: ${req.body.email}`;
 
   try {
-    logger.info(`${logContext} - Attempting admin verification`);
+    logger.info(`${logContext} - Verification code resend requested`);
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn(`${logContext} - Validation errors`, {
-        errors: errors.array(),
-      });
       return res.status(400).json({
         status: "error",
         errors: errors.array(),
       });
     }
 
-    const { email, verificationCode } = req.body;
-    const verifiedAdmin = await userModel.verifyAdminAccount(
-      email,
-      verificationCode
-    );
-
-    logger.info(`${logContext} - Admin verified successfully`, {
-      userId: verifiedAdmin.id,
-    });
+    await userModel.resendEmailVerification(req.body.email);
 
     res.status(200).json({
       status: "success",
-      message: "Admin account verified successfully",
-      data: verifiedAdmin,
+      message:
+        "If an unverified account exists for this email, a new verification code has been sent",
     });
   } catch (error) {
-    logger.error(`${logContext} - Admin verification failed`, {
+    logger.error(`${logContext} - Verification code resend failed`, {
       error: error.message,
     });
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: "error",
       message: error.message,
     });
   }
 };
 
+// Device details recorded on the session a login creates
+const getDeviceContext = (req) => ({
+  deviceName: req.body?.deviceName || req.get("X-Device-Name") || null,
+  userAgent: req.get("User-Agent") || null,
+  ipAddress: req.ip || null,
+});
+
+// Add an entry to a member's security activity feed, with this request's device
+const recordSecurityEvent = (req, eventType, metadata, userId = req.user.id) =>
+  securityEventModel.recordSecurityEvent(
+    userId,
+    eventType,
+    getDeviceContext(req),
+    metadata
+  );
+
+// Set auth cookies and send the token pair issued by a successful login
+const sendLoginResponse = (res, authResult) => {
+  // Second factor still outstanding: hand back the challenge instead of tokens
+  if (authResult.challengeToken) {
+    const { challengeToken, expiresIn, twoFactorSetupRequired } = authResult;
+    return res.status(200).json({
+      status: "success",
+      message: twoFactorSetupRequired
+        ? "Two-factor authentication setup is required for your account"
+        : "Two-factor authentication required",
+      data: {
+        twoFactorRequired: !twoFactorSetupRequired,
+        twoFactorSetupRequired: Boolean(twoFactorSetupRequired),
+        challengeToken,
+        expiresIn,
+      },
+    });
+  }
+
+  const { user, accessToken, refreshToken, sessionId, recoveryCodes } =
+    authResult;
+
+  // Set tokens in HTTP-only cookies for additional security
+  res.cookie("auth_token", accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    maxAge:
+      user.role === UserRoles.ADMIN ? 1 * 60 * 60 * 1000 : 2 * 60 * 60 * 1000, // 1h or 2h
+  });
+
+  res.cookie("refresh_token", refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: recoveryCodes
+      ? "Two-factor authentication enabled. Store your recovery codes somewhere safe"
+      : "Login successful",
+    data: {
+      user,
+      accessToken,
+      refreshToken,
+      sessionId,
+      sessionExpiry: new Date(
+        Date.now() + (user.role === UserRoles.ADMIN ? 1 : 2) * 60 * 60 * 1000
+      ),
+      // Only present when the login finished a mandatory 2FA enrollment
+      ...(recoveryCodes && { recoveryCodes }),
+    },
+  });
+};
+
 // Fixed login function to include refresh token in response
 const login = async (req, res) => {
   const logContext = `UserController.login: ${req.body.email}`;
@@ -172,186 +290,158 @@ const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
-    const { user, accessToken, refreshToken } = await userModel.loginUser(
+    const authResult = await userModel.loginUser(
       email,
-      password
+      password,
+      getDeviceContext(req)
     );
 
-    // Set tokens in HTTP-only cookies for additional security
-    res.cookie("auth_token", accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge:
-        user.role === UserRoles.ADMIN ? 1 * 60 * 60 * 1000 : 2 * 60 * 60 * 1000, // 1h or 2h
-    });
-
-    res.cookie("refresh_token", refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-    });
-
     logger.info(`${logContext} - Login successful`, {
-      userId: user.id,
-      role: user.role,
+      userId: authResult.user?.id,
+      role: authResult.user?.role,
+      twoFactorPending: Boolean(authResult.challengeToken),
     });
 
-    res.status(200).json({
-      status: "success",
-      message: "Login successful",
-      data: {
-        user,
-        accessToken,
-        refreshToken,
-        sessionExpiry: new Date(
-          Date.now() + (user.role === UserRoles.ADMIN ? 1 : 2) * 60 * 60 * 1000
-        ),
-      },
-    });
+    sendLoginResponse(res, authResult);
   } catch (error) {
     logger.error(`${logContext} - Login failed`, {
       error: error.message,
     });
-    res.status(401).json({
-      status: "error",
-      message: error.message,
-    });
-  }
-};
-// Get user profile
-const getProfile = async (req, res) => {
-  try {
-    const user = await userModel.getUserById(req.user.id, req.user.role);
-    res.status(200).json({
-      status: "success",
-      data: user,
-    });
-  } catch (error) {
-    res.status(400).json({
+
+    // Lockouts and delays tell the client when it may try again
+    if (error.details?.retryAfter) {
+      res.set("Retry-After", String(error.details.retryAfter));
+    }
+
+    res.status(error.statusCode || 401).json({
       status: "error",
       message: error.message,
+      ...(error.details?.code && {
+        code: error.details.code,
+        retryAfter: error.details.retryAfter,
+      }),
     });
   }
 };
+// Request a one-time login code by SMS
+const requestPhoneLogin = async (req, res) => {
+  const logContext = `UserController.requestPhoneLogin`;
 
-// Get all users (admin only)
-const getAllUsers = async (req, res) => {
   try {
-    if (req.user.role !== UserRoles.ADMIN) {
-      return res.status(403).json({
+    logger.info(`${logContext} - Phone login code requested`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: "error",
-        message: "Unauthorized: Admin access required",
+        errors: errors.array(),
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const filters = {
-      role: req.query.role,
-      status: req.query.status,
-      search: req.query.search,
-    };
-
-    const userData = await userModel.getAllUsers(filters, page, limit);
+    await phoneOtpModel.requestPhoneLoginCode(req.body.phoneNumber);
 
+    // Same response either way so registered numbers cannot be discovered
     res.status(200).json({
       status: "success",
-      data: userData,
+      message:
+        "If this number belongs to a member account, a login code has been sent",
     });
   } catch (error) {
-    res.status(400).json({
+    logger.error(`${logContext} - Phone login code request failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
       status: "error",
-      message: error.message,
+      message: error.statusCode
+        ? error.message
+        : "Unable to send login code. Please try again.",
     });
   }
 };
 
-// Get specific user (admin only)
-const getUser = async (req, res) => {
+// Log in with the SMS code
+const verifyPhoneLogin = async (req, res) => {
+  const logContext = `UserController.verifyPhoneLogin`;
+
   try {
-    if (req.user.role !== UserRoles.ADMIN) {
-      return res.status(403).json({
+    logger.info(`${logContext} - Attempting phone login`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: "error",
-        message: "Unauthorized: Admin access required",
+        errors: errors.array(),
       });
     }
 
-    const user = await userModel.getUserById(req.params.userId, req.user.role);
-    res.status(200).json({
-      status: "success",
-      data: user,
+    const { phoneNumber, code } = req.body;
+    const authResult = await phoneOtpModel.verifyPhoneLoginCode(
+      phoneNumber,
+      code,
+      getDeviceContext(req)
+    );
+
+    logger.info(`${logContext} - Phone login successful`, {
+      userId: authResult.user?.id,
+      role: authResult.user?.role,
+      twoFactorPending: Boolean(authResult.challengeToken),
     });
+
+    sendLoginResponse(res, authResult);
   } catch (error) {
-    res.status(400).json({
+    logger.error(`${logContext} - Phone login failed`, {
+      error: error.message,
+    });
+    res.status(401).json({
       status: "error",
       message: error.message,
     });
   }
 };
 
-// Update the updateProfile function
-const updateProfile = async (req, res) => {
-  const logContext = `UserController.updateProfile: ${req.user.id}`;
+// Sign in with a Google ID token
+const googleSignIn = async (req, res) => {
+  const logContext = `UserController.googleSignIn`;
 
   try {
-    logger.info(`${logContext} - Attempting profile update`);
+    logger.info(`${logContext} - Attempting Google sign-in`);
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn(`${logContext} - Validation errors`, {
-        errors: errors.array(),
-      });
       return res.status(400).json({
         status: "error",
         errors: errors.array(),
       });
     }
 
-    const updates = {
-      fullName: req.body.fullName,
-      phoneNumber: req.body.phoneNumber,
-    };
-
-    // Handle profile photo if uploaded
-    if (req.file) {
-      updates.profilePhoto = req.file;
-    }
-
-    const user = await userModel.updateUser(
-      req.user.id,
-      updates,
-      req.user.role
+    const { isNewUser, ...authResult } = await googleAuthModel.signInWithGoogle(
+      req.body.idToken,
+      getDeviceContext(req)
     );
 
-    logger.info(`${logContext} - Profile updated successfully`);
-
-    res.status(200).json({
-      status: "success",
-      message: "Profile updated successfully",
-      data: user,
+    logger.info(`${logContext} - Google sign-in successful`, {
+      userId: authResult.user?.id,
+      isNewUser: Boolean(isNewUser),
     });
+
+    sendLoginResponse(res, authResult);
   } catch (error) {
-    logger.error(`${logContext} - Profile update failed`, {
+    logger.error(`${logContext} - Google sign-in failed`, {
       error: error.message,
     });
-    res.status(400).json({
+    res.status(401).json({
       status: "error",
       message: error.message,
     });
   }
 };
 
-// Admin update user
-const updateUser = async (req, res) => {
+// Complete a login with the second factor
+const verifyTwoFactorLogin = async (req, res) => {
+  const logContext = `UserController.verifyTwoFactorLogin`;
+
   try {
-    if (req.user.role !== UserRoles.ADMIN) {
-      return res.status(403).json({
-        status: "error",
-        message: "Unauthorized: Admin access required",
-      });
-    }
+    logger.info(`${logContext} - Verifying second factor`);
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -361,26 +451,63 @@ const updateUser = async (req, res) => {
       });
     }
 
-    const updates = {
-      fullName: req.body.fullName,
-      phoneNumber: req.body.phoneNumber,
-      email: req.body.email,
-      role: req.body.role,
-      status: req.body.status,
-    };
-
-    const user = await userModel.updateUser(
-      req.params.userId,
-      updates,
-      req.user.role
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await twoFactorModel.verifyLoginChallenge(challengeToken, {
+      code,
+      recoveryCode,
+    });
+    const authResult = await userModel.issueAuthTokens(
+      user,
+      getDeviceContext(req)
     );
 
+    logger.info(`${logContext} - Two-factor login successful`, {
+      userId: user.id,
+      usedRecoveryCode: Boolean(recoveryCode),
+    });
+
+    sendLoginResponse(res, authResult);
+  } catch (error) {
+    logger.error(`${logContext} - Two-factor login failed`, {
+      error: error.message,
+    });
+    res.status(401).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Enrollment runs either signed in or from a mandatory-setup login challenge
+const resolveTwoFactorUserId = (req) => {
+  return req.user?.id
+    ? req.user.id
+    : twoFactorModel.verifyChallengeToken(
+        req.body.challengeToken,
+        twoFactorModel.ChallengeTypes.ENROLL
+      );
+};
+
+// Start 2FA enrollment and return the authenticator secret
+const startTwoFactorEnrollment = async (req, res) => {
+  const logContext = `UserController.startTwoFactorEnrollment: ${req.user?.id}`;
+
+  try {
+    const userId = resolveTwoFactorUserId(req);
+    const enrollment = await twoFactorModel.startEnrollment(userId);
+
+    logger.info(`${logContext} - Two-factor enrollment started`, { userId });
+
     res.status(200).json({
       status: "success",
-      message: "User updated successfully",
-      data: user,
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      data: enrollment,
     });
   } catch (error) {
+    logger.error(`${logContext} - Two-factor enrollment failed`, {
+      error: error.message,
+    });
     res.status(400).json({
       status: "error",
       message: error.message,
@@ -388,13 +515,11 @@ const updateUser = async (req, res) => {
   }
 };
 
-// Change password
-const changePassword = async (req, res) => {
-  const logContext = `UserController.changePassword: ${req.user.id}`;
+// Confirm 2FA enrollment and return the recovery codes
+const confirmTwoFactorEnrollment = async (req, res) => {
+  const logContext = `UserController.confirmTwoFactorEnrollment: ${req.user?.id}`;
 
   try {
-    logger.info(`${logContext} - Attempting password change`);
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -403,17 +528,48 @@ const changePassword = async (req, res) => {
       });
     }
 
-    const { currentPassword, newPassword } = req.body;
-    await userModel.updatePassword(req.user.id, currentPassword, newPassword);
+    // Mandatory setup during login finishes by logging the admin in
+    if (!req.user) {
+      const { user, recoveryCodes } =
+        await twoFactorModel.confirmEnrollmentChallenge(
+          req.body.challengeToken,
+          req.body.code
+        );
+      await recordSecurityEvent(
+        req,
+        SecurityEventTypes.TWO_FACTOR_ENABLED,
+        null,
+        user.id
+      );
+      const authResult = await userModel.issueAuthTokens(
+        user,
+        getDeviceContext(req)
+      );
 
-    logger.info(`${logContext} - Password changed successfully`);
+      logger.info(`${logContext} - Mandatory two-factor enrollment completed`, {
+        userId: user.id,
+      });
+
+      return sendLoginResponse(res, { ...authResult, recoveryCodes });
+    }
+
+    const { recoveryCodes } = await twoFactorModel.confirmEnrollment(
+      req.user.id,
+      req.body.code
+    );
+
+    await recordSecurityEvent(req, SecurityEventTypes.TWO_FACTOR_ENABLED);
+
+    logger.info(`${logContext} - Two-factor enrollment completed`);
 
     res.status(200).json({
       status: "success",
-      message: "Password updated successfully",
+      message:
+        "Two-factor authentication enabled. Store your recovery codes somewhere safe",
+      data: { recoveryCodes },
     });
   } catch (error) {
-    logger.error(`${logContext} - Password change failed`, {
+    logger.error(`${logContext} - Two-factor confirmation failed`, {
       error: error.message,
     });
     res.status(400).json({
@@ -423,37 +579,53 @@ const changePassword = async (req, res) => {
   }
 };
 
-// Upload profile photo
-const uploadProfilePhoto = async (req, res) => {
-  const logContext = `UserController.uploadProfilePhoto: ${req.user.id}`;
-
+// Get 2FA status for the current user
+const getTwoFactorStatus = async (req, res) => {
   try {
-    logger.info(`${logContext} - Attempting profile photo upload`);
+    const twoFactorStatus = await twoFactorModel.getTwoFactorStatus(req.user);
+    res.status(200).json({
+      status: "success",
+      data: twoFactorStatus,
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
 
-    // Check if file exists
-    if (!req.file) {
+// Replace recovery codes after verifying a current code
+const regenerateRecoveryCodes = async (req, res) => {
+  const logContext = `UserController.regenerateRecoveryCodes: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         status: "error",
-        message: "No file uploaded",
+        errors: errors.array(),
       });
     }
 
-    const user = await userModel.uploadProfilePhoto(req.user.id, req.file);
+    const recoveryCodes = await twoFactorModel.regenerateRecoveryCodes(
+      req.user.id,
+      req.body.code
+    );
 
-    logger.info(`${logContext} - Profile photo uploaded successfully`);
+    await recordSecurityEvent(req, SecurityEventTypes.RECOVERY_CODES_REGENERATED);
+
+    logger.info(`${logContext} - Recovery codes regenerated`);
 
     res.status(200).json({
       status: "success",
-      message: "Profile photo uploaded successfully",
-      data: {
-        profilePhoto: user.profile_photo,
-      },
+      message: "New recovery codes generated. Previous codes no longer work",
+      data: { recoveryCodes },
     });
   } catch (error) {
-    logger.error(`${logContext} - Profile photo upload failed`, {
+    logger.error(`${logContext} - Recovery code regeneration failed`, {
       error: error.message,
     });
-
     res.status(400).json({
       status: "error",
       message: error.message,
@@ -461,40 +633,1100 @@ const uploadProfilePhoto = async (req, res) => {
   }
 };
 
-// Delete account (for users)
-const deleteAccount = async (req, res) => {
-  const logContext = `UserController.deleteAccount: ${req.user.id}`;
+// Turn off 2FA after verifying a current or recovery code
+const disableTwoFactor = async (req, res) => {
+  const logContext = `UserController.disableTwoFactor: ${req.user.id}`;
 
   try {
-    logger.info(`${logContext} - Attempting account deletion`);
+    const { code, recoveryCode } = req.body;
+    await twoFactorModel.disableTwoFactor(req.user, { code, recoveryCode });
+    await recordSecurityEvent(req, SecurityEventTypes.TWO_FACTOR_DISABLED);
 
-    await userModel.deleteUser(req.user.id, req.user.role);
-
-    logger.info(`${logContext} - Account deleted successfully`);
+    logger.info(`${logContext} - Two-factor authentication disabled`);
 
     res.status(200).json({
       status: "success",
-      message: "Account deleted successfully. We are so sad to see you go!",
+      message: "Two-factor authentication disabled",
     });
   } catch (error) {
-    logger.error(`${logContext} - Account deletion failed`, {
+    logger.error(`${logContext} - Disabling two-factor failed`, {
       error: error.message,
     });
-    res.status(500).json({
+    res.status(400).json({
       status: "error",
       message: error.message,
     });
   }
 };
 
-// Refresh access token
-const refreshToken = async (req, res) => {
+// Step-up: confirm identity again before sensitive operations
+const reauthenticate = async (req, res) => {
+  const logContext = `UserController.reauthenticate: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { password, code, recoveryCode, idToken } = req.body;
+    const result = await stepUpModel.reauthenticate(
+      req.user,
+      { password, code, recoveryCode, idToken },
+      req.ip
+    );
+
+    logger.info(`${logContext} - Re-authenticated`, { method: result.method });
+
+    res.status(200).json({
+      status: "success",
+      message: "Identity confirmed",
+      data: result,
+    });
+  } catch (error) {
+    logger.warn(`${logContext} - Re-authentication failed`, {
+      error: error.message,
+    });
+    if (error.details?.retryAfter) {
+      res.set("Retry-After", String(error.details.retryAfter));
+    }
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+      ...(error.details?.code && {
+        code: error.details.code,
+        retryAfter: error.details.retryAfter,
+      }),
+    });
+  }
+};
+
+// Get user profile
+const getProfile = async (req, res) => {
+  try {
+    const user = await userModel.getUserById(req.user.id, req.user.role);
+    res.status(200).json({
+      status: "success",
+      data: user,
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Get all users (admin only)
+const getAllUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const userData = await userModel.getAllUsers(
+      getUserListFilters(req.query),
+      page,
+      limit,
+      getUserListSort(req.query)
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: userData,
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Export the filtered user list as CSV or XLSX, streamed in batches
+const exportUsers = async (req, res) => {
+  const logContext = `UserController.exportUsers: ${req.user.id}`;
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      errors: errors.array(),
+    });
+  }
+
+  const format = req.query.format || "csv";
+  const filters = getUserListFilters(req.query);
+  const sort = getUserListSort(req.query);
+  const fileName = `members-${new Date().toISOString().slice(0, 10)}.${format}`;
+  let xlsxWriter = null;
+  let exported = 0;
+
+  // Headers go out with the first batch so an early failure can still return JSON
+  const startFile = () => {
+    if (res.headersSent) return;
+    res.setHeader(
+      "Content-Type",
+      format === "xlsx" ? XLSX_MIME_TYPE : "text/csv; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "xlsx") {
+      xlsxWriter = createXlsxWriter(res, "Members", USER_EXPORT_COLUMNS);
+    } else {
+      res.write(toCsvHeader(USER_EXPORT_COLUMNS));
+    }
+  };
+
+  try {
+    for await (const batch of userModel.iterateUsers(filters, sort)) {
+      startFile();
+      for (const user of batch) {
+        if (xlsxWriter) {
+          xlsxWriter.addRecord(user);
+        } else {
+          res.write(toCsvRecord(USER_EXPORT_COLUMNS, user));
+        }
+      }
+      exported += batch.length;
+
+      await waitForDrain(res);
+      if (res.destroyed) {
+        logger.warn(`${logContext} - Client disconnected during export`, {
+          exported,
+        });
+        return;
+      }
+    }
+
+    startFile();
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.USER_EXPORT,
+      targetType: AuditTargets.USER,
+      metadata: { format, filters, sort, exported },
+    });
+
+    logger.info(`${logContext} - Users exported`, { format, exported });
+
+    if (xlsxWriter) {
+      await xlsxWriter.finish();
+    } else {
+      res.end();
+    }
+  } catch (error) {
+    logger.error(`${logContext} - Export failed`, {
+      error: error.message,
+      exported,
+    });
+
+    // Once streaming has started the status line is gone; cut the file short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      status: "error",
+      message: "Failed to export users",
+    });
+  }
+};
+
+// Admin: lift a login lockout before it expires
+const unlockUser = async (req, res) => {
+  const logContext = `UserController.unlockUser: ${req.user.id}`;
+
+  try {
+    const user = await userModel.getUserById(req.params.userId, req.user.role);
+    const wasLocked = await loginProtection.unlockAccount(user.email);
+
+    logger.info(`${logContext} - Account unlocked`, {
+      targetUserId: user.id,
+      wasLocked,
+    });
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.USER_UNLOCK,
+      targetType: AuditTargets.USER,
+      targetId: user.id,
+      metadata: { wasLocked },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: wasLocked
+        ? "Account unlocked successfully"
+        : "Account was not locked; failed login attempts have been cleared",
+      data: { userId: user.id, wasLocked },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Unlock failed`, {
+      error: error.message,
+    });
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Shared handler for suspend, ban and reactivate
+const changeUserStatus = (applyChange, auditAction, successMessage) => {
+  return async (req, res) => {
+    const logContext = `UserController.changeUserStatus: ${req.user.id}`;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: "error",
+          errors: errors.array(),
+        });
+      }
+
+      const { reason, expiresAt } = req.body;
+      const { before, user, history } = await applyChange(
+        req.params.userId,
+        { reason, expiresAt },
+        req.user
+      );
+
+      logger.info(`${logContext} - Account status changed`, {
+        targetUserId: user.id,
+        previousStatus: before.status,
+        newStatus: user.status,
+      });
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: auditAction,
+        targetType: AuditTargets.USER,
+        targetId: user.id,
+        before: {
+          status: before.status,
+          status_reason: before.status_reason,
+          status_expires_at: before.status_expires_at,
+        },
+        after: {
+          status: user.status,
+          status_reason: user.status_reason,
+          status_expires_at: user.status_expires_at,
+        },
+        metadata: { reason: reason || null },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: successMessage,
+        data: { user, history },
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Status change failed`, {
+        error: error.message,
+        targetUserId: req.params.userId,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  };
+};
+
+const suspendUser = changeUserStatus(
+  accountStatusModel.suspendUser,
+  AuditActions.USER_SUSPEND,
+  "User suspended successfully"
+);
+
+const banUser = changeUserStatus(
+  accountStatusModel.banUser,
+  AuditActions.USER_BAN,
+  "User banned successfully"
+);
+
+const reactivateUser = changeUserStatus(
+  accountStatusModel.reactivateUser,
+  AuditActions.USER_REACTIVATE,
+  "User reactivated successfully"
+);
+
+const getUserStatusHistory = async (req, res) => {
+  try {
+    const history = await accountStatusModel.getStatusHistory(
+      req.params.userId
+    );
+    res.status(200).json({
+      status: "success",
+      data: { history },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Bulk member import from CSV/XLSX; ?dryRun=true only validates and reports
+const importMembers = async (req, res) => {
+  const logContext = `UserController.importMembers: ${req.user.id}`;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: "error",
+        message: "A CSV or XLSX file is required",
+      });
+    }
+
+    const dryRun = req.query.dryRun === "true";
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(
+        req.file,
+        memberImportModel.IMPORT_HEADERS
+      );
+    } catch (error) {
+      return res.status(400).json({
+        status: "error",
+        message: `Could not read the file: ${error.message}`,
+      });
+    }
+
+    const report = await memberImportModel.importMembers(sheet, {
+      dryRun,
+      invitedBy: req.user.id,
+    });
+
+    logger.info(`${logContext} - Member import processed`, report.summary);
+
+    if (!dryRun) {
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.USER_IMPORT,
+        targetType: AuditTargets.USER,
+        metadata: {
+          fileName: req.file.originalname,
+          ...report.summary,
+          createdUserIds: report.rows
+            .filter((row) => row.userId)
+            .map((row) => row.userId),
+        },
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      status: "success",
+      message: dryRun
+        ? "Dry run complete. No members were created"
+        : `${report.summary.created} members imported`,
+      data: report,
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Member import failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await memberImportModel.resendMemberInvitation(
+      req.params.userId,
+      req.user.id
+    );
+    res.status(200).json({
+      status: "success",
+      message: "Invitation sent",
+      data: invitation,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Invited member sets their password from the emailed link
+const acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await memberImportModel.acceptMemberInvitation(
+      req.body.token,
+      req.body.password
+    );
+
+    logger.info(`UserController.acceptInvitation - Invitation accepted`, {
+      userId: user.id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Your account is ready. You can now log in",
+      data: { email: user.email },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Super admin invites someone to become an admin; the account is created on acceptance
+const inviteAdmin = async (req, res) => {
+  const logContext = `UserController.inviteAdmin: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { invitation, emailSent } =
+      await adminInvitationModel.createAdminInvitation(
+        { email: req.body.email, role: req.body.role },
+        req.user
+      );
+
+    logger.info(`${logContext} - Admin invitation created`, {
+      invitationId: invitation.id,
+      role: invitation.role,
+    });
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.ADMIN_INVITE,
+      targetType: AuditTargets.ADMIN_INVITATION,
+      targetId: invitation.id,
+      after: { email: invitation.email, role: invitation.role },
+      metadata: { emailSent },
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: emailSent
+        ? "Invitation sent"
+        : "Invitation created but the email could not be sent. Please resend it",
+      data: { invitation, emailSent },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Admin invitation failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+const listAdminInvitations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const invitations = await adminInvitationModel.listAdminInvitations({
+      status: req.query.status,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { invitations },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+const resendAdminInvitation = async (req, res) => {
+  try {
+    const { invitation, emailSent } =
+      await adminInvitationModel.resendAdminInvitation(
+        req.params.invitationId,
+        req.user
+      );
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.ADMIN_INVITE_RESEND,
+      targetType: AuditTargets.ADMIN_INVITATION,
+      targetId: invitation.id,
+      metadata: { email: invitation.email, sentCount: invitation.sent_count, emailSent },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: emailSent
+        ? "Invitation sent"
+        : "A new link was created but the email could not be sent",
+      data: { invitation, emailSent },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+const revokeAdminInvitation = async (req, res) => {
+  try {
+    const { before, invitation } =
+      await adminInvitationModel.revokeAdminInvitation(
+        req.params.invitationId,
+        req.user
+      );
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.ADMIN_INVITE_REVOKE,
+      targetType: AuditTargets.ADMIN_INVITATION,
+      targetId: invitation.id,
+      before: { status: before.status },
+      after: { status: invitation.status },
+      metadata: { email: invitation.email, role: invitation.role },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Invitation revoked",
+      data: { invitation },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Invitee sets their name and password from the emailed link
+const acceptAdminInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { token, fullName, password, phoneNumber } = req.body;
+    const { user, invitation } = await adminInvitationModel.acceptAdminInvitation(
+      token,
+      { fullName, password, phoneNumber }
+    );
+
+    logger.info(`UserController.acceptAdminInvitation - Invitation accepted`, {
+      userId: user.id,
+      role: user.role,
+    });
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      actor: user,
+      action: AuditActions.ADMIN_INVITE_ACCEPT,
+      targetType: AuditTargets.ADMIN_INVITATION,
+      targetId: invitation.id,
+      after: { userId: user.id, role: user.role },
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Your admin account is ready. You can now log in",
+      data: { email: user.email, role: user.role },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Get specific user (admin only)
+const getUser = async (req, res) => {
+  try {
+    const user = await userModel.getUserById(req.params.userId, req.user.role);
+    res.status(200).json({
+      status: "success",
+      data: user,
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Update the updateProfile function
+const updateProfile = async (req, res) => {
+  const logContext = `UserController.updateProfile: ${req.user.id}`;
+
+  try {
+    logger.info(`${logContext} - Attempting profile update`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn(`${logContext} - Validation errors`, {
+        errors: errors.array(),
+      });
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const updates = {
+      fullName: req.body.fullName,
+      phoneNumber: req.body.phoneNumber,
+    };
+
+    // Handle profile photo if uploaded
+    if (req.file) {
+      updates.profilePhoto = req.file;
+    }
+
+    const user = await userModel.updateUser(
+      req.user.id,
+      updates,
+      req.user.role
+    );
+
+    logger.info(`${logContext} - Profile updated successfully`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile updated successfully",
+      data: user,
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Profile update failed`, {
+      error: error.message,
+    });
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Admin update user
+const updateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const updates = {
+      fullName: req.body.fullName,
+      phoneNumber: req.body.phoneNumber,
+      role: req.body.role,
+    };
+
+    // Admins change their own details through the profile, never their own role
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        status: "error",
+        message: "You cannot edit your own account here. Use your profile instead",
+      });
+    }
+
+    const before = await userModel.getUserById(
+      req.params.userId,
+      UserRoles.ADMIN
+    );
+
+    // The target's current role must be one the requester could grant,
+    // so nobody edits or demotes an account ranked above them
+    await roleModel.assertCanGrantSystemRole(
+      before.role,
+      req.user.permissions
+    );
+
+    // Promoting someone is limited to roles whose permissions the requester holds
+    if (updates.role) {
+      await roleModel.assertCanGrantSystemRole(
+        updates.role,
+        req.user.permissions
+      );
+    }
+
+    // users.manage grants the admin field set, whatever the requester's own role
+    const user = await userModel.updateUser(
+      req.params.userId,
+      updates,
+      UserRoles.ADMIN
+    );
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.USER_UPDATE,
+      targetType: AuditTargets.USER,
+      targetId: user.id,
+      before,
+      after: user,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "User updated successfully",
+      data: user,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Change password
+const changePassword = async (req, res) => {
+  const logContext = `UserController.changePassword: ${req.user.id}`;
+
+  try {
+    logger.info(`${logContext} - Attempting password change`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    await userModel.updatePassword(req.user.id, currentPassword, newPassword);
+    await recordSecurityEvent(req, SecurityEventTypes.PASSWORD_CHANGED);
+
+    logger.info(`${logContext} - Password changed successfully`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Password updated successfully",
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Password change failed`, {
+      error: error.message,
+    });
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Request a password reset code
+const forgotPassword = async (req, res) => {
+  const logContext = `UserController.forgotPassword: ${req.body.email}`;
+
+  try {
+    logger.info(`${logContext} - Password reset requested`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const codeSent = await userModel.requestPasswordReset(req.body.email);
+
+    logger.info(`${logContext} - Password reset request processed`, {
+      codeSent,
+    });
+
+    // Same response either way so registered emails cannot be discovered
+    res.status(200).json({
+      status: "success",
+      message:
+        "If an account exists for this email, a password reset code has been sent",
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Password reset request failed`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      status: "error",
+      message: "Unable to process password reset request. Please try again.",
+    });
+  }
+};
+
+// Reset password using the emailed code
+const resetPassword = async (req, res) => {
+  const logContext = `UserController.resetPassword: ${req.body.email}`;
+
+  try {
+    logger.info(`${logContext} - Attempting password reset`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { email, resetCode, newPassword } = req.body;
+    await userModel.resetPassword(
+      email,
+      resetCode,
+      newPassword,
+      getDeviceContext(req)
+    );
+
+    logger.info(`${logContext} - Password reset successfully`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Password reset successfully. Please log in with your new password.",
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Password reset failed`, {
+      error: error.message,
+    });
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Upload profile photo
+const uploadProfilePhoto = async (req, res) => {
+  const logContext = `UserController.uploadProfilePhoto: ${req.user.id}`;
+
+  try {
+    logger.info(`${logContext} - Attempting profile photo upload`);
+
+    // Check if file exists
+    if (!req.file) {
+      return res.status(400).json({
+        status: "error",
+        message: "No file uploaded",
+      });
+    }
+
+    const user = await userModel.uploadProfilePhoto(req.user.id, req.file);
+
+    logger.info(`${logContext} - Profile photo uploaded successfully`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile photo uploaded successfully",
+      data: {
+        profilePhoto: user.profile_photo,
+        profilePhotoUrls: user.profile_photo_urls,
+      },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Profile photo upload failed`, {
+      error: error.message,
+    });
+
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Delete account (for users)
+const deleteAccount = async (req, res) => {
+  const logContext = `UserController.deleteAccount: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    logger.info(`${logContext} - Attempting account deletion`);
+
+    const { scheduledFor } = await accountDeletionModel.scheduleAccountDeletion(
+      req.user.id,
+      { reason: req.body?.reason || null }
+    );
+
+    logger.info(`${logContext} - Account scheduled for deletion`, {
+      scheduledFor,
+    });
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.USER_DELETE,
+      targetType: AuditTargets.USER,
+      targetId: req.user.id,
+      before: { status: AccountStatus.ACTIVE },
+      after: { status: AccountStatus.PENDING_DELETION },
+      metadata: { scheduledFor },
+    });
+
+    // Every session was revoked; drop this device's cookies too
+    res.clearCookie("auth_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    });
+    res.clearCookie("refresh_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Your account has been deactivated and will be permanently deleted on ${scheduledFor.toDateString()}. Use the link we emailed you to restore it before then. We are so sad to see you go!`,
+      data: { scheduledFor },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Account deletion failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Cancel a pending deletion from the emailed restore link
+const restoreAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await accountDeletionModel.restoreAccountWithToken(
+      req.body.token
+    );
+
+    await recordAuditEvent({
+      actor: user,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      action: AuditActions.USER_RESTORE,
+      targetType: AuditTargets.USER,
+      targetId: user.id,
+      before: { status: AccountStatus.PENDING_DELETION },
+      after: { status: user.status },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Your account has been restored. You can log in again",
+      data: { email: user.email },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Admin: cancel a member's pending deletion
+const restoreUser = async (req, res) => {
+  const logContext = `UserController.restoreUser: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await accountDeletionModel.restoreAccountByAdmin(
+      req.params.userId,
+      req.user
+    );
+
+    logger.info(`${logContext} - Account restored`, { targetUserId: user.id });
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.USER_RESTORE,
+      targetType: AuditTargets.USER,
+      targetId: user.id,
+      before: { status: AccountStatus.PENDING_DELETION },
+      after: { status: user.status },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Account restored",
+      data: { user },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Refresh access token
+const refreshToken = async (req, res) => {
   const logContext = `UserController.refreshToken`;
 
   try {
     logger.info(`${logContext} - Processing token refresh request`);
 
-    const { refreshToken } = req.body;
+    const refreshToken = req.body.refreshToken || req.cookies?.refresh_token;
 
     if (!refreshToken) {
       return res.status(400).json({
@@ -503,7 +1735,9 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    const result = await userModel.refreshAccessToken(refreshToken);
+    const result = await userModel.refreshAccessToken(refreshToken, {
+      ipAddress: req.ip,
+    });
 
     logger.info(`${logContext} - Token refreshed successfully`, {
       userId: result.user.id,
@@ -520,11 +1754,20 @@ const refreshToken = async (req, res) => {
           : 2 * 60 * 60 * 1000, // 1h or 2h
     });
 
+    // The presented refresh token is now spent; hand out its replacement
+    res.cookie("refresh_token", result.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    });
+
     res.status(200).json({
       status: "success",
       message: "Access token refreshed successfully",
       data: {
         accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
         user: result.user,
       },
     });
@@ -560,7 +1803,14 @@ const logout = async (req, res) => {
     const refreshToken = req.body.refreshToken || req.cookies.refresh_token;
 
     // Perform logout operation with refresh token revocation
-    const logoutResult = await userModel.logoutUser(req.user.id, refreshToken);
+    const logoutResult = await userModel.logoutUser(
+      req.user.id,
+      refreshToken,
+      req.user.sessionId
+    );
+    await recordSecurityEvent(req, SecurityEventTypes.LOGOUT, {
+      sessionId: req.user.sessionId || null,
+    });
 
     // Clear authentication cookies
     res.clearCookie("auth_token", {
@@ -637,6 +1887,7 @@ const revokeToken = async (req, res) => {
     }
 
     const result = await userModel.revokeRefreshToken(refreshToken);
+    await recordSecurityEvent(req, SecurityEventTypes.TOKEN_REVOKED);
 
     logger.info(`${logContext} - Token revoked successfully`);
 
@@ -655,19 +1906,423 @@ const revokeToken = async (req, res) => {
     });
   }
 };
+// List the devices signed in to the current account
+const listSessions = async (req, res) => {
+  const logContext = `UserController.listSessions: ${req.user.id}`;
+
+  try {
+    const sessions = await sessionModel.listSessions(
+      req.user.id,
+      req.user.sessionId
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: { sessions },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Failed to list sessions`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      status: "error",
+      message: "Failed to retrieve sessions",
+    });
+  }
+};
+
+// Sign out a single device
+const revokeSession = async (req, res) => {
+  const logContext = `UserController.revokeSession: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    await sessionModel.revokeSession(req.user.id, req.params.sessionId);
+    await recordSecurityEvent(req, SecurityEventTypes.SESSION_REVOKED, {
+      sessionId: req.params.sessionId,
+    });
+
+    logger.info(`${logContext} - Session revoked`, {
+      sessionId: req.params.sessionId,
+      current: req.params.sessionId === req.user.sessionId,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Session signed out successfully",
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Session revocation failed`, {
+      error: error.message,
+    });
+    res.status(error.message === "Session not found" ? 404 : 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Sign out every device except the one making the request
+const revokeOtherSessions = async (req, res) => {
+  const logContext = `UserController.revokeOtherSessions: ${req.user.id}`;
+
+  try {
+    const revokedCount = await sessionModel.revokeOtherSessions(
+      req.user.id,
+      req.user.sessionId
+    );
+
+    await recordSecurityEvent(req, SecurityEventTypes.OTHER_SESSIONS_REVOKED, {
+      revokedCount,
+    });
+
+    logger.info(`${logContext} - Other sessions revoked`, { revokedCount });
+
+    res.status(200).json({
+      status: "success",
+      message: "All other sessions signed out successfully",
+      data: { revokedCount },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Revoking other sessions failed`, {
+      error: error.message,
+    });
+    res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// The caller's security activity: logins, password, token and 2FA changes
+const getSecurityEvents = async (req, res) => {
+  const logContext = `UserController.getSecurityEvents: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const result = await securityEventModel.listSecurityEvents(
+      req.user.id,
+      { eventType: req.query.type },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Failed to list security events`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      status: "error",
+      message: "Failed to retrieve security activity",
+    });
+  }
+};
+
+// Start an email change: a code to the new address, a cancel link to the current one
+const requestEmailChange = async (req, res) => {
+  const logContext = `UserController.requestEmailChange: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const change = await emailChangeModel.requestEmailChange(
+      req.user.id,
+      req.body.newEmail
+    );
+
+    res.status(202).json({
+      status: "success",
+      message: `We sent a code to ${change.newEmail}. Enter it to finish changing your email`,
+      data: change,
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Email change request failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// The caller's email change awaiting confirmation, if any
+const getEmailChange = async (req, res) => {
+  try {
+    const change = await emailChangeModel.getPendingEmailChange(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      data: { emailChange: change },
+    });
+  } catch (error) {
+    logger.error(`UserController.getEmailChange: ${req.user.id} - Failed`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      status: "error",
+      message: "Failed to retrieve email change",
+    });
+  }
+};
+
+// Apply the change with the code from the new address; every device is signed out
+const confirmEmailChange = async (req, res) => {
+  const logContext = `UserController.confirmEmailChange: ${req.user.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { user, oldEmail } = await emailChangeModel.confirmEmailChange(
+      req.user.id,
+      req.body.code
+    );
+
+    await recordAuditEvent({
+      ...auditContext(req),
+      action: AuditActions.USER_EMAIL_CHANGE,
+      targetType: AuditTargets.USER,
+      targetId: user.id,
+      before: { email: oldEmail },
+      after: { email: user.email },
+    });
+    await recordSecurityEvent(req, SecurityEventTypes.EMAIL_CHANGED);
+
+    // Every session was revoked; drop this device's cookies too
+    res.clearCookie("auth_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    });
+    res.clearCookie("refresh_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Your email address has been changed. Please log in again with the new address",
+      data: { email: user.email },
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Email change confirmation failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Cancel a change from the link emailed to the current address
+const cancelEmailChange = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { userId, oldEmail } =
+      await emailChangeModel.cancelEmailChange(req.body.token);
+
+    await recordAuditEvent({
+      actor: { id: userId, email: oldEmail },
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      action: AuditActions.USER_EMAIL_CHANGE,
+      targetType: AuditTargets.USER,
+      targetId: userId,
+      metadata: { cancelled: true },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "The email change was cancelled. If you didn't ask for it, please change your password",
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// "Download my data": queue an archive of everything stored about the caller
+const requestDataExport = async (req, res) => {
+  const logContext = `UserController.requestDataExport: ${req.user.id}`;
+
+  try {
+    const dataExport = await dataExportModel.requestDataExport(req.user.id);
+    scheduleDataExport(dataExport.id);
+
+    logger.info(`${logContext} - Data export queued`, {
+      exportId: dataExport.id,
+    });
+
+    res.status(202).json({
+      status: "success",
+      message:
+        "Your data export is being prepared. We'll email you a download link when it's ready",
+      data: dataExport,
+    });
+  } catch (error) {
+    logger.error(`${logContext} - Data export request failed`, {
+      error: error.message,
+    });
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+      ...(error.details && { data: error.details }),
+    });
+  }
+};
+
+// Status of the caller's latest export, or a specific one
+const getDataExportStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const dataExport = await dataExportModel.getDataExportStatus(
+      req.user.id,
+      req.params.exportId
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: dataExport,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// Signed, expiring link from the status endpoint or the ready email
+const downloadDataExport = async (req, res) => {
+  try {
+    const { filePath, fileName } = await dataExportModel.getDataExportDownload(
+      req.query.token
+    );
+
+    res.download(filePath, fileName, (error) => {
+      if (error && !res.headersSent) {
+        logger.error("UserController.downloadDataExport - Archive missing", {
+          error: error.message,
+        });
+        res.status(410).json({
+          status: "error",
+          message: "This download link is invalid or has expired",
+        });
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
 module.exports = {
   register,
-  registerAdmin,
-  verifyAdmin,
+  verifyEmail,
+  resendVerification,
   login,
+  requestPhoneLogin,
+  verifyPhoneLogin,
+  googleSignIn,
+  verifyTwoFactorLogin,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  reauthenticate,
+  suspendUser,
+  banUser,
+  reactivateUser,
+  getUserStatusHistory,
+  importMembers,
+  resendInvitation,
+  acceptInvitation,
+  inviteAdmin,
+  listAdminInvitations,
+  resendAdminInvitation,
+  revokeAdminInvitation,
+  acceptAdminInvitation,
   getProfile,
   getUser,
   getAllUsers,
+  exportUsers,
   updateProfile,
+  uploadProfilePhoto,
   updateUser,
   changePassword,
+  forgotPassword,
+  resetPassword,
   deleteAccount,
+  restoreAccount,
+  restoreUser,
   logout,
   revokeToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSecurityEvents,
+  requestEmailChange,
+  getEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport,
+  unlockUser,
   refreshToken,
 };
@@ -4,6 +4,12 @@ const { MediaContent } = require("../../models/churchgallery/MediaContent");
 const {
   AzureStorageService,
 } = require("../../models/churchgallery/azureStorage");
+const {
+  AuditActions,
+  AuditTargets,
+  auditContext,
+  recordAuditEvent,
+} = require("../../models/audit/auditModel");
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -239,6 +245,19 @@ class MediaContentController {
       // Delete database record
       await MediaContent.delete(id, req.user.id);
 
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.MEDIA_DELETE,
+        targetType: AuditTargets.MEDIA,
+        targetId: id,
+        before: {
+          title: content.title,
+          content_type: content.content_type,
+          url: content.url,
+          uploaded_by: content.uploaded_by,
+        },
+      });
+
       res.json({ message: "Media content deleted successfully" });
     } catch (error) {
       console.error("Failed to delete media content:", error);
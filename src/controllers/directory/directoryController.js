@@ -0,0 +1,115 @@
+const {
+  getDirectorySettings,
+  updateDirectorySettings,
+  searchDirectory,
+} = require("../../models/members/directoryModel");
+const logger = require("../../config/logger");
+const { rejectInvalid } = require("../../utils/validationHelpers");
+
+/**
+ * Controller class for the member directory
+ * Members find each other by name; each member decides who sees their
+ * phone, email, photo and ministry.
+ */
+class DirectoryController {
+  /**
+   * Search the directory
+   * @param {Object} req - Express request object with search, ministry, page and limit query parameters
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with matching members and pagination details
+   */
+  static async search(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 20;
+
+      const result = await searchDirectory(
+        req.user,
+        { search: req.query.search, ministry: req.query.ministry },
+        page,
+        limit
+      );
+
+      res.status(200).json({
+        status: "success",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("DirectoryController:Search - Failed", {
+        error: error.message,
+        userId: req.user.id,
+      });
+      res.status(error.statusCode || 500).json({
+        status: "error",
+        message: error.statusCode ? error.message : "Failed to search the member directory",
+      });
+    }
+  }
+
+  /**
+   * Get the signed-in member's directory privacy settings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the visibility of each field
+   */
+  static async getSettings(req, res) {
+    try {
+      const settings = await getDirectorySettings(req.user.id);
+
+      res.status(200).json({
+        status: "success",
+        data: { settings },
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: "error",
+        message: "Failed to retrieve directory settings",
+      });
+    }
+  }
+
+  /**
+   * Update the signed-in member's directory privacy settings
+   * @param {Object} req - Express request object with phone, email, photo and/or ministry visibility
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the updated settings
+   */
+  static async updateSettings(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const changes = {};
+      for (const field of ["phone", "email", "photo", "ministry"]) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      const settings = await updateDirectorySettings(req.user.id, changes);
+
+      logger.info("DirectoryController:UpdateSettings - Settings updated", {
+        userId: req.user.id,
+        settings,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Directory settings updated",
+        data: { settings },
+      });
+    } catch (error) {
+      logger.error("DirectoryController:UpdateSettings - Failed", {
+        error: error.message,
+        userId: req.user.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update directory settings",
+      });
+    }
+  }
+}
+
+module.exports = DirectoryController;
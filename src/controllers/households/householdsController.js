@@ -0,0 +1,351 @@
+const {
+  getHousehold,
+  getMyHousehold,
+  createHousehold,
+  updateHousehold,
+  deleteHousehold,
+  inviteMember,
+  listMyInvitations,
+  respondToInvitation,
+  addDependent,
+  updateMember,
+  removeMember,
+  getHouseholdGiving,
+} = require("../../models/members/householdModel");
+const logger = require("../../config/logger");
+const { rejectInvalid } = require("../../utils/validationHelpers");
+
+// Model errors carry their status; anything else is unexpected
+const sendError = (req, res, logContext, error) => {
+  logger.error(`${logContext} - Failed`, {
+    error: error.message,
+    userId: req.user.id,
+    householdId: req.params.householdId,
+  });
+  res.status(error.statusCode || 500).json({
+    status: "error",
+    message: error.statusCode ? error.message : "Something went wrong. Please try again",
+  });
+};
+
+/**
+ * Controller class for households
+ * A head of household invites other members' accounts, adds dependents
+ * without logins, and sees the family's combined giving.
+ */
+class HouseholdsController {
+  /**
+   * Start a household with the signed-in member as head
+   * @param {Object} req - Express request object with the household name
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the new household
+   */
+  static async create(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const household = await createHousehold({ name: req.body.name }, req.user);
+
+      res.status(201).json({
+        status: "success",
+        message: "Household created",
+        data: { household },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:Create", error);
+    }
+  }
+
+  /**
+   * Get the signed-in member's household
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the household, or null if the member has none
+   */
+  static async getMine(req, res) {
+    try {
+      const household = await getMyHousehold(req.user);
+
+      res.status(200).json({
+        status: "success",
+        data: { household },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:GetMine", error);
+    }
+  }
+
+  /**
+   * Get a household by ID
+   * @param {Object} req - Express request object containing the household ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the household and its members
+   */
+  static async get(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const household = await getHousehold(req.params.householdId, req.user);
+
+      res.status(200).json({
+        status: "success",
+        data: { household },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:Get", error);
+    }
+  }
+
+  /**
+   * Rename a household
+   * @param {Object} req - Express request object containing the household ID and new name
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the updated household
+   */
+  static async update(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const household = await updateHousehold(
+        req.params.householdId,
+        { name: req.body.name },
+        req.user
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: "Household updated",
+        data: { household },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:Update", error);
+    }
+  }
+
+  /**
+   * Delete a household and its dependents
+   * @param {Object} req - Express request object containing the household ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves once deleted
+   */
+  static async remove(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      await deleteHousehold(req.params.householdId, req.user);
+
+      res.status(200).json({
+        status: "success",
+        message: "Household deleted",
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:Delete", error);
+    }
+  }
+
+  /**
+   * Invite a member's account to the household
+   * @param {Object} req - Express request object with userId and relationship
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the pending household member
+   */
+  static async invite(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const member = await inviteMember(
+        req.params.householdId,
+        { userId: req.body.userId, relationship: req.body.relationship },
+        req.user
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Invitation sent",
+        data: { member },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:Invite", error);
+    }
+  }
+
+  /**
+   * List household invitations waiting for the signed-in member
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with pending invitations
+   */
+  static async getInvitations(req, res) {
+    try {
+      const invitations = await listMyInvitations(req.user.id);
+
+      res.status(200).json({
+        status: "success",
+        data: { invitations },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:GetInvitations", error);
+    }
+  }
+
+  /**
+   * Accept a household invitation
+   * @param {Object} req - Express request object containing the invitation's member ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the joined household
+   */
+  static async acceptInvitation(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const household = await respondToInvitation(req.params.memberId, req.user, true);
+
+      res.status(200).json({
+        status: "success",
+        message: "You have joined the household",
+        data: { household },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:AcceptInvitation", error);
+    }
+  }
+
+  /**
+   * Decline a household invitation
+   * @param {Object} req - Express request object containing the invitation's member ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves once declined
+   */
+  static async declineInvitation(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      await respondToInvitation(req.params.memberId, req.user, false);
+
+      res.status(200).json({
+        status: "success",
+        message: "Invitation declined",
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:DeclineInvitation", error);
+    }
+  }
+
+  /**
+   * Add a dependent without a login
+   * @param {Object} req - Express request object with fullName, relationship and dateOfBirth
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the dependent
+   */
+  static async addDependent(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const member = await addDependent(
+        req.params.householdId,
+        {
+          fullName: req.body.fullName,
+          relationship: req.body.relationship,
+          dateOfBirth: req.body.dateOfBirth,
+        },
+        req.user
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Dependent added",
+        data: { member },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:AddDependent", error);
+    }
+  }
+
+  /**
+   * Change a member's relationship, or a dependent's details
+   * @param {Object} req - Express request object with relationship, fullName and/or dateOfBirth
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the updated household
+   */
+  static async updateMember(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const changes = {};
+      for (const field of ["relationship", "fullName", "dateOfBirth"]) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      const household = await updateMember(
+        req.params.householdId,
+        req.params.memberId,
+        changes,
+        req.user
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: "Household member updated",
+        data: { household },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:UpdateMember", error);
+    }
+  }
+
+  /**
+   * Remove a member, dependent or invitation, or leave the household
+   * @param {Object} req - Express request object containing the household and member IDs
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with whether the household was deleted as a result
+   */
+  static async removeMember(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const { householdDeleted } = await removeMember(
+        req.params.householdId,
+        req.params.memberId,
+        req.user
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: householdDeleted
+          ? "Household member removed. The household had no other members and was deleted"
+          : "Household member removed",
+        data: { householdDeleted },
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:RemoveMember", error);
+    }
+  }
+
+  /**
+   * Combined completed giving of the household's members
+   * @param {Object} req - Express request object with optional from and to dates
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with totals by purpose, and by member for heads, spouses and finance staff
+   */
+  static async getGiving(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const giving = await getHouseholdGiving(req.params.householdId, req.user, {
+        from: req.query.from,
+        to: req.query.to,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: giving,
+      });
+    } catch (error) {
+      sendError(req, res, "HouseholdsController:GetGiving", error);
+    }
+  }
+}
+
+module.exports = HouseholdsController;
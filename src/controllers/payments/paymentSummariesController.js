@@ -0,0 +1,50 @@
+const { getPaymentSummaries } = require("../../models/payments/paymentSummaryModel");
+const logger = require("../../config/logger");
+const { validationResult } = require("express-validator");
+
+/**
+ * Controller class for giving reports
+ * Read by finance admins and, through API keys, by the finance spreadsheet.
+ */
+class PaymentSummariesController {
+  /**
+   * Daily totals per purpose for a date range
+   * @param {Object} req - Express request object with from, to and purpose query parameters
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with daily rows and totals per purpose
+   */
+  static async getAll(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const summaries = await getPaymentSummaries({
+        from: req.query.from,
+        to: req.query.to,
+        purpose: req.query.purpose,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: summaries,
+      });
+    } catch (error) {
+      logger.error("PaymentSummariesController:GetAll - Failed", {
+        error: error.message,
+        userId: req.user?.id,
+        apiKeyId: req.apiKey?.id,
+      });
+      res.status(error.statusCode || 500).json({
+        status: "error",
+        message: error.statusCode ? error.message : "Failed to retrieve payment summaries",
+      });
+    }
+  }
+}
+
+module.exports = PaymentSummariesController;
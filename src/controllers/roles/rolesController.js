@@ -0,0 +1,356 @@
+const {
+  getUserPermissions,
+  listPermissions,
+  listRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserRoles,
+  assignRole,
+  removeRole,
+} = require("../../models/roles/roleModel");
+const {
+  AuditActions,
+  AuditTargets,
+  auditContext,
+  recordAuditEvent,
+} = require("../../models/audit/auditModel");
+const logger = require("../../config/logger");
+const { rejectInvalid } = require("../../utils/validationHelpers");
+
+/**
+ * Controller class for roles and permissions
+ * Super admins (roles.manage) create custom roles, e.g. for ministry leaders,
+ * and assign them to members on top of their built-in role.
+ */
+class RoleController {
+  /**
+   * Get the permissions of the signed-in user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the user's permission keys
+   */
+  static async getMyPermissions(req, res) {
+    try {
+      const permissions = await getUserPermissions(req.user);
+
+      res.status(200).json({
+        status: "success",
+        data: { permissions },
+      });
+    } catch (error) {
+      logger.error("RoleController:GetMyPermissions - Failed", {
+        error: error.message,
+        userId: req.user.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to retrieve permissions",
+      });
+    }
+  }
+
+  /**
+   * List the permission catalogue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with all permissions
+   */
+  static async getPermissions(req, res) {
+    try {
+      const permissions = await listPermissions();
+
+      res.status(200).json({
+        status: "success",
+        data: { permissions },
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: "error",
+        message: "Failed to retrieve permissions",
+      });
+    }
+  }
+
+  /**
+   * List roles with their permissions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with all roles
+   */
+  static async getAll(req, res) {
+    try {
+      const roles = await listRoles();
+
+      res.status(200).json({
+        status: "success",
+        data: { roles },
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: "error",
+        message: "Failed to retrieve roles",
+      });
+    }
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} req - Express request object containing name, description and permissions
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the created role
+   */
+  static async create(req, res) {
+    const logContext = "RoleController:Create";
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const { name, description, permissions } = req.body;
+      const role = await createRole(
+        { name, description, permissions },
+        req.user.permissions
+      );
+
+      logger.info(`${logContext} - Role created`, {
+        roleId: role.id,
+        name: role.name,
+        adminId: req.user.id,
+      });
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ROLE_CREATE,
+        targetType: AuditTargets.ROLE,
+        targetId: role.id,
+        after: role,
+      });
+
+      res.status(201).json({
+        status: "success",
+        data: role,
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to create role`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update a custom role's description or permissions
+   * @param {Object} req - Express request object containing the role ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the updated role
+   */
+  static async update(req, res) {
+    const logContext = "RoleController:Update";
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const { description, permissions } = req.body;
+      const before = await getRoleById(req.params.roleId);
+      const role = await updateRole(
+        req.params.roleId,
+        { description, permissions },
+        req.user.permissions
+      );
+
+      logger.info(`${logContext} - Role updated`, {
+        roleId: role.id,
+        adminId: req.user.id,
+      });
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ROLE_UPDATE,
+        targetType: AuditTargets.ROLE,
+        targetId: role.id,
+        before,
+        after: role,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: role,
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to update role`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a custom role, removing it from every member who had it
+   * @param {Object} req - Express request object containing the role ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves when the role is deleted
+   */
+  static async delete(req, res) {
+    const logContext = "RoleController:Delete";
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const role = await getRoleById(req.params.roleId);
+      await deleteRole(req.params.roleId);
+
+      logger.info(`${logContext} - Role deleted`, {
+        roleId: req.params.roleId,
+        adminId: req.user.id,
+      });
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ROLE_DELETE,
+        targetType: AuditTargets.ROLE,
+        targetId: role.id,
+        before: role,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Role deleted successfully",
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to delete role`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a member's assigned roles and effective permissions
+   * @param {Object} req - Express request object containing the user ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the member's roles
+   */
+  static async getUserRoles(req, res) {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const userRoles = await getUserRoles(req.params.userId);
+
+      res.status(200).json({
+        status: "success",
+        data: userRoles,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Assign a role to a member
+   * @param {Object} req - Express request object containing the user ID and roleId
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the member's roles
+   */
+  static async assign(req, res) {
+    const logContext = "RoleController:Assign";
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const userRoles = await assignRole(
+        req.params.userId,
+        req.body.roleId,
+        req.user
+      );
+
+      logger.info(`${logContext} - Role assigned`, {
+        userId: req.params.userId,
+        roleId: req.body.roleId,
+        adminId: req.user.id,
+      });
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ROLE_ASSIGN,
+        targetType: AuditTargets.USER,
+        targetId: req.params.userId,
+        metadata: { roleId: req.body.roleId },
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: userRoles,
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to assign role`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Remove a role from a member
+   * @param {Object} req - Express request object containing the user ID and role ID
+   * @param {Object} res - Express response object
+   * @returns {Promise} - Resolves with the member's remaining roles
+   */
+  static async unassign(req, res) {
+    const logContext = "RoleController:Unassign";
+    if (rejectInvalid(req, res)) return;
+
+    try {
+      const userRoles = await removeRole(
+        req.params.userId,
+        req.params.roleId,
+        req.user
+      );
+
+      logger.info(`${logContext} - Role removed`, {
+        userId: req.params.userId,
+        roleId: req.params.roleId,
+        adminId: req.user.id,
+      });
+
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.ROLE_REMOVE,
+        targetType: AuditTargets.USER,
+        targetId: req.params.userId,
+        metadata: { roleId: req.params.roleId },
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: userRoles,
+      });
+    } catch (error) {
+      logger.error(`${logContext} - Failed to remove role`, {
+        error: error.message,
+        adminId: req.user.id,
+      });
+      res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = RoleController;
@@ -9,12 +9,21 @@ class SocketController {
     this.connectedUsers = new Map(); //maaps userId to the socketId
   }
 
-  // Handle authentication
-  async handleAuthenticate(socket, data) {
+  // Handle authentication; the handshake has already verified the token
+  async handleAuthenticate(socket) {
     try {
-      const { userId, token } = data;
-      // Here you would validate the token
-      // For now, we'll assume it's valid
+      const { user } = socket.data;
+      const userId = user.id;
+
+      // Chat is only available to members with a verified email
+      if (!user.is_verified) {
+        socket.emit("authenticated", {
+          success: false,
+          code: "EMAIL_NOT_VERIFIED",
+          error: "Please verify your email address to use chat",
+        });
+        return false;
+      }
 
       // Store user connection
       this.connectedUsers.set(userId, socket.id);
@@ -1,5 +1,11 @@
 const SuggestionModel = require("../../models/suggestions/suggestions-model");
 const { APIError } = require("../../utils/global-errorHandler");
+const {
+  AuditActions,
+  AuditTargets,
+  auditContext,
+  recordAuditEvent,
+} = require("../../models/audit/auditModel");
 
 class SuggestionController {
   /**
@@ -246,6 +252,20 @@ class SuggestionController {
 
       const deleted = await SuggestionModel.adminDeleteSuggestion(id, adminId);
 
+      await recordAuditEvent({
+        ...auditContext(req),
+        action: AuditActions.SUGGESTION_DELETE,
+        targetType: AuditTargets.SUGGESTION,
+        targetId: deleted.id,
+        // Anonymous suggestions stay anonymous in the audit log too
+        before: {
+          user_id: deleted.is_anonymous ? null : deleted.user_id,
+          category: deleted.category,
+          description: deleted.description,
+          status: deleted.status,
+        },
+      });
+
       res.status(200).json({
         success: true,
         message: "Suggestion permanently deleted",
@@ -1,226 +1,180 @@
-const jwt = require('jsonwebtoken');
-const { sql } = require('../config/database');
 const logger = require('../config/logger');
-const { UserRoles } = require('../models/userModel');
-
-// Main authentication middleware
-const authMiddleware = async (req, res, next) => {
-    const logContext = 'AuthMiddleware';
-    try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
-                status: 'error',
-                message: 'Authentication required'
-            });
+const { isValidStepUpToken } = require('../models/auth/stepUpModel');
+const { getUserPermissions, hasPermission } = require('../models/roles/roleModel');
+const {
+    AuthStrategies,
+    authenticate,
+    fromRequest
+} = require('../services/authentication');
+
+// Authenticate with the given strategies (see services/authentication).
+// A request is authenticated once; later checks reuse req.auth.
+const authenticateWith = (...strategyNames) => {
+    return async (req, res, next) => {
+        if (req.auth && strategyNames.includes(req.auth.strategy)) {
+            return next();
         }
 
-        // Extract token
-        const token = authHeader.split(' ')[1];
-
         try {
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Check if user exists and is active
-            const user = await sql`
-                SELECT 
-                    id, 
-                    email, 
-                    role, 
-                    status, 
-                    full_name, 
-                    last_login, 
-                    is_super_admin,
-                    password_changed_at,
-                    token_invalidated_at
-                FROM users
-                WHERE id = ${decoded.userId};
-            `;
-
-            if (!user[0]) {
-                logger.warn(`${logContext} - User not found`, { userId: decoded.userId });
-                return res.status(401).json({
-                    status: 'error',
-                    message: 'Invalid authentication'
-                });
-            }
-
-            // Check if user is active
-            if (user[0].status !== 'active') {
-                let message = 'Account is not active';
-                if (user[0].status === 'pending' && user[0].role === UserRoles.ADMIN) {
-                    message = 'Admin account pending verification. Please check your email.';
-                }
-                return res.status(401).json({
-                    status: 'error',
-                    message
-                });
-            }
+            const result = await authenticate(fromRequest(req), strategyNames);
 
-            // Check if token was issued before password change
-            if (user[0].password_changed_at) {
-                const passwordChangedTimestamp = Math.floor(
-                    new Date(user[0].password_changed_at).getTime() / 1000
-                );
-                if (decoded.iat < passwordChangedTimestamp) {
-                    return res.status(401).json({
-                        status: 'error',
-                        message: 'Security session expired. Please login again to continue with enjoying our services'
-                    });
-                }
+            req.auth = result;
+            if (result.user) {
+                req.user = result.user;
             }
-
-            // Check if token was invalidated by logout
-            if (user[0].token_invalidated_at) {
-                const invalidationTimestamp = Math.floor(
-                    new Date(user[0].token_invalidated_at).getTime() / 1000
-                );
-                if (decoded.iat < invalidationTimestamp) {
-                    return res.status(401).json({
-                        status: 'error',
-                        message: 'Session expired. Please login again'
-                    });
-                }
-            }
-
-            // Add user info to request
-            req.user = {
-                ...user[0],
-                userId: user[0].id // Add consistent userId property
-            };
-            
-            // Prohibit API access for admins in specific cases
-            if (user[0].role === UserRoles.ADMIN && user[0].requires_reauth) {
-                return res.status(401).json({
-                    status: 'error',
-                    message: 'Re-authentication required for this operation'
-                });
+            if (result.apiKey) {
+                req.apiKey = result.apiKey;
             }
 
             next();
         } catch (error) {
-            // Handle token expiration first
-            if (error.name === 'TokenExpiredError') {
-                return res.status(401).json({
-                    status: 'error',
-                    code: 'TOKEN_EXPIRED',
-                    message: 'Session expired. Please login again to continue with enjoying our services'
-                });
-            }
-
-            // Handle invalid token format
-            if (error.name === 'JsonWebTokenError') {
-                return res.status(401).json({
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
                     status: 'error',
-                    code: 'INVALID_TOKEN',
-                    message: 'Invalid authentication token'
+                    code: error.details?.code,
+                    message: error.message
                 });
             }
 
-            // Log unexpected errors
-            logger.error(`${logContext} - Token verification error`, {
+            logger.error('AuthMiddleware - Authentication error', {
                 error: error.message,
-                stack: error.stack
+                stack: error.stack,
+                endpoint: req.originalUrl
             });
-            
+
             return res.status(500).json({
                 status: 'error',
-                message: 'Authentication system error'
+                code: 'AUTH_SYSTEM_ERROR',
+                message: 'Authentication system malfunction'
             });
         }
-    } catch (error) {
-        logger.error(`${logContext} - Authentication error`, { 
-            error: error.message,
-            stack: error.stack,
-            endpoint: req.originalUrl
-        });
-        
-        return res.status(500).json({
-            status: 'error',
-            code: 'AUTH_SYSTEM_ERROR',
-            message: 'Authentication system malfunction'
-        });
-    }
+    };
 };
 
-// Role-based authorization middleware
-const roleMiddleware = (allowedRoles) => {
-    return (req, res, next) => {
-        if (!allowedRoles.includes(req.user.role)) {
-            return res.status(403).json({
+// Main authentication middleware: a Bearer access token, or the auth_token cookie set at login
+const authMiddleware = authenticateWith(AuthStrategies.BEARER, AuthStrategies.COOKIE);
+
+// Permission-based authorization middleware; every listed permission is required
+const requirePermission = (...requiredPermissions) => {
+    return async (req, res, next) => {
+        try {
+            // Loaded once per request, so stacked checks share one query
+            if (!req.user.permissions) {
+                req.user.permissions = await getUserPermissions(req.user);
+            }
+
+            const missing = requiredPermissions.filter(
+                (permission) => !hasPermission(req.user.permissions, permission)
+            );
+
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    status: 'error',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    message: 'Insufficient permissions for this operation'
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error('RequirePermission error', error);
+            res.status(500).json({
                 status: 'error',
-                message: 'Insufficient permissions for this operation'
+                message: 'Authorization system error'
             });
         }
-        next();
     };
 };
 
-// Sensitive operations middleware
-const sensitiveOperationsMiddleware = async (req, res, next) => {
-    try {
-        // Check if re-authentication is required
-        const user = await sql`
-            SELECT requires_reauth FROM users WHERE id = ${req.user.userId}
-        `;
-
-        if (user[0].requires_reauth) {
-            return res.status(401).json({
-                status: 'error',
-                message: 'Re-authentication required for this operation'
-            });
-        }
-        
-        next();
-    } catch (error) {
-        logger.error('SensitiveOperationsMiddleware error', error);
-        res.status(500).json({
+// Sensitive operations middleware: requires a recent step-up from POST /api/auth/reauthenticate
+const sensitiveOperationsMiddleware = (req, res, next) => {
+    if (!isValidStepUpToken(req.get('X-Reauth-Token'), req.user)) {
+        return res.status(401).json({
             status: 'error',
-            message: 'Authorization system error'
+            code: 'REAUTH_REQUIRED',
+            message: 'Re-authentication required for this operation'
         });
     }
+
+    next();
 };
 
-// Super admin middleware
-const requireSuperAdmin = (req, res, next) => {
-    if (!req.user.is_super_admin) {
+// Optional: Active status middleware
+const requireActive = (req, res, next) => {
+    if (req.user.status !== 'active') {
         return res.status(403).json({
             status: 'error',
-            message: 'Super admin access required'
+            message: 'Account is not active'
         });
     }
     next();
 };
 
-// Admin only middleware (includes super admin)
-const requireAdmin = (req, res, next) => {
-    if (req.user.role !== UserRoles.ADMIN) {
+// Email verification middleware for sensitive member features (giving, chat)
+const requireVerified = (req, res, next) => {
+    if (!req.user.is_verified) {
         return res.status(403).json({
             status: 'error',
-            message: 'Admin access required'
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address to use this feature'
         });
     }
     next();
 };
 
-// Optional: Active status middleware
-const requireActive = (req, res, next) => {
-    if (req.user.status !== 'active') {
-        return res.status(403).json({
-            status: 'error',
-            message: 'Account is not active'
-        });
+// Run middleware in order, stopping at the first one that responds or fails
+const runMiddleware = ([first, ...rest], req, res, next) => {
+    if (!first) {
+        return next();
     }
-    next();
+    return first(req, res, (error) => (
+        error ? next(error) : runMiddleware(rest, req, res, next)
+    ));
+};
+
+// Accept an X-API-Key carrying `scope` in place of a login. Requests without a
+// key are authenticated as users and then pass through userChecks.
+const allowApiKey = (scope, ...userChecks) => {
+    const authenticateCaller = authenticateWith(
+        AuthStrategies.API_KEY,
+        AuthStrategies.BEARER,
+        AuthStrategies.COOKIE
+    );
+
+    return (req, res, next) => {
+        authenticateCaller(req, res, (error) => {
+            if (error) {
+                return next(error);
+            }
+
+            if (!req.apiKey) {
+                return runMiddleware(userChecks, req, res, next);
+            }
+
+            if (!req.apiKey.scopes.includes(scope)) {
+                logger.warn('AllowApiKey - Key lacks scope', {
+                    apiKeyId: req.apiKey.id,
+                    scope,
+                    endpoint: req.originalUrl
+                });
+                return res.status(403).json({
+                    status: 'error',
+                    code: 'INSUFFICIENT_SCOPE',
+                    message: `This API key does not have the ${scope} scope`
+                });
+            }
+
+            next();
+        });
+    };
 };
 
 module.exports = {
     authMiddleware,
-    requireAdmin,
-    requireSuperAdmin,
+    authenticateWith,
+    allowApiKey,
     requireActive,
-    roleMiddleware,
+    requireVerified,
+    requirePermission,
     sensitiveOperationsMiddleware
 };
\ No newline at end of file
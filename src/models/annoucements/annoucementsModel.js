@@ -126,7 +126,7 @@ const deleteAnnouncement = async (announcementId, adminId) => {
     const result = await sql`
       DELETE FROM announcements 
       WHERE id = ${announcementId} AND admin_id = ${adminId}
-      RETURNING id, status;
+      RETURNING id, title, status;
     `;
 
     if (!result[0]) {
@@ -0,0 +1,311 @@
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+
+const AuditActions = {
+  USER_UPDATE: "user.update",
+  USER_DELETE: "user.delete",
+  USER_RESTORE: "user.restore",
+  USER_ANONYMIZE: "user.anonymize",
+  USER_UNLOCK: "user.unlock",
+  USER_SUSPEND: "user.suspend",
+  USER_BAN: "user.ban",
+  USER_REACTIVATE: "user.reactivate",
+  USER_IMPORT: "user.import",
+  USER_EXPORT: "user.export",
+  USER_EMAIL_CHANGE: "user.email_change",
+  ADMIN_INVITE: "admin.invite",
+  ADMIN_INVITE_RESEND: "admin.invite_resend",
+  ADMIN_INVITE_REVOKE: "admin.invite_revoke",
+  ADMIN_INVITE_ACCEPT: "admin.invite_accept",
+  API_KEY_CREATE: "api_key.create",
+  API_KEY_REVOKE: "api_key.revoke",
+  ROLE_CREATE: "role.create",
+  ROLE_UPDATE: "role.update",
+  ROLE_DELETE: "role.delete",
+  ROLE_ASSIGN: "role.assign",
+  ROLE_REMOVE: "role.remove",
+  ANNOUNCEMENT_DELETE: "announcement.delete",
+  ANNOUNCEMENT_PIN: "announcement.pin",
+  ANNOUNCEMENT_UNPIN: "announcement.unpin",
+  MEDIA_DELETE: "media.delete",
+  SUGGESTION_DELETE: "suggestion.delete",
+};
+
+const AuditTargets = {
+  USER: "user",
+  ADMIN_INVITATION: "admin_invitation",
+  API_KEY: "api_key",
+  ROLE: "role",
+  ANNOUNCEMENT: "announcement",
+  MEDIA: "media",
+  SUGGESTION: "suggestion",
+};
+
+// Never copy credentials into the trail, even hashed
+const REDACTED_FIELDS = [
+  "password",
+  "password_hash",
+  "two_factor_secret",
+  "recovery_codes",
+  "token",
+  "token_hash",
+];
+
+// Member details: audit_events is append-only, so anything stored here would
+// outlive the account's anonymisation. Only the fact that they changed is kept.
+const PERSONAL_FIELDS = [
+  "full_name",
+  "fullName",
+  "email",
+  "phone_number",
+  "phoneNumber",
+  "ministry",
+  "profile_photo",
+  "profile_photo_urls",
+  "date_of_birth",
+  "google_id",
+];
+
+const isRedacted = (field) =>
+  REDACTED_FIELDS.includes(field) || PERSONAL_FIELDS.includes(field);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-by-field diff of a record before and after an action
+ * @param {Object|null} before - State before, null for creations
+ * @param {Object|null} after - State after, null for deletions
+ * @returns {Object|null} { field: { before, after } } for changed fields only
+ */
+const diffChanges = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = {};
+
+  for (const field of fields) {
+    // Only compare fields both sides know about unless a side is missing entirely
+    if (before && after && (!(field in before) || !(field in after))) {
+      continue;
+    }
+
+    const previous = before ? before[field] : null;
+    const next = after ? after[field] : null;
+
+    if (sameValue(previous, next)) {
+      continue;
+    }
+
+    changes[field] = isRedacted(field)
+      ? { before: "[REDACTED]", after: "[REDACTED]" }
+      : { before: previous ?? null, after: next ?? null };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Actor, IP and user agent of the request performing the action
+const auditContext = (req) => ({
+  actor: req.user,
+  ipAddress: req.ip,
+  userAgent: req.get ? req.get("user-agent") : undefined,
+});
+
+/**
+ * Append an event to the audit log.
+ * Failures are logged rather than thrown so the action itself is not rolled back.
+ * @param {Object} event
+ * @param {Object} event.actor - User performing the action (id, email)
+ * @param {string} event.action - One of AuditActions
+ * @param {string} event.targetType - One of AuditTargets
+ * @param {string|number} [event.targetId]
+ * @param {Object} [event.before] - Target state before the action
+ * @param {Object} [event.after] - Target state after the action
+ * @param {Object} [event.metadata] - Extra context, e.g. a reason
+ * @param {string} [event.ipAddress]
+ * @param {string} [event.userAgent]
+ * @returns {Promise<Object|null>} Stored event, or null if it could not be written
+ */
+const recordAuditEvent = async ({
+  actor,
+  action,
+  targetType,
+  targetId,
+  before = null,
+  after = null,
+  metadata = null,
+  ipAddress,
+  userAgent,
+}) => {
+  const changes = diffChanges(before, after);
+
+  try {
+    const event = await sql`
+      INSERT INTO audit_events (
+        actor_id,
+        actor_email,
+        action,
+        target_type,
+        target_id,
+        changes,
+        metadata,
+        ip_address,
+        user_agent,
+        created_at
+      )
+      VALUES (
+        ${actor?.id || null},
+        ${actor?.email || null},
+        ${action},
+        ${targetType},
+        ${targetId !== undefined && targetId !== null ? String(targetId) : null},
+        ${changes ? JSON.stringify(changes) : null},
+        ${metadata ? JSON.stringify(metadata) : null},
+        ${ipAddress || null},
+        ${userAgent || null},
+        NOW()
+      )
+      RETURNING *;
+    `;
+
+    return event[0];
+  } catch (error) {
+    logger.error("AuditModel:Record - Failed to write audit event", {
+      error: error.message,
+      action,
+      targetType,
+      targetId,
+      actorId: actor?.id,
+    });
+    return null;
+  }
+};
+
+/**
+ * Filtered audit events, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.actorId]
+ * @param {string} [filters.action]
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId]
+ * @param {Date|string} [filters.from] - Inclusive lower bound on created_at
+ * @param {Date|string} [filters.to] - Exclusive upper bound on created_at
+ * @param {number} [filters.beforeId] - Only events older than this id (keyset paging)
+ * @param {number} limit
+ * @param {number} offset
+ * @returns {Promise<Array>}
+ */
+const findAuditEvents = async (filters, limit, offset = 0) => {
+  const {
+    actorId = null,
+    action = null,
+    targetType = null,
+    targetId = null,
+    from = null,
+    to = null,
+    beforeId = null,
+  } = filters;
+
+  return sql`
+    SELECT
+      id,
+      actor_id,
+      actor_email,
+      action,
+      target_type,
+      target_id,
+      changes,
+      metadata,
+      ip_address,
+      user_agent,
+      created_at
+    FROM audit_events
+    WHERE (${actorId}::uuid IS NULL OR actor_id = ${actorId}::uuid)
+    AND (${action}::text IS NULL OR action = ${action})
+    AND (${targetType}::text IS NULL OR target_type = ${targetType})
+    AND (${targetId}::text IS NULL OR target_id = ${targetId})
+    AND (${from}::timestamptz IS NULL OR created_at >= ${from}::timestamptz)
+    AND (${to}::timestamptz IS NULL OR created_at < ${to}::timestamptz)
+    AND (${beforeId}::bigint IS NULL OR id < ${beforeId}::bigint)
+    ORDER BY id DESC
+    LIMIT ${limit} OFFSET ${offset};
+  `;
+};
+
+/**
+ * Paginated audit events for the admin log view
+ * @param {Object} filters - See findAuditEvents
+ * @param {number} [page=1]
+ * @param {number} [limit=50]
+ * @returns {Promise<Object>} { events, pagination }
+ */
+const queryAuditEvents = async (filters = {}, page = 1, limit = 50) => {
+  const {
+    actorId = null,
+    action = null,
+    targetType = null,
+    targetId = null,
+    from = null,
+    to = null,
+  } = filters;
+
+  const events = await findAuditEvents(filters, limit, (page - 1) * limit);
+
+  const [countResult] = await sql`
+    SELECT COUNT(*) AS total
+    FROM audit_events
+    WHERE (${actorId}::uuid IS NULL OR actor_id = ${actorId}::uuid)
+    AND (${action}::text IS NULL OR action = ${action})
+    AND (${targetType}::text IS NULL OR target_type = ${targetType})
+    AND (${targetId}::text IS NULL OR target_id = ${targetId})
+    AND (${from}::timestamptz IS NULL OR created_at >= ${from}::timestamptz)
+    AND (${to}::timestamptz IS NULL OR created_at < ${to}::timestamptz);
+  `;
+
+  const totalEvents = parseInt(countResult.total, 10);
+
+  return {
+    events,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalEvents / limit),
+      totalEvents,
+      limit,
+    },
+  };
+};
+
+/**
+ * Walk every matching event in batches, newest first, for exports
+ * @param {Object} filters - See findAuditEvents
+ * @param {number} [batchSize=500]
+ * @returns {AsyncGenerator<Array>} Batches of events
+ */
+async function* iterateAuditEvents(filters = {}, batchSize = 500) {
+  let beforeId = null;
+
+  while (true) {
+    const batch = await findAuditEvents({ ...filters, beforeId }, batchSize);
+    if (batch.length === 0) {
+      return;
+    }
+
+    yield batch;
+
+    if (batch.length < batchSize) {
+      return;
+    }
+    beforeId = batch[batch.length - 1].id;
+  }
+}
+
+module.exports = {
+  AuditActions,
+  AuditTargets,
+  diffChanges,
+  auditContext,
+  recordAuditEvent,
+  queryAuditEvents,
+  iterateAuditEvents,
+};
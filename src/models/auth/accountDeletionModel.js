@@ -0,0 +1,351 @@
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const { hashToken, generateSecureToken } = require("../../utils/secureTokens");
+const { AccountStatus } = require("./accountStatusModel");
+const { revokeAllSessions } = require("./sessionModel");
+const { invalidateAuthUser } = require("../../services/authUserCache");
+const { removeProfilePhoto } = require("../members/profilePhotoModel");
+const { removeUserFromHouseholds } = require("../members/householdModel");
+const { removeUserDataExports } = require("../members/dataExportModel");
+const {
+  AuditActions,
+  AuditTargets,
+  recordAuditEvent,
+} = require("../audit/auditModel");
+
+const DELETION_GRACE_PERIOD_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const ANONYMIZED_NAME = "Deleted member";
+
+// Personal data with no accounting value, removed when an account is anonymised.
+// Payments, messages and suggestions stay, attached to the anonymised account.
+const PERSONAL_DATA_CLEANUP = [
+  (userId) => sql`DELETE FROM contacts WHERE user_id = ${userId} OR contact_user_id = ${userId};`,
+  (userId) => sql`DELETE FROM notifications WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM refresh_tokens WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM user_sessions WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM password_resets WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM email_verifications WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM email_changes WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM security_events WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM phone_login_codes WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM two_factor_recovery_codes WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM user_two_factor WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM user_roles WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM member_invitations WHERE user_id = ${userId};`,
+  (userId) => sql`DELETE FROM admin_invitations WHERE accepted_user_id = ${userId};`,
+  (userId) => sql`DELETE FROM directory_settings WHERE user_id = ${userId};`,
+  removeUserFromHouseholds,
+  removeUserDataExports,
+];
+
+const getRestoreLink = (token) => {
+  const baseUrl = process.env.MEMBER_APP_URL || process.env.BASE_URL;
+  return `${baseUrl}/restore-account?token=${encodeURIComponent(token)}`;
+};
+
+const recordStatusChange = (userId, previousStatus, newStatus, reason, changedBy, expiresAt = null) => {
+  return sql`
+    INSERT INTO user_status_history (
+      user_id, previous_status, new_status, reason, expires_at, changed_by, created_at
+    )
+    VALUES (
+      ${userId}, ${previousStatus}, ${newStatus}, ${reason}, ${expiresAt}, ${changedBy}, NOW()
+    );
+  `;
+};
+
+/**
+ * Deactivate an account and schedule it for anonymisation after the grace period
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the member is leaving, if they said
+ * @param {string} [options.requestedBy] - Defaults to the member themselves
+ * @returns {Promise<Object>} { user, scheduledFor }
+ * @throws {APIError} - Throws if the user is missing, not active or the last super admin
+ */
+const scheduleAccountDeletion = async (userId, { reason = null, requestedBy = userId } = {}) => {
+  const target = await sql`
+    SELECT id, full_name, email, role, status, is_super_admin FROM users WHERE id = ${userId};
+  `;
+
+  if (!target[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  if (target[0].status !== AccountStatus.ACTIVE) {
+    throw new APIError("Only active accounts can be deleted", 409);
+  }
+
+  if (target[0].is_super_admin || target[0].role === "super_admin") {
+    const [{ count }] = await sql`
+      SELECT COUNT(*) AS count FROM users
+      WHERE (is_super_admin = true OR role = 'super_admin')
+      AND status = ${AccountStatus.ACTIVE};
+    `;
+    if (parseInt(count, 10) <= 1) {
+      throw new APIError("The last super admin account cannot be deleted", 409);
+    }
+  }
+
+  const scheduledFor = new Date(
+    Date.now() + DELETION_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  // token_invalidated_at makes authMiddleware reject every access token issued so far
+  const user = await sql`
+    UPDATE users
+    SET
+      status = ${AccountStatus.PENDING_DELETION},
+      token_invalidated_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ${userId} AND status = ${AccountStatus.ACTIVE}
+    RETURNING id, full_name, email, role, status;
+  `;
+
+  if (!user[0]) {
+    throw new APIError("Account status changed concurrently. Please retry", 409);
+  }
+  await invalidateAuthUser(userId);
+
+  const restoreToken = generateSecureToken();
+
+  await sql`
+    INSERT INTO account_deletions (
+      user_id, requested_by, reason, restore_token_hash, requested_at, scheduled_for
+    )
+    VALUES (
+      ${userId}, ${requestedBy}, ${reason}, ${hashToken(restoreToken)}, NOW(), ${scheduledFor}
+    );
+  `;
+
+  await recordStatusChange(
+    userId,
+    AccountStatus.ACTIVE,
+    AccountStatus.PENDING_DELETION,
+    reason,
+    requestedBy,
+    scheduledFor
+  );
+
+  await revokeAllSessions(userId, "account_deleted");
+
+  // A download link already emailed must not outlive the account
+  await removeUserDataExports(userId);
+
+  try {
+    await emailService.sendAccountDeletionScheduledEmail(
+      user[0].email,
+      user[0].full_name,
+      getRestoreLink(restoreToken),
+      scheduledFor
+    );
+  } catch (error) {
+    logger.error("AccountDeletionModel - Deletion email failed", {
+      error: error.message,
+      userId,
+    });
+  }
+
+  logger.info("AccountDeletionModel - Account scheduled for deletion", {
+    userId,
+    scheduledFor,
+  });
+
+  return { user: user[0], scheduledFor };
+};
+
+// Reopen an account still inside its grace period
+const restoreDeletion = async (deletion, restoredBy) => {
+  if (new Date(deletion.scheduled_for) <= new Date()) {
+    throw new APIError("The grace period has ended and this account can no longer be restored", 410);
+  }
+
+  const user = await sql`
+    UPDATE users
+    SET status = ${AccountStatus.ACTIVE}, updated_at = NOW()
+    WHERE id = ${deletion.user_id} AND status = ${AccountStatus.PENDING_DELETION}
+    RETURNING id, full_name, email, role, status;
+  `;
+
+  if (!user[0]) {
+    throw new APIError("This account is not pending deletion", 409);
+  }
+  await invalidateAuthUser(deletion.user_id);
+
+  await sql`
+    UPDATE account_deletions
+    SET restored_at = NOW(), restored_by = ${restoredBy}, restore_token_hash = NULL
+    WHERE id = ${deletion.id};
+  `;
+
+  await recordStatusChange(
+    deletion.user_id,
+    AccountStatus.PENDING_DELETION,
+    AccountStatus.ACTIVE,
+    "Deletion cancelled",
+    restoredBy
+  );
+
+  logger.info("AccountDeletionModel - Account restored", {
+    userId: deletion.user_id,
+    restoredBy,
+  });
+
+  return user[0];
+};
+
+/**
+ * Restore an account from the link in the deletion email
+ * @param {string} token
+ * @returns {Promise<Object>} Restored user
+ * @throws {APIError} - Throws if the link is unknown or used, or the grace period has ended
+ */
+const restoreAccountWithToken = async (token) => {
+  const deletion = await sql`
+    SELECT id, user_id, scheduled_for FROM account_deletions
+    WHERE restore_token_hash = ${hashToken(token)}
+    AND restored_at IS NULL
+    AND anonymized_at IS NULL;
+  `;
+
+  if (!deletion[0]) {
+    throw new APIError("Invalid or already used restore link", 400);
+  }
+
+  return restoreDeletion(deletion[0], deletion[0].user_id);
+};
+
+/**
+ * Admin: cancel a member's pending deletion
+ * @param {string} userId
+ * @param {Object} actor - Admin restoring the account
+ * @returns {Promise<Object>} Restored user
+ * @throws {APIError} - Throws if no deletion is pending or the grace period has ended
+ */
+const restoreAccountByAdmin = async (userId, actor) => {
+  const deletion = await sql`
+    SELECT id, user_id, scheduled_for FROM account_deletions
+    WHERE user_id = ${userId}
+    AND restored_at IS NULL
+    AND anonymized_at IS NULL
+    ORDER BY requested_at DESC
+    LIMIT 1;
+  `;
+
+  if (!deletion[0]) {
+    throw new APIError("This account is not pending deletion", 404);
+  }
+
+  return restoreDeletion(deletion[0], actor.id);
+};
+
+/**
+ * Strip personal data from an account whose grace period has ended.
+ * Idempotent, so an interrupted run is finished by the next one.
+ * @param {Object} deletion - account_deletions row (id, user_id)
+ * @returns {Promise<boolean>} False when the account was restored in the meantime
+ */
+const anonymizeAccount = async (deletion) => {
+  const userId = deletion.user_id;
+
+  // The email stays unique and clearly unusable; the original can register again
+  const anonymized = await sql`
+    UPDATE users
+    SET
+      full_name = ${ANONYMIZED_NAME},
+      email = ${`deleted-${userId}@deleted.invalid`},
+      password = NULL,
+      phone_number = NULL,
+      ministry = NULL,
+      profile_photo = NULL,
+      google_id = NULL,
+      verification_code = NULL,
+      verification_code_expires_at = NULL,
+      role = 'member',
+      is_super_admin = false,
+      is_verified = false,
+      status = ${AccountStatus.DELETED},
+      status_reason = NULL,
+      status_expires_at = NULL,
+      token_invalidated_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ${userId}
+    AND status IN (${AccountStatus.PENDING_DELETION}, ${AccountStatus.DELETED})
+    RETURNING id;
+  `;
+
+  // Restored since the job picked it up: leave the live account alone
+  if (!anonymized[0]) {
+    logger.info("AccountDeletionModel - Skipped anonymizing a restored account", {
+      userId,
+    });
+    return false;
+  }
+  await invalidateAuthUser(userId);
+
+  // Still readable: the UPDATE above leaves profile_photo_key for this to clean up
+  await removeProfilePhoto(userId);
+
+  for (const cleanup of PERSONAL_DATA_CLEANUP) {
+    await cleanup(userId);
+  }
+
+  await sql`
+    UPDATE account_deletions
+    SET anonymized_at = NOW(), restore_token_hash = NULL, reason = NULL
+    WHERE id = ${deletion.id};
+  `;
+
+  await recordAuditEvent({
+    actor: null,
+    action: AuditActions.USER_ANONYMIZE,
+    targetType: AuditTargets.USER,
+    targetId: userId,
+    metadata: { automatic: true, deletionRequestedAt: deletion.requested_at },
+  });
+
+  logger.info("AccountDeletionModel - Account anonymized", { userId });
+  return true;
+};
+
+/**
+ * Anonymise every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts anonymised
+ */
+const anonymizeDueAccounts = async () => {
+  const due = await sql`
+    SELECT id, user_id, requested_at FROM account_deletions
+    WHERE restored_at IS NULL
+    AND anonymized_at IS NULL
+    AND scheduled_for <= NOW()
+    ORDER BY scheduled_for;
+  `;
+
+  let anonymized = 0;
+  for (const deletion of due) {
+    try {
+      if (await anonymizeAccount(deletion)) {
+        anonymized++;
+      }
+    } catch (error) {
+      logger.error("AccountDeletionModel - Anonymization failed", {
+        error: error.message,
+        userId: deletion.user_id,
+      });
+    }
+  }
+
+  return anonymized;
+};
+
+module.exports = {
+  DELETION_GRACE_PERIOD_DAYS,
+  scheduleAccountDeletion,
+  restoreAccountWithToken,
+  restoreAccountByAdmin,
+  anonymizeDueAccounts,
+};
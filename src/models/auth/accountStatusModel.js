@@ -0,0 +1,269 @@
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const { ALL_PERMISSIONS } = require("../../config/permissions");
+const { revokeAllSessions } = require("./sessionModel");
+const { invalidateAuthUser } = require("../../services/authUserCache");
+const { getUserPermissions, hasPermission } = require("../roles/roleModel");
+const {
+  AuditActions,
+  AuditTargets,
+  recordAuditEvent,
+} = require("../audit/auditModel");
+
+const AccountStatus = {
+  INVITED: "invited",
+  PENDING: "pending",
+  ACTIVE: "active",
+  SUSPENDED: "suspended",
+  BANNED: "banned",
+  PENDING_DELETION: "pending_deletion",
+  DELETED: "deleted",
+};
+
+// Which statuses each action may be applied from
+const ALLOWED_TRANSITIONS = {
+  [AccountStatus.SUSPENDED]: [AccountStatus.ACTIVE, AccountStatus.SUSPENDED],
+  [AccountStatus.BANNED]: [AccountStatus.ACTIVE, AccountStatus.SUSPENDED],
+  [AccountStatus.ACTIVE]: [AccountStatus.SUSPENDED, AccountStatus.BANNED],
+};
+
+const getTarget = async (userId) => {
+  const user = await sql`
+    SELECT id, full_name, email, role, is_super_admin, status, status_reason, status_expires_at
+    FROM users
+    WHERE id = ${userId};
+  `;
+
+  if (!user[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  return user[0];
+};
+
+const assertCanChangeStatus = async (target, actor) => {
+  if (!actor) {
+    return;
+  }
+
+  if (target.id === actor.id) {
+    throw new APIError("You cannot change the status of your own account", 400);
+  }
+
+  const actorPermissions = actor.permissions || [];
+  const targetIsSuperAdmin =
+    target.is_super_admin || target.role === "super_admin";
+  if (targetIsSuperAdmin && !actorPermissions.includes(ALL_PERMISSIONS)) {
+    throw new APIError("Only a super admin can change a super admin's status", 403);
+  }
+
+  // Staff may only act on staff they outrank: holding every permission the
+  // target has, plus at least one more. Peers cannot suspend each other.
+  const targetPermissions = await getUserPermissions(target);
+  if (targetPermissions.length === 0) {
+    return;
+  }
+
+  const holdsAll = targetPermissions.every((permission) =>
+    permission === ALL_PERMISSIONS
+      ? actorPermissions.includes(ALL_PERMISSIONS)
+      : hasPermission(actorPermissions, permission)
+  );
+  const holdsMore = actorPermissions.some(
+    (permission) => !hasPermission(targetPermissions, permission)
+  );
+
+  if (!holdsAll || !holdsMore) {
+    throw new APIError(
+      "You can only change the status of staff with fewer permissions than you",
+      403
+    );
+  }
+};
+
+const notifyMember = async (user, details) => {
+  try {
+    await emailService.sendAccountStatusEmail(user.email, details);
+  } catch (error) {
+    logger.error("AccountStatusModel - Status email failed", {
+      error: error.message,
+      userId: user.id,
+      status: details.status,
+    });
+  }
+};
+
+/**
+ * Move an account to a new status, record it and tell the member
+ * @param {string} userId - Account being changed
+ * @param {string} newStatus - active, suspended or banned
+ * @param {Object} details
+ * @param {string} [details.reason]
+ * @param {Date|string} [details.expiresAt] - Suspensions only; lifted automatically afterwards
+ * @param {Object|null} actor - Admin making the change (id, permissions); null for automatic changes
+ * @returns {Promise<Object>} { before, user, history }
+ * @throws {APIError} - Throws if the user is missing, the change is not allowed or the expiry is invalid
+ */
+const changeAccountStatus = async (
+  userId,
+  newStatus,
+  { reason = null, expiresAt = null } = {},
+  actor = null
+) => {
+  const before = await getTarget(userId);
+  await assertCanChangeStatus(before, actor);
+
+  if (!ALLOWED_TRANSITIONS[newStatus].includes(before.status)) {
+    throw new APIError(
+      `Cannot change an account from ${before.status} to ${newStatus}`,
+      409
+    );
+  }
+
+  if (expiresAt && newStatus !== AccountStatus.SUSPENDED) {
+    throw new APIError("Only suspensions can have an expiry", 400);
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new APIError("Suspension expiry must be in the future", 400);
+  }
+
+  const isActive = newStatus === AccountStatus.ACTIVE;
+
+  // token_invalidated_at makes authMiddleware reject every access token issued so far
+  const user = await sql`
+    UPDATE users
+    SET
+      status = ${newStatus},
+      status_reason = ${isActive ? null : reason},
+      status_expires_at = ${expiresAt || null},
+      token_invalidated_at = CASE WHEN ${isActive} THEN token_invalidated_at ELSE NOW() END,
+      updated_at = NOW()
+    WHERE id = ${userId} AND status = ${before.status}
+    RETURNING id, full_name, email, role, status, status_reason, status_expires_at, updated_at;
+  `;
+
+  // Someone else changed the status in the meantime
+  if (!user[0]) {
+    throw new APIError("Account status changed concurrently. Please retry", 409);
+  }
+  await invalidateAuthUser(userId);
+
+  const history = await sql`
+    INSERT INTO user_status_history (
+      user_id, previous_status, new_status, reason, expires_at, changed_by, created_at
+    )
+    VALUES (
+      ${userId}, ${before.status}, ${newStatus}, ${reason}, ${expiresAt || null}, ${actor?.id || null}, NOW()
+    )
+    RETURNING *;
+  `;
+
+  if (!isActive) {
+    await revokeAllSessions(userId, newStatus);
+  }
+
+  await notifyMember(user[0], { status: newStatus, reason, expiresAt });
+
+  logger.info("AccountStatusModel - Account status changed", {
+    userId,
+    previousStatus: before.status,
+    newStatus,
+    expiresAt,
+    changedBy: actor?.id || "system",
+  });
+
+  return { before, user: user[0], history: history[0] };
+};
+
+const suspendUser = (userId, { reason, expiresAt }, actor) => {
+  return changeAccountStatus(
+    userId,
+    AccountStatus.SUSPENDED,
+    { reason, expiresAt },
+    actor
+  );
+};
+
+const banUser = (userId, { reason }, actor) => {
+  return changeAccountStatus(userId, AccountStatus.BANNED, { reason }, actor);
+};
+
+const reactivateUser = (userId, { reason }, actor) => {
+  return changeAccountStatus(userId, AccountStatus.ACTIVE, { reason }, actor);
+};
+
+const getStatusHistory = async (userId) => {
+  await getTarget(userId);
+
+  return sql`
+    SELECT
+      h.id,
+      h.previous_status,
+      h.new_status,
+      h.reason,
+      h.expires_at,
+      h.changed_by,
+      u.full_name AS changed_by_name,
+      h.created_at
+    FROM user_status_history h
+    LEFT JOIN users u ON u.id = h.changed_by
+    WHERE h.user_id = ${userId}
+    ORDER BY h.created_at DESC, h.id DESC;
+  `;
+};
+
+/**
+ * Lift suspensions whose expiry has passed
+ * @param {Object} [filter]
+ * @param {string} [filter.email] - Only this account, e.g. on login
+ * @returns {Promise<Array>} Reactivated users
+ */
+const reactivateExpiredSuspensions = async ({ email } = {}) => {
+  const expired = await sql`
+    SELECT id FROM users
+    WHERE status = ${AccountStatus.SUSPENDED}
+    AND status_expires_at <= NOW()
+    AND (${email || null}::text IS NULL OR email = ${email || null});
+  `;
+
+  const reactivated = [];
+  for (const { id } of expired) {
+    try {
+      const { before, user } = await changeAccountStatus(
+        id,
+        AccountStatus.ACTIVE,
+        { reason: "Suspension expired" }
+      );
+
+      await recordAuditEvent({
+        actor: null,
+        action: AuditActions.USER_REACTIVATE,
+        targetType: AuditTargets.USER,
+        targetId: id,
+        before: { status: before.status },
+        after: { status: user.status },
+        metadata: { automatic: true, reason: "Suspension expired" },
+      });
+      reactivated.push(user);
+    } catch (error) {
+      logger.error("AccountStatusModel - Automatic reactivation failed", {
+        error: error.message,
+        userId: id,
+      });
+    }
+  }
+
+  return reactivated;
+};
+
+module.exports = {
+  AccountStatus,
+  suspendUser,
+  banUser,
+  reactivateUser,
+  getStatusHistory,
+  reactivateExpiredSuspensions,
+};
@@ -0,0 +1,368 @@
+const bcrypt = require("bcrypt");
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const { hashToken, generateSecureToken } = require("../../utils/secureTokens");
+const { assertCanGrantSystemRole } = require("../roles/roleModel");
+const { AccountStatus } = require("./accountStatusModel");
+
+const ADMIN_INVITATION_EXPIRY_HOURS = 72;
+
+// Built-in roles an invitation can grant
+const INVITABLE_ROLES = ["admin", "super_admin"];
+
+const ROLE_LABELS = {
+  admin: "an administrator",
+  super_admin: "a super administrator",
+};
+
+const AdminInvitationStatus = {
+  PENDING: "pending",
+  EXPIRED: "expired",
+  ACCEPTED: "accepted",
+  REVOKED: "revoked",
+};
+
+const INVITATION_COLUMNS = `
+  i.id,
+  i.email,
+  i.role,
+  CASE
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END AS status,
+  i.invited_by,
+  inviter.full_name AS invited_by_name,
+  i.expires_at,
+  i.sent_count,
+  i.last_sent_at,
+  i.accepted_at,
+  i.accepted_user_id,
+  i.revoked_at,
+  i.revoked_by,
+  i.created_at
+`;
+
+const getInvitationLink = (token) => {
+  const baseUrl = process.env.ADMIN_DASHBOARD_URL || process.env.BASE_URL;
+  return `${baseUrl}/accept-invitation?token=${encodeURIComponent(token)}`;
+};
+
+const getInvitationById = async (invitationId) => {
+  const invitation = await sql(
+    `SELECT ${INVITATION_COLUMNS}
+    FROM admin_invitations i
+    LEFT JOIN users inviter ON inviter.id = i.invited_by
+    WHERE i.id = $1;`,
+    [invitationId]
+  );
+
+  if (!invitation[0]) {
+    throw new APIError("Invitation not found", 404);
+  }
+
+  return invitation[0];
+};
+
+const assertOpen = (invitation) => {
+  if (invitation.status === AdminInvitationStatus.ACCEPTED) {
+    throw new APIError("This invitation has already been accepted", 409);
+  }
+  if (invitation.status === AdminInvitationStatus.REVOKED) {
+    throw new APIError("This invitation has been revoked", 409);
+  }
+};
+
+const sendInvitationEmail = async (invitation, token, actor) => {
+  try {
+    await emailService.sendAdminInvitationEmail(invitation.email, {
+      roleLabel: ROLE_LABELS[invitation.role],
+      invitedByName: actor.full_name,
+      invitationLink: getInvitationLink(token),
+      expiresAt: invitation.expires_at,
+    });
+    return true;
+  } catch (error) {
+    // The invitation stays; it can be resent once email works again
+    logger.error("AdminInvitationModel - Invitation email failed", {
+      error: error.message,
+      invitationId: invitation.id,
+    });
+    return false;
+  }
+};
+
+const newExpiry = () =>
+  new Date(Date.now() + ADMIN_INVITATION_EXPIRY_HOURS * 60 * 60 * 1000);
+
+/**
+ * Invite someone to become an admin and email them a single-use link
+ * @param {Object} details
+ * @param {string} details.email
+ * @param {string} details.role - admin or super_admin
+ * @param {Object} actor - Inviting user (id, full_name, permissions)
+ * @returns {Promise<Object>} { invitation, emailSent }
+ * @throws {APIError} - Throws if the role cannot be granted, or the address already has an account or open invitation
+ */
+const createAdminInvitation = async ({ email, role }, actor) => {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new APIError(`Role must be one of: ${INVITABLE_ROLES.join(", ")}`, 400);
+  }
+
+  await assertCanGrantSystemRole(role, actor.permissions || []);
+
+  const normalisedEmail = email.trim().toLowerCase();
+
+  const existing = await sql`
+    SELECT id FROM users WHERE LOWER(email) = ${normalisedEmail};
+  `;
+  if (existing[0]) {
+    throw new APIError(
+      "An account with this email already exists. Assign it a role instead",
+      409
+    );
+  }
+
+  // Open but expired invitations are closed so the address can be invited afresh
+  await sql`
+    UPDATE admin_invitations
+    SET revoked_at = NOW(), revoked_by = ${actor.id}
+    WHERE LOWER(email) = ${normalisedEmail}
+    AND accepted_at IS NULL
+    AND revoked_at IS NULL
+    AND expires_at <= NOW();
+  `;
+
+  const token = generateSecureToken();
+
+  let created;
+  try {
+    created = await sql`
+      INSERT INTO admin_invitations (email, role, token_hash, invited_by, expires_at)
+      VALUES (${normalisedEmail}, ${role}, ${hashToken(token)}, ${actor.id}, ${newExpiry()})
+      RETURNING id;
+    `;
+  } catch (error) {
+    if (error.code === "23505") {
+      throw new APIError(
+        "This email already has a pending invitation. Resend it instead",
+        409
+      );
+    }
+    throw error;
+  }
+
+  const invitation = await getInvitationById(created[0].id);
+  const emailSent = await sendInvitationEmail(invitation, token, actor);
+
+  logger.info("AdminInvitationModel - Admin invited", {
+    invitationId: invitation.id,
+    role,
+    invitedBy: actor.id,
+  });
+
+  return { invitation, emailSent };
+};
+
+/**
+ * List admin invitations, pending ones by default
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, expired, accepted, revoked or "all"
+ * @returns {Promise<Array>}
+ */
+const listAdminInvitations = async ({ status = AdminInvitationStatus.PENDING } = {}) => {
+  const params = [];
+  let where = "";
+  if (status !== "all") {
+    params.push(status);
+    where = "WHERE invitations.status = $1";
+  }
+
+  return sql(
+    `SELECT * FROM (
+      SELECT ${INVITATION_COLUMNS}
+      FROM admin_invitations i
+      LEFT JOIN users inviter ON inviter.id = i.invited_by
+    ) invitations
+    ${where}
+    ORDER BY invitations.created_at DESC;`,
+    params
+  );
+};
+
+/**
+ * Send a fresh link for an open invitation; earlier links stop working
+ * @param {string} invitationId
+ * @param {Object} actor - User resending (id, full_name, permissions)
+ * @returns {Promise<Object>} { invitation, emailSent }
+ * @throws {APIError} - Throws if the invitation is missing, accepted or revoked
+ */
+const resendAdminInvitation = async (invitationId, actor) => {
+  const current = await getInvitationById(invitationId);
+  assertOpen(current);
+  await assertCanGrantSystemRole(current.role, actor.permissions || []);
+
+  const token = generateSecureToken();
+
+  const updated = await sql`
+    UPDATE admin_invitations
+    SET
+      token_hash = ${hashToken(token)},
+      expires_at = ${newExpiry()},
+      sent_count = sent_count + 1,
+      last_sent_at = NOW()
+    WHERE id = ${invitationId}
+    AND accepted_at IS NULL
+    AND revoked_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!updated[0]) {
+    throw new APIError("Invitation changed concurrently. Please retry", 409);
+  }
+
+  const invitation = await getInvitationById(invitationId);
+  const emailSent = await sendInvitationEmail(invitation, token, actor);
+
+  return { invitation, emailSent };
+};
+
+/**
+ * Cancel an invitation so its link can no longer be used
+ * @param {string} invitationId
+ * @param {Object} actor - User revoking (id)
+ * @returns {Promise<Object>} { before, invitation }
+ * @throws {APIError} - Throws if the invitation is missing, accepted or already revoked
+ */
+const revokeAdminInvitation = async (invitationId, actor) => {
+  const before = await getInvitationById(invitationId);
+  assertOpen(before);
+
+  const revoked = await sql`
+    UPDATE admin_invitations
+    SET revoked_at = NOW(), revoked_by = ${actor.id}
+    WHERE id = ${invitationId}
+    AND accepted_at IS NULL
+    AND revoked_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!revoked[0]) {
+    throw new APIError("Invitation changed concurrently. Please retry", 409);
+  }
+
+  return { before, invitation: await getInvitationById(invitationId) };
+};
+
+/**
+ * Create the admin account from an invitation link
+ * @param {string} token - Token from the invitation email
+ * @param {Object} details
+ * @param {string} details.fullName
+ * @param {string} details.password
+ * @param {string} [details.phoneNumber]
+ * @returns {Promise<Object>} { user, invitation }
+ * @throws {APIError} - Throws if the invitation is unknown, used, revoked or expired
+ */
+const acceptAdminInvitation = async (token, { fullName, password, phoneNumber = null }) => {
+  const invitation = await sql`
+    SELECT id, email, role, expires_at FROM admin_invitations
+    WHERE token_hash = ${hashToken(token)}
+    AND accepted_at IS NULL
+    AND revoked_at IS NULL;
+  `;
+
+  if (!invitation[0]) {
+    throw new APIError("Invalid or already used invitation", 400);
+  }
+
+  if (new Date() > new Date(invitation[0].expires_at)) {
+    throw new APIError("Invitation has expired. Please ask a super admin to resend it", 410);
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  // Claim the invitation first so it cannot be used twice concurrently
+  const claimed = await sql`
+    UPDATE admin_invitations
+    SET accepted_at = NOW()
+    WHERE id = ${invitation[0].id}
+    AND accepted_at IS NULL
+    AND revoked_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!claimed[0]) {
+    throw new APIError("Invalid or already used invitation", 400);
+  }
+
+  let user;
+  try {
+    // The emailed link proves the address, so the account starts verified
+    user = await sql`
+      INSERT INTO users (
+        full_name,
+        email,
+        password,
+        phone_number,
+        role,
+        is_super_admin,
+        status,
+        is_verified,
+        password_changed_at,
+        created_at,
+        updated_at
+      ) VALUES (
+        ${fullName},
+        ${invitation[0].email},
+        ${hashedPassword},
+        ${phoneNumber},
+        ${invitation[0].role},
+        ${invitation[0].role === "super_admin"},
+        ${AccountStatus.ACTIVE},
+        true,
+        NOW(),
+        NOW(),
+        NOW()
+      )
+      RETURNING id, full_name, email, phone_number, role, is_super_admin, status, is_verified;
+    `;
+  } catch (error) {
+    // Release the claim; the address registered some other way in the meantime
+    await sql`
+      UPDATE admin_invitations SET accepted_at = NULL WHERE id = ${invitation[0].id};
+    `;
+    if (error.code === "23505") {
+      throw new APIError("An account with this email or phone number already exists", 409);
+    }
+    throw error;
+  }
+
+  await sql`
+    UPDATE admin_invitations
+    SET accepted_user_id = ${user[0].id}
+    WHERE id = ${invitation[0].id};
+  `;
+
+  logger.info("AdminInvitationModel - Invitation accepted", {
+    invitationId: invitation[0].id,
+    userId: user[0].id,
+    role: invitation[0].role,
+  });
+
+  return { user: user[0], invitation: invitation[0] };
+};
+
+module.exports = {
+  ADMIN_INVITATION_EXPIRY_HOURS,
+  INVITABLE_ROLES,
+  AdminInvitationStatus,
+  createAdminInvitation,
+  listAdminInvitations,
+  resendAdminInvitation,
+  revokeAdminInvitation,
+  acceptAdminInvitation,
+};
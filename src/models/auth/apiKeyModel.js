@@ -0,0 +1,189 @@
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const { APIError } = require("../../utils/global-errorHandler");
+const { hashToken, generateSecureToken } = require("../../utils/secureTokens");
+const { ApiKeyScopes } = require("../../config/permissions");
+
+// Recognisable in logs and secret scanners; the characters after it identify the key
+const API_KEY_PREFIX = "mck_";
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// last_used_at is refreshed at most this often, not on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const API_KEY_COLUMNS = `
+  k.id,
+  k.name,
+  k.key_prefix,
+  k.scopes,
+  CASE
+    WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN k.expires_at IS NOT NULL AND k.expires_at <= NOW() THEN 'expired'
+    ELSE 'active'
+  END AS status,
+  k.created_by,
+  creator.full_name AS created_by_name,
+  k.expires_at,
+  k.last_used_at,
+  k.last_used_ip,
+  k.revoked_at,
+  k.revoked_by,
+  k.created_at
+`;
+
+const getApiKeyById = async (apiKeyId) => {
+  const apiKey = await sql(
+    `SELECT ${API_KEY_COLUMNS}
+    FROM api_keys k
+    LEFT JOIN users creator ON creator.id = k.created_by
+    WHERE k.id = $1;`,
+    [apiKeyId]
+  );
+
+  if (!apiKey[0]) {
+    throw new APIError("API key not found", 404);
+  }
+
+  return apiKey[0];
+};
+
+/**
+ * Issue a new API key. The key itself is returned only here and never stored.
+ * @param {Object} details
+ * @param {string} details.name - What the key is for, e.g. "Sanctuary signage"
+ * @param {string[]} details.scopes - Values of ApiKeyScopes
+ * @param {Date|string} [details.expiresAt] - No expiry when omitted
+ * @param {Object} actor - User issuing the key (id)
+ * @returns {Promise<Object>} { apiKey, key }
+ * @throws {APIError} - Throws if a scope is unknown or the expiry is in the past
+ */
+const createApiKey = async ({ name, scopes, expiresAt = null }, actor) => {
+  const knownScopes = Object.values(ApiKeyScopes);
+  const unknown = scopes.filter((scope) => !knownScopes.includes(scope));
+  if (unknown.length > 0) {
+    throw new APIError(`Unknown scopes: ${unknown.join(", ")}`, 400);
+  }
+
+  if (scopes.length === 0) {
+    throw new APIError("At least one scope is required", 400);
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new APIError("Expiry must be in the future", 400);
+  }
+
+  const key = `${API_KEY_PREFIX}${generateSecureToken()}`;
+
+  const created = await sql`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+    VALUES (
+      ${name},
+      ${key.slice(0, DISPLAY_PREFIX_LENGTH)},
+      ${hashToken(key)},
+      ${[...new Set(scopes)]},
+      ${actor.id},
+      ${expiresAt || null}
+    )
+    RETURNING id;
+  `;
+
+  const apiKey = await getApiKeyById(created[0].id);
+
+  logger.info("ApiKeyModel - API key created", {
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+    createdBy: actor.id,
+  });
+
+  return { apiKey, key };
+};
+
+const listApiKeys = async () => {
+  return sql(
+    `SELECT ${API_KEY_COLUMNS}
+    FROM api_keys k
+    LEFT JOIN users creator ON creator.id = k.created_by
+    ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC;`,
+    []
+  );
+};
+
+/**
+ * Revoke a key; requests using it are rejected immediately
+ * @param {string} apiKeyId
+ * @param {Object} actor - User revoking the key (id)
+ * @returns {Promise<Object>} { before, apiKey }
+ * @throws {APIError} - Throws if the key is missing or already revoked
+ */
+const revokeApiKey = async (apiKeyId, actor) => {
+  const before = await getApiKeyById(apiKeyId);
+
+  const revoked = await sql`
+    UPDATE api_keys
+    SET revoked_at = NOW(), revoked_by = ${actor.id}
+    WHERE id = ${apiKeyId} AND revoked_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!revoked[0]) {
+    throw new APIError("This API key has already been revoked", 409);
+  }
+
+  logger.info("ApiKeyModel - API key revoked", {
+    apiKeyId,
+    revokedBy: actor.id,
+  });
+
+  return { before, apiKey: await getApiKeyById(apiKeyId) };
+};
+
+/**
+ * Look up the key presented in X-API-Key and record its use
+ * @param {string} key
+ * @param {string} [ipAddress]
+ * @returns {Promise<Object|null>} { id, name, scopes } or null if unknown, revoked or expired
+ */
+const authenticateApiKey = async (key, ipAddress = null) => {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await sql`
+    SELECT id, name, scopes FROM api_keys
+    WHERE key_hash = ${hashToken(key)}
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW());
+  `;
+
+  if (!apiKey[0]) {
+    return null;
+  }
+
+  try {
+    await sql`
+      UPDATE api_keys
+      SET last_used_at = NOW(), last_used_ip = ${ipAddress}
+      WHERE id = ${apiKey[0].id}
+      AND (
+        last_used_at IS NULL
+        OR last_used_at < NOW() - ${LAST_USED_RESOLUTION_SECONDS} * INTERVAL '1 second'
+      );
+    `;
+  } catch (error) {
+    // Usage tracking must never block the request
+    logger.error("ApiKeyModel - Could not record key usage", {
+      error: error.message,
+      apiKeyId: apiKey[0].id,
+    });
+  }
+
+  return apiKey[0];
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const {
+  hashToken,
+  matchesHash,
+  generateSecureToken,
+} = require("../../utils/secureTokens");
+const { revokeAllSessions } = require("./sessionModel");
+const { invalidateAuthUser } = require("../../services/authUserCache");
+
+const EMAIL_CHANGE_EXPIRY_MINUTES = 30;
+const MAX_EMAIL_CHANGE_ATTEMPTS = 5;
+
+const getCancelLink = (token) => {
+  const baseUrl = process.env.MEMBER_APP_URL || process.env.BASE_URL;
+  return `${baseUrl}/cancel-email-change?token=${encodeURIComponent(token)}`;
+};
+
+const getOpenEmailChange = async (userId) => {
+  const change = await sql`
+    SELECT id, user_id, old_email, new_email, code_hash, attempts, expires_at, created_at
+    FROM email_changes
+    WHERE user_id = ${userId} AND confirmed_at IS NULL AND cancelled_at IS NULL;
+  `;
+
+  return change[0] || null;
+};
+
+const cancelOpenEmailChanges = (userId) => {
+  return sql`
+    UPDATE email_changes
+    SET cancelled_at = NOW()
+    WHERE user_id = ${userId} AND confirmed_at IS NULL AND cancelled_at IS NULL;
+  `;
+};
+
+/**
+ * Start changing a member's email: a code goes to the new address and a
+ * notice with a cancel link to the current one. Replaces any open request.
+ * @param {string} userId
+ * @param {string} newEmail
+ * @returns {Promise<Object>} { newEmail, expiresAt }
+ * @throws {APIError} - Throws if the address is unchanged, taken, or the code cannot be sent
+ */
+const requestEmailChange = async (userId, newEmail) => {
+  const user = await sql`
+    SELECT id, full_name, email FROM users
+    WHERE id = ${userId} AND status = 'active';
+  `;
+
+  if (!user[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  const email = newEmail.trim();
+  if (email.toLowerCase() === user[0].email.toLowerCase()) {
+    throw new APIError("This is already your email address", 400);
+  }
+
+  const taken = await sql`
+    SELECT id FROM users WHERE LOWER(email) = LOWER(${email}) AND id <> ${userId};
+  `;
+
+  if (taken[0]) {
+    throw new APIError("This email address is already in use", 409);
+  }
+
+  await cancelOpenEmailChanges(userId);
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const cancelToken = generateSecureToken();
+  const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXPIRY_MINUTES * 60 * 1000);
+
+  let change;
+  try {
+    change = await sql`
+      INSERT INTO email_changes (
+        user_id, old_email, new_email, code_hash, cancel_token_hash, expires_at
+      )
+      VALUES (
+        ${userId},
+        ${user[0].email},
+        ${email},
+        ${hashToken(code)},
+        ${hashToken(cancelToken)},
+        ${expiresAt}
+      )
+      RETURNING id;
+    `;
+  } catch (error) {
+    if (error.code === "23505") {
+      throw new APIError("An email change is already in progress. Please try again", 409);
+    }
+    throw error;
+  }
+
+  try {
+    await emailService.sendEmailChangeCode(
+      email,
+      user[0].full_name,
+      code,
+      `${EMAIL_CHANGE_EXPIRY_MINUTES} minutes`
+    );
+  } catch (error) {
+    // Without the code the request can never complete
+    await cancelOpenEmailChanges(userId);
+    logger.error("EmailChangeModel - Confirmation code email failed", {
+      error: error.message,
+      userId,
+    });
+    throw new APIError("We could not send a code to the new address. Please check it and try again", 502);
+  }
+
+  try {
+    await emailService.sendEmailChangeNoticeEmail(user[0].email, {
+      fullName: user[0].full_name,
+      newEmail: email,
+      cancelLink: getCancelLink(cancelToken),
+      expiresAt,
+    });
+  } catch (error) {
+    logger.error("EmailChangeModel - Notice to current address failed", {
+      error: error.message,
+      userId,
+      emailChangeId: change[0].id,
+    });
+  }
+
+  logger.info("EmailChangeModel - Email change requested", {
+    userId,
+    emailChangeId: change[0].id,
+  });
+
+  return { newEmail: email, expiresAt };
+};
+
+// The member's open request, without its secrets
+const getPendingEmailChange = async (userId) => {
+  const change = await getOpenEmailChange(userId);
+  if (!change || new Date(change.expires_at) <= new Date()) {
+    return null;
+  }
+
+  return {
+    newEmail: change.new_email,
+    expiresAt: change.expires_at,
+    requestedAt: change.created_at,
+  };
+};
+
+/**
+ * Apply a requested change with the code sent to the new address. Every
+ * session is signed out, so the member logs in again with the new address.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<Object>} { user, oldEmail }
+ * @throws {APIError} - Throws if there is no open request, or the code is wrong, expired or overused
+ */
+const confirmEmailChange = async (userId, code) => {
+  const change = await getOpenEmailChange(userId);
+
+  if (!change) {
+    throw new APIError("No email change is in progress", 404);
+  }
+
+  if (new Date() > new Date(change.expires_at)) {
+    throw new APIError("Confirmation code has expired. Please start again", 410);
+  }
+
+  if (change.attempts >= MAX_EMAIL_CHANGE_ATTEMPTS) {
+    throw new APIError("Too many failed attempts. Please start again", 429);
+  }
+
+  if (!matchesHash(code, change.code_hash)) {
+    await sql`
+      UPDATE email_changes
+      SET attempts = attempts + 1
+      WHERE id = ${change.id};
+    `;
+    throw new APIError("Invalid confirmation code", 400);
+  }
+
+  // Claim first, so a cancel from the old address and this confirmation cannot both win
+  const claimed = await sql`
+    UPDATE email_changes
+    SET confirmed_at = NOW()
+    WHERE id = ${change.id} AND confirmed_at IS NULL AND cancelled_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!claimed[0]) {
+    throw new APIError("This email change was cancelled", 409);
+  }
+
+  let user;
+  try {
+    user = await sql`
+      UPDATE users
+      SET
+        email = ${change.new_email},
+        is_verified = true,
+        token_invalidated_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${userId} AND email = ${change.old_email}
+      RETURNING id, full_name, email, phone_number, role, status, is_verified;
+    `;
+  } catch (error) {
+    if (error.code !== "23505") {
+      throw error;
+    }
+    user = [];
+  }
+
+  // Someone registered the address meanwhile, or the email changed another way
+  if (!user[0]) {
+    await sql`
+      UPDATE email_changes
+      SET confirmed_at = NULL, cancelled_at = NOW()
+      WHERE id = ${change.id};
+    `;
+    throw new APIError("This email address is no longer available. Please start again", 409);
+  }
+
+  await invalidateAuthUser(userId);
+  await revokeAllSessions(userId, "email_changed");
+
+  logger.info("EmailChangeModel - Email changed", {
+    userId,
+    emailChangeId: change.id,
+  });
+
+  return { user: user[0], oldEmail: change.old_email };
+};
+
+/**
+ * Cancel a change from the link sent to the current address
+ * @param {string} token
+ * @returns {Promise<Object>} { userId, oldEmail, newEmail }
+ * @throws {APIError} - Throws if the link is unknown, or the change already completed or was cancelled
+ */
+const cancelEmailChange = async (token) => {
+  const cancelled = await sql`
+    UPDATE email_changes
+    SET cancelled_at = NOW()
+    WHERE cancel_token_hash = ${hashToken(token)}
+    AND confirmed_at IS NULL
+    AND cancelled_at IS NULL
+    RETURNING user_id, old_email, new_email;
+  `;
+
+  if (!cancelled[0]) {
+    throw new APIError("This link is invalid, or the change was already completed or cancelled", 404);
+  }
+
+  logger.info("EmailChangeModel - Email change cancelled from the current address", {
+    userId: cancelled[0].user_id,
+  });
+
+  return {
+    userId: cancelled[0].user_id,
+    oldEmail: cancelled[0].old_email,
+    newEmail: cancelled[0].new_email,
+  };
+};
+
+module.exports = {
+  EMAIL_CHANGE_EXPIRY_MINUTES,
+  requestEmailChange,
+  getPendingEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+};
@@ -0,0 +1,127 @@
+const { sql } = require("../../config/database");
+const { verifyGoogleIdToken } = require("../../services/googleAuth");
+const { invalidateAuthUser } = require("../../services/authUserCache");
+const { UserRoles, completeLogin } = require("../userModel");
+const { revokeAllSessions } = require("./sessionModel");
+
+// Anyone can register an email they do not own. Until that address is proven,
+// the password, phone number and sessions on the account may be a squatter's,
+// so they are dropped when the real owner proves the address through Google.
+const discardUnverifiedCredentials = async (userId) => {
+  await sql`
+    UPDATE users
+    SET
+      password = null,
+      phone_number = null,
+      password_changed_at = NOW(),
+      token_invalidated_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ${userId};
+  `;
+  await sql`
+    UPDATE refresh_tokens
+    SET
+      is_revoked = true,
+      revoked_at = NOW()
+    WHERE user_id = ${userId} AND is_revoked = false;
+  `;
+  await revokeAllSessions(userId, "google_link");
+};
+
+// Sign in with a Google ID token, linking or creating the member account
+const signInWithGoogle = async (idToken, device = {}) => {
+  const payload = await verifyGoogleIdToken(idToken);
+
+  // Only trust the email for account linking once Google has verified it
+  if (!payload.email || payload.email_verified !== true) {
+    throw new Error("Google account email is not verified");
+  }
+
+  const email = payload.email.toLowerCase();
+
+  // Returning Google user
+  const linkedUser = await sql`
+    SELECT id, full_name, email, role, status, is_verified, last_login
+    FROM users
+    WHERE google_id = ${payload.sub};
+  `;
+
+  if (linkedUser[0]) {
+    if (linkedUser[0].status !== "active") {
+      throw new Error("Account is not active");
+    }
+    return completeLogin(linkedUser[0], device);
+  }
+
+  // Existing member signing in with Google for the first time
+  const existingUser = await sql`
+    SELECT id, google_id, status, is_verified
+    FROM users
+    WHERE LOWER(email) = ${email};
+  `;
+
+  if (existingUser[0]) {
+    if (existingUser[0].google_id) {
+      throw new Error("This email is linked to a different Google account");
+    }
+
+    if (existingUser[0].status !== "active") {
+      throw new Error("Account is not active");
+    }
+
+    if (!existingUser[0].is_verified) {
+      await discardUnverifiedCredentials(existingUser[0].id);
+    }
+
+    // Password accounts stay 'manual' so both sign-in methods keep working
+    const linked = await sql`
+      UPDATE users
+      SET
+        google_id = ${payload.sub},
+        auth_provider = CASE WHEN password IS NULL THEN 'google'::auth_provider ELSE auth_provider END,
+        is_verified = true,
+        updated_at = NOW()
+      WHERE id = ${existingUser[0].id}
+      RETURNING id, full_name, email, role, status, is_verified, last_login;
+    `;
+    await invalidateAuthUser(existingUser[0].id);
+
+    return completeLogin(linked[0], device);
+  }
+
+  // First Google sign-in creates a member account without a password
+  const created = await sql`
+    INSERT INTO users (
+      full_name,
+      email,
+      password,
+      role,
+      status,
+      auth_provider,
+      google_id,
+      is_verified,
+      profile_photo,
+      created_at,
+      updated_at
+    ) VALUES (
+      ${payload.name || email.split("@")[0]},
+      ${email},
+      null,
+      ${UserRoles.MEMBER},
+      'active',
+      'google',
+      ${payload.sub},
+      true,
+      ${payload.picture || null},
+      NOW(),
+      NOW()
+    )
+    RETURNING id, full_name, email, role, status, is_verified, last_login;
+  `;
+
+  return { ...(await completeLogin(created[0], device)), isNewUser: true };
+};
+
+module.exports = {
+  signInWithGoogle,
+};
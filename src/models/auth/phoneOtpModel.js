@@ -0,0 +1,143 @@
+const { sql } = require("../../config/database");
+const smsService = require("../../services/sendSms");
+const { completeLogin } = require("../userModel");
+const { hashToken, matchesHash } = require("../../utils/secureTokens");
+const { assertCodeRequestAllowed } = require("../../services/loginProtection");
+
+const PHONE_LOGIN_CODE_EXPIRY_MINUTES = 10; // matches the SMS template
+const MAX_PHONE_LOGIN_ATTEMPTS = 5;
+const PHONE_LOGIN_RESEND_COOLDOWN_SECONDS = 60;
+const MAX_PHONE_LOGIN_CODES_PER_HOUR = 5;
+
+// Digits of the number in international form, e.g. 254712345678
+const toPhoneDigits = (phoneNumber) => {
+  return smsService.formatPhoneNumber(phoneNumber).replace(/\D/g, "");
+};
+
+// Find the single active member registered with this phone number
+const findUserByPhone = async (phoneDigits) => {
+  // Stored numbers are free-form, so normalise them the same way as formatPhoneNumber
+  const users = await sql`
+    SELECT id, full_name, email, role, status, is_verified, last_login
+    FROM users
+    WHERE status = 'active'
+    AND (
+      CASE
+        WHEN REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') LIKE '0%'
+        THEN '254' || SUBSTRING(REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') FROM 2)
+        ELSE REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g')
+      END
+    ) = ${phoneDigits};
+  `;
+
+  // A shared number cannot identify a single account
+  return users.length === 1 ? users[0] : null;
+};
+
+// Send a one-time login code by SMS
+const requestPhoneLoginCode = async (phoneNumber) => {
+  const phoneDigits = toPhoneDigits(phoneNumber);
+
+  // Counted before the lookup, so unknown numbers are throttled exactly like members'
+  await assertCodeRequestAllowed(`phone:${phoneDigits}`, {
+    cooldownSeconds: PHONE_LOGIN_RESEND_COOLDOWN_SECONDS,
+    maxPerHour: MAX_PHONE_LOGIN_CODES_PER_HOUR,
+    limitMessage:
+      "Too many login codes requested for this number. Please try again later",
+  });
+
+  const user = await findUserByPhone(phoneDigits);
+
+  // Do not reveal whether the number is registered
+  if (!user) {
+    return false;
+  }
+
+  // Only the most recently issued code stays usable
+  await sql`
+    UPDATE phone_login_codes
+    SET consumed_at = NOW()
+    WHERE phone_number = ${phoneDigits} AND consumed_at IS NULL;
+  `;
+
+  const loginCode = smsService.generateVerificationCode();
+  const expiresAt = new Date(
+    Date.now() + PHONE_LOGIN_CODE_EXPIRY_MINUTES * 60 * 1000
+  );
+
+  await sql`
+    INSERT INTO phone_login_codes (user_id, phone_number, code_hash, expires_at)
+    VALUES (${user.id}, ${phoneDigits}, ${hashToken(loginCode)}, ${expiresAt});
+  `;
+
+  await smsService.sendVerificationCode(phoneNumber, loginCode);
+
+  return true;
+};
+
+// Verify the SMS code and log the member in
+const verifyPhoneLoginCode = async (phoneNumber, loginCode, device = {}) => {
+  const phoneDigits = toPhoneDigits(phoneNumber);
+
+  const code = await sql`
+    SELECT id, user_id, code_hash, attempts, expires_at
+    FROM phone_login_codes
+    WHERE phone_number = ${phoneDigits} AND consumed_at IS NULL
+    ORDER BY created_at DESC
+    LIMIT 1;
+  `;
+
+  if (!code[0]) {
+    throw new Error("Invalid or expired login code");
+  }
+
+  if (new Date() > new Date(code[0].expires_at)) {
+    throw new Error("Login code has expired");
+  }
+
+  if (code[0].attempts >= MAX_PHONE_LOGIN_ATTEMPTS) {
+    throw new Error("Too many failed attempts. Please request a new code");
+  }
+
+  if (!matchesHash(loginCode, code[0].code_hash)) {
+    await sql`
+      UPDATE phone_login_codes
+      SET attempts = attempts + 1
+      WHERE id = ${code[0].id};
+    `;
+    throw new Error("Invalid login code");
+  }
+
+  // Consume the code first so it cannot be used twice concurrently, nor after
+  // interleaved wrong guesses used up the attempts
+  const consumed = await sql`
+    UPDATE phone_login_codes
+    SET consumed_at = NOW()
+    WHERE id = ${code[0].id}
+      AND consumed_at IS NULL
+      AND attempts < ${MAX_PHONE_LOGIN_ATTEMPTS}
+    RETURNING id;
+  `;
+
+  if (!consumed[0]) {
+    throw new Error("Invalid or expired login code");
+  }
+
+  const user = await sql`
+    SELECT id, full_name, email, role, status, is_verified, last_login
+    FROM users
+    WHERE id = ${code[0].user_id} AND status = 'active';
+  `;
+
+  if (!user[0]) {
+    throw new Error("Invalid or expired login code");
+  }
+
+  return completeLogin(user[0], device);
+};
+
+module.exports = {
+  toPhoneDigits,
+  requestPhoneLoginCode,
+  verifyPhoneLoginCode,
+};
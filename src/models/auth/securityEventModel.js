@@ -0,0 +1,237 @@
+const net = require("net");
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { hashToken } = require("../../utils/secureTokens");
+
+const SecurityEventTypes = {
+  LOGIN: "login",
+  LOGOUT: "logout",
+  PASSWORD_CHANGED: "password_changed",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_CHANGED: "email_changed",
+  TOKEN_REVOKED: "token_revoked",
+  SESSION_REVOKED: "session_revoked",
+  OTHER_SESSIONS_REVOKED: "other_sessions_revoked",
+  REFRESH_TOKEN_REUSE: "refresh_token_reuse",
+  TWO_FACTOR_ENABLED: "two_factor_enabled",
+  TWO_FACTOR_DISABLED: "two_factor_disabled",
+  RECOVERY_CODES_REGENERATED: "recovery_codes_regenerated",
+};
+
+const MAX_DEVICE_NAME_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Same browser and OS hash alike across version updates, so an upgrade is not a new device
+const getDeviceHash = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+  return hashToken(String(userAgent).replace(/\d+([._]\d+)*/g, "").toLowerCase());
+};
+
+const expandIPv6 = (address) => {
+  const [head, tail = ""] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = address.includes("::")
+    ? 8 - headGroups.length - tailGroups.length
+    : 0;
+
+  return [...headGroups, ...Array(missing).fill("0"), ...tailGroups];
+};
+
+// Without a geo-IP lookup, the /24 (IPv4) or /48 (IPv6) network stands in for the location
+const getNetwork = (ipAddress) => {
+  if (!ipAddress) {
+    return null;
+  }
+
+  const address = ipAddress.replace(/^::ffff:/i, "");
+  if (net.isIPv4(address)) {
+    return `${address.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+  if (net.isIPv6(address)) {
+    const groups = expandIPv6(address).slice(0, 3);
+    return `${groups.map((group) => parseInt(group, 16).toString(16)).join(":")}::/48`;
+  }
+  return null;
+};
+
+/**
+ * Add an entry to a member's security activity feed.
+ * Failures are logged rather than thrown so the action itself still succeeds.
+ * @param {string} userId - Member the event concerns
+ * @param {string} eventType - One of SecurityEventTypes
+ * @param {Object} [device] - { deviceName, userAgent, ipAddress } of the request
+ * @param {Object} [metadata] - Extra context, e.g. a session ID or reason
+ * @returns {Promise<Object|null>} Stored event, or null if it could not be written
+ */
+const recordSecurityEvent = async (
+  userId,
+  eventType,
+  { deviceName, userAgent, ipAddress } = {},
+  metadata = null
+) => {
+  try {
+    const event = await sql`
+      INSERT INTO security_events (
+        user_id,
+        event_type,
+        device_name,
+        user_agent,
+        ip_address,
+        device_hash,
+        network,
+        metadata,
+        created_at
+      )
+      VALUES (
+        ${userId},
+        ${eventType},
+        ${deviceName ? String(deviceName).slice(0, MAX_DEVICE_NAME_LENGTH) : null},
+        ${userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null},
+        ${ipAddress || null},
+        ${getDeviceHash(userAgent)},
+        ${getNetwork(ipAddress)},
+        ${metadata ? JSON.stringify(metadata) : null},
+        NOW()
+      )
+      RETURNING id, event_type, device_name, user_agent, ip_address, metadata, created_at;
+    `;
+
+    return event[0];
+  } catch (error) {
+    logger.error("SecurityEventModel - Failed to record security event", {
+      error: error.message,
+      userId,
+      eventType,
+    });
+    return null;
+  }
+};
+
+const getReviewLink = () => {
+  const baseUrl = process.env.MEMBER_APP_URL || process.env.BASE_URL;
+  return `${baseUrl}/account/security`;
+};
+
+// Email the member about a login from an unfamiliar device or network
+const sendNewDeviceAlert = async (userId, device, event) => {
+  const user = await sql`
+    SELECT full_name, email FROM users WHERE id = ${userId};
+  `;
+
+  if (user[0]) {
+    await emailService.sendNewDeviceLoginEmail(user[0].email, {
+      fullName: user[0].full_name,
+      device: device.deviceName || device.userAgent,
+      ipAddress: device.ipAddress,
+      loggedInAt: event?.created_at || new Date(),
+      reviewLink: getReviewLink(),
+    });
+  }
+};
+
+/**
+ * Record a login, and email the member when it comes from a device or
+ * network none of their earlier logins used. A member's first login
+ * has nothing to compare against and is never flagged. The email is
+ * sent in the background so a slow mail server never delays the login.
+ * @param {string} userId
+ * @param {Object} [device] - { deviceName, userAgent, ipAddress } of the login
+ * @param {Object} [metadata] - e.g. { sessionId, method }
+ * @returns {Promise<Object>} { event, newDevice, newLocation }
+ */
+const recordLogin = async (userId, device = {}, metadata = {}) => {
+  const deviceHash = getDeviceHash(device.userAgent);
+  const network = getNetwork(device.ipAddress);
+
+  let newDevice = false;
+  let newLocation = false;
+  try {
+    const [history] = await sql`
+      SELECT
+        COUNT(*)::int AS logins,
+        COUNT(*) FILTER (WHERE device_hash = ${deviceHash})::int AS device_logins,
+        COUNT(*) FILTER (WHERE network = ${network})::int AS network_logins
+      FROM security_events
+      WHERE user_id = ${userId} AND event_type = ${SecurityEventTypes.LOGIN};
+    `;
+
+    if (history.logins > 0) {
+      newDevice = Boolean(deviceHash) && history.device_logins === 0;
+      newLocation = Boolean(network) && history.network_logins === 0;
+    }
+  } catch (error) {
+    logger.error("SecurityEventModel - Login history lookup failed", {
+      error: error.message,
+      userId,
+    });
+  }
+
+  const event = await recordSecurityEvent(userId, SecurityEventTypes.LOGIN, device, {
+    ...metadata,
+    ...(newDevice && { newDevice }),
+    ...(newLocation && { newLocation }),
+  });
+
+  if (newDevice || newLocation) {
+    sendNewDeviceAlert(userId, device, event).catch((error) => {
+      logger.error("SecurityEventModel - New device alert failed", {
+        error: error.message,
+        userId,
+      });
+    });
+  }
+
+  return { event, newDevice, newLocation };
+};
+
+/**
+ * A member's security activity, newest first
+ * @param {string} userId
+ * @param {Object} [filters]
+ * @param {string} [filters.eventType] - One of SecurityEventTypes
+ * @param {number} [page=1]
+ * @param {number} [limit=20]
+ * @returns {Promise<Object>} { events, pagination }
+ */
+const listSecurityEvents = async (userId, filters = {}, page = 1, limit = 20) => {
+  const { eventType = null } = filters;
+
+  const events = await sql`
+    SELECT id, event_type, device_name, user_agent, ip_address, metadata, created_at
+    FROM security_events
+    WHERE user_id = ${userId}
+    AND (${eventType}::text IS NULL OR event_type = ${eventType})
+    ORDER BY created_at DESC
+    LIMIT ${limit} OFFSET ${(page - 1) * limit};
+  `;
+
+  const [countResult] = await sql`
+    SELECT COUNT(*) AS total
+    FROM security_events
+    WHERE user_id = ${userId}
+    AND (${eventType}::text IS NULL OR event_type = ${eventType});
+  `;
+
+  const totalEvents = parseInt(countResult.total, 10);
+
+  return {
+    events,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalEvents / limit),
+      totalEvents,
+      limit,
+    },
+  };
+};
+
+module.exports = {
+  SecurityEventTypes,
+  recordSecurityEvent,
+  recordLogin,
+  listSecurityEvents,
+};
@@ -0,0 +1,184 @@
+const { sql } = require("../../config/database");
+
+const SESSION_TOUCH_INTERVAL_MINUTES = 5;
+const MAX_DEVICE_NAME_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Start a session for a device that has just logged in
+ * @param {string} userId - User ID
+ * @param {Object} device
+ * @param {string} [device.deviceName] - Name chosen by the client app
+ * @param {string} [device.userAgent] - User-Agent header
+ * @param {string} [device.ipAddress] - Client IP address
+ * @param {Date} expiresAt - When the session's refresh tokens expire
+ * @returns {Promise<Object>} Created session row
+ */
+const createSession = async (
+  userId,
+  { deviceName, userAgent, ipAddress } = {},
+  expiresAt
+) => {
+  const session = await sql`
+    INSERT INTO user_sessions (
+      user_id,
+      device_name,
+      user_agent,
+      ip_address,
+      expires_at,
+      created_at,
+      last_used_at
+    ) VALUES (
+      ${userId},
+      ${deviceName ? String(deviceName).slice(0, MAX_DEVICE_NAME_LENGTH) : null},
+      ${userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null},
+      ${ipAddress || null},
+      ${expiresAt},
+      NOW(),
+      NOW()
+    )
+    RETURNING id, device_name, user_agent, ip_address, created_at, last_used_at;
+  `;
+
+  return session[0];
+};
+
+// Record activity on a session, e.g. on token refresh
+const touchSession = async (sessionId, { ipAddress } = {}) => {
+  await sql`
+    UPDATE user_sessions
+    SET
+      last_used_at = NOW(),
+      ip_address = COALESCE(${ipAddress || null}, ip_address)
+    WHERE id = ${sessionId};
+  `;
+};
+
+/**
+ * Check that an access token's session has not been revoked or expired
+ * @param {string} sessionId - Session ID carried by the access token
+ * @param {string} userId - Owner of the token
+ * @returns {Promise<boolean>} True when the session is still active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await sql`
+    SELECT id, last_used_at
+    FROM user_sessions
+    WHERE id = ${sessionId}
+    AND user_id = ${userId}
+    AND revoked_at IS NULL
+    AND expires_at > NOW();
+  `;
+
+  if (!session[0]) {
+    return false;
+  }
+
+  // Throttle last-used writes so every API call does not update the row
+  const lastUsedAt = new Date(session[0].last_used_at).getTime();
+  if (Date.now() - lastUsedAt > SESSION_TOUCH_INTERVAL_MINUTES * 60 * 1000) {
+    await touchSession(sessionId);
+  }
+
+  return true;
+};
+
+// Active sessions for the session management screen, most recent first
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await sql`
+    SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM user_sessions
+    WHERE user_id = ${userId}
+    AND revoked_at IS NULL
+    AND expires_at > NOW()
+    ORDER BY last_used_at DESC;
+  `;
+
+  return sessions.map((session) => ({
+    id: session.id,
+    deviceName: session.device_name,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId,
+  }));
+};
+
+// Revoke sessions and the refresh tokens that belong to them
+const revokeSessions = async (sessionIds, reason) => {
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  await sql`
+    UPDATE refresh_tokens
+    SET
+      is_revoked = true,
+      revoked_at = NOW(),
+      revoked_reason = ${reason}
+    WHERE session_id = ANY(${sessionIds}::uuid[]) AND is_revoked = false;
+  `;
+
+  return sessionIds.length;
+};
+
+const revokeSession = async (userId, sessionId, reason = "session_revoked") => {
+  const revoked = await sql`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = ${reason}
+    WHERE id = ${sessionId} AND user_id = ${userId} AND revoked_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!revoked[0]) {
+    throw new Error("Session not found");
+  }
+
+  await revokeSessions([revoked[0].id], reason);
+
+  return true;
+};
+
+// Sign out every other device, keeping the current one
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  const revoked = await sql`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = 'session_revoked'
+    WHERE user_id = ${userId}
+    AND revoked_at IS NULL
+    AND id IS DISTINCT FROM ${currentSessionId || null}::uuid
+    RETURNING id;
+  `;
+
+  return revokeSessions(
+    revoked.map((session) => session.id),
+    "session_revoked"
+  );
+};
+
+// Sign out everywhere, e.g. after a password reset
+const revokeAllSessions = async (userId, reason) => {
+  const revoked = await sql`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = ${reason}
+    WHERE user_id = ${userId} AND revoked_at IS NULL
+    RETURNING id;
+  `;
+
+  return revokeSessions(
+    revoked.map((session) => session.id),
+    reason
+  );
+};
+
+module.exports = {
+  createSession,
+  touchSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+};
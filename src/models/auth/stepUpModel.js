@@ -0,0 +1,138 @@
+const bcrypt = require("bcrypt");
+const { sql } = require("../../config/database");
+const { APIError } = require("../../utils/global-errorHandler");
+const loginProtection = require("../../services/loginProtection");
+const { verifyGoogleIdToken } = require("../../services/googleAuth");
+const { signToken, verifyToken } = require("../../services/jwtSigning");
+const { handleFailedLogin } = require("../userModel");
+const twoFactorModel = require("./twoFactorModel");
+
+const STEP_UP_TOKEN_TYPE = "step_up";
+const STEP_UP_WINDOW_SECONDS =
+  (parseInt(process.env.STEP_UP_WINDOW_MINUTES) || 5) * 60;
+
+const StepUpMethods = {
+  PASSWORD: "password",
+  TOTP: "totp",
+  RECOVERY_CODE: "recovery_code",
+  GOOGLE: "google",
+};
+
+const confirmPassword = async (user, password, ipAddress) => {
+  if (!user.password) {
+    throw new APIError(
+      "This account has no password. Confirm with Google or a two-factor code instead",
+      400
+    );
+  }
+
+  const attempt = { email: user.email, ipAddress };
+  await loginProtection.assertLoginAllowed(attempt);
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    await handleFailedLogin(attempt, user);
+    throw new APIError("Password is incorrect", 401);
+  }
+
+  await loginProtection.recordLoginSuccess(attempt);
+};
+
+const confirmGoogle = async (user, idToken) => {
+  if (!user.google_id) {
+    throw new APIError("This account is not linked to Google", 400);
+  }
+
+  const payload = await verifyGoogleIdToken(idToken);
+  if (payload.sub !== user.google_id) {
+    throw new APIError("Google account does not match", 401);
+  }
+};
+
+/**
+ * Re-verify the signed-in user and issue a short-lived step-up token.
+ * Sensitive routes accept it in the X-Reauth-Token header.
+ * @param {Object} requester - Authenticated user (id, sessionId)
+ * @param {Object} proof - Exactly one of password, code, recoveryCode or idToken
+ * @param {string} [ipAddress] - Counted towards login lockout on wrong passwords
+ * @returns {Promise<Object>} { reauthToken, expiresIn, method }
+ * @throws {APIError} - Throws if the proof is missing or wrong
+ */
+const reauthenticate = async (
+  requester,
+  { password, code, recoveryCode, idToken },
+  ipAddress
+) => {
+  const user = await sql`
+    SELECT id, email, password, google_id
+    FROM users
+    WHERE id = ${requester.id};
+  `;
+
+  if (!user[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  let method;
+  if (password) {
+    await confirmPassword(user[0], password, ipAddress);
+    method = StepUpMethods.PASSWORD;
+  } else if (code || recoveryCode) {
+    try {
+      await twoFactorModel.verifySecondFactor(user[0].id, { code, recoveryCode });
+    } catch (error) {
+      throw new APIError(error.message, 401);
+    }
+    method = code ? StepUpMethods.TOTP : StepUpMethods.RECOVERY_CODE;
+  } else if (idToken) {
+    await confirmGoogle(user[0], idToken);
+    method = StepUpMethods.GOOGLE;
+  } else {
+    throw new APIError(
+      "Provide your password, a two-factor code, a recovery code or a Google ID token",
+      400
+    );
+  }
+
+  // Bound to the user and device session; never accepted as an access token
+  const reauthToken = signToken(
+    {
+      userId: user[0].id,
+      sessionId: requester.sessionId || null,
+      type: STEP_UP_TOKEN_TYPE,
+      method,
+    },
+    { expiresIn: STEP_UP_WINDOW_SECONDS }
+  );
+
+  return { reauthToken, expiresIn: STEP_UP_WINDOW_SECONDS, method };
+};
+
+/**
+ * Check a step-up token belongs to this user and session and is still fresh
+ * @param {string} reauthToken
+ * @param {Object} user - Authenticated user (id, sessionId)
+ * @returns {boolean}
+ */
+const isValidStepUpToken = (reauthToken, user) => {
+  if (!reauthToken) {
+    return false;
+  }
+
+  try {
+    const decoded = verifyToken(reauthToken);
+    return (
+      decoded.type === STEP_UP_TOKEN_TYPE &&
+      decoded.userId === user.id &&
+      decoded.sessionId === (user.sessionId || null)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  StepUpMethods,
+  STEP_UP_WINDOW_SECONDS,
+  reauthenticate,
+  isValidStepUpToken,
+};
@@ -0,0 +1,364 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { sql } = require("../../config/database");
+const {
+  hashToken,
+  matchesHash,
+  encryptSecret,
+  decryptSecret,
+} = require("../../utils/secureTokens");
+const { signToken, verifyToken } = require("../../services/jwtSigning");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../../utils/totp");
+
+const TWO_FACTOR_ISSUER = "Bishop Amiraki Church";
+const TWO_FACTOR_ROLES = ["admin", "super_admin"];
+const CHALLENGE_TOKEN_EXPIRY_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const ChallengeTypes = {
+  LOGIN: "2fa_challenge",
+  ENROLL: "2fa_enroll",
+};
+
+// Admins must enroll when REQUIRE_ADMIN_2FA is switched on
+const isTwoFactorMandatory = (user) => {
+  return (
+    process.env.REQUIRE_ADMIN_2FA === "true" &&
+    (TWO_FACTOR_ROLES.includes(user.role) || Boolean(user.is_super_admin))
+  );
+};
+
+// Short-lived token proving the password step passed; never accepted as an access token
+const createChallengeToken = (userId, type) => {
+  return signToken({ userId, type }, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRY_SECONDS,
+  });
+};
+
+const verifyChallengeToken = (challengeToken, type) => {
+  try {
+    const decoded = verifyToken(challengeToken);
+    if (decoded.type !== type) {
+      throw new Error("Wrong challenge type");
+    }
+    return decoded.userId;
+  } catch (error) {
+    throw new Error("Two-factor session expired. Please log in again");
+  }
+};
+
+// Recovery codes look like a1b2c-3d4e5 and can each be used once
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+const replaceRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await sql`
+    DELETE FROM two_factor_recovery_codes WHERE user_id = ${userId};
+  `;
+
+  for (const code of recoveryCodes) {
+    await sql`
+      INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+      VALUES (${userId}, ${hashToken(code)});
+    `;
+  }
+
+  return recoveryCodes;
+};
+
+const getTwoFactorRecord = async (userId) => {
+  const record = await sql`
+    SELECT user_id, secret_encrypted, enabled_at, last_used_step, failed_attempts, locked_until
+    FROM user_two_factor
+    WHERE user_id = ${userId};
+  `;
+  return record[0] || null;
+};
+
+/**
+ * Decide whether a login that passed its first factor needs a second one
+ * @param {Object} user - User row with id, role and optionally is_super_admin
+ * @returns {Promise<Object|null>} Challenge to return instead of tokens, or null
+ */
+const createLoginChallenge = async (user) => {
+  const record = await getTwoFactorRecord(user.id);
+
+  if (record?.enabled_at) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user.id, ChallengeTypes.LOGIN),
+      expiresIn: CHALLENGE_TOKEN_EXPIRY_SECONDS,
+    };
+  }
+
+  if (isTwoFactorMandatory(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: createChallengeToken(user.id, ChallengeTypes.ENROLL),
+      expiresIn: CHALLENGE_TOKEN_EXPIRY_SECONDS,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check a TOTP or recovery code for a user with 2FA enabled
+ * @param {string} userId - User ID
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit authenticator code
+ * @param {string} [factor.recoveryCode] - One-time recovery code
+ * @returns {Promise<boolean>} True when verified
+ * @throws {Error} - Throws if the code is wrong, reused or the user is locked out
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const record = await getTwoFactorRecord(userId);
+
+  if (!record?.enabled_at) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (record.locked_until && new Date() < new Date(record.locked_until)) {
+    throw new Error(
+      "Too many failed two-factor attempts. Please try again later"
+    );
+  }
+
+  let verified = false;
+
+  if (recoveryCode) {
+    const codes = await sql`
+      SELECT id, code_hash FROM two_factor_recovery_codes
+      WHERE user_id = ${userId} AND used_at IS NULL;
+    `;
+    const match = codes.find((row) =>
+      matchesHash(recoveryCode.trim().toLowerCase(), row.code_hash)
+    );
+
+    if (match) {
+      // Claim the code atomically so concurrent requests cannot both spend it
+      const [claimed] = await sql`
+        UPDATE two_factor_recovery_codes
+        SET used_at = NOW()
+        WHERE id = ${match.id} AND used_at IS NULL
+        RETURNING id;
+      `;
+      verified = Boolean(claimed);
+    }
+  } else if (code) {
+    const step = verifyTotp(code, decryptSecret(record.secret_encrypted));
+
+    // A code cannot be replayed within its validity window, even by a
+    // concurrent request, so the step is claimed in a single conditional write
+    if (step !== null) {
+      const [claimed] = await sql`
+        UPDATE user_two_factor
+        SET last_used_step = ${step}
+        WHERE user_id = ${userId}
+          AND (last_used_step IS NULL OR last_used_step < ${step})
+        RETURNING user_id;
+      `;
+      verified = Boolean(claimed);
+    }
+  }
+
+  if (!verified) {
+    const failedAttempts = record.failed_attempts + 1;
+    const lockedUntil =
+      failedAttempts >= MAX_FAILED_ATTEMPTS
+        ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+        : null;
+
+    await sql`
+      UPDATE user_two_factor
+      SET
+        failed_attempts = ${lockedUntil ? 0 : failedAttempts},
+        locked_until = ${lockedUntil},
+        updated_at = NOW()
+      WHERE user_id = ${userId};
+    `;
+    throw new Error("Invalid two-factor code");
+  }
+
+  await sql`
+    UPDATE user_two_factor
+    SET failed_attempts = 0, locked_until = null, updated_at = NOW()
+    WHERE user_id = ${userId};
+  `;
+
+  return true;
+};
+
+// Complete a login challenge and return the user to issue tokens for
+const verifyLoginChallenge = async (challengeToken, factor) => {
+  const userId = verifyChallengeToken(challengeToken, ChallengeTypes.LOGIN);
+
+  await verifySecondFactor(userId, factor);
+
+  const user = await sql`
+    SELECT id, full_name, email, role, status, is_verified, last_login
+    FROM users
+    WHERE id = ${userId} AND status = 'active';
+  `;
+
+  if (!user[0]) {
+    throw new Error("Account is not active");
+  }
+
+  return user[0];
+};
+
+// Start (or restart) enrollment with a new secret
+const startEnrollment = async (userId) => {
+  const existing = await getTwoFactorRecord(userId);
+  if (existing?.enabled_at) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const user = await sql`
+    SELECT email FROM users WHERE id = ${userId};
+  `;
+
+  if (!user[0]) {
+    throw new Error("User not found");
+  }
+
+  const secret = generateTotpSecret();
+
+  await sql`
+    INSERT INTO user_two_factor (user_id, secret_encrypted, created_at, updated_at)
+    VALUES (${userId}, ${encryptSecret(secret)}, NOW(), NOW())
+    ON CONFLICT (user_id) DO UPDATE SET
+      secret_encrypted = EXCLUDED.secret_encrypted,
+      enabled_at = null,
+      last_used_step = null,
+      failed_attempts = 0,
+      locked_until = null,
+      updated_at = NOW();
+  `;
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user[0].email,
+    issuer: TWO_FACTOR_ISSUER,
+  });
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri),
+  };
+};
+
+// Confirm enrollment with a first code from the authenticator app
+const confirmEnrollment = async (userId, code) => {
+  const record = await getTwoFactorRecord(userId);
+
+  if (!record) {
+    throw new Error("Two-factor enrollment has not been started");
+  }
+
+  if (record.enabled_at) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const step = verifyTotp(code, decryptSecret(record.secret_encrypted));
+  if (step === null) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  await sql`
+    UPDATE user_two_factor
+    SET
+      enabled_at = NOW(),
+      last_used_step = ${step},
+      updated_at = NOW()
+    WHERE user_id = ${userId};
+  `;
+
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+
+  return { recoveryCodes };
+};
+
+// Finish the mandatory enrollment that replaced a login, returning the user
+const confirmEnrollmentChallenge = async (challengeToken, code) => {
+  const userId = verifyChallengeToken(challengeToken, ChallengeTypes.ENROLL);
+  const { recoveryCodes } = await confirmEnrollment(userId, code);
+
+  const user = await sql`
+    SELECT id, full_name, email, role, status, is_verified, last_login
+    FROM users
+    WHERE id = ${userId} AND status = 'active';
+  `;
+
+  if (!user[0]) {
+    throw new Error("Account is not active");
+  }
+
+  return { user: user[0], recoveryCodes };
+};
+
+const regenerateRecoveryCodes = async (userId, code) => {
+  await verifySecondFactor(userId, { code });
+  return replaceRecoveryCodes(userId);
+};
+
+const disableTwoFactor = async (user, factor) => {
+  if (isTwoFactorMandatory(user)) {
+    throw new Error("Two-factor authentication is required for your role");
+  }
+
+  await verifySecondFactor(user.id, factor);
+
+  await sql`
+    DELETE FROM two_factor_recovery_codes WHERE user_id = ${user.id};
+  `;
+  await sql`
+    DELETE FROM user_two_factor WHERE user_id = ${user.id};
+  `;
+
+  return true;
+};
+
+const getTwoFactorStatus = async (user) => {
+  const record = await getTwoFactorRecord(user.id);
+  const remaining = await sql`
+    SELECT COUNT(*) AS count FROM two_factor_recovery_codes
+    WHERE user_id = ${user.id} AND used_at IS NULL;
+  `;
+
+  return {
+    enabled: Boolean(record?.enabled_at),
+    enabledAt: record?.enabled_at || null,
+    required: isTwoFactorMandatory(user),
+    recoveryCodesRemaining: parseInt(remaining[0].count),
+  };
+};
+
+module.exports = {
+  ChallengeTypes,
+  isTwoFactorMandatory,
+  verifyChallengeToken,
+  createLoginChallenge,
+  verifySecondFactor,
+  verifyLoginChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  confirmEnrollmentChallenge,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+};
@@ -43,6 +43,26 @@ class AzureStorageService {
     const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
     await blockBlobClient.delete();
   }
+
+  // Object API shared with LocalStorageService; the caller chooses the blob name
+  async putObject(key, buffer, contentType) {
+    const blockBlobClient = this.containerClient.getBlockBlobClient(key);
+    await blockBlobClient.uploadData(buffer, {
+      blobHTTPHeaders: {
+        blobContentType: contentType,
+        blobCacheControl: "public, max-age=31536000, immutable",
+      },
+    });
+    return blockBlobClient.url;
+  }
+
+  async deleteObject(key) {
+    await this.containerClient.getBlockBlobClient(key).deleteIfExists();
+  }
+
+  getUrl(key) {
+    return this.containerClient.getBlockBlobClient(key).url;
+  }
 }
 
 module.exports = { AzureStorageService };
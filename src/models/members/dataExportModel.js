@@ -0,0 +1,520 @@
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const { toCsvHeader, toCsvRecord } = require("../../utils/csv");
+const { signToken, verifyToken } = require("../../services/jwtSigning");
+
+const DATA_EXPORT_DIR = path.resolve(
+  process.env.DATA_EXPORT_DIR || "storage/data-exports"
+);
+const DATA_EXPORT_EXPIRY_HOURS =
+  parseInt(process.env.DATA_EXPORT_EXPIRY_HOURS) || 48;
+const DOWNLOAD_TOKEN_TYPE = "data_export";
+
+const DataExportStatus = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  READY: "ready",
+  FAILED: "failed",
+  EXPIRED: "expired",
+};
+
+// Everything the app stores about a member, one archive section per query.
+// Internal fields (password hashes, admin notes, tokens) are deliberately left out.
+const PERSONAL_DATA_SECTIONS = {
+  profile: (userId) => sql`
+    SELECT
+      id, full_name, email, phone_number, ministry, profile_photo, role, status,
+      is_verified, auth_provider, created_at, updated_at, last_login
+    FROM users
+    WHERE id = ${userId};
+  `,
+  directory: (userId) => sql`
+    SELECT phone_visibility, email_visibility, photo_visibility, ministry_visibility, updated_at
+    FROM directory_settings
+    WHERE user_id = ${userId};
+  `,
+  household: (userId) => sql`
+    SELECT
+      h.name AS household_name,
+      COALESCE(u.full_name, m.full_name) AS full_name,
+      m.relationship,
+      m.status,
+      m.date_of_birth,
+      (m.user_id = ${userId}) AS is_you,
+      m.joined_at
+    FROM household_members mine
+    JOIN households h ON h.id = mine.household_id
+    JOIN household_members m ON m.household_id = h.id
+    LEFT JOIN users u ON u.id = m.user_id
+    WHERE mine.user_id = ${userId} AND mine.status = 'active'
+    ORDER BY m.created_at;
+  `,
+  suggestions: (userId) => sql`
+    SELECT
+      id, description, category, urgency_level, status, admin_response,
+      is_anonymous, created_at, updated_at, reviewed_at, deleted_at
+    FROM suggestions
+    WHERE user_id = ${userId}
+    ORDER BY created_at;
+  `,
+  messages: (userId) => sql`
+    SELECT
+      m.message_id,
+      CASE WHEN m.sender_id = ${userId} THEN 'sent' ELSE 'received' END AS direction,
+      CASE WHEN m.sender_id = ${userId} THEN receiver.full_name ELSE sender.full_name END AS other_party,
+      m.text,
+      m.media_id,
+      m.status,
+      m.sent_at,
+      m.delivered_at,
+      m.read_at,
+      m.deleted_at
+    FROM messages m
+    LEFT JOIN users sender ON sender.id = m.sender_id
+    LEFT JOIN users receiver ON receiver.id = m.receiver_id
+    WHERE m.sender_id = ${userId} OR m.receiver_id = ${userId}
+    ORDER BY m.sent_at;
+  `,
+  contacts: (userId) => sql`
+    SELECT c.contact_id, c.contact_user_id, u.full_name AS contact_name, c.created_at
+    FROM contacts c
+    LEFT JOIN users u ON u.id = c.contact_user_id
+    WHERE c.user_id = ${userId}
+    ORDER BY c.created_at;
+  `,
+  payments: (userId) => sql`
+    SELECT
+      id, amount, purpose, description, phone_number, mpesa_receipt_number,
+      status, payment_date, payment_time, created_at, updated_at
+    FROM payments
+    WHERE user_id = ${userId}
+    ORDER BY created_at;
+  `,
+  statements: (userId) => sql`
+    SELECT id, statement_period, generated_at, downloaded_at, is_available
+    FROM user_statements
+    WHERE user_id = ${userId}
+    ORDER BY generated_at;
+  `,
+  notifications: (userId) => sql`
+    SELECT id, title, message, type, is_read, created_at
+    FROM notifications
+    WHERE user_id = ${userId}
+    ORDER BY created_at;
+  `,
+  media: (userId) => sql`
+    SELECT
+      id, title, description, content_type, url, thumbnail_url, size, duration,
+      views_count, created_at, updated_at, deleted_at
+    FROM media_contents
+    WHERE uploaded_by = ${userId}
+    ORDER BY created_at;
+  `,
+  security: (userId) => sql`
+    SELECT event_type, device_name, user_agent, ip_address, metadata, created_at
+    FROM security_events
+    WHERE user_id = ${userId}
+    ORDER BY created_at;
+  `,
+};
+
+const ARCHIVE_README = `This archive contains the personal data the Bishop Amiraki Church app holds about you.
+
+data.json         Everything below in a single machine-readable file
+profile.csv       Your account details
+directory.csv     Who can see your details in the member directory (empty if never changed)
+household.csv     Your household and the family members in it
+suggestions.csv   Suggestions you submitted and any responses
+messages.csv      Messages you sent and received
+contacts.csv      Your saved contacts
+payments.csv      Your payments and giving transactions
+statements.csv    Payment statements generated for you
+notifications.csv Notifications sent to you
+media.csv         Details of media you uploaded
+security.csv      Logins, password, token and two-factor changes on your account
+
+Dates are in UTC (ISO 8601).
+`;
+
+/**
+ * Gather every section of a member's personal data
+ * @param {string} userId
+ * @returns {Promise<Object>} { section: rows[] } for each of PERSONAL_DATA_SECTIONS
+ */
+const collectPersonalData = async (userId) => {
+  const data = {};
+  for (const [section, query] of Object.entries(PERSONAL_DATA_SECTIONS)) {
+    data[section] = await query(userId);
+  }
+  return data;
+};
+
+// Columns come from the rows themselves so new fields show up without changes here
+const sectionToCsv = (rows) => {
+  if (rows.length === 0) {
+    return "";
+  }
+
+  const columns = Object.keys(rows[0]).map((key) => ({ key, header: key }));
+  return (
+    toCsvHeader(columns) +
+    rows.map((row) => toCsvRecord(columns, row)).join("")
+  );
+};
+
+/**
+ * Write the archive to disk: data.json, one CSV per section and a README
+ * @param {Object} data - Output of collectPersonalData
+ * @param {string} filePath
+ * @returns {Promise<number>} Archive size in bytes
+ */
+const writeArchive = async (data, filePath) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  const written = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+
+  archive.pipe(output);
+  archive.append(ARCHIVE_README, { name: "README.txt" });
+  archive.append(
+    JSON.stringify({ exportedAt: new Date().toISOString(), ...data }, null, 2),
+    { name: "data.json" }
+  );
+  for (const [section, rows] of Object.entries(data)) {
+    archive.append(sectionToCsv(rows), { name: `${section}.csv` });
+  }
+
+  await archive.finalize();
+  await written;
+
+  return archive.pointer();
+};
+
+// Signed link that stops working when the archive expires
+const createDownloadToken = (dataExport) => {
+  return signToken(
+    { exportId: dataExport.id, userId: dataExport.user_id, type: DOWNLOAD_TOKEN_TYPE },
+    {
+      expiresIn: Math.max(
+        Math.floor((new Date(dataExport.expires_at) - Date.now()) / 1000),
+        1
+      ),
+    }
+  );
+};
+
+const getDownloadLink = (dataExport) => {
+  return `${process.env.BASE_URL}/api/auth/data-export/download?token=${createDownloadToken(dataExport)}`;
+};
+
+// What the member sees when checking on an export
+const toStatusView = (dataExport) => {
+  // An archive past its expiry counts as gone even before the cleanup job deletes it
+  const isExpired =
+    dataExport.status === DataExportStatus.READY &&
+    new Date(dataExport.expires_at) <= new Date();
+  const status = isExpired ? DataExportStatus.EXPIRED : dataExport.status;
+
+  return {
+    id: dataExport.id,
+    status,
+    requestedAt: dataExport.requested_at,
+    completedAt: dataExport.completed_at,
+    expiresAt: dataExport.expires_at,
+    fileSize: dataExport.file_size ? Number(dataExport.file_size) : null,
+    downloadUrl:
+      status === DataExportStatus.READY ? getDownloadLink(dataExport) : null,
+  };
+};
+
+/**
+ * Queue a new personal data export for a member
+ * @param {string} userId
+ * @returns {Promise<Object>} The queued export's status view
+ * @throws {APIError} - Throws if an export is already being prepared
+ */
+const requestDataExport = async (userId) => {
+  const inProgress = await sql`
+    SELECT id FROM data_exports
+    WHERE user_id = ${userId}
+    AND status IN (${DataExportStatus.PENDING}, ${DataExportStatus.PROCESSING});
+  `;
+
+  if (inProgress[0]) {
+    throw new APIError("Your data export is already being prepared", 409, {
+      exportId: inProgress[0].id,
+    });
+  }
+
+  const dataExport = await sql`
+    INSERT INTO data_exports (user_id, status, requested_at)
+    VALUES (${userId}, ${DataExportStatus.PENDING}, NOW())
+    RETURNING *;
+  `;
+
+  return toStatusView(dataExport[0]);
+};
+
+/**
+ * Build a queued export's archive and email the member a download link.
+ * Safe to call more than once; only the first call claims the export.
+ * @param {string} exportId
+ * @returns {Promise<Object|null>} The finished export, or null if it was already claimed
+ */
+const processDataExport = async (exportId) => {
+  const claimed = await sql`
+    UPDATE data_exports
+    SET status = ${DataExportStatus.PROCESSING}, started_at = NOW()
+    WHERE id = ${exportId} AND status = ${DataExportStatus.PENDING}
+    RETURNING *;
+  `;
+
+  if (!claimed[0]) {
+    return null;
+  }
+
+  const { user_id: userId } = claimed[0];
+  const filePath = path.join(DATA_EXPORT_DIR, `${exportId}.zip`);
+
+  try {
+    const data = await collectPersonalData(userId);
+    const fileSize = await writeArchive(data, filePath);
+
+    const ready = await sql`
+      UPDATE data_exports
+      SET
+        status = ${DataExportStatus.READY},
+        file_path = ${filePath},
+        file_size = ${fileSize},
+        completed_at = NOW(),
+        expires_at = NOW() + (${DATA_EXPORT_EXPIRY_HOURS} * INTERVAL '1 hour')
+      WHERE id = ${exportId}
+      RETURNING *;
+    `;
+
+    // Removed while it was being built, e.g. the account is being deleted
+    if (!ready[0]) {
+      await fs.promises.rm(filePath, { force: true });
+      return null;
+    }
+
+    logger.info("DataExportModel - Data export ready", {
+      exportId,
+      userId,
+      fileSize,
+    });
+
+    const profile = data.profile[0];
+    if (profile) {
+      try {
+        await emailService.sendDataExportReadyEmail(
+          profile.email,
+          profile.full_name,
+          getDownloadLink(ready[0]),
+          ready[0].expires_at
+        );
+      } catch (error) {
+        logger.error("DataExportModel - Ready email failed", {
+          error: error.message,
+          exportId,
+        });
+      }
+    }
+
+    return ready[0];
+  } catch (error) {
+    logger.error("DataExportModel - Data export failed", {
+      error: error.message,
+      exportId,
+      userId,
+    });
+
+    await fs.promises.rm(filePath, { force: true });
+    await sql`
+      UPDATE data_exports
+      SET status = ${DataExportStatus.FAILED}, error = ${error.message}, completed_at = NOW()
+      WHERE id = ${exportId};
+    `;
+    return null;
+  }
+};
+
+/**
+ * A member's export, newest first when no ID is given
+ * @param {string} userId
+ * @param {string} [exportId]
+ * @returns {Promise<Object>} Status view, with a download link once ready
+ * @throws {APIError} - Throws if no matching export exists
+ */
+const getDataExportStatus = async (userId, exportId = null) => {
+  const dataExport = await sql`
+    SELECT * FROM data_exports
+    WHERE user_id = ${userId}
+    AND (${exportId}::uuid IS NULL OR id = ${exportId}::uuid)
+    ORDER BY requested_at DESC
+    LIMIT 1;
+  `;
+
+  if (!dataExport[0]) {
+    throw new APIError("Data export not found", 404);
+  }
+
+  return toStatusView(dataExport[0]);
+};
+
+/**
+ * Resolve a download link to the archive on disk
+ * @param {string} token - Token from the download link
+ * @returns {Promise<Object>} { filePath, fileName }
+ * @throws {APIError} - Throws if the link is invalid or the archive has expired
+ */
+const getDataExportDownload = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw new APIError("This download link is invalid or has expired", 410);
+  }
+
+  if (decoded.type !== DOWNLOAD_TOKEN_TYPE) {
+    throw new APIError("This download link is invalid or has expired", 410);
+  }
+
+  const dataExport = await sql`
+    UPDATE data_exports
+    SET downloaded_at = NOW()
+    WHERE id = ${decoded.exportId}
+    AND user_id = ${decoded.userId}
+    AND status = ${DataExportStatus.READY}
+    AND expires_at > NOW()
+    RETURNING id, file_path, completed_at;
+  `;
+
+  if (!dataExport[0]) {
+    throw new APIError("This download link is invalid or has expired", 410);
+  }
+
+  const date = new Date(dataExport[0].completed_at).toISOString().slice(0, 10);
+  return {
+    filePath: dataExport[0].file_path,
+    fileName: `my-church-data-${date}.zip`,
+  };
+};
+
+/**
+ * Delete archives past their expiry
+ * @returns {Promise<number>} Number of archives removed
+ */
+const purgeExpiredDataExports = async () => {
+  const expired = await sql`
+    WITH due AS (
+      SELECT id, file_path FROM data_exports
+      WHERE status = ${DataExportStatus.READY} AND expires_at <= NOW()
+      FOR UPDATE
+    )
+    UPDATE data_exports d
+    SET status = ${DataExportStatus.EXPIRED}, file_path = NULL
+    FROM due
+    WHERE d.id = due.id
+    RETURNING d.id, due.file_path;
+  `;
+
+  for (const { id, file_path: filePath } of expired) {
+    try {
+      if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    } catch (error) {
+      logger.error("DataExportModel - Could not delete expired archive", {
+        error: error.message,
+        exportId: id,
+      });
+    }
+  }
+
+  return expired.length;
+};
+
+/**
+ * Delete every export of a member and its archive, so old download links stop working
+ * @param {string} userId
+ * @returns {Promise<number>} Number of exports removed
+ */
+const removeUserDataExports = async (userId) => {
+  const removed = await sql`
+    DELETE FROM data_exports
+    WHERE user_id = ${userId}
+    RETURNING id, file_path;
+  `;
+
+  for (const { id, file_path: filePath } of removed) {
+    try {
+      if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    } catch (error) {
+      logger.error("DataExportModel - Could not delete archive", {
+        error: error.message,
+        exportId: id,
+      });
+    }
+  }
+
+  return removed.length;
+};
+
+/**
+ * Fail exports left half-built by a crash or restart so members can ask again
+ * @param {number} [olderThanMinutes=30]
+ * @returns {Promise<number>} Number of exports marked failed
+ */
+const failStalledDataExports = async (olderThanMinutes = 30) => {
+  const stalled = await sql`
+    UPDATE data_exports
+    SET status = ${DataExportStatus.FAILED}, error = 'Interrupted', completed_at = NOW()
+    WHERE status = ${DataExportStatus.PROCESSING}
+    AND started_at < NOW() - (${olderThanMinutes} * INTERVAL '1 minute')
+    RETURNING id;
+  `;
+  return stalled.length;
+};
+
+/**
+ * Exports still waiting to be built, e.g. after a restart interrupted them
+ * @param {number} [limit=5]
+ * @returns {Promise<Array<string>>} Export IDs, oldest first
+ */
+const findPendingDataExports = async (limit = 5) => {
+  const pending = await sql`
+    SELECT id FROM data_exports
+    WHERE status = ${DataExportStatus.PENDING}
+    ORDER BY requested_at
+    LIMIT ${limit};
+  `;
+  return pending.map((row) => row.id);
+};
+
+module.exports = {
+  DataExportStatus,
+  DATA_EXPORT_EXPIRY_HOURS,
+  collectPersonalData,
+  requestDataExport,
+  processDataExport,
+  getDataExportStatus,
+  removeUserDataExports,
+  getDataExportDownload,
+  purgeExpiredDataExports,
+  failStalledDataExports,
+  findPendingDataExports,
+};
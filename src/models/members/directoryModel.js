@@ -0,0 +1,196 @@
+const { sql } = require("../../config/database");
+const { Permissions } = require("../../config/permissions");
+const { getUserPermissions, hasPermission } = require("../roles/roleModel");
+const { AccountStatus } = require("../auth/accountStatusModel");
+const { getProfilePhotoUrls } = require("./profilePhotoModel");
+const { APIError } = require("../../utils/global-errorHandler");
+
+// Who may see a directory field. Names are always visible to members.
+const DirectoryVisibility = {
+  MEMBERS: "members",
+  ADMINS: "admins",
+  NOBODY: "nobody",
+};
+
+// LIKE treats these as wildcards; escaped, a search only matches what was typed
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// Field => settings column
+const DIRECTORY_FIELDS = {
+  phone: "phone_visibility",
+  email: "email_visibility",
+  photo: "photo_visibility",
+  ministry: "ministry_visibility",
+};
+
+// Contact details stay private until the member opts in
+const DEFAULT_VISIBILITY = {
+  phone: DirectoryVisibility.ADMINS,
+  email: DirectoryVisibility.ADMINS,
+  photo: DirectoryVisibility.MEMBERS,
+  ministry: DirectoryVisibility.MEMBERS,
+};
+
+const MAX_PAGE_SIZE = 50;
+
+// Admins see fields shared with admins; everyone sees fields shared with members
+const getVisibleLevels = async (viewer) => {
+  const permissions = viewer.permissions || (await getUserPermissions(viewer));
+  return hasPermission(permissions, Permissions.USERS_VIEW)
+    ? [DirectoryVisibility.MEMBERS, DirectoryVisibility.ADMINS]
+    : [DirectoryVisibility.MEMBERS];
+};
+
+const toSettingsView = (row) => {
+  return Object.fromEntries(
+    Object.entries(DIRECTORY_FIELDS).map(([field, column]) => [
+      field,
+      row?.[column] || DEFAULT_VISIBILITY[field],
+    ])
+  );
+};
+
+/**
+ * A member's directory privacy settings, with defaults for fields never set
+ * @param {string} userId
+ * @returns {Promise<Object>} { phone, email, photo, ministry } visibility
+ */
+const getDirectorySettings = async (userId) => {
+  const settings = await sql`
+    SELECT phone_visibility, email_visibility, photo_visibility, ministry_visibility
+    FROM directory_settings
+    WHERE user_id = ${userId};
+  `;
+
+  return toSettingsView(settings[0]);
+};
+
+/**
+ * Change who can see some or all of a member's directory fields
+ * @param {string} userId
+ * @param {Object} changes - { phone?, email?, photo?, ministry? } visibility values
+ * @returns {Promise<Object>} Updated settings
+ */
+const updateDirectorySettings = async (userId, changes) => {
+  const settings = { ...(await getDirectorySettings(userId)), ...changes };
+
+  const updated = await sql`
+    INSERT INTO directory_settings (
+      user_id, phone_visibility, email_visibility, photo_visibility, ministry_visibility, updated_at
+    )
+    VALUES (
+      ${userId}, ${settings.phone}, ${settings.email}, ${settings.photo}, ${settings.ministry}, NOW()
+    )
+    ON CONFLICT (user_id) DO UPDATE SET
+      phone_visibility = EXCLUDED.phone_visibility,
+      email_visibility = EXCLUDED.email_visibility,
+      photo_visibility = EXCLUDED.photo_visibility,
+      ministry_visibility = EXCLUDED.ministry_visibility,
+      updated_at = NOW()
+    RETURNING phone_visibility, email_visibility, photo_visibility, ministry_visibility;
+  `;
+
+  return toSettingsView(updated[0]);
+};
+
+/**
+ * Search active members by name, showing each field only to those its owner allows.
+ * Members always see their own entry in full.
+ * @param {Object} viewer - Signed-in user (id, permissions)
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Matches names, and emails where visible
+ * @param {string} [filters.ministry] - Exact ministry name, ignoring case; only matches members sharing their ministry with the viewer
+ * @param {number} [page=1]
+ * @param {number} [limit=20]
+ * @returns {Promise<Object>} { members, pagination }
+ * @throws {APIError} - Throws if neither a search term nor a ministry is given
+ */
+const searchDirectory = async (viewer, filters = {}, page = 1, limit = 20) => {
+  const search = filters.search?.trim();
+  const ministry = filters.ministry?.trim();
+
+  // An unfiltered search would let any member page through the whole congregation
+  if (!search && !ministry) {
+    throw new APIError("Enter a name or choose a ministry to search the directory", 400);
+  }
+
+  if (search && search.replace(/[\\%_]/g, "").length < 2) {
+    throw new APIError("Search must contain at least 2 letters or numbers", 400);
+  }
+
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+  const offset = (page - 1) * pageSize;
+
+  const params = [viewer.id, await getVisibleLevels(viewer), AccountStatus.ACTIVE];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Is a field visible to this viewer, given the owner's setting or its default
+  const visible = (field) =>
+    `(u.id = $1 OR COALESCE(s.${DIRECTORY_FIELDS[field]}, '${DEFAULT_VISIBILITY[field]}') = ANY($2))`;
+
+  const conditions = ["u.status = $3"];
+
+  if (search) {
+    const pattern = param(`%${escapeLikePattern(search)}%`);
+    conditions.push(
+      `(u.full_name ILIKE ${pattern} OR (${visible("email")} AND u.email ILIKE ${pattern}))`
+    );
+  }
+
+  if (ministry) {
+    conditions.push(
+      `(${visible("ministry")} AND LOWER(u.ministry) = LOWER(${param(ministry)}))`
+    );
+  }
+
+  const fromClause = `
+    FROM users u
+    LEFT JOIN directory_settings s ON s.user_id = u.id
+    WHERE ${conditions.join(" AND ")}
+  `;
+
+  const countResult = await sql(`SELECT COUNT(*) AS total ${fromClause};`, [...params]);
+
+  const rows = await sql(
+    `SELECT
+      u.id,
+      u.full_name,
+      CASE WHEN ${visible("phone")} THEN u.phone_number END AS phone_number,
+      CASE WHEN ${visible("email")} THEN u.email END AS email,
+      CASE WHEN ${visible("photo")} THEN u.profile_photo END AS profile_photo,
+      CASE WHEN ${visible("photo")} THEN u.profile_photo_key END AS profile_photo_key,
+      CASE WHEN ${visible("ministry")} THEN u.ministry END AS ministry
+    ${fromClause}
+    ORDER BY u.full_name, u.id
+    LIMIT ${param(pageSize)} OFFSET ${param(offset)};`,
+    params
+  );
+
+  const total = parseInt(countResult[0].total, 10);
+
+  return {
+    members: rows.map(({ profile_photo_key: photoKey, ...member }) => ({
+      ...member,
+      profile_photo_urls: getProfilePhotoUrls(photoKey),
+    })),
+    pagination: {
+      total,
+      page,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+module.exports = {
+  DirectoryVisibility,
+  DIRECTORY_FIELDS,
+  DEFAULT_VISIBILITY,
+  MAX_PAGE_SIZE,
+  getDirectorySettings,
+  updateDirectorySettings,
+  searchDirectory,
+};
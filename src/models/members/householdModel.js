@@ -0,0 +1,631 @@
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const { Permissions } = require("../../config/permissions");
+const { getUserPermissions, hasPermission } = require("../roles/roleModel");
+const { AccountStatus } = require("../auth/accountStatusModel");
+
+const HouseholdRelationships = {
+  HEAD: "head",
+  SPOUSE: "spouse",
+  CHILD: "child",
+  GUARDIAN: "guardian",
+  OTHER: "other",
+};
+
+const HouseholdMemberStatus = {
+  INVITED: "invited",
+  ACTIVE: "active",
+};
+
+// Heads and spouses run the household: invite, add dependents, edit and remove
+const MANAGING_RELATIONSHIPS = [
+  HouseholdRelationships.HEAD,
+  HouseholdRelationships.SPOUSE,
+];
+
+const MEMBER_COLUMNS = `
+  m.id,
+  m.user_id,
+  COALESCE(u.full_name, m.full_name) AS full_name,
+  m.relationship,
+  m.status,
+  m.date_of_birth,
+  (m.user_id IS NULL) AS is_dependent,
+  m.joined_at,
+  m.created_at
+`;
+
+const getPermissions = async (user) => {
+  return user.permissions || (await getUserPermissions(user));
+};
+
+const getActiveMembership = async (householdId, userId) => {
+  const membership = await sql`
+    SELECT id, relationship FROM household_members
+    WHERE household_id = ${householdId}
+    AND user_id = ${userId}
+    AND status = ${HouseholdMemberStatus.ACTIVE};
+  `;
+
+  return membership[0] || null;
+};
+
+const getHouseholdRow = async (householdId) => {
+  const household = await sql`
+    SELECT id, name, created_by, created_at, updated_at
+    FROM households
+    WHERE id = ${householdId};
+  `;
+
+  if (!household[0]) {
+    throw new APIError("Household not found", 404);
+  }
+
+  return household[0];
+};
+
+// Members of the household, or staff who can view member accounts
+const assertCanView = async (householdId, user) => {
+  await getHouseholdRow(householdId);
+
+  if (await getActiveMembership(householdId, user.id)) {
+    return;
+  }
+
+  if (!hasPermission(await getPermissions(user), Permissions.USERS_VIEW)) {
+    throw new APIError("You are not a member of this household", 403);
+  }
+};
+
+// Heads and spouses, or staff who can edit member accounts
+const assertCanManage = async (householdId, user) => {
+  await getHouseholdRow(householdId);
+
+  const membership = await getActiveMembership(householdId, user.id);
+  if (membership && MANAGING_RELATIONSHIPS.includes(membership.relationship)) {
+    return;
+  }
+
+  if (!hasPermission(await getPermissions(user), Permissions.USERS_MANAGE)) {
+    throw new APIError("Only the head of the household or their spouse can do this", 403);
+  }
+};
+
+const getMember = async (householdId, memberId) => {
+  const member = await sql`
+    SELECT id, household_id, user_id, full_name, date_of_birth, relationship, status
+    FROM household_members
+    WHERE id = ${memberId} AND household_id = ${householdId};
+  `;
+
+  if (!member[0]) {
+    throw new APIError("Household member not found", 404);
+  }
+
+  return member[0];
+};
+
+// Active account holders other than the given member
+const countOtherAccountMembers = async (householdId, memberId) => {
+  const [{ count }] = await sql`
+    SELECT COUNT(*) AS count FROM household_members
+    WHERE household_id = ${householdId}
+    AND id <> ${memberId}
+    AND user_id IS NOT NULL
+    AND status = ${HouseholdMemberStatus.ACTIVE};
+  `;
+  return parseInt(count, 10);
+};
+
+const countOtherHeads = async (householdId, memberId) => {
+  const [{ count }] = await sql`
+    SELECT COUNT(*) AS count FROM household_members
+    WHERE household_id = ${householdId}
+    AND id <> ${memberId}
+    AND relationship = ${HouseholdRelationships.HEAD}
+    AND user_id IS NOT NULL
+    AND status = ${HouseholdMemberStatus.ACTIVE};
+  `;
+  return parseInt(count, 10);
+};
+
+/**
+ * A household with its account holders, dependents and pending invitations
+ * @param {string} householdId
+ * @param {Object} user - Viewer (id, role, permissions)
+ * @returns {Promise<Object>} Household with members
+ * @throws {APIError} - Throws if it does not exist or the viewer may not see it
+ */
+const getHousehold = async (householdId, user) => {
+  await assertCanView(householdId, user);
+
+  const household = await getHouseholdRow(householdId);
+  const members = await sql(
+    `SELECT ${MEMBER_COLUMNS}
+    FROM household_members m
+    LEFT JOIN users u ON u.id = m.user_id
+    WHERE m.household_id = $1
+    ORDER BY
+      CASE m.relationship WHEN 'head' THEN 0 WHEN 'spouse' THEN 1 ELSE 2 END,
+      m.status,
+      m.date_of_birth NULLS LAST,
+      m.created_at;`,
+    [householdId]
+  );
+
+  return { ...household, members };
+};
+
+/**
+ * The household the user belongs to
+ * @param {Object} user
+ * @returns {Promise<Object|null>} Household with members, or null
+ */
+const getMyHousehold = async (user) => {
+  const membership = await sql`
+    SELECT household_id FROM household_members
+    WHERE user_id = ${user.id} AND status = ${HouseholdMemberStatus.ACTIVE};
+  `;
+
+  if (!membership[0]) {
+    return null;
+  }
+
+  return getHousehold(membership[0].household_id, user);
+};
+
+/**
+ * Start a household with the user as its head
+ * @param {Object} details
+ * @param {string} details.name - e.g. "The Ochieng Family"
+ * @param {Object} user - Creator
+ * @returns {Promise<Object>} New household with members
+ * @throws {APIError} - Throws if the user already belongs to a household
+ */
+const createHousehold = async ({ name }, user) => {
+  const existing = await sql`
+    SELECT household_id FROM household_members
+    WHERE user_id = ${user.id} AND status = ${HouseholdMemberStatus.ACTIVE};
+  `;
+
+  if (existing[0]) {
+    throw new APIError("You already belong to a household. Leave it first", 409);
+  }
+
+  const household = await sql`
+    INSERT INTO households (name, created_by)
+    VALUES (${name}, ${user.id})
+    RETURNING id;
+  `;
+
+  try {
+    await sql`
+      INSERT INTO household_members (household_id, user_id, relationship, status, joined_at)
+      VALUES (
+        ${household[0].id},
+        ${user.id},
+        ${HouseholdRelationships.HEAD},
+        ${HouseholdMemberStatus.ACTIVE},
+        NOW()
+      );
+    `;
+  } catch (error) {
+    // Joined another household concurrently; drop the empty one
+    await sql`DELETE FROM households WHERE id = ${household[0].id};`;
+    if (error.code === "23505") {
+      throw new APIError("You already belong to a household. Leave it first", 409);
+    }
+    throw error;
+  }
+
+  logger.info("HouseholdModel - Household created", {
+    householdId: household[0].id,
+    userId: user.id,
+  });
+
+  return getHousehold(household[0].id, user);
+};
+
+const updateHousehold = async (householdId, { name }, user) => {
+  await assertCanManage(householdId, user);
+
+  await sql`
+    UPDATE households SET name = ${name}, updated_at = NOW()
+    WHERE id = ${householdId};
+  `;
+
+  return getHousehold(householdId, user);
+};
+
+/**
+ * Delete a household and its dependents. Accounts are not affected.
+ * @param {string} householdId
+ * @param {Object} user - Must be a head, or have users.manage
+ * @returns {Promise<void>}
+ */
+const deleteHousehold = async (householdId, user) => {
+  await getHouseholdRow(householdId);
+
+  const membership = await getActiveMembership(householdId, user.id);
+  const isHead = membership?.relationship === HouseholdRelationships.HEAD;
+  if (!isHead && !hasPermission(await getPermissions(user), Permissions.USERS_MANAGE)) {
+    throw new APIError("Only the head of the household can delete it", 403);
+  }
+
+  await sql`DELETE FROM households WHERE id = ${householdId};`;
+
+  logger.info("HouseholdModel - Household deleted", {
+    householdId,
+    deletedBy: user.id,
+  });
+};
+
+/**
+ * Invite a member's account to join the household
+ * @param {string} householdId
+ * @param {Object} details
+ * @param {string} details.userId - Account to invite
+ * @param {string} details.relationship - Anything but head
+ * @param {Object} user - Inviting head or spouse
+ * @returns {Promise<Object>} The invited household member
+ * @throws {APIError} - Throws if the account is not active or already invited or in this household
+ */
+const inviteMember = async (householdId, { userId, relationship }, user) => {
+  await assertCanManage(householdId, user);
+
+  if (relationship === HouseholdRelationships.HEAD) {
+    throw new APIError("New members cannot join as head. Change relationships after they join", 400);
+  }
+
+  const invitee = await sql`
+    SELECT id, full_name, email FROM users
+    WHERE id = ${userId} AND status = ${AccountStatus.ACTIVE};
+  `;
+
+  if (!invitee[0]) {
+    throw new APIError("Member not found", 404);
+  }
+
+  let member;
+  try {
+    member = await sql`
+      INSERT INTO household_members (household_id, user_id, relationship, status, invited_by)
+      VALUES (
+        ${householdId},
+        ${userId},
+        ${relationship},
+        ${HouseholdMemberStatus.INVITED},
+        ${user.id}
+      )
+      RETURNING id, household_id, user_id, relationship, status, created_at;
+    `;
+  } catch (error) {
+    if (error.code === "23505") {
+      throw new APIError("This member is already in or invited to this household", 409);
+    }
+    throw error;
+  }
+
+  const household = await getHouseholdRow(householdId);
+
+  try {
+    await emailService.sendHouseholdInvitationEmail(invitee[0].email, {
+      fullName: invitee[0].full_name,
+      householdName: household.name,
+      invitedByName: user.full_name,
+      relationship,
+      invitationsLink: `${process.env.MEMBER_APP_URL || process.env.BASE_URL}/household/invitations`,
+    });
+  } catch (error) {
+    // The invitation is still listed in the member's app
+    logger.error("HouseholdModel - Invitation email failed", {
+      error: error.message,
+      householdMemberId: member[0].id,
+    });
+  }
+
+  return { ...member[0], full_name: invitee[0].full_name };
+};
+
+// Household invitations waiting for this user's answer
+const listMyInvitations = async (userId) => {
+  return sql`
+    SELECT
+      m.id,
+      m.household_id,
+      h.name AS household_name,
+      m.relationship,
+      inviter.full_name AS invited_by_name,
+      m.created_at
+    FROM household_members m
+    JOIN households h ON h.id = m.household_id
+    LEFT JOIN users inviter ON inviter.id = m.invited_by
+    WHERE m.user_id = ${userId} AND m.status = ${HouseholdMemberStatus.INVITED}
+    ORDER BY m.created_at DESC;
+  `;
+};
+
+/**
+ * Accept or decline a household invitation
+ * @param {string} memberId - household_members row of the invitation
+ * @param {Object} user - The invited user
+ * @param {boolean} accept
+ * @returns {Promise<Object|null>} The joined household, or null when declined
+ * @throws {APIError} - Throws if there is no such invitation, or the user is already in a household
+ */
+const respondToInvitation = async (memberId, user, accept) => {
+  const invitation = await sql`
+    SELECT id, household_id FROM household_members
+    WHERE id = ${memberId}
+    AND user_id = ${user.id}
+    AND status = ${HouseholdMemberStatus.INVITED};
+  `;
+
+  if (!invitation[0]) {
+    throw new APIError("Invitation not found", 404);
+  }
+
+  if (!accept) {
+    await sql`DELETE FROM household_members WHERE id = ${memberId};`;
+    return null;
+  }
+
+  try {
+    const joined = await sql`
+      UPDATE household_members
+      SET status = ${HouseholdMemberStatus.ACTIVE}, joined_at = NOW()
+      WHERE id = ${memberId} AND status = ${HouseholdMemberStatus.INVITED}
+      RETURNING id;
+    `;
+
+    if (!joined[0]) {
+      throw new APIError("Invitation not found", 404);
+    }
+  } catch (error) {
+    if (error.code === "23505") {
+      throw new APIError("You already belong to a household. Leave it first", 409);
+    }
+    throw error;
+  }
+
+  logger.info("HouseholdModel - Invitation accepted", {
+    householdId: invitation[0].household_id,
+    userId: user.id,
+  });
+
+  return getHousehold(invitation[0].household_id, user);
+};
+
+/**
+ * Add a family member without an account, such as a young child
+ * @param {string} householdId
+ * @param {Object} details - fullName, relationship and optional dateOfBirth
+ * @param {Object} user - Head or spouse
+ * @returns {Promise<Object>} The dependent
+ */
+const addDependent = async (householdId, { fullName, relationship, dateOfBirth = null }, user) => {
+  await assertCanManage(householdId, user);
+
+  if (relationship === HouseholdRelationships.HEAD) {
+    throw new APIError("A dependent cannot be the head of the household", 400);
+  }
+
+  const dependent = await sql`
+    INSERT INTO household_members (
+      household_id, full_name, date_of_birth, relationship, status, invited_by, joined_at
+    )
+    VALUES (
+      ${householdId},
+      ${fullName},
+      ${dateOfBirth},
+      ${relationship},
+      ${HouseholdMemberStatus.ACTIVE},
+      ${user.id},
+      NOW()
+    )
+    RETURNING id, household_id, full_name, date_of_birth, relationship, status, joined_at;
+  `;
+
+  return { ...dependent[0], user_id: null, is_dependent: true };
+};
+
+/**
+ * Change a member's relationship, or a dependent's name and date of birth
+ * @param {string} householdId
+ * @param {string} memberId
+ * @param {Object} changes - relationship, fullName, dateOfBirth
+ * @param {Object} user - Head or spouse
+ * @returns {Promise<Object>} Updated household
+ * @throws {APIError} - Throws if this would leave the household without a head
+ */
+const updateMember = async (householdId, memberId, changes, user) => {
+  await assertCanManage(householdId, user);
+  const member = await getMember(householdId, memberId);
+
+  const isDependent = !member.user_id;
+  if (!isDependent && (changes.fullName !== undefined || changes.dateOfBirth !== undefined)) {
+    throw new APIError("Account holders update their own name from their profile", 400);
+  }
+
+  const relationship = changes.relationship ?? member.relationship;
+
+  if (relationship === HouseholdRelationships.HEAD && (isDependent || member.status !== HouseholdMemberStatus.ACTIVE)) {
+    throw new APIError("Only a member who has joined with their account can be head", 400);
+  }
+
+  if (
+    member.relationship === HouseholdRelationships.HEAD &&
+    relationship !== HouseholdRelationships.HEAD &&
+    (await countOtherHeads(householdId, memberId)) === 0
+  ) {
+    throw new APIError("Make another member head of the household first", 409);
+  }
+
+  await sql`
+    UPDATE household_members
+    SET
+      relationship = ${relationship},
+      full_name = ${isDependent ? changes.fullName ?? member.full_name : null},
+      date_of_birth = ${isDependent ? (changes.dateOfBirth === undefined ? member.date_of_birth : changes.dateOfBirth) : null}
+    WHERE id = ${memberId};
+  `;
+
+  return getHousehold(householdId, user);
+};
+
+/**
+ * Remove a member, dependent or invitation. Account holders may also remove themselves.
+ * A household left with no account holders is deleted along with its dependents.
+ * @param {string} householdId
+ * @param {string} memberId
+ * @param {Object} user
+ * @returns {Promise<Object>} { householdDeleted }
+ * @throws {APIError} - Throws if this would leave other members without a head
+ */
+const removeMember = async (householdId, memberId, user) => {
+  const member = await getMember(householdId, memberId);
+
+  if (member.user_id !== user.id) {
+    await assertCanManage(householdId, user);
+  }
+
+  const isActiveAccount = member.user_id && member.status === HouseholdMemberStatus.ACTIVE;
+  const othersRemaining = isActiveAccount
+    ? await countOtherAccountMembers(householdId, memberId)
+    : 1;
+
+  if (
+    isActiveAccount &&
+    othersRemaining > 0 &&
+    member.relationship === HouseholdRelationships.HEAD &&
+    (await countOtherHeads(householdId, memberId)) === 0
+  ) {
+    throw new APIError("Make another member head of the household first", 409);
+  }
+
+  if (othersRemaining === 0) {
+    await sql`DELETE FROM households WHERE id = ${householdId};`;
+    return { householdDeleted: true };
+  }
+
+  await sql`DELETE FROM household_members WHERE id = ${memberId};`;
+  return { householdDeleted: false };
+};
+
+/**
+ * Take an account out of every household, deleting households left with no
+ * account holders. Used when an account is anonymised.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const removeUserFromHouseholds = async (userId) => {
+  // The outer DELETE sees the rows as they were before the CTE removed them
+  await sql`
+    WITH removed AS (
+      DELETE FROM household_members WHERE user_id = ${userId}
+      RETURNING household_id
+    )
+    DELETE FROM households h
+    WHERE h.id IN (SELECT household_id FROM removed)
+    AND NOT EXISTS (
+      SELECT 1 FROM household_members m
+      WHERE m.household_id = h.id
+      AND m.user_id IS NOT NULL
+      AND m.user_id <> ${userId}
+      AND m.status = ${HouseholdMemberStatus.ACTIVE}
+    );
+  `;
+};
+
+/**
+ * Completed giving by the household's account holders since each joined,
+ * per purpose and, for heads, spouses and finance staff, per member
+ * @param {string} householdId
+ * @param {Object} user - Household member, or staff with payments.view_reports
+ * @param {Object} [range]
+ * @param {string} [range.from] - YYYY-MM-DD
+ * @param {string} [range.to] - YYYY-MM-DD
+ * @returns {Promise<Object>} { householdId, from, to, total, byPurpose, byMember } (byMember null when not allowed)
+ */
+const getHouseholdGiving = async (householdId, user, { from = null, to = null } = {}) => {
+  await getHouseholdRow(householdId);
+
+  const membership = await getActiveMembership(householdId, user.id);
+  const canViewReports = hasPermission(
+    await getPermissions(user),
+    Permissions.PAYMENTS_VIEW_REPORTS
+  );
+
+  if (!membership && !canViewReports) {
+    throw new APIError("You are not a member of this household", 403);
+  }
+
+  // What each person gives is private; the rest of the family only sees totals
+  const canViewByMember =
+    canViewReports || MANAGING_RELATIONSHIPS.includes(membership.relationship);
+
+  const byPurpose = await sql`
+    SELECT
+      p.purpose,
+      SUM(p.amount) AS total_amount,
+      COUNT(*)::int AS transaction_count
+    FROM payments p
+    JOIN household_members m ON m.user_id = p.user_id
+    WHERE m.household_id = ${householdId}
+    AND m.status = ${HouseholdMemberStatus.ACTIVE}
+    AND p.status = 'COMPLETED'
+    AND p.payment_date >= m.joined_at::date
+    AND (${from}::date IS NULL OR p.payment_date >= ${from}::date)
+    AND (${to}::date IS NULL OR p.payment_date <= ${to}::date)
+    GROUP BY p.purpose
+    ORDER BY p.purpose;
+  `;
+
+  const byMember = canViewByMember
+    ? await sql`
+    SELECT
+      m.user_id,
+      u.full_name,
+      COALESCE(SUM(p.amount), 0) AS total_amount,
+      COUNT(p.id)::int AS transaction_count
+    FROM household_members m
+    JOIN users u ON u.id = m.user_id
+    LEFT JOIN payments p ON p.user_id = m.user_id
+      AND p.status = 'COMPLETED'
+      AND p.payment_date >= m.joined_at::date
+      AND (${from}::date IS NULL OR p.payment_date >= ${from}::date)
+      AND (${to}::date IS NULL OR p.payment_date <= ${to}::date)
+    WHERE m.household_id = ${householdId}
+    AND m.status = ${HouseholdMemberStatus.ACTIVE}
+    GROUP BY m.user_id, u.full_name
+    ORDER BY total_amount DESC, u.full_name;
+  `
+    : null;
+
+  const total = byPurpose
+    .reduce((sum, row) => sum + Number(row.total_amount), 0)
+    .toFixed(2);
+
+  return { householdId, from, to, total, byPurpose, byMember };
+};
+
+module.exports = {
+  HouseholdRelationships,
+  HouseholdMemberStatus,
+  MANAGING_RELATIONSHIPS,
+  getHousehold,
+  getMyHousehold,
+  createHousehold,
+  updateHousehold,
+  deleteHousehold,
+  inviteMember,
+  listMyInvitations,
+  respondToInvitation,
+  addDependent,
+  updateMember,
+  removeMember,
+  removeUserFromHouseholds,
+  getHouseholdGiving,
+};
@@ -0,0 +1,390 @@
+const bcrypt = require("bcrypt");
+const { check } = require("express-validator");
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const emailService = require("../../services/nodemailer");
+const { APIError } = require("../../utils/global-errorHandler");
+const { hashToken, generateSecureToken } = require("../../utils/secureTokens");
+const {
+  memberDetailsValidation,
+  validateMemberDetails,
+} = require("../../utils/memberValidation");
+const { toPhoneDigits } = require("../auth/phoneOtpModel");
+const { AccountStatus } = require("../auth/accountStatusModel");
+const { UserRoles } = require("../userModel");
+
+const MAX_IMPORT_ROWS = 1000;
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Record key => header spellings accepted in the uploaded file
+const IMPORT_HEADERS = {
+  fullName: ["name", "full name", "fullname", "member name"],
+  email: ["email", "email address", "e-mail"],
+  phoneNumber: ["phone", "phone number", "phonenumber", "mobile", "telephone"],
+  ministry: ["ministry", "department", "group"],
+};
+
+const REQUIRED_HEADERS = ["fullName", "email", "phoneNumber"];
+
+const RowStatus = {
+  VALID: "valid",
+  INVALID: "invalid",
+  DUPLICATE: "duplicate",
+  CREATED: "created",
+  FAILED: "failed",
+};
+
+const importRowValidation = [
+  ...memberDetailsValidation,
+  check("ministry")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Ministry must be at most 100 characters"),
+];
+
+// Phones are stored free-form; compare them in the same normalised form as phone login
+const findExistingContacts = async (emails, phoneDigits) => {
+  const existingEmails = await sql`
+    SELECT LOWER(email) AS email FROM users
+    WHERE LOWER(email) = ANY(${emails}::text[]);
+  `;
+
+  const existingPhones = await sql`
+    SELECT phone_digits FROM (
+      SELECT
+        CASE
+          WHEN REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') LIKE '0%'
+          THEN '254' || SUBSTRING(REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') FROM 2)
+          ELSE REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g')
+        END AS phone_digits
+      FROM users
+      WHERE phone_number IS NOT NULL
+    ) normalised
+    WHERE phone_digits = ANY(${phoneDigits}::text[]);
+  `;
+
+  return {
+    emails: new Set(existingEmails.map((row) => row.email)),
+    phones: new Set(existingPhones.map((row) => row.phone_digits)),
+  };
+};
+
+/**
+ * Validate rows and flag duplicates, without writing anything
+ * @param {Array<Object>} records - Rows from readSpreadsheet, each with a rowNumber
+ * @returns {Promise<Array<Object>>} Per-row results with status valid, invalid or duplicate
+ */
+const previewMemberImport = async (records) => {
+  const results = [];
+
+  for (const record of records) {
+    const { errors, values } = await validateMemberDetails(
+      record,
+      importRowValidation
+    );
+
+    results.push({
+      rowNumber: record.rowNumber,
+      fullName: values.fullName || null,
+      email: values.email ? values.email.toLowerCase() : null,
+      phoneNumber: values.phoneNumber || null,
+      ministry: values.ministry || null,
+      phoneDigits: values.phoneNumber ? toPhoneDigits(values.phoneNumber) : null,
+      status: errors.length > 0 ? RowStatus.INVALID : RowStatus.VALID,
+      errors,
+    });
+  }
+
+  const candidates = results.filter((row) => row.status === RowStatus.VALID);
+  const existing = await findExistingContacts(
+    candidates.map((row) => row.email),
+    candidates.map((row) => row.phoneDigits)
+  );
+
+  // The first row wins when the same person appears twice in the file
+  const seenEmails = new Map();
+  const seenPhones = new Map();
+
+  for (const row of candidates) {
+    const errors = [];
+
+    if (existing.emails.has(row.email)) {
+      errors.push({ field: "email", message: "A member with this email already exists" });
+    } else if (seenEmails.has(row.email)) {
+      errors.push({
+        field: "email",
+        message: `Same email as row ${seenEmails.get(row.email)}`,
+      });
+    }
+
+    if (existing.phones.has(row.phoneDigits)) {
+      errors.push({
+        field: "phoneNumber",
+        message: "A member with this phone number already exists",
+      });
+    } else if (seenPhones.has(row.phoneDigits)) {
+      errors.push({
+        field: "phoneNumber",
+        message: `Same phone number as row ${seenPhones.get(row.phoneDigits)}`,
+      });
+    }
+
+    if (errors.length > 0) {
+      row.status = RowStatus.DUPLICATE;
+      row.errors = errors;
+      continue;
+    }
+
+    seenEmails.set(row.email, row.rowNumber);
+    seenPhones.set(row.phoneDigits, row.rowNumber);
+  }
+
+  return results;
+};
+
+const getInvitationLink = (token) => {
+  const baseUrl = process.env.MEMBER_APP_URL || process.env.BASE_URL;
+  return `${baseUrl}/accept-invitation?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Issue a one-time invitation for an account without a password and email it
+ * @param {Object} user - id, email and full_name
+ * @param {string} invitedBy - Admin user ID
+ * @returns {Promise<Date>} When the invitation expires
+ */
+const sendMemberInvitation = async (user, invitedBy) => {
+  const token = generateSecureToken();
+  const expiresAt = new Date(
+    Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  await sql`
+    INSERT INTO member_invitations (user_id, token_hash, invited_by, expires_at)
+    VALUES (${user.id}, ${hashToken(token)}, ${invitedBy}, ${expiresAt});
+  `;
+
+  await emailService.sendMemberInvitationEmail(
+    user.email,
+    user.full_name,
+    getInvitationLink(token),
+    expiresAt
+  );
+
+  return expiresAt;
+};
+
+// New link for an invited member who lost or let the first one expire
+const resendMemberInvitation = async (userId, invitedBy) => {
+  const user = await sql`
+    SELECT id, full_name, email, status FROM users WHERE id = ${userId};
+  `;
+
+  if (!user[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  if (user[0].status !== AccountStatus.INVITED) {
+    throw new APIError("This member has already accepted their invitation", 409);
+  }
+
+  // Only the newest link stays usable
+  await sql`
+    UPDATE member_invitations
+    SET expires_at = NOW()
+    WHERE user_id = ${userId} AND accepted_at IS NULL AND expires_at > NOW();
+  `;
+
+  const expiresAt = await sendMemberInvitation(user[0], invitedBy);
+  return { userId, email: user[0].email, expiresAt };
+};
+
+const summarise = (results, dryRun) => {
+  const count = (status) =>
+    results.filter((row) => row.status === status).length;
+
+  return {
+    dryRun,
+    total: results.length,
+    valid: count(RowStatus.VALID),
+    created: count(RowStatus.CREATED),
+    invalid: count(RowStatus.INVALID),
+    duplicates: count(RowStatus.DUPLICATE),
+    failed: count(RowStatus.FAILED),
+  };
+};
+
+// Report rows without internal fields
+const toReportRow = ({ phoneDigits, ...row }) => row;
+
+/**
+ * Import members from spreadsheet rows, creating invited accounts
+ * @param {Object} sheet - Output of readSpreadsheet: { records, missingHeaders }
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only validate and report
+ * @param {string} options.invitedBy - Admin user ID
+ * @returns {Promise<Object>} { summary, rows } with one result per row
+ * @throws {APIError} - Throws if required columns are missing or the file is empty or too large
+ */
+const importMembers = async ({ records, missingHeaders }, { dryRun, invitedBy }) => {
+  const missingRequired = REQUIRED_HEADERS.filter((key) =>
+    missingHeaders.includes(key)
+  );
+  if (missingRequired.length > 0) {
+    throw new APIError(
+      `Missing required columns: ${missingRequired.join(", ")}`,
+      400
+    );
+  }
+
+  if (records.length === 0) {
+    throw new APIError("The file has no member rows", 400);
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new APIError(
+      `Imports are limited to ${MAX_IMPORT_ROWS} rows per file`,
+      400
+    );
+  }
+
+  const results = await previewMemberImport(records);
+
+  if (dryRun) {
+    return { summary: summarise(results, true), rows: results.map(toReportRow) };
+  }
+
+  for (const row of results.filter((result) => result.status === RowStatus.VALID)) {
+    try {
+      // ON CONFLICT covers an account created since the preview ran
+      const created = await sql`
+        INSERT INTO users (
+          full_name,
+          email,
+          password,
+          phone_number,
+          ministry,
+          role,
+          status,
+          created_at,
+          updated_at
+        ) VALUES (
+          ${row.fullName},
+          ${row.email},
+          null,
+          ${row.phoneNumber},
+          ${row.ministry},
+          ${UserRoles.MEMBER},
+          ${AccountStatus.INVITED},
+          NOW(),
+          NOW()
+        )
+        ON CONFLICT (email) DO NOTHING
+        RETURNING id, full_name, email;
+      `;
+
+      if (!created[0]) {
+        row.status = RowStatus.DUPLICATE;
+        row.errors = [
+          { field: "email", message: "A member with this email already exists" },
+        ];
+        continue;
+      }
+
+      row.status = RowStatus.CREATED;
+      row.userId = created[0].id;
+
+      // The account stays; an admin can re-send the invitation later
+      try {
+        row.invitationExpiresAt = await sendMemberInvitation(created[0], invitedBy);
+        row.invitationSent = true;
+      } catch (error) {
+        row.invitationSent = false;
+        logger.error("MemberImportModel - Invitation email failed", {
+          error: error.message,
+          userId: created[0].id,
+        });
+      }
+    } catch (error) {
+      row.status = RowStatus.FAILED;
+      row.errors = [{ field: null, message: "Could not create this member" }];
+      logger.error("MemberImportModel - Row import failed", {
+        error: error.message,
+        rowNumber: row.rowNumber,
+      });
+    }
+  }
+
+  return { summary: summarise(results, false), rows: results.map(toReportRow) };
+};
+
+/**
+ * Set a password from an invitation link and activate the account
+ * @param {string} token - Token from the invitation email
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Activated user
+ * @throws {APIError} - Throws if the invitation is unknown, used or expired
+ */
+const acceptMemberInvitation = async (token, password) => {
+  if (!password || password.length < 8) {
+    throw new APIError("Password must be at least 8 characters long", 400);
+  }
+
+  const invitation = await sql`
+    SELECT i.id, i.user_id, i.expires_at
+    FROM member_invitations i
+    JOIN users u ON u.id = i.user_id
+    WHERE i.token_hash = ${hashToken(token)}
+    AND i.accepted_at IS NULL
+    AND u.status = ${AccountStatus.INVITED};
+  `;
+
+  if (!invitation[0]) {
+    throw new APIError("Invalid or already used invitation", 400);
+  }
+
+  if (new Date() > new Date(invitation[0].expires_at)) {
+    throw new APIError("Invitation has expired. Please ask an administrator to resend it", 410);
+  }
+
+  // Claim the invitation first so it cannot be used twice concurrently
+  const claimed = await sql`
+    UPDATE member_invitations
+    SET accepted_at = NOW()
+    WHERE id = ${invitation[0].id} AND accepted_at IS NULL
+    RETURNING id;
+  `;
+
+  if (!claimed[0]) {
+    throw new APIError("Invalid or already used invitation", 400);
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  // Following the emailed link proves the address
+  const user = await sql`
+    UPDATE users
+    SET
+      password = ${hashedPassword},
+      status = ${AccountStatus.ACTIVE},
+      is_verified = true,
+      password_changed_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ${invitation[0].user_id}
+    RETURNING id, full_name, email, phone_number, ministry, role, status, is_verified;
+  `;
+
+  return user[0];
+};
+
+module.exports = {
+  IMPORT_HEADERS,
+  MAX_IMPORT_ROWS,
+  RowStatus,
+  previewMemberImport,
+  importMembers,
+  sendMemberInvitation,
+  resendMemberInvitation,
+  acceptMemberInvitation,
+};
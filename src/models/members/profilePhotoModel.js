@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { sql } = require("../../config/database");
+const logger = require("../../config/logger");
+const { APIError } = require("../../utils/global-errorHandler");
+const { detectImageType } = require("../../utils/imageValidation");
+const { getStorageService } = require("../../services/storage");
+
+// Square variants generated for every upload, in pixels
+const PROFILE_PHOTO_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512,
+};
+
+// Decompression-bomb guard: refuse anything larger than a 40MP photo
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const variantKey = (photoKey, size) => `${photoKey}-${size}.webp`;
+
+/**
+ * Public URLs of every variant of a stored photo
+ * @param {string|null} photoKey - users.profile_photo_key
+ * @returns {Object|null} { small, medium, large }
+ */
+const getProfilePhotoUrls = (photoKey) => {
+  if (!photoKey) {
+    return null;
+  }
+
+  const storage = getStorageService();
+  return Object.fromEntries(
+    Object.entries(PROFILE_PHOTO_SIZES).map(([name, size]) => [
+      name,
+      storage.getUrl(variantKey(photoKey, size)),
+    ])
+  );
+};
+
+/**
+ * Resize an upload into every variant. Output is WebP re-encoded from pixels,
+ * so EXIF (including GPS location) and any other metadata are dropped.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} { [size]: Buffer }
+ * @throws {APIError} - Throws if the content is not a supported image
+ */
+const createProfilePhotoVariants = async (buffer) => {
+  if (!detectImageType(buffer)) {
+    throw new APIError("Profile photo must be a JPEG, PNG or WebP image", 400);
+  }
+
+  const variants = {};
+  try {
+    for (const size of Object.values(PROFILE_PHOTO_SIZES)) {
+      // rotate() applies the EXIF orientation before the metadata is discarded
+      variants[size] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(size, size, { fit: "cover", position: "attention" })
+        .webp({ quality: 82 })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw new APIError("Profile photo could not be processed", 400, {
+      reason: error.message,
+    });
+  }
+
+  return variants;
+};
+
+const deleteProfilePhotoFiles = async (photoKey) => {
+  const storage = getStorageService();
+  for (const size of Object.values(PROFILE_PHOTO_SIZES)) {
+    try {
+      await storage.deleteObject(variantKey(photoKey, size));
+    } catch (error) {
+      logger.error("ProfilePhotoModel - Could not delete old photo", {
+        error: error.message,
+        photoKey,
+        size,
+      });
+    }
+  }
+};
+
+/**
+ * Store a new profile photo and remove the one it replaces
+ * @param {string} userId
+ * @param {Object} file - Multer file held in memory (buffer)
+ * @returns {Promise<Object>} Updated user with profile_photo_urls
+ * @throws {APIError} - Throws if the image is invalid or the user does not exist
+ */
+const setProfilePhoto = async (userId, file) => {
+  const variants = await createProfilePhotoVariants(file.buffer);
+
+  const current = await sql`
+    SELECT profile_photo_key FROM users WHERE id = ${userId};
+  `;
+
+  if (!current[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  // A fresh key per upload keeps URLs stable and safe to cache forever
+  const photoKey = `profile-photos/${userId}/${crypto.randomUUID()}`;
+  const storage = getStorageService();
+
+  for (const [size, buffer] of Object.entries(variants)) {
+    await storage.putObject(variantKey(photoKey, size), buffer, "image/webp");
+  }
+
+  const urls = getProfilePhotoUrls(photoKey);
+
+  const user = await sql`
+    UPDATE users
+    SET
+      profile_photo = ${urls.medium},
+      profile_photo_key = ${photoKey},
+      updated_at = NOW()
+    WHERE id = ${userId}
+    RETURNING id, full_name, email, phone_number, profile_photo, profile_photo_key, role, status;
+  `;
+
+  if (current[0].profile_photo_key) {
+    await deleteProfilePhotoFiles(current[0].profile_photo_key);
+  }
+
+  logger.info("ProfilePhotoModel - Profile photo updated", { userId, photoKey });
+
+  const { profile_photo_key: _key, ...rest } = user[0];
+  return { ...rest, profile_photo_urls: urls };
+};
+
+/**
+ * Remove a member's uploaded profile photo, if they have one
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether a photo was removed
+ */
+const removeProfilePhoto = async (userId) => {
+  const current = await sql`
+    SELECT profile_photo_key FROM users WHERE id = ${userId};
+  `;
+
+  if (!current[0]?.profile_photo_key) {
+    return false;
+  }
+
+  await sql`
+    UPDATE users
+    SET profile_photo = NULL, profile_photo_key = NULL, updated_at = NOW()
+    WHERE id = ${userId};
+  `;
+
+  await deleteProfilePhotoFiles(current[0].profile_photo_key);
+  return true;
+};
+
+module.exports = {
+  PROFILE_PHOTO_SIZES,
+  getProfilePhotoUrls,
+  createProfilePhotoVariants,
+  setProfilePhoto,
+  removeProfilePhoto,
+};
@@ -1,5 +1,5 @@
 const { sql } = require("../../config/database");
-const { ValidationError, DatabaseError } = require("../errors");
+const { ValidationError, DatabaseError, ForbiddenError } = require("./errors");
 const Mpesa = require("mpesa-node-api");
 const Joi = require("joi");
 
@@ -50,6 +50,17 @@ class PaymentModel {
 
       const { userId, phoneNumber, amount, purpose, description } = value;
 
+      // Giving is only available to members with a verified email
+      const [payer] = await sql`
+        SELECT is_verified FROM users WHERE id = ${userId}
+      `;
+      if (!payer?.is_verified) {
+        throw new ForbiddenError(
+          "Please verify your email address before giving",
+          "EMAIL_NOT_VERIFIED"
+        );
+      }
+
       // Generate timestamp for the request
       const timestamp = new Date()
         .toISOString()
@@ -122,7 +133,7 @@ class PaymentModel {
         },
       };
     } catch (error) {
-      if (error instanceof ValidationError) {
+      if (error instanceof ValidationError || error instanceof ForbiddenError) {
         throw error;
       }
       throw new DatabaseError(
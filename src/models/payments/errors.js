@@ -24,8 +24,16 @@ class DatabaseError extends CustomError {
     }
 }
 
+// Forbidden Error (e.g., member not allowed to perform the action yet)
+class ForbiddenError extends CustomError {
+    constructor (message, errorCode) {
+        super(message, 403, errorCode || "FORBIDDEN"); // Forbidden
+    }
+}
+
 module.exports = {
     CustomError,
     ValidationError,
-    DatabaseError
+    DatabaseError,
+    ForbiddenError
 };
\ No newline at end of file
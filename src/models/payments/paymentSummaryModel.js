@@ -0,0 +1,69 @@
+const { sql } = require("../../config/database");
+const { APIError } = require("../../utils/global-errorHandler");
+
+// Values of the payment_purpose enum
+const PAYMENT_PURPOSES = ["TITHE", "OFFERING", "SPECIAL_OFFERING", "DEVELOPMENT_FUND"];
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Daily completed-giving totals per purpose, kept up to date by the
+ * update_payment_summary trigger on payments
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - YYYY-MM-DD, defaults to 30 days before `to`
+ * @param {string} [filters.to] - YYYY-MM-DD, defaults to today
+ * @param {string} [filters.purpose] - One of PAYMENT_PURPOSES
+ * @returns {Promise<Object>} { from, to, days, totals }
+ * @throws {APIError} - Throws if the range is reversed or longer than a year
+ */
+const getPaymentSummaries = async ({ from, to, purpose } = {}) => {
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from
+    ? new Date(from)
+    : new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (fromDate > toDate) {
+    throw new APIError("from must be on or before to", 400);
+  }
+
+  if ((toDate - fromDate) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw new APIError(`The date range is limited to ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  const range = { from: toDateOnly(fromDate), to: toDateOnly(toDate) };
+
+  const days = await sql`
+    SELECT
+      TO_CHAR(date, 'YYYY-MM-DD') AS date,
+      purpose,
+      total_amount,
+      transaction_count
+    FROM payment_summaries
+    WHERE date BETWEEN ${range.from}::date AND ${range.to}::date
+    AND (${purpose || null}::payment_purpose IS NULL OR purpose = ${purpose || null}::payment_purpose)
+    ORDER BY date, purpose;
+  `;
+
+  const totals = await sql`
+    SELECT
+      purpose,
+      SUM(total_amount) AS total_amount,
+      SUM(transaction_count)::int AS transaction_count
+    FROM payment_summaries
+    WHERE date BETWEEN ${range.from}::date AND ${range.to}::date
+    AND (${purpose || null}::payment_purpose IS NULL OR purpose = ${purpose || null}::payment_purpose)
+    GROUP BY purpose
+    ORDER BY purpose;
+  `;
+
+  return { ...range, days, totals };
+};
+
+module.exports = {
+  PAYMENT_PURPOSES,
+  getPaymentSummaries,
+};
@@ -0,0 +1,292 @@
+const { sql } = require("../../config/database");
+const { APIError } = require("../../utils/global-errorHandler");
+const {
+  Permissions,
+  ALL_PERMISSIONS,
+} = require("../../config/permissions");
+
+const KNOWN_PERMISSIONS = [...Object.values(Permissions), ALL_PERMISSIONS];
+
+// The built-in role a user gets from users.role / is_super_admin
+const getSystemRoleName = (user) => {
+  return user.is_super_admin ? "super_admin" : user.role;
+};
+
+/**
+ * Effective permissions of a user: their built-in role plus any assigned roles
+ * @param {Object} user - User row with id, role and is_super_admin
+ * @returns {Promise<string[]>} Permission keys, "*" meaning every permission
+ */
+const getUserPermissions = async (user) => {
+  const permissions = await sql`
+    SELECT DISTINCT p.key
+    FROM permissions p
+    JOIN role_permissions rp ON rp.permission_id = p.id
+    JOIN roles r ON r.id = rp.role_id
+    WHERE r.name = ${getSystemRoleName(user)}
+    OR r.id IN (SELECT role_id FROM user_roles WHERE user_id = ${user.id});
+  `;
+
+  return permissions.map((permission) => permission.key);
+};
+
+const hasPermission = (permissions, required) => {
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(required);
+};
+
+// Nobody can hand out powers they do not hold themselves
+const assertCanGrant = (actorPermissions, permissions) => {
+  const missing = permissions.filter(
+    (permission) =>
+      permission === ALL_PERMISSIONS
+        ? !actorPermissions.includes(ALL_PERMISSIONS)
+        : !hasPermission(actorPermissions, permission)
+  );
+
+  if (missing.length > 0) {
+    throw new APIError(
+      `You cannot grant permissions you do not hold: ${missing.join(", ")}`,
+      403
+    );
+  }
+};
+
+const assertKnownPermissions = (permissions) => {
+  const unknown = permissions.filter((key) => !KNOWN_PERMISSIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new APIError(`Unknown permissions: ${unknown.join(", ")}`, 400);
+  }
+};
+
+// Check the actor may give someone a built-in role via users.role
+const assertCanGrantSystemRole = async (roleName, actorPermissions) => {
+  const rolePermissions = await sql`
+    SELECT p.key
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    LEFT JOIN permissions p ON p.id = rp.permission_id
+    WHERE r.name = ${roleName} AND r.is_system = true;
+  `;
+
+  if (rolePermissions.length === 0) {
+    throw new APIError(`Unknown role: ${roleName}`, 400);
+  }
+
+  assertCanGrant(
+    actorPermissions,
+    rolePermissions.map((permission) => permission.key).filter(Boolean)
+  );
+};
+
+const listPermissions = async () => {
+  return sql`
+    SELECT key, description FROM permissions ORDER BY key;
+  `;
+};
+
+const getRoleById = async (roleId) => {
+  const role = await sql`
+    SELECT
+      r.id,
+      r.name,
+      r.description,
+      r.is_system,
+      r.created_at,
+      r.updated_at,
+      COALESCE(
+        ARRAY_AGG(p.key ORDER BY p.key) FILTER (WHERE p.key IS NOT NULL),
+        '{}'
+      ) AS permissions
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    LEFT JOIN permissions p ON p.id = rp.permission_id
+    WHERE r.id = ${roleId}
+    GROUP BY r.id;
+  `;
+
+  if (!role[0]) {
+    throw new APIError("Role not found", 404);
+  }
+
+  return role[0];
+};
+
+const listRoles = async () => {
+  return sql`
+    SELECT
+      r.id,
+      r.name,
+      r.description,
+      r.is_system,
+      COALESCE(
+        ARRAY_AGG(p.key ORDER BY p.key) FILTER (WHERE p.key IS NOT NULL),
+        '{}'
+      ) AS permissions,
+      (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id) AS assigned_users
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    LEFT JOIN permissions p ON p.id = rp.permission_id
+    GROUP BY r.id
+    ORDER BY r.is_system DESC, r.name;
+  `;
+};
+
+const setRolePermissions = async (roleId, permissions) => {
+  await sql`
+    DELETE FROM role_permissions WHERE role_id = ${roleId};
+  `;
+
+  await sql`
+    INSERT INTO role_permissions (role_id, permission_id)
+    SELECT ${roleId}, id FROM permissions WHERE key = ANY(${permissions}::text[]);
+  `;
+};
+
+/**
+ * Create a custom role, e.g. a ministry leader with scoped powers
+ * @param {Object} role
+ * @param {string} role.name - Unique role name
+ * @param {string} [role.description]
+ * @param {string[]} role.permissions - Permission keys
+ * @param {string[]} actorPermissions - Permissions of the user creating it
+ * @returns {Promise<Object>} Created role with its permissions
+ */
+const createRole = async ({ name, description, permissions }, actorPermissions) => {
+  assertKnownPermissions(permissions);
+  assertCanGrant(actorPermissions, permissions);
+
+  const existing = await sql`
+    SELECT id FROM roles WHERE name = ${name};
+  `;
+
+  if (existing[0]) {
+    throw new APIError("A role with this name already exists", 409);
+  }
+
+  const role = await sql`
+    INSERT INTO roles (name, description, is_system, created_at, updated_at)
+    VALUES (${name}, ${description || null}, false, NOW(), NOW())
+    RETURNING id;
+  `;
+
+  await setRolePermissions(role[0].id, permissions);
+
+  return getRoleById(role[0].id);
+};
+
+const assertCustomRole = (role) => {
+  if (role.is_system) {
+    throw new APIError("Built-in roles cannot be changed", 400);
+  }
+};
+
+const updateRole = async (roleId, { description, permissions }, actorPermissions) => {
+  const role = await getRoleById(roleId);
+  assertCustomRole(role);
+
+  if (permissions) {
+    assertKnownPermissions(permissions);
+    assertCanGrant(actorPermissions, permissions);
+    await setRolePermissions(roleId, permissions);
+  }
+
+  await sql`
+    UPDATE roles
+    SET
+      description = COALESCE(${description ?? null}, description),
+      updated_at = NOW()
+    WHERE id = ${roleId};
+  `;
+
+  return getRoleById(roleId);
+};
+
+const deleteRole = async (roleId) => {
+  const role = await getRoleById(roleId);
+  assertCustomRole(role);
+
+  await sql`
+    DELETE FROM roles WHERE id = ${roleId};
+  `;
+
+  return true;
+};
+
+// Roles assigned to a user on top of their built-in role
+const getUserRoles = async (userId) => {
+  const user = await sql`
+    SELECT id, role, is_super_admin FROM users WHERE id = ${userId};
+  `;
+
+  if (!user[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  const roles = await sql`
+    SELECT r.id, r.name, r.description, ur.assigned_by, ur.assigned_at
+    FROM user_roles ur
+    JOIN roles r ON r.id = ur.role_id
+    WHERE ur.user_id = ${userId}
+    ORDER BY r.name;
+  `;
+
+  return {
+    userId,
+    systemRole: getSystemRoleName(user[0]),
+    roles,
+    permissions: await getUserPermissions(user[0]),
+  };
+};
+
+const assignRole = async (userId, roleId, actor) => {
+  const role = await getRoleById(roleId);
+  assertCanGrant(actor.permissions, role.permissions);
+
+  const user = await sql`
+    SELECT id FROM users WHERE id = ${userId};
+  `;
+
+  if (!user[0]) {
+    throw new APIError("User not found", 404);
+  }
+
+  await sql`
+    INSERT INTO user_roles (user_id, role_id, assigned_by, assigned_at)
+    VALUES (${userId}, ${roleId}, ${actor.id}, NOW())
+    ON CONFLICT (user_id, role_id) DO NOTHING;
+  `;
+
+  return getUserRoles(userId);
+};
+
+const removeRole = async (userId, roleId, actor) => {
+  const role = await getRoleById(roleId);
+  assertCanGrant(actor.permissions, role.permissions);
+
+  const removed = await sql`
+    DELETE FROM user_roles
+    WHERE user_id = ${userId} AND role_id = ${roleId}
+    RETURNING user_id;
+  `;
+
+  if (!removed[0]) {
+    throw new APIError("Role is not assigned to this user", 404);
+  }
+
+  return getUserRoles(userId);
+};
+
+module.exports = {
+  getUserPermissions,
+  hasPermission,
+  assertCanGrantSystemRole,
+  listPermissions,
+  listRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserRoles,
+  assignRole,
+  removeRole,
+};
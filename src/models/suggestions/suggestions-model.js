@@ -311,19 +311,16 @@ class SuggestionModel {
    */
   /**
    * Permanently delete suggestion (admin only)
+   * Access is checked by the route's suggestions.delete permission
    */
   static async adminDeleteSuggestion(id, adminId) {
     try {
       const result = await sql.transaction((trx) => {
         return [
-          // Verify admin
-          trx`SELECT id FROM users 
-            WHERE id = ${adminId} AND role IN ('admin', 'super_admin')`,
-
           // Delete the suggestion
           trx`DELETE FROM suggestions
             WHERE id = ${id}
-            RETURNING id`,
+            RETURNING *`,
 
           // Clean up related records
           trx`DELETE FROM suggestion_notifications
@@ -331,19 +328,14 @@ class SuggestionModel {
         ];
       });
 
-      const [adminResults, suggestionResults] = result;
-      const admin = adminResults[0];
+      const [suggestionResults] = result;
       const suggestion = suggestionResults[0];
 
-      if (!admin) {
-        throw new Error("Unauthorized: Admin privileges required");
-      }
-
       if (!suggestion) {
         throw new Error("Suggestion not found");
       }
 
-      return { id: suggestion.id };
+      return suggestion;
     } catch (error) {
       throw this.handleDatabaseError(error, "permanently deleting suggestion");
     }
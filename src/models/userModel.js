@@ -1,17 +1,37 @@
 const { sql } = require("../config/database");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const emailService = require("../services/nodemailer");
+const logger = require("../config/logger");
+const { hashToken, matchesHash } = require("../utils/secureTokens");
+const twoFactorModel = require("./auth/twoFactorModel");
+const sessionModel = require("./auth/sessionModel");
+const accountStatusModel = require("./auth/accountStatusModel");
+const securityEventModel = require("./auth/securityEventModel");
+const loginProtection = require("../services/loginProtection");
+const { invalidateAuthUser } = require("../services/authUserCache");
+const { TokenAudiences, signToken } = require("../services/jwtSigning");
+const profilePhotoModel = require("./members/profilePhotoModel");
 
 //generate 6-code verification code
 const generateVerificationCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
-// User roles enum
+const PASSWORD_RESET_EXPIRY_MINUTES = 15;
+const MAX_PASSWORD_RESET_ATTEMPTS = 5;
+const EMAIL_VERIFICATION_EXPIRY_MINUTES = 15;
+const MAX_EMAIL_VERIFICATION_ATTEMPTS = 5;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const MAX_EMAIL_VERIFICATIONS_PER_HOUR = 5;
+const REFRESH_TOKEN_LIFETIME_DAYS = 30;
+
+// User roles enum, matching the users.role CHECK constraint
 const UserRoles = {
-  USER: "user",
+  MEMBER: "member",
   ADMIN: "admin",
+  SUPER_ADMIN: "super_admin",
 };
 
 // Create regular user
@@ -50,16 +70,34 @@ const createUser = async ({
         ${email},
         ${hashedPassword},
         ${phoneNumber},
-        ${UserRoles.USER},
+        ${UserRoles.MEMBER},
         'active',
         NOW(),
         NOW()
       )
-      RETURNING id, full_name, email, phone_number, role, created_at, status;
+      RETURNING id, full_name, email, phone_number, role, created_at, status, is_verified;
     `;
 
+    // A failed email should not undo the registration; the member can resend
+    try {
+      await sendEmailVerification(user[0].id, user[0].email);
+    } catch (error) {
+      logger.error("UserModel.createUser - Verification email failed", {
+        error: error.message,
+        userId: user[0].id,
+      });
+    }
+
+    // Likewise a rejected photo; it can be uploaded again from the profile
     if (profilePhoto) {
-      return await uploadProfilePhoto(profilePhoto, user[0].id);
+      try {
+        return await uploadProfilePhoto(user[0].id, profilePhoto);
+      } catch (error) {
+        logger.error("UserModel.createUser - Profile photo upload failed", {
+          error: error.message,
+          userId: user[0].id,
+        });
+      }
     }
 
     return user[0];
@@ -72,213 +110,330 @@ const createUser = async ({
 };
 //upload profile photo
 const uploadProfilePhoto = async (userId, file) => {
-  try {
-    // Update the user's profile photo path in the database
-    const user = await sql`
-      UPDATE users 
-      SET 
-        profile_photo = ${file.path},
-        updated_at = NOW()
-      WHERE id = ${userId}
-      RETURNING id, full_name, email, phone_number, profile_photo, role, status;
-    `;
+  return profilePhotoModel.setProfilePhoto(userId, file);
+};
 
-    if (!user[0]) {
-      throw new Error("User not found");
+// Issue a fresh email verification code
+const sendEmailVerification = async (userId, email) => {
+  // Only the most recently issued code stays usable
+  await sql`
+    UPDATE email_verifications
+    SET consumed_at = NOW()
+    WHERE user_id = ${userId} AND consumed_at IS NULL;
+  `;
+
+  const verificationCode = generateVerificationCode();
+  const expiresAt = new Date(
+    Date.now() + EMAIL_VERIFICATION_EXPIRY_MINUTES * 60 * 1000
+  );
+
+  await sql`
+    INSERT INTO email_verifications (user_id, code_hash, expires_at)
+    VALUES (${userId}, ${hashToken(verificationCode)}, ${expiresAt});
+  `;
+
+  await emailService.sendVerificationCode(email, verificationCode);
+
+  return true;
+};
+
+// Resend the verification code to an unverified member
+const resendEmailVerification = async (email) => {
+  // Counted before the lookup, so unknown addresses are throttled exactly like members'
+  await loginProtection.assertCodeRequestAllowed(
+    `email:${String(email).trim().toLowerCase()}`,
+    {
+      cooldownSeconds: EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS,
+      maxPerHour: MAX_EMAIL_VERIFICATIONS_PER_HOUR,
+      limitMessage:
+        "Too many verification codes requested. Please try again later",
     }
+  );
 
-    return user[0];
-  } catch (error) {
-    throw error;
+  const user = await sql`
+    SELECT id, email FROM users
+    WHERE email = ${email} AND is_verified = false AND status = 'active';
+  `;
+
+  // Do not reveal whether the email is registered or already verified
+  if (!user[0]) {
+    return false;
   }
+
+  return sendEmailVerification(user[0].id, user[0].email);
 };
 
-// Create admin user with verification
-const createAdmin = async ({
-  fullName,
-  email,
-  password,
-  phoneNumber,
-  is_super_admin = false,
-}) => {
-  try {
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const verificationCode = generateVerificationCode();
-    const verificationExpiry = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+// Confirm a member's email address with the emailed code
+const verifyEmail = async (email, verificationCode) => {
+  const verification = await sql`
+    SELECT ev.id, ev.user_id, ev.code_hash, ev.attempts, ev.expires_at
+    FROM email_verifications ev
+    JOIN users u ON u.id = ev.user_id
+    WHERE u.email = ${email}
+    AND u.is_verified = false
+    AND ev.consumed_at IS NULL
+    ORDER BY ev.created_at DESC
+    LIMIT 1;
+  `;
 
-    // Create unverified admin
-    const admin = await sql`
-      INSERT INTO users (
-        full_name,
-        email,
-        password,
-        phone_number,
-        role,
-        status,
-        is_super_admin,
-        verification_code,
-        verification_code_expires_at,
-        created_at,
-        updated_at
-      ) VALUES (
-        ${fullName},
-        ${email},
-        ${hashedPassword},
-        ${phoneNumber},
-        ${UserRoles.ADMIN},
-        'pending',
-        ${is_super_admin},
-        ${verificationCode},
-        ${verificationExpiry},
-        NOW(),
-        NOW()
-      )
-      RETURNING id, full_name, email, phone_number, role, status;
+  if (!verification[0]) {
+    throw new Error("Invalid verification attempt");
+  }
+
+  if (new Date() > new Date(verification[0].expires_at)) {
+    throw new Error("Verification code has expired");
+  }
+
+  if (verification[0].attempts >= MAX_EMAIL_VERIFICATION_ATTEMPTS) {
+    throw new Error("Too many failed attempts. Please request a new code");
+  }
+
+  if (!matchesHash(verificationCode, verification[0].code_hash)) {
+    await sql`
+      UPDATE email_verifications
+      SET attempts = attempts + 1
+      WHERE id = ${verification[0].id};
     `;
+    throw new Error("Invalid verification code");
+  }
 
-    // Send verification code
-    await emailService.sendVerificationCode(email, verificationCode);
+  // Consume the code first so it cannot be used twice concurrently
+  const consumed = await sql`
+    UPDATE email_verifications
+    SET consumed_at = NOW()
+    WHERE id = ${verification[0].id}
+    AND consumed_at IS NULL
+    AND attempts < ${MAX_EMAIL_VERIFICATION_ATTEMPTS}
+    RETURNING id;
+  `;
 
-    return admin[0]; // Return the first row of the result
-  } catch (error) {
-    if (error.code === "23505") {
-      throw new Error("Email or phone number already exists");
-    }
-    throw error;
+  if (!consumed[0]) {
+    throw new Error("Invalid verification attempt");
   }
+
+  const verifiedUser = await sql`
+    UPDATE users
+    SET
+      is_verified = true,
+      updated_at = NOW()
+    WHERE id = ${verification[0].user_id}
+    RETURNING id, full_name, email, phone_number, role, status, is_verified;
+  `;
+  await invalidateAuthUser(verification[0].user_id);
+
+  return verifiedUser[0];
 };
-// Verify admin account
-const verifyAdminAccount = async (email, verificationCode) => {
-  try {
-    const admin = await sql`
-      SELECT id, verification_code, verification_code_expires_at
-      FROM users
-      WHERE email = ${email}
-      AND role = ${UserRoles.ADMIN}
-      AND status = 'pending';
-    `;
 
-    if (!admin[0]) {
-      throw new Error("Invalid verification attempt");
-    }
+// Count a failed password login and tell the member if it locked their account
+const handleFailedLogin = async (attempt, user) => {
+  const { locked, lockedUntil } = await loginProtection.recordLoginFailure(
+    attempt
+  );
 
-    if (new Date() > new Date(admin[0].verification_code_expires_at)) {
-      throw new Error("Verification code has expired");
-    }
+  if (locked) {
+    logger.warn("UserModel.loginUser - Account locked after failed logins", {
+      securityEvent: "account_locked",
+      email: attempt.email,
+      ipAddress: attempt.ipAddress,
+    });
 
-    if (admin[0].verification_code !== verificationCode) {
-      throw new Error("Invalid verification code");
+    if (user) {
+      try {
+        await emailService.sendAccountLockedEmail(user.email, lockedUntil);
+      } catch (error) {
+        logger.error("UserModel.loginUser - Lockout email failed", {
+          error: error.message,
+        });
+      }
     }
-    // Activate admin account
-    const verifiedAdmin = await sql`
-        UPDATE users
-        SET 
-          status = 'active',
-          verification_code = null,
-          verification_code_expires_at = null,
-          updated_at = NOW()
-        WHERE id = ${admin[0].id}
-        RETURNING id, full_name, email, phone_number, role, status;
-      `;
-
-    return verifiedAdmin[0];
-  } catch (error) {
-    throw error;
   }
 };
 
   // Enhanced login with role-based token generation and genereate the refresh token
-  const loginUser = async (email, password) => {
+  const loginUser = async (email, password, device = {}) => {
     try {
+      const attempt = { email, ipAddress: device.ipAddress };
+      await loginProtection.assertLoginAllowed(attempt);
+
+      // A suspension that has run out is lifted on the next login attempt
+      await accountStatusModel.reactivateExpiredSuspensions({ email });
+
       const user = await sql`
-        SELECT id, full_name, email, password, role, status, last_login
+        SELECT id, full_name, email, password, role, status, is_verified, is_super_admin, auth_provider, last_login
         FROM users
         WHERE email = ${email} AND status = 'active';
       `;
 
       if (!user[0]) {
+        await handleFailedLogin(attempt);
         throw new Error("Invalid email or password");
       }
 
+      // Google-only accounts have no password to check
+      if (!user[0].password) {
+        throw new Error(
+          user[0].auth_provider === "google"
+            ? "This account uses Google sign-in. Please continue with Google"
+            : "Invalid email or password"
+        );
+      }
+
       const isValidPassword = await bcrypt.compare(password, user[0].password);
       if (!isValidPassword) {
+        await handleFailedLogin(attempt, user[0]);
         throw new Error("Invalid email or password");
       }
 
-      // Clear any previous token invalidation timestamp
-      await sql`
-        UPDATE users
-        SET 
-          last_login = NOW(),
-          token_invalidated_at = null
-        WHERE id = ${user[0].id};
-      `;
-
-      const issuedAt = Math.floor(Date.now() / 1000);
-
-      // Generate access token
-      const accessToken = jwt.sign(
-        {
-          userId: user[0].id,
-          email: user[0].email,
-          role: user[0].role,
-          iat: issuedAt,
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: user[0].role === UserRoles.ADMIN ? "1h" : "2h" } // Shorter lifetime for access tokens
-      );
-
-      // Generate refresh token
-      const refreshToken = await generateRefreshToken(user[0].id);
+      await loginProtection.recordLoginSuccess(attempt);
 
-      const { password: _, ...userWithoutPassword } = user[0];
-      return {
-        user: userWithoutPassword,
-        accessToken,
-        refreshToken,
-      };
+      return await completeLogin(user[0], device);
     } catch (error) {
       throw error;
     }
   };
 
+// Finish a login whose first factor passed, asking for a second factor when required
+const completeLogin = async (user, device = {}) => {
+  const challenge = await twoFactorModel.createLoginChallenge(user);
+  if (challenge) {
+    return challenge;
+  }
+
+  return issueAuthTokens(user, device);
+};
+
+// Issue the access/refresh token pair for a user who has proven their identity
+// device ({ deviceName, userAgent, ipAddress }) describes the new session
+const issueAuthTokens = async (user, device = {}) => {
+  // Clear any previous token invalidation timestamp
+  await sql`
+    UPDATE users
+    SET 
+      last_login = NOW(),
+      token_invalidated_at = null
+    WHERE id = ${user.id};
+  `;
+  await invalidateAuthUser(user.id);
+
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_LIFETIME_DAYS * 24 * 60 * 60 * 1000
+  );
+  const session = await sessionModel.createSession(user.id, device, expiresAt);
+  await securityEventModel.recordLogin(user.id, device, { sessionId: session.id });
+
+  const accessToken = signAccessToken(user, session.id);
+
+  // Generate refresh token, starting a new rotation family for this session
+  const { refreshToken } = await generateRefreshToken(user.id, {
+    sessionId: session.id,
+    expiresAt,
+  });
+
+  const { password: _, ...userWithoutPassword } = user;
+  return {
+    user: userWithoutPassword,
+    accessToken,
+    refreshToken,
+    sessionId: session.id,
+  };
+};
+
+// Sign a short-lived access token for the user, bound to their device session
+const signAccessToken = (user, sessionId) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  return signToken(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sessionId,
+      iat: issuedAt,
+    },
+    {
+      audience: TokenAudiences.ACCESS,
+      expiresIn: user.role === UserRoles.ADMIN ? "1h" : "2h", // Shorter lifetime for access tokens
+    }
+  );
+};
+
 //Refresh token function to facilitate user does not keep logging in after closing the mobile application
-const generateRefreshToken = async (userId) => {
+// Each refresh rotates the token within its family; only the hash is stored
+const generateRefreshToken = async (
+  userId,
+  { familyId = crypto.randomUUID(), sessionId = null, expiresAt } = {}
+) => {
   try {
-    //generate a random token
+    // Rotated tokens keep the family's original expiry
+    const expiryDate =
+      expiresAt ||
+      new Date(Date.now() + REFRESH_TOKEN_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+
+    // jti keeps tokens issued within the same second distinct
     const refreshToken = jwt.sign(
-      { userId, type: "refresh" },
+      { userId, type: "refresh", familyId, jti: crypto.randomUUID() },
       process.env.REFRESH_TOKEN_SECRET,
-      { expiresIn: "30d" } //needs to last more than 30 days
+      {
+        expiresIn: Math.max(
+          Math.floor((new Date(expiryDate).getTime() - Date.now()) / 1000),
+          1
+        ),
+      }
     );
-    // Store refresh token in database with expiry
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + 30); // 30 days from now
 
-    await sql`
+    const stored = await sql`
      INSERT INTO refresh_tokens
      (
      user_id,
-     token,
+     token_hash,
+     family_id,
+     session_id,
      expires_at,
      created_at
      )
      VALUES(
      ${userId},
-      ${refreshToken},
+      ${hashToken(refreshToken)},
+      ${familyId},
+      ${sessionId},
       ${expiryDate},
       NOW()
      )
+     RETURNING id
      `;
-    return refreshToken;
+    return { refreshToken, tokenId: stored[0].id };
   } catch (error) {
     throw new Error(`Failed to generate a refresh token: ${error.message}`);
   }
 };
+
+// Revoke every token in a family, e.g. when a rotated token is replayed
+const revokeTokenFamily = async (familyId, reason) => {
+  const revoked = await sql`
+    UPDATE refresh_tokens
+    SET
+      is_revoked = true,
+      revoked_at = NOW(),
+      revoked_reason = ${reason}
+    WHERE family_id = ${familyId} AND is_revoked = false
+    RETURNING session_id;
+  `;
+
+  // The family's session is compromised too, so its access tokens must stop working
+  const sessionId = revoked.find((token) => token.session_id)?.session_id;
+  if (sessionId) {
+    await sql`
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = ${reason}
+      WHERE id = ${sessionId} AND revoked_at IS NULL;
+    `;
+  }
+};
+
 // Get user by ID (with role check)
 const getUserById = async (userId, requestingUserRole) => {
   const user = await sql`
-    SELECT id, full_name, email, phone_number, role, status, created_at, updated_at, last_login
+    SELECT id, full_name, email, phone_number, profile_photo, profile_photo_key, role, status, status_reason, status_expires_at, is_verified, created_at, updated_at, last_login
     FROM users
     WHERE id = ${userId};
   `;
@@ -292,11 +447,16 @@ const getUserById = async (userId, requestingUserRole) => {
     throw new Error("Unauthorized access");
   }
 
-  return user[0];
+  const { profile_photo_key: photoKey, ...profile } = user[0];
+  return {
+    ...profile,
+    profile_photo_urls: profilePhotoModel.getProfilePhotoUrls(photoKey),
+  };
 };
 
 // Refresh token function to get new access token
-const refreshAccessToken = async (refreshToken) => {
+// Rotates the refresh token; replaying an already-rotated token revokes its whole family
+const refreshAccessToken = async (refreshToken, device = {}) => {
   try {
     // Verify refresh token
     let decoded;
@@ -311,17 +471,40 @@ const refreshAccessToken = async (refreshToken) => {
       SELECT 
         id, 
         user_id, 
+        family_id,
+        session_id,
+        replaced_by_id,
         is_revoked, 
         expires_at 
       FROM refresh_tokens 
-      WHERE token = ${refreshToken}
+      WHERE token_hash = ${hashToken(refreshToken)}
     `;
 
     if (!storedToken[0]) {
       throw new Error('Refresh token not found');
     }
 
+    const reportReuse = async () => {
+      await revokeTokenFamily(storedToken[0].family_id, 'reuse_detected');
+      logger.warn('UserModel.refreshAccessToken - Refresh token reuse detected', {
+        securityEvent: 'refresh_token_reuse',
+        userId: storedToken[0].user_id,
+        familyId: storedToken[0].family_id,
+        tokenId: storedToken[0].id,
+      });
+      await securityEventModel.recordSecurityEvent(
+        storedToken[0].user_id,
+        securityEventModel.SecurityEventTypes.REFRESH_TOKEN_REUSE,
+        device,
+        { sessionId: storedToken[0].session_id }
+      );
+      throw new Error('Refresh token reuse detected. Please log in again');
+    };
+
     if (storedToken[0].is_revoked) {
+      if (storedToken[0].replaced_by_id) {
+        await reportReuse();
+      }
       throw new Error('Refresh token has been revoked');
     }
 
@@ -338,22 +521,43 @@ const refreshAccessToken = async (refreshToken) => {
       throw new Error('User not found or inactive');
     }
 
-    const issuedAt = Math.floor(Date.now() / 1000);
+    // Retire the presented token; losing this race means it was used twice
+    const retired = await sql`
+      UPDATE refresh_tokens
+      SET
+        is_revoked = true,
+        revoked_at = NOW(),
+        revoked_reason = 'rotated'
+      WHERE id = ${storedToken[0].id} AND is_revoked = false
+      RETURNING id
+    `;
+
+    if (!retired[0]) {
+      await reportReuse();
+    }
 
-    // Generate new access token
-    const accessToken = jwt.sign(
+    const { refreshToken: rotatedToken, tokenId } = await generateRefreshToken(
+      user[0].id,
       {
-        userId: user[0].id,
-        email: user[0].email,
-        role: user[0].role,
-        iat: issuedAt
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: user[0].role === UserRoles.ADMIN ? "1h" : "2h" }
+        familyId: storedToken[0].family_id,
+        sessionId: storedToken[0].session_id,
+        expiresAt: storedToken[0].expires_at,
+      }
     );
 
+    await sql`
+      UPDATE refresh_tokens
+      SET replaced_by_id = ${tokenId}
+      WHERE id = ${storedToken[0].id}
+    `;
+
+    if (storedToken[0].session_id) {
+      await sessionModel.touchSession(storedToken[0].session_id, device);
+    }
+
     return {
-      accessToken,
+      accessToken: signAccessToken(user[0], storedToken[0].session_id),
+      refreshToken: rotatedToken,
       user: {
         id: user[0].id,
         email: user[0].email,
@@ -373,7 +577,7 @@ const revokeRefreshToken = async (refreshToken) => {
       SET 
         is_revoked = true,
         revoked_at = NOW()
-      WHERE token = ${refreshToken}
+      WHERE token_hash = ${hashToken(refreshToken)}
       RETURNING id
     `;
 
@@ -390,51 +594,135 @@ const revokeRefreshToken = async (refreshToken) => {
   }
 };
 
-// Get all users (admin only, with enhanced filtering and pagination)
-//Modified getAllUsers function
-const getAllUsers = async (filters = {}, page = 1, limit = 10) => {
-  const offset = (page - 1) * limit;
-  let whereClause = "WHERE 1=1";
+// Columns returned by the admin user list and export
+const USER_LIST_COLUMNS = `
+  id, full_name, email, phone_number, ministry, role, status, is_verified,
+  created_at, updated_at, last_login
+`;
+
+// Sort keys accepted by the admin user list => column
+const USER_SORT_COLUMNS = {
+  name: "full_name",
+  email: "email",
+  role: "role",
+  status: "status",
+  createdAt: "created_at",
+  lastLogin: "last_login",
+};
+
+// Build the WHERE clause shared by the admin user list and export
+const buildUserFilters = (filters = {}) => {
   const params = [];
+  const conditions = ["1=1"];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
 
-  // Build dynamic where clause
   if (filters.role) {
-    params.push(filters.role);
-    whereClause += ` AND role = $${params.length}`;
+    conditions.push(`role = ${param(filters.role)}`);
   }
 
   if (filters.status) {
-    params.push(filters.status);
-    whereClause += ` AND status = $${params.length}`;
+    conditions.push(`status = ${param(filters.status)}`);
+  }
+
+  if (filters.ministry) {
+    conditions.push(`LOWER(ministry) = LOWER(${param(filters.ministry)})`);
+  }
+
+  if (filters.isVerified !== undefined && filters.isVerified !== null) {
+    conditions.push(`is_verified = ${param(filters.isVerified)}`);
   }
 
   if (filters.search) {
-    params.push(`%${filters.search}%`);
-    whereClause += ` AND (full_name ILIKE $${params.length} OR email ILIKE $${params.length})`;
+    const pattern = param(`%${filters.search}%`);
+    const matches = [
+      `full_name ILIKE ${pattern}`,
+      `email ILIKE ${pattern}`,
+      `phone_number ILIKE ${pattern}`,
+    ];
+
+    // Phones are stored free-form, so "0712 345", "+254712345" and "712-345" should all match
+    const digits = filters.search.replace(/\D/g, "").replace(/^(254|0)/, "");
+    if (digits.length >= 3) {
+      matches.push(
+        `REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') LIKE ${param(`%${digits}%`)}`
+      );
+    }
+
+    conditions.push(`(${matches.join(" OR ")})`);
+  }
+
+  if (filters.registeredFrom) {
+    conditions.push(`created_at >= ${param(filters.registeredFrom)}::timestamptz`);
+  }
+
+  if (filters.registeredTo) {
+    conditions.push(`created_at < ${param(filters.registeredTo)}::timestamptz`);
+  }
+
+  if (filters.lastLoginFrom) {
+    conditions.push(`last_login >= ${param(filters.lastLoginFrom)}::timestamptz`);
+  }
+
+  if (filters.lastLoginTo) {
+    conditions.push(`last_login < ${param(filters.lastLoginTo)}::timestamptz`);
   }
 
-  // Add pagination parameters
-  params.push(limit, offset);
+  if (filters.neverLoggedIn === true) {
+    conditions.push("last_login IS NULL");
+  }
+
+  return { whereClause: `WHERE ${conditions.join(" AND ")}`, params };
+};
+
+// ORDER BY for the admin user list; id breaks ties so pages never overlap
+const buildUserSort = ({ sortBy = "createdAt", sortOrder = "desc" } = {}) => {
+  const column = USER_SORT_COLUMNS[sortBy] || USER_SORT_COLUMNS.createdAt;
+  const direction = sortOrder === "asc" ? "ASC" : "DESC";
+  return `ORDER BY ${column} ${direction} NULLS LAST, id ${direction}`;
+};
+
+/**
+ * Filtered, sorted and paginated users for the admin user list
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Matches name, email or phone number
+ * @param {string} [filters.role]
+ * @param {string} [filters.status]
+ * @param {string} [filters.ministry]
+ * @param {boolean} [filters.isVerified]
+ * @param {string} [filters.registeredFrom] - Inclusive lower bound on created_at
+ * @param {string} [filters.registeredTo] - Exclusive upper bound on created_at
+ * @param {string} [filters.lastLoginFrom] - Inclusive lower bound on last_login
+ * @param {string} [filters.lastLoginTo] - Exclusive upper bound on last_login
+ * @param {boolean} [filters.neverLoggedIn] - Only users who have never logged in
+ * @param {number} [page=1]
+ * @param {number} [limit=10]
+ * @param {Object} [sort] - { sortBy: one of USER_SORT_COLUMNS, sortOrder: asc|desc }
+ * @returns {Promise<Object>} { users, total, page, totalPages }
+ */
+const getAllUsers = async (filters = {}, page = 1, limit = 10, sort = {}) => {
+  const offset = (page - 1) * limit;
+  const { whereClause, params } = buildUserFilters(filters);
 
   try {
-    // Execute main query
-    const query = `
-      SELECT 
-        id, full_name, email, phone_number, role, status, 
-        created_at, updated_at, last_login
+    const users = await sql(
+      `
+      SELECT ${USER_LIST_COLUMNS}
       FROM users
       ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT $${params.length - 1}
-      OFFSET $${params.length}
-    `;
-    
-    const users = await sql(query, params);
+      ${buildUserSort(sort)}
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `,
+      [...params, limit, offset]
+    );
 
-    // Execute count query (remove limit/offset params)
-    const countParams = params.slice(0, -2);
-    const totalQuery = `SELECT COUNT(*) FROM users ${whereClause}`;
-    const totalUsers = await sql(totalQuery, countParams);
+    const totalUsers = await sql(
+      `SELECT COUNT(*) FROM users ${whereClause}`,
+      params
+    );
 
     return {
       users,
@@ -447,18 +735,54 @@ const getAllUsers = async (filters = {}, page = 1, limit = 10) => {
     throw new Error('Failed to fetch users');
   }
 };
+
+/**
+ * Walk every user matching the admin list filters in batches, for exports
+ * @param {Object} [filters] - See getAllUsers
+ * @param {Object} [sort] - See getAllUsers
+ * @param {number} [batchSize=500]
+ * @returns {AsyncGenerator<Array>} Batches of users
+ */
+async function* iterateUsers(filters = {}, sort = {}, batchSize = 500) {
+  const { whereClause, params } = buildUserFilters(filters);
+  const query = `
+    SELECT ${USER_LIST_COLUMNS}
+    FROM users
+    ${whereClause}
+    ${buildUserSort(sort)}
+    LIMIT $${params.length + 1}
+    OFFSET $${params.length + 2}
+  `;
+
+  for (let offset = 0; ; offset += batchSize) {
+    const batch = await sql(query, [...params, batchSize, offset]);
+    if (batch.length === 0) {
+      return;
+    }
+
+    yield batch;
+
+    if (batch.length < batchSize) {
+      return;
+    }
+  }
+}
+
 // Update the updateUser function to handle profile photo
 
 const updateUser = async (userId, updates, requestingUserRole) => {
   try {
     const allowedUpdates = {
-      [UserRoles.USER]: ["full_name", "phone_number"],
-      [UserRoles.ADMIN]: ["full_name", "phone_number", "status", "role"],
+      [UserRoles.MEMBER]: ["full_name", "phone_number"],
+      // Status changes go through accountStatusModel, which records and enforces them
+      [UserRoles.ADMIN]: ["full_name", "phone_number", "role"],
+      [UserRoles.SUPER_ADMIN]: ["full_name", "phone_number", "role"],
     };
 
     // Handle profile photo separately
+    let photoUpdate = null;
     if (updates.profilePhoto) {
-      await uploadProfilePhoto(userId, updates.profilePhoto);
+      photoUpdate = await uploadProfilePhoto(userId, updates.profilePhoto);
       delete updates.profilePhoto;
     }
 
@@ -476,6 +800,9 @@ const updateUser = async (userId, updates, requestingUserRole) => {
     });
 
     if (updateFields.length === 0) {
+      if (photoUpdate) {
+        return photoUpdate;
+      }
       throw new Error("No valid fields to update or permission denied");
     }
 
@@ -493,6 +820,7 @@ const updateUser = async (userId, updates, requestingUserRole) => {
     if (result.rowCount === 0) {
       throw new Error("User not found or update failed");
     }
+    await invalidateAuthUser(userId);
 
     return result.rows[0];
   } catch (error) {
@@ -515,6 +843,12 @@ const updatePassword = async (userId, currentPassword, newPassword) => {
     throw new Error("User not found");
   }
 
+  if (!user[0].password) {
+    throw new Error(
+      "This account uses Google sign-in and has no password to change"
+    );
+  }
+
   const isValidPassword = await bcrypt.compare(
     currentPassword,
     user[0].password
@@ -532,45 +866,127 @@ const updatePassword = async (userId, currentPassword, newPassword) => {
       password_changed_at = NOW()
     WHERE id = ${userId}
   `;
+  await invalidateAuthUser(userId);
 
   return true;
 };
 
-// Delete user (self or admin)
-const deleteUser = async (userId) => {
-  try {
-    // Verify the user exists
-    const userToDelete = await sql`
-      SELECT id FROM users WHERE id = ${userId}
-    `;
+// Start a self-service password reset by emailing a one-time code
+const requestPasswordReset = async (email) => {
+  const user = await sql`
+    SELECT id, email FROM users WHERE email = ${email} AND status = 'active';
+  `;
 
-    if (!userToDelete[0]) {
-      throw new Error("User not found");
-    }
+  // Do not reveal whether the email is registered
+  if (!user[0]) {
+    return false;
+  }
 
-    // Proceed to delete the user
-    const result = await sql`
-      DELETE FROM users
-      WHERE id = ${userId}
-      RETURNING id;
+  // Only the most recently issued code stays usable
+  await sql`
+    UPDATE password_resets
+    SET consumed_at = NOW()
+    WHERE user_id = ${user[0].id} AND consumed_at IS NULL;
+  `;
+
+  const resetCode = generateVerificationCode();
+  const expiresAt = new Date(
+    Date.now() + PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000
+  );
+
+  await sql`
+    INSERT INTO password_resets (user_id, code_hash, expires_at)
+    VALUES (${user[0].id}, ${hashToken(resetCode)}, ${expiresAt});
+  `;
+
+  await emailService.sendPasswordResetCode(user[0].email, resetCode);
+
+  return true;
+};
+
+// Complete a password reset with the emailed code
+// device ({ deviceName, userAgent, ipAddress }) is recorded in the member's security feed
+const resetPassword = async (email, resetCode, newPassword, device = {}) => {
+  if (newPassword.length < 8) {
+    throw new Error("Password must be at least 8 characters long");
+  }
+
+  const reset = await sql`
+    SELECT pr.id, pr.user_id, pr.code_hash, pr.attempts, pr.expires_at
+    FROM password_resets pr
+    JOIN users u ON u.id = pr.user_id
+    WHERE u.email = ${email}
+    AND u.status = 'active'
+    AND pr.consumed_at IS NULL
+    ORDER BY pr.created_at DESC
+    LIMIT 1;
+  `;
+
+  if (!reset[0]) {
+    throw new Error("Invalid or expired reset code");
+  }
+
+  if (new Date() > new Date(reset[0].expires_at)) {
+    throw new Error("Reset code has expired");
+  }
+
+  if (reset[0].attempts >= MAX_PASSWORD_RESET_ATTEMPTS) {
+    throw new Error("Too many failed attempts. Please request a new code");
+  }
+
+  if (!matchesHash(resetCode, reset[0].code_hash)) {
+    await sql`
+      UPDATE password_resets
+      SET attempts = attempts + 1
+      WHERE id = ${reset[0].id};
     `;
+    throw new Error("Invalid reset code");
+  }
 
-    if (!result[0]) {
-      throw new Error("User deletion failed");
-    }
+  // Consume the code first so it cannot be used twice concurrently
+  const consumed = await sql`
+    UPDATE password_resets
+    SET consumed_at = NOW()
+    WHERE id = ${reset[0].id} AND consumed_at IS NULL
+    RETURNING id;
+  `;
 
-    return {
-      success: true,
-      message: "User account successfully deleted",
-      deletedUserId: result[0].id,
-    };
-  } catch (error) {
-    throw error;
+  if (!consumed[0]) {
+    throw new Error("Invalid or expired reset code");
   }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  await sql`
+    UPDATE users
+    SET
+      password = ${hashedPassword},
+      updated_at = NOW(),
+      password_changed_at = NOW()
+    WHERE id = ${reset[0].user_id};
+  `;
+  await invalidateAuthUser(reset[0].user_id);
+
+  // Access tokens die via password_changed_at; refresh tokens must go too
+  await sql`
+    UPDATE refresh_tokens
+    SET
+      is_revoked = true,
+      revoked_at = NOW()
+    WHERE user_id = ${reset[0].user_id} AND is_revoked = false;
+  `;
+  await sessionModel.revokeAllSessions(reset[0].user_id, "password_reset");
+  await securityEventModel.recordSecurityEvent(
+    reset[0].user_id,
+    securityEventModel.SecurityEventTypes.PASSWORD_RESET,
+    device
+  );
+
+  return true;
 };
+
 // Logout user and manage token invalidation
-// Update logoutUser to also revoke refresh tokens
-const logoutUser = async (userId, refreshToken) => {
+// Tokens bound to a session only sign out that device; older tokens sign out everywhere
+const logoutUser = async (userId, refreshToken, sessionId) => {
   try {
     // First, verify the user exists
     const user = await sql`
@@ -581,6 +997,30 @@ const logoutUser = async (userId, refreshToken) => {
       throw new Error('User not found');
     }
 
+    // If refresh token was provided, revoke it
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    if (sessionId) {
+      await sessionModel.revokeSession(userId, sessionId, 'logout');
+
+      const result = await sql`
+        UPDATE users
+        SET last_logout = NOW()
+        WHERE id = ${userId}
+        RETURNING id, last_logout;
+      `;
+
+      return {
+        success: true,
+        message: "Logout successful",
+        userId: result[0].id,
+        sessionId,
+        logoutTimestamp: result[0].last_logout
+      };
+    }
+
     // Generate a new token invalidation timestamp
     const tokenInvalidationTimestamp = new Date();
 
@@ -593,13 +1033,9 @@ const logoutUser = async (userId, refreshToken) => {
       WHERE id = ${userId}
       RETURNING id, last_logout, token_invalidated_at;
     `;
+    await invalidateAuthUser(userId);
 
-    // If refresh token was provided, revoke it
-    if (refreshToken) {
-      await revokeRefreshToken(refreshToken);
-    }
-
-    // Optionally, revoke all user's refresh tokens for complete logout across all devices
+    // Revoke all user's refresh tokens for complete logout across all devices
     await sql`
       UPDATE refresh_tokens
       SET 
@@ -624,45 +1060,24 @@ const logoutUser = async (userId, refreshToken) => {
   }
 };
 
-
-// Add this function to verify token validity against logout timestamp
-const verifyTokenValidity = async (userId, tokenIssuedAt) => {
-  try {
-    const user = await sql`
-      SELECT token_invalidated_at
-      FROM users
-      WHERE id = ${userId}
-    `;
-
-    if (!user || user.length === 0) {
-      return false;
-    }
-
-    // If there's no invalidation timestamp, token is valid
-    if (!user[0].token_invalidated_at) {
-      return true;
-    }
-
-    // Check if token was issued before the invalidation timestamp
-    const tokenDate = new Date(tokenIssuedAt * 1000); // Convert Unix timestamp to Date
-    return tokenDate > user[0].token_invalidated_at;
-  } catch (error) {
-    throw new Error(`Failed to verify token validity: ${error.message}`);
-  }
-};
 module.exports = {
   UserRoles,
   createUser,
-  createAdmin,
-  verifyAdminAccount,
+  resendEmailVerification,
+  verifyEmail,
   loginUser,
+  handleFailedLogin,
+  completeLogin,
+  issueAuthTokens,
   getUserById,
+  USER_SORT_COLUMNS,
   getAllUsers,
+  iterateUsers,
   updateUser,
   updatePassword,
-  deleteUser,
+  requestPasswordReset,
+  resetPassword,
   logoutUser,
-  verifyTokenValidity,
   refreshAccessToken,
   revokeRefreshToken,
 
@@ -3,9 +3,11 @@ const AnnouncementController = require('../../controllers/annoucements/annouceme
 const { body, param, query } = require("express-validator");
 const {
   authMiddleware,
-  requireAdmin,
-  requireSuperAdmin,
+  allowApiKey,
+  requirePermission,
+  sensitiveOperationsMiddleware,
 } = require("../../middleware/authMiddleware");
+const { Permissions, ApiKeyScopes } = require("../../config/permissions");
 const multer = require("multer");
 const { validationResult } = require("express-validator");
 
@@ -85,7 +87,7 @@ const updateAnnouncementValidation = [
 announcementRoutes.post(
   "/",
   authMiddleware,
-  requireAdmin,
+  requirePermission(Permissions.ANNOUNCEMENTS_PUBLISH),
   upload.array("media", 5),
   createAnnouncementValidation,
   AnnouncementController.create
@@ -94,7 +96,7 @@ announcementRoutes.post(
 announcementRoutes.put(
   "/:id",
   authMiddleware,
-  requireAdmin,
+  requirePermission(Permissions.ANNOUNCEMENTS_PUBLISH),
   upload.array("media", 5),
   updateAnnouncementValidation,
   AnnouncementController.update
@@ -103,13 +105,15 @@ announcementRoutes.put(
 announcementRoutes.delete(
   "/:id",
   authMiddleware,
-  requireAdmin,
+  requirePermission(Permissions.ANNOUNCEMENTS_PUBLISH),
+  sensitiveOperationsMiddleware,
   AnnouncementController.delete
 );
 
+// Also readable with an announcements:read API key, e.g. by signage displays
 announcementRoutes.get(
   "/",
-  authMiddleware,
+  allowApiKey(ApiKeyScopes.ANNOUNCEMENTS_READ),
   [
     query("page").optional().isInt().toInt(),
     query("limit").optional().isInt().toInt(),
@@ -121,7 +125,7 @@ announcementRoutes.get(
 announcementRoutes.post(
   "/:id/pin",
   authMiddleware,
-  requireSuperAdmin,
+  requirePermission(Permissions.ANNOUNCEMENTS_PIN),
   param("id").isInt().withMessage("Invalid announcement ID"),
   AnnouncementController.pin
 );
@@ -129,7 +133,7 @@ announcementRoutes.post(
 announcementRoutes.post(
   "/:id/unpin",
   authMiddleware,
-  requireSuperAdmin,
+  requirePermission(Permissions.ANNOUNCEMENTS_PIN),
   param("id").isInt().withMessage("Invalid announcement ID"),
   AnnouncementController.unpin
 );
@@ -137,7 +141,8 @@ announcementRoutes.post(
 announcementRoutes.post(
   "/cleanup",
   authMiddleware,
-  requireSuperAdmin,
+  requirePermission(Permissions.ANNOUNCEMENTS_CLEANUP),
+  sensitiveOperationsMiddleware,
   [
     body("retentionDays").optional().isInt(),
     body("status").optional().isIn(["draft", "published", "archived"]),
@@ -0,0 +1,74 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const ApiKeysController = require("../../controllers/apiKeys/apiKeysController");
+const {
+  authMiddleware,
+  requireActive,
+  requirePermission,
+  sensitiveOperationsMiddleware,
+} = require("../../middleware/authMiddleware");
+const { Permissions, ApiKeyScopes } = require("../../config/permissions");
+
+const router = express.Router();
+
+const createApiKeyValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Name must be between 3 and 100 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array"),
+  body("scopes.*")
+    .isIn(Object.values(ApiKeyScopes))
+    .withMessage("Unknown scope"),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("expiresAt must be an ISO 8601 date"),
+];
+
+router.use(
+  authMiddleware,
+  requireActive,
+  requirePermission(Permissions.API_KEYS_MANAGE)
+);
+
+/**
+ * @route GET /api/api-keys/scopes
+ * @desc Scopes an API key can be given
+ * @access Requires api_keys.manage
+ */
+router.get("/scopes", ApiKeysController.getScopes);
+
+/**
+ * @route GET /api/api-keys
+ * @desc List API keys with their scopes, expiry and last use
+ * @access Requires api_keys.manage
+ */
+router.get("/", ApiKeysController.getAll);
+
+/**
+ * @route POST /api/api-keys
+ * @desc Issue an API key; the response is the only time the key is shown
+ * @access Requires api_keys.manage and a recent re-authentication
+ */
+router.post(
+  "/",
+  sensitiveOperationsMiddleware,
+  createApiKeyValidation,
+  ApiKeysController.create
+);
+
+/**
+ * @route DELETE /api/api-keys/:apiKeyId
+ * @desc Revoke an API key
+ * @access Requires api_keys.manage
+ */
+router.delete(
+  "/:apiKeyId",
+  param("apiKeyId").isUUID().withMessage("Invalid API key ID"),
+  ApiKeysController.revoke
+);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require("express");
+const { query } = require("express-validator");
+const AuditController = require("../../controllers/audit/auditController");
+const {
+  authMiddleware,
+  requireActive,
+  requirePermission,
+} = require("../../middleware/authMiddleware");
+const { Permissions } = require("../../config/permissions");
+const { AuditActions, AuditTargets } = require("../../models/audit/auditModel");
+
+const router = express.Router();
+
+const filterValidation = [
+  query("actorId").optional().isUUID().withMessage("Invalid actor ID"),
+  query("action")
+    .optional()
+    .isIn(Object.values(AuditActions))
+    .withMessage("Unknown action"),
+  query("targetType")
+    .optional()
+    .isIn(Object.values(AuditTargets))
+    .withMessage("Unknown target type"),
+  query("targetId")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Invalid target ID"),
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+];
+
+const paginationValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+router.use(authMiddleware, requireActive, requirePermission(Permissions.AUDIT_VIEW));
+
+/**
+ * @route GET /api/audit-events
+ * @desc Audit log of admin actions, newest first
+ * @access Requires audit.view
+ */
+router.get(
+  "/",
+  [...filterValidation, ...paginationValidation],
+  AuditController.getAll
+);
+
+/**
+ * @route GET /api/audit-events/export
+ * @desc CSV export of the audit events matching the same filters
+ * @access Requires audit.view
+ */
+router.get("/export", filterValidation, AuditController.exportCsv);
+
+module.exports = router;
@@ -3,17 +3,28 @@ const router = express.Router();
 const userController = require("../controllers/authController"); // Changed from authController to match your controller
 const {
   authMiddleware,
-  requireAdmin,
   requireActive,
-  requireSuperAdmin,
+  requirePermission,
   sensitiveOperationsMiddleware,
 } = require("../middleware/authMiddleware");
-const { check } = require("express-validator");
+const { Permissions } = require("../config/permissions");
+const { check, query } = require("express-validator");
+const { UserRoles, USER_SORT_COLUMNS } = require("../models/userModel");
+const { AccountStatus } = require("../models/auth/accountStatusModel");
+const { SecurityEventTypes } = require("../models/auth/securityEventModel");
+const {
+  INVITABLE_ROLES,
+  AdminInvitationStatus,
+} = require("../models/auth/adminInvitationModel");
+const { memberDetailsValidation } = require("../utils/memberValidation");
+const { detectSpreadsheetType } = require("../utils/spreadsheet");
 const multer = require("multer");
+const rateLimit = require("express-rate-limit");
 
-// Configure Multer with file size and type restrictions
+// Configure Multer with file size and type restrictions.
+// Photos stay in memory; profilePhotoModel checks the bytes and stores resized copies
 const upload = multer({
-  dest: "uploads/",
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
@@ -26,14 +37,27 @@ const upload = multer({
   },
 });
 
+// Member import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectSpreadsheetType(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV and XLSX files are allowed!"), false);
+    }
+  },
+});
+
 // Input validation middleware
 const registerValidation = [
-  check("fullName").trim().notEmpty().withMessage("Full name is required"),
-  check("email").isEmail().withMessage("Valid email is required"),
+  ...memberDetailsValidation,
   check("password")
     .isLength({ min: 8 })
     .withMessage("Password must be at least 8 characters long"),
-  check("phoneNumber").notEmpty().withMessage("Phone number is required"),
 ];
 
 const loginValidation = [
@@ -41,24 +65,218 @@ const loginValidation = [
   check("password").notEmpty().withMessage("Password is required"),
 ];
 
-const adminRegisterValidation = [
-  check("fullName").trim().notEmpty().withMessage("Full name is required"),
-  check("email").isEmail().withMessage("Valid email is required"),
+const phoneLoginRequestValidation = [
+  check("phoneNumber")
+    .trim()
+    .matches(/^\+?[\d\s-]{9,15}$/)
+    .withMessage("Valid phone number is required"),
+];
+
+const phoneLoginVerifyValidation = [
+  ...phoneLoginRequestValidation,
+  check("code")
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage("Valid 6-digit login code is required"),
+];
+
+const googleSignInValidation = [
+  check("idToken").isJWT().withMessage("Valid Google ID token is required"),
+];
+
+const twoFactorCodeValidation = [
+  check("code")
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage("Valid 6-digit authenticator code is required"),
+];
+
+const statusReasonValidation = (field) =>
+  field
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage("Reason must be between 3 and 500 characters");
+
+const suspendValidation = [
+  check("userId").isUUID().withMessage("Invalid user ID"),
+  statusReasonValidation(check("reason")),
+  check("expiresAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Expiry must be an ISO 8601 date"),
+];
+
+const banValidation = [
+  check("userId").isUUID().withMessage("Invalid user ID"),
+  statusReasonValidation(check("reason")),
+];
+
+const reactivateValidation = [
+  check("userId").isUUID().withMessage("Invalid user ID"),
+  statusReasonValidation(check("reason").optional()),
+];
+
+const userListValidation = [
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must be at most 100 characters"),
+  query("role")
+    .optional()
+    .isIn(Object.values(UserRoles))
+    .withMessage("Unknown role"),
+  query("status")
+    .optional()
+    .isIn(Object.values(AccountStatus))
+    .withMessage("Unknown status"),
+  query("ministry").optional().trim().isLength({ max: 100 }),
+  query("isVerified")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("isVerified must be true or false"),
+  query("neverLoggedIn")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("neverLoggedIn must be true or false"),
+  ...["registeredFrom", "registeredTo", "lastLoginFrom", "lastLoginTo"].map(
+    (field) =>
+      query(field)
+        .optional()
+        .isISO8601()
+        .withMessage(`${field} must be an ISO 8601 date`)
+  ),
+  query("sortBy")
+    .optional()
+    .isIn(Object.keys(USER_SORT_COLUMNS))
+    .withMessage(
+      `sortBy must be one of: ${Object.keys(USER_SORT_COLUMNS).join(", ")}`
+    ),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("sortOrder must be asc or desc"),
+];
+
+const userListPaginationValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+const userExportValidation = [
+  ...userListValidation,
+  query("format")
+    .optional()
+    .isIn(["csv", "xlsx"])
+    .withMessage("format must be csv or xlsx"),
+];
+
+const acceptInvitationValidation = [
+  check("token").trim().notEmpty().withMessage("Invitation token is required"),
   check("password")
     .isLength({ min: 8 })
     .withMessage("Password must be at least 8 characters long"),
-  check("phoneNumber").notEmpty().withMessage("Phone number is required"),
 ];
 
-const adminVerificationValidation = [
-  check("email").isEmail().withMessage("Valid email is required"),
-  check("verificationCode")
+const reauthValidation = [
+  check("password").optional().isString().withMessage("Password must be a string"),
+  check("code")
+    .optional()
     .isLength({ min: 6, max: 6 })
     .isNumeric()
-    .withMessage("Valid 6-digit verification code is required"),
+    .withMessage("Valid 6-digit authenticator code is required"),
+  check("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+  check("idToken").optional().isJWT().withMessage("Invalid Google ID token"),
+];
+
+const twoFactorLoginValidation = [
+  check("challengeToken").isJWT().withMessage("Challenge token is required"),
+  check("code")
+    .optional()
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage("Valid 6-digit authenticator code is required"),
+  check("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+  check("code")
+    .if(check("recoveryCode").not().exists())
+    .exists()
+    .withMessage("Authenticator code or recovery code is required"),
+];
+
+const twoFactorChallengeValidation = [
+  check("challengeToken").isJWT().withMessage("Challenge token is required"),
+];
+
+const deleteAccountValidation = [
+  check("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+const restoreAccountValidation = [
+  check("token").trim().notEmpty().withMessage("Restore token is required"),
+];
+
+const restoreUserValidation = [
+  check("userId").isUUID().withMessage("Invalid user ID"),
+];
+
+const dataExportIdValidation = [
+  check("exportId").isUUID().withMessage("Invalid export ID"),
+];
+
+const sessionIdValidation = [
+  check("sessionId").isUUID().withMessage("Valid session ID is required"),
+];
+
+const adminInvitationValidation = [
+  check("email").isEmail().withMessage("Valid email is required"),
+  check("role")
+    .isIn(INVITABLE_ROLES)
+    .withMessage(`Role must be one of: ${INVITABLE_ROLES.join(", ")}`),
+];
+
+const adminInvitationListValidation = [
+  query("status")
+    .optional()
+    .isIn([...Object.values(AdminInvitationStatus), "all"])
+    .withMessage("Invalid invitation status"),
+];
+
+const acceptAdminInvitationValidation = [
+  check("token").trim().notEmpty().withMessage("Invitation token is required"),
+  check("fullName")
+    .trim()
+    .notEmpty()
+    .withMessage("Full name is required")
+    .isLength({ max: 100 })
+    .withMessage("Full name must be at most 100 characters"),
+  check("password")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long"),
+  check("phoneNumber")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Phone number cannot be empty if provided"),
 ];
 
 const updateProfileValidation = [
+  check("email")
+    .not()
+    .exists()
+    .withMessage("Use /api/auth/email-change to change your email address"),
   check("fullName")
     .optional()
     .trim()
@@ -71,6 +289,33 @@ const updateProfileValidation = [
     .withMessage("Phone number cannot be empty if provided"),
 ];
 
+const securityEventListValidation = [
+  query("type")
+    .optional()
+    .isIn(Object.values(SecurityEventTypes))
+    .withMessage("Unknown event type"),
+  query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const emailChangeValidation = [
+  check("newEmail").isEmail().withMessage("Valid email is required"),
+];
+
+const emailChangeConfirmValidation = [
+  check("code")
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage("Valid 6-digit confirmation code is required"),
+];
+
+const emailChangeCancelValidation = [
+  check("token").notEmpty().withMessage("Cancel token is required"),
+];
+
 const changePasswordValidation = [
   check("currentPassword")
     .notEmpty()
@@ -80,6 +325,105 @@ const changePasswordValidation = [
     .withMessage("New password must be at least 8 characters long"),
 ];
 
+const emailVerificationValidation = [
+  check("email").isEmail().withMessage("Valid email is required"),
+  check("verificationCode")
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage("Valid 6-digit verification code is required"),
+];
+
+const resendVerificationValidation = [
+  check("email").isEmail().withMessage("Valid email is required"),
+];
+
+const forgotPasswordValidation = [
+  check("email").isEmail().withMessage("Valid email is required"),
+];
+
+const resetPasswordValidation = [
+  check("email").isEmail().withMessage("Valid email is required"),
+  check("resetCode")
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage("Valid 6-digit reset code is required"),
+  check("newPassword")
+    .isLength({ min: 8 })
+    .withMessage("New password must be at least 8 characters long"),
+];
+
+// Rate limiting for password reset requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per window
+  message: {
+    status: "error",
+    message: "Too many password reset requests. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for verification code resends, per IP on top of the per-address limits
+const verificationResendLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per window
+  message: {
+    status: "error",
+    message: "Too many verification code requests. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for phone login, per IP on top of the per-number limits
+const phoneLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per window
+  message: {
+    status: "error",
+    message: "Too many phone login attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for second-factor attempts, per IP on top of the per-account lockout
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per window
+  message: {
+    status: "error",
+    message: "Too many two-factor attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for step-up attempts; wrong passwords also count towards login lockout
+const reauthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per window
+  message: {
+    status: "error",
+    message: "Too many re-authentication attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Building an archive touches every table; members rarely need more than one a day
+const dataExportLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  max: 3, // 3 requests per window
+  message: {
+    status: "error",
+    message: "Too many data export requests. Please try again tomorrow.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Public routes
 router.post(
   "/register",
@@ -88,21 +432,115 @@ router.post(
   userController.register
 );
 
+router.post(
+  "/verify-email",
+  emailVerificationValidation,
+  userController.verifyEmail
+);
+
+router.post(
+  "/resend-verification",
+  verificationResendLimiter,
+  resendVerificationValidation,
+  userController.resendVerification
+);
+
 router.post("/login", loginValidation, userController.login);
 
+// Passwordless phone login
+router.post(
+  "/login/phone/request",
+  phoneLoginLimiter,
+  phoneLoginRequestValidation,
+  userController.requestPhoneLogin
+);
+
+router.post(
+  "/login/phone/verify",
+  phoneLoginLimiter,
+  phoneLoginVerifyValidation,
+  userController.verifyPhoneLogin
+);
+
+// Google sign-in
+router.post(
+  "/google",
+  googleSignInValidation,
+  userController.googleSignIn
+);
+
+// Second step of a login for accounts with two-factor authentication
+router.post(
+  "/2fa/verify",
+  twoFactorLimiter,
+  twoFactorLoginValidation,
+  userController.verifyTwoFactorLogin
+);
+
+// Mandatory admin enrollment, authorised by the login challenge token
+router.post(
+  "/2fa/setup",
+  twoFactorLimiter,
+  twoFactorChallengeValidation,
+  userController.startTwoFactorEnrollment
+);
+
+router.post(
+  "/2fa/setup/confirm",
+  twoFactorLimiter,
+  [...twoFactorChallengeValidation, ...twoFactorCodeValidation],
+  userController.confirmTwoFactorEnrollment
+);
+
 router.post("/refresh-token", userController.refreshToken);
 
-// Admin registration routes
+// Password reset routes
+router.post(
+  "/forgot-password",
+  passwordResetLimiter,
+  forgotPasswordValidation,
+  userController.forgotPassword
+);
+
+router.post(
+  "/reset-password",
+  passwordResetLimiter,
+  resetPasswordValidation,
+  userController.resetPassword
+);
+
+router.post(
+  "/invitations/accept",
+  passwordResetLimiter,
+  acceptInvitationValidation,
+  userController.acceptInvitation
+);
+
+// Restore link from the deletion email; the account cannot log in until then
+router.post(
+  "/account/restore",
+  passwordResetLimiter,
+  restoreAccountValidation,
+  userController.restoreAccount
+);
+
+// Signed link from the data export email; the token identifies the member
+router.get("/data-export/download", userController.downloadDataExport);
+
+// Link from an admin invitation email; creates the admin account
 router.post(
-  "/register-admin",
-  adminRegisterValidation,
-  userController.registerAdmin
+  "/admin-invitations/accept",
+  passwordResetLimiter,
+  acceptAdminInvitationValidation,
+  userController.acceptAdminInvitation
 );
 
+// Link from the notice sent to the current address; stops an email change
 router.post(
-  "/verify-admin",
-  adminVerificationValidation,
-  userController.verifyAdmin
+  "/email-change/cancel",
+  passwordResetLimiter,
+  emailChangeCancelValidation,
+  userController.cancelEmailChange
 );
 
 // All protected routes below this middleware
@@ -118,11 +556,11 @@ router.put(
   userController.updateProfile
 );
 
-// router.post(
-//   "/upload-profile-photo",
-//   upload.single("profilePhoto"),
-//   userController.uploadProfilePhoto
-// );
+router.post(
+  "/upload-profile-photo",
+  upload.single("profilePhoto"),
+  userController.uploadProfilePhoto
+);
 
 router.put(
   "/change-password",
@@ -131,29 +569,195 @@ router.put(
   userController.changePassword
 );
 
+// Email change: confirmed from the new address, cancellable from the old one
+router.post(
+  "/email-change",
+  sensitiveOperationsMiddleware,
+  emailChangeValidation,
+  userController.requestEmailChange
+);
+router.get("/email-change", userController.getEmailChange);
+router.post(
+  "/email-change/confirm",
+  twoFactorLimiter,
+  emailChangeConfirmValidation,
+  userController.confirmEmailChange
+);
+
 // Self-account deletion route
 router.delete(
   "/account",
   sensitiveOperationsMiddleware,
+  deleteAccountValidation,
   userController.deleteAccount
 );
 
+// Step-up: confirm identity again and get a short-lived X-Reauth-Token
+router.post(
+  "/reauthenticate",
+  reauthLimiter,
+  reauthValidation,
+  userController.reauthenticate
+);
+
+// Two-factor authentication management
+router.get("/2fa/status", userController.getTwoFactorStatus);
+router.post("/2fa/enroll", userController.startTwoFactorEnrollment);
+router.post(
+  "/2fa/enroll/confirm",
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  userController.confirmTwoFactorEnrollment
+);
+router.post(
+  "/2fa/recovery-codes",
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  userController.regenerateRecoveryCodes
+);
+router.post(
+  "/2fa/disable",
+  twoFactorLimiter,
+  userController.disableTwoFactor
+);
+
 // Token management
 router.post("/logout", userController.logout);
 router.post("/revoke-token", userController.revokeToken);
 
+// Per-device sessions
+router.get("/sessions", userController.listSessions);
+router.delete("/sessions/others", userController.revokeOtherSessions);
+router.delete(
+  "/sessions/:sessionId",
+  sessionIdValidation,
+  userController.revokeSession
+);
+
+// Security activity feed: logins, password, token and 2FA changes
+router.get(
+  "/security-events",
+  securityEventListValidation,
+  userController.getSecurityEvents
+);
+
+// Personal data export ("download my data")
+router.post(
+  "/data-export",
+  dataExportLimiter,
+  userController.requestDataExport
+);
+router.get("/data-export", userController.getDataExportStatus);
+router.get(
+  "/data-export/:exportId",
+  dataExportIdValidation,
+  userController.getDataExportStatus
+);
+
 // Admin routes
-router.get("/users", requireAdmin, userController.getAllUsers);
-router.get("/users/:userId", requireAdmin, userController.getUser);
-router.put("/users/:userId", requireAdmin, userController.updateUser);
+router.get(
+  "/users",
+  requirePermission(Permissions.USERS_VIEW),
+  userListValidation,
+  userListPaginationValidation,
+  userController.getAllUsers
+);
+router.get(
+  "/users/export",
+  requirePermission(Permissions.USERS_EXPORT),
+  userExportValidation,
+  userController.exportUsers
+);
+router.get(
+  "/users/:userId",
+  requirePermission(Permissions.USERS_VIEW),
+  userController.getUser
+);
+router.put(
+  "/users/:userId",
+  requirePermission(Permissions.USERS_MANAGE),
+  sensitiveOperationsMiddleware,
+  check("email")
+    .not()
+    .exists()
+    .withMessage("Members change their own email address from their account"),
+  check("status")
+    .not()
+    .exists()
+    .withMessage("Use the suspend, ban and reactivate endpoints to change a status"),
+  userController.updateUser
+);
+router.post(
+  "/users/:userId/unlock",
+  requirePermission(Permissions.USERS_UNLOCK),
+  userController.unlockUser
+);
+router.post(
+  "/users/import",
+  requirePermission(Permissions.USERS_IMPORT),
+  importUpload.single("file"),
+  userController.importMembers
+);
+router.post(
+  "/users/:userId/resend-invitation",
+  requirePermission(Permissions.USERS_IMPORT),
+  userController.resendInvitation
+);
+router.post(
+  "/users/:userId/suspend",
+  requirePermission(Permissions.USERS_SUSPEND),
+  sensitiveOperationsMiddleware,
+  suspendValidation,
+  userController.suspendUser
+);
+router.post(
+  "/users/:userId/ban",
+  requirePermission(Permissions.USERS_SUSPEND),
+  sensitiveOperationsMiddleware,
+  banValidation,
+  userController.banUser
+);
+router.post(
+  "/users/:userId/restore",
+  requirePermission(Permissions.USERS_MANAGE),
+  restoreUserValidation,
+  userController.restoreUser
+);
+router.post(
+  "/users/:userId/reactivate",
+  requirePermission(Permissions.USERS_SUSPEND),
+  reactivateValidation,
+  userController.reactivateUser
+);
+router.get(
+  "/users/:userId/status-history",
+  requirePermission(Permissions.USERS_VIEW),
+  userController.getUserStatusHistory
+);
 
 // Super admin only routes
 router.post(
-  "/create-admin",
-  requireAdmin,
-  requireSuperAdmin,
-  adminRegisterValidation,
-  userController.registerAdmin
+  "/admin-invitations",
+  requirePermission(Permissions.ADMINS_CREATE),
+  sensitiveOperationsMiddleware,
+  adminInvitationValidation,
+  userController.inviteAdmin
+);
+router.get(
+  "/admin-invitations",
+  requirePermission(Permissions.ADMINS_CREATE),
+  adminInvitationListValidation,
+  userController.listAdminInvitations
+);
+router.post(
+  "/admin-invitations/:invitationId/resend",
+  requirePermission(Permissions.ADMINS_CREATE),
+  userController.resendAdminInvitation
+);
+router.delete(
+  "/admin-invitations/:invitationId",
+  requirePermission(Permissions.ADMINS_CREATE),
+  userController.revokeAdminInvitation
 );
 
 // Error handling for multer
@@ -3,19 +3,21 @@ const router = express.Router();
 const MediaContentController = require("../../controllers/churchgallery/mediaContentController");
 const {
   authMiddleware,
-  requireAdmin,
+  requirePermission,
+  sensitiveOperationsMiddleware,
 } = require("../../middleware/authMiddleware");
+const { Permissions } = require("../../config/permissions");
 
 /**
  * @route POST /api/media
  * @desc Upload new media content
- * @access Admin only
+ * @access Requires media.upload
  */
 
 router.post(
   "/",
   authMiddleware,
-  requireAdmin,
+  requirePermission(Permissions.MEDIA_UPLOAD),
   MediaContentController.uploadMultipleContent
 
 );
@@ -39,12 +41,13 @@ router.get('/:id',
   /**
  * @route DELETE /api/media/:id
  * @desc Delete media content
- * @access Admin only
+ * @access Requires media.delete
  */
 
   router.delete('/:id',
     authMiddleware,
-    requireAdmin,
+    requirePermission(Permissions.MEDIA_DELETE),
+    sensitiveOperationsMiddleware,
     MediaContentController.deleteContent
   );
 
@@ -0,0 +1,93 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const rateLimit = require("express-rate-limit");
+const DirectoryController = require("../../controllers/directory/directoryController");
+const {
+  authMiddleware,
+  requireActive,
+  requireVerified,
+} = require("../../middleware/authMiddleware");
+const {
+  DirectoryVisibility,
+  DIRECTORY_FIELDS,
+  MAX_PAGE_SIZE,
+} = require("../../models/members/directoryModel");
+
+const router = express.Router();
+
+// Per member rather than per IP, so paging through everyone is slow from any network
+const directorySearchLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 searches per window
+  keyGenerator: (req) => req.user.id,
+  message: {
+    status: "error",
+    message: "Too many directory searches. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const searchValidation = [
+  query("search")
+    .if(query("ministry").not().exists({ checkFalsy: true }))
+    .exists({ checkFalsy: true })
+    .withMessage("Enter a name or choose a ministry to search the directory"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Search must be between 2 and 100 characters"),
+  query("ministry")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Ministry must be at most 100 characters"),
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive number"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+];
+
+const settingsValidation = [
+  ...Object.keys(DIRECTORY_FIELDS).map((field) =>
+    body(field)
+      .optional()
+      .isIn(Object.values(DirectoryVisibility))
+      .withMessage(
+        `${field} must be one of: ${Object.values(DirectoryVisibility).join(", ")}`
+      )
+  ),
+];
+
+router.use(authMiddleware, requireActive);
+
+/**
+ * @route GET /api/directory
+ * @desc Search members by name or ministry; fields are shown as each member allows
+ * @access Private, verified members
+ */
+router.get(
+  "/",
+  requireVerified,
+  directorySearchLimiter,
+  searchValidation,
+  DirectoryController.search
+);
+
+/**
+ * @route GET /api/directory/settings
+ * @desc Who can see each of the signed-in member's directory fields
+ * @access Private
+ */
+router.get("/settings", DirectoryController.getSettings);
+
+/**
+ * @route PUT /api/directory/settings
+ * @desc Change who can see phone, email, photo and ministry: members, admins or nobody
+ * @access Private
+ */
+router.put("/settings", settingsValidation, DirectoryController.updateSettings);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const HouseholdsController = require("../../controllers/households/householdsController");
+const { authMiddleware, requireActive } = require("../../middleware/authMiddleware");
+const { HouseholdRelationships } = require("../../models/members/householdModel");
+
+const router = express.Router();
+
+const RELATIONSHIPS = Object.values(HouseholdRelationships);
+
+const householdIdValidation = [
+  param("householdId").isUUID().withMessage("Invalid household ID"),
+];
+
+const memberIdValidation = [
+  param("memberId").isUUID().withMessage("Invalid household member ID"),
+];
+
+const nameValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Household name must be between 2 and 100 characters"),
+];
+
+const relationshipValidation = (field = body("relationship")) =>
+  field
+    .isIn(RELATIONSHIPS)
+    .withMessage(`Relationship must be one of: ${RELATIONSHIPS.join(", ")}`);
+
+const inviteValidation = [
+  ...householdIdValidation,
+  body("userId").isUUID().withMessage("A valid member ID is required"),
+  relationshipValidation(),
+];
+
+const dependentValidation = [
+  ...householdIdValidation,
+  body("fullName")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Full name must be between 2 and 100 characters"),
+  relationshipValidation(),
+  body("dateOfBirth")
+    .optional({ values: "null" })
+    .isISO8601({ strict: true })
+    .withMessage("Date of birth must be a valid date (YYYY-MM-DD)"),
+];
+
+const updateMemberValidation = [
+  ...householdIdValidation,
+  ...memberIdValidation,
+  relationshipValidation(body("relationship").optional()),
+  body("fullName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Full name must be between 2 and 100 characters"),
+  body("dateOfBirth")
+    .optional({ values: "null" })
+    .isISO8601({ strict: true })
+    .withMessage("Date of birth must be a valid date (YYYY-MM-DD)"),
+];
+
+const givingValidation = [
+  ...householdIdValidation,
+  query("from").optional().isISO8601({ strict: true }).withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to").optional().isISO8601({ strict: true }).withMessage("to must be a date (YYYY-MM-DD)"),
+];
+
+router.use(authMiddleware, requireActive);
+
+/**
+ * @route POST /api/households
+ * @desc Start a household with the signed-in member as head
+ * @access Private
+ */
+router.post("/", nameValidation, HouseholdsController.create);
+
+/**
+ * @route GET /api/households/mine
+ * @desc The signed-in member's household, members and dependents
+ * @access Private
+ */
+router.get("/mine", HouseholdsController.getMine);
+
+/**
+ * @route GET /api/households/invitations
+ * @desc Household invitations waiting for the signed-in member
+ * @access Private
+ */
+router.get("/invitations", HouseholdsController.getInvitations);
+
+/**
+ * @route POST /api/households/invitations/:memberId/accept
+ * @desc Join the household that sent the invitation
+ * @access Private, invited member
+ */
+router.post(
+  "/invitations/:memberId/accept",
+  memberIdValidation,
+  HouseholdsController.acceptInvitation
+);
+
+/**
+ * @route POST /api/households/invitations/:memberId/decline
+ * @desc Decline a household invitation
+ * @access Private, invited member
+ */
+router.post(
+  "/invitations/:memberId/decline",
+  memberIdValidation,
+  HouseholdsController.declineInvitation
+);
+
+/**
+ * @route GET /api/households/:householdId
+ * @desc A household with its members, dependents and pending invitations
+ * @access Private, household members or users.view
+ */
+router.get("/:householdId", householdIdValidation, HouseholdsController.get);
+
+/**
+ * @route PUT /api/households/:householdId
+ * @desc Rename a household
+ * @access Private, head or spouse, or users.manage
+ */
+router.put(
+  "/:householdId",
+  [...householdIdValidation, ...nameValidation],
+  HouseholdsController.update
+);
+
+/**
+ * @route DELETE /api/households/:householdId
+ * @desc Delete a household and its dependents; member accounts are kept
+ * @access Private, head, or users.manage
+ */
+router.delete("/:householdId", householdIdValidation, HouseholdsController.remove);
+
+/**
+ * @route POST /api/households/:householdId/members
+ * @desc Invite a member's account to join the household
+ * @access Private, head or spouse, or users.manage
+ */
+router.post("/:householdId/members", inviteValidation, HouseholdsController.invite);
+
+/**
+ * @route POST /api/households/:householdId/dependents
+ * @desc Add a family member without a login, such as a child
+ * @access Private, head or spouse, or users.manage
+ */
+router.post(
+  "/:householdId/dependents",
+  dependentValidation,
+  HouseholdsController.addDependent
+);
+
+/**
+ * @route PUT /api/households/:householdId/members/:memberId
+ * @desc Change a relationship, or a dependent's name and date of birth
+ * @access Private, head or spouse, or users.manage
+ */
+router.put(
+  "/:householdId/members/:memberId",
+  updateMemberValidation,
+  HouseholdsController.updateMember
+);
+
+/**
+ * @route DELETE /api/households/:householdId/members/:memberId
+ * @desc Remove a member, dependent or invitation; members may remove themselves to leave
+ * @access Private, head or spouse, users.manage, or the member themselves
+ */
+router.delete(
+  "/:householdId/members/:memberId",
+  [...householdIdValidation, ...memberIdValidation],
+  HouseholdsController.removeMember
+);
+
+/**
+ * @route GET /api/households/:householdId/giving
+ * @desc Completed giving of the household's members, by purpose and by member
+ * @access Private, household members or payments.view_reports
+ */
+router.get("/:householdId/giving", givingValidation, HouseholdsController.getGiving);
+
+module.exports = router;
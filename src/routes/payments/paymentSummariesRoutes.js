@@ -0,0 +1,39 @@
+const express = require("express");
+const { query } = require("express-validator");
+const PaymentSummariesController = require("../../controllers/payments/paymentSummariesController");
+const {
+  allowApiKey,
+  requireActive,
+  requirePermission,
+} = require("../../middleware/authMiddleware");
+const { Permissions, ApiKeyScopes } = require("../../config/permissions");
+const { PAYMENT_PURPOSES } = require("../../models/payments/paymentSummaryModel");
+
+const router = express.Router();
+
+const summaryValidation = [
+  query("from").optional().isISO8601({ strict: true }).withMessage("from must be a YYYY-MM-DD date"),
+  query("to").optional().isISO8601({ strict: true }).withMessage("to must be a YYYY-MM-DD date"),
+  query("purpose")
+    .optional()
+    .isIn(PAYMENT_PURPOSES)
+    .withMessage(`Purpose must be one of: ${PAYMENT_PURPOSES.join(", ")}`),
+];
+
+/**
+ * @route GET /api/payment-summaries
+ * @desc Daily giving totals per purpose
+ * @access Requires payments.view_reports, or an API key with payment_summaries:read
+ */
+router.get(
+  "/",
+  allowApiKey(
+    ApiKeyScopes.PAYMENT_SUMMARIES_READ,
+    requireActive,
+    requirePermission(Permissions.PAYMENTS_VIEW_REPORTS)
+  ),
+  summaryValidation,
+  PaymentSummariesController.getAll
+);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const RoleController = require("../../controllers/roles/rolesController");
+const {
+  authMiddleware,
+  requireActive,
+  requirePermission,
+  sensitiveOperationsMiddleware,
+} = require("../../middleware/authMiddleware");
+const { Permissions } = require("../../config/permissions");
+
+const router = express.Router();
+
+const roleIdValidation = [
+  param("roleId").isInt({ min: 1 }).withMessage("Invalid role ID"),
+];
+
+const userIdValidation = [
+  param("userId").isUUID().withMessage("Invalid user ID"),
+];
+
+const permissionsValidation = (field) =>
+  field
+    .isArray()
+    .withMessage("Permissions must be an array of permission keys")
+    .custom((permissions) =>
+      permissions.every((permission) => typeof permission === "string")
+    )
+    .withMessage("Permissions must be an array of permission keys");
+
+const createRoleValidation = [
+  body("name")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_]{2,49}$/)
+    .withMessage(
+      "Role name must be 3-50 lowercase letters, numbers or underscores"
+    ),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Description is too long"),
+  permissionsValidation(body("permissions")),
+];
+
+const updateRoleValidation = [
+  ...roleIdValidation,
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Description is too long"),
+  permissionsValidation(body("permissions").optional()),
+];
+
+router.use(authMiddleware, requireActive);
+
+/**
+ * @route GET /api/roles/me
+ * @desc Permissions of the signed-in user, for showing or hiding admin features
+ * @access Private
+ */
+router.get("/me", RoleController.getMyPermissions);
+
+// Everything below manages roles
+router.use(requirePermission(Permissions.ROLES_MANAGE));
+
+/**
+ * @route GET /api/roles/permissions
+ * @desc Permission catalogue
+ * @access Requires roles.manage
+ */
+router.get("/permissions", RoleController.getPermissions);
+
+/**
+ * @route GET /api/roles
+ * @desc List roles with their permissions
+ * @access Requires roles.manage
+ */
+router.get("/", RoleController.getAll);
+
+/**
+ * @route POST /api/roles
+ * @desc Create a custom role
+ * @access Requires roles.manage
+ */
+router.post("/", createRoleValidation, RoleController.create);
+
+/**
+ * @route PUT /api/roles/:roleId
+ * @desc Update a custom role
+ * @access Requires roles.manage
+ */
+router.put("/:roleId", updateRoleValidation, RoleController.update);
+
+/**
+ * @route DELETE /api/roles/:roleId
+ * @desc Delete a custom role
+ * @access Requires roles.manage
+ */
+router.delete(
+  "/:roleId",
+  sensitiveOperationsMiddleware,
+  roleIdValidation,
+  RoleController.delete
+);
+
+/**
+ * @route GET /api/roles/users/:userId
+ * @desc A member's assigned roles and effective permissions
+ * @access Requires roles.manage
+ */
+router.get("/users/:userId", userIdValidation, RoleController.getUserRoles);
+
+/**
+ * @route POST /api/roles/users/:userId
+ * @desc Assign a role to a member
+ * @access Requires roles.manage
+ */
+router.post(
+  "/users/:userId",
+  [
+    ...userIdValidation,
+    body("roleId").isInt({ min: 1 }).withMessage("Valid role ID is required"),
+  ],
+  RoleController.assign
+);
+
+/**
+ * @route DELETE /api/roles/users/:userId/:roleId
+ * @desc Remove a role from a member
+ * @access Requires roles.manage
+ */
+router.delete(
+  "/users/:userId/:roleId",
+  [...userIdValidation, ...roleIdValidation],
+  RoleController.unassign
+);
+
+module.exports = router;
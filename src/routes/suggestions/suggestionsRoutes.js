@@ -1,5 +1,10 @@
 const express = require('express');
-const { authMiddleware, requireAdmin } = require('../../middleware/authMiddleware');
+const {
+  authMiddleware,
+  requirePermission,
+  sensitiveOperationsMiddleware,
+} = require('../../middleware/authMiddleware');
+const { Permissions } = require('../../config/permissions');
 const SuggestionController = require('../../controllers/suggestions/suggestionsController');
 const rateLimit = require('express-rate-limit');
 const validate = require('../../middleware/validationMiddleware');
@@ -95,25 +100,26 @@ router.delete(
 
 // Admin routes -----------------------------------------------------------------
 const adminRouter = express.Router();
-adminRouter.use(requireAdmin); // All admin routes require admin privileges
 
 /**
  * @desc    Admin - Get suggestion statistics
  * @route   GET /api/suggestions/admin/stats
- * @access  Private/Admin
+ * @access  Private (suggestions.view)
  */
 adminRouter.get(
   '/stats', 
+  requirePermission(Permissions.SUGGESTIONS_VIEW),
   SuggestionController.getSuggestionStats
 );
 
 /**
  * @desc    Admin - Get single suggestion by ID
  * @route   GET /api/suggestions/admin/:id
- * @access  Private/Admin
+ * @access  Private (suggestions.view)
  */
 adminRouter.get(
   '/:id', 
+  requirePermission(Permissions.SUGGESTIONS_VIEW),
   validate.suggestionId,
   SuggestionController.getSuggestionById
 );
@@ -121,10 +127,12 @@ adminRouter.get(
 /**
  * @desc    Admin - Permanently delete a suggestion
  * @route   DELETE /api/suggestions/admin/:id
- * @access  Private/Admin
+ * @access  Private (suggestions.delete)
  */
 adminRouter.delete(
   '/:id', 
+  requirePermission(Permissions.SUGGESTIONS_DELETE),
+  sensitiveOperationsMiddleware,
   validate.suggestionId,
   SuggestionController.adminDeleteSuggestion
 );
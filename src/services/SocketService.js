@@ -1,10 +1,12 @@
 // services/SocketService.js
 const socketIO = require('socket.io');
 const SocketController = require('../controllers/socket/socketController');
+const { authenticateSocket } = require('./authentication');
 
 class SocketService {
   constructor(server) {
     this.io = socketIO(server);
+    this.io.use(authenticateSocket);
     this.controller = new SocketController();
     this.initialize();
   }
@@ -13,9 +15,9 @@ class SocketService {
     this.io.on('connection', (socket) => {
       console.log('New client connected:', socket.id);
       
-      // Authenticate user
-      socket.on('authenticate', (data) => {
-        this.controller.handleAuthenticate(socket, data);
+      // Join chat as the user verified at the handshake
+      socket.on('authenticate', () => {
+        this.controller.handleAuthenticate(socket);
       });
 
       // Handle sending a message
@@ -0,0 +1,36 @@
+const logger = require("../config/logger");
+const {
+  anonymizeDueAccounts,
+} = require("../models/auth/accountDeletionModel");
+
+const CHECK_INTERVAL_MINUTES =
+  parseInt(process.env.ACCOUNT_DELETION_CHECK_INTERVAL_MINUTES) || 60;
+
+const runAccountAnonymization = async () => {
+  try {
+    const anonymized = await anonymizeDueAccounts();
+    if (anonymized > 0) {
+      logger.info("AccountAnonymization - Deleted accounts anonymized", {
+        count: anonymized,
+      });
+    }
+  } catch (error) {
+    logger.error("AccountAnonymization - Run failed", { error: error.message });
+  }
+};
+
+// Periodically anonymise accounts whose deletion grace period has ended
+const startAccountAnonymizationJob = () => {
+  const timer = setInterval(
+    runAccountAnonymization,
+    CHECK_INTERVAL_MINUTES * 60 * 1000
+  );
+  // Never keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runAccountAnonymization,
+  startAccountAnonymizationJob,
+};
@@ -0,0 +1,127 @@
+// src/services/authUserCache.js
+const logger = require("../config/logger");
+
+// Short, so a missed invalidation can only leave a stale user for moments
+const TTL_SECONDS = parseInt(process.env.AUTH_USER_CACHE_TTL_SECONDS) || 60;
+
+const keyFor = (userId) => `auth:user:${userId}`;
+
+// In-process cache; only safe with a single instance, as invalidations are not shared
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+// Redis cache shared by every instance; the client is created lazily
+const createRedisStore = (client) => {
+  const redis = () => client || (client = require("../config/redis"));
+
+  return {
+    name: "redis",
+    async get(key) {
+      const value = await redis().get(key);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlSeconds) {
+      await redis().set(key, JSON.stringify(value), "EX", ttlSeconds);
+    },
+    async del(key) {
+      await redis().del(key);
+    },
+  };
+};
+
+const storeFromEnv = () => {
+  switch (process.env.AUTH_USER_CACHE) {
+    case "redis":
+      return createRedisStore();
+    case "memory":
+      return createMemoryStore();
+    default:
+      return null;
+  }
+};
+
+let store = storeFromEnv();
+
+// Swap the cache store (e.g. a fresh one in tests); null disables caching
+const setAuthUserCacheStore = (nextStore) => {
+  store = nextStore;
+  return store;
+};
+
+/**
+ * The user row used to authenticate requests, from the cache when enabled
+ * @param {string} userId
+ * @param {Function} load - Loads the row from the database; null when missing
+ * @returns {Promise<Object|null>}
+ */
+const getAuthUser = async (userId, load) => {
+  if (!store) {
+    return load(userId);
+  }
+
+  try {
+    const cached = await store.get(keyFor(userId));
+    if (cached) {
+      return cached;
+    }
+  } catch (error) {
+    // A cache outage falls back to the database rather than failing logins
+    logger.error("AuthUserCache - Read failed", { error: error.message, userId });
+    return load(userId);
+  }
+
+  const user = await load(userId);
+  if (user) {
+    try {
+      await store.set(keyFor(userId), user, TTL_SECONDS);
+    } catch (error) {
+      logger.error("AuthUserCache - Write failed", { error: error.message, userId });
+    }
+  }
+  return user;
+};
+
+/**
+ * Drop a cached user after changing anything authentication depends on:
+ * status, role, verification, password or token invalidation
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const invalidateAuthUser = async (userId) => {
+  if (!store || !userId) {
+    return;
+  }
+
+  try {
+    await store.del(keyFor(userId));
+  } catch (error) {
+    logger.error("AuthUserCache - Invalidation failed", { error: error.message, userId });
+  }
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  setAuthUserCacheStore,
+  getAuthUser,
+  invalidateAuthUser,
+};
@@ -0,0 +1,250 @@
+// src/services/authentication.js
+const { sql } = require("../config/database");
+const logger = require("../config/logger");
+const { APIError } = require("../utils/global-errorHandler");
+const { isSessionActive } = require("../models/auth/sessionModel");
+const { authenticateApiKey } = require("../models/auth/apiKeyModel");
+const { getAuthUser } = require("./authUserCache");
+const { TokenAudiences, verifyToken } = require("./jwtSigning");
+
+// Cookie set at login alongside the tokens in the response body
+const AUTH_COOKIE_NAME = "auth_token";
+
+const AuthStrategies = {
+  BEARER: "bearer",
+  COOKIE: "cookie",
+  API_KEY: "api_key",
+};
+
+const authError = (message, code = undefined) => {
+  return new APIError(message, 401, code ? { code } : undefined);
+};
+
+const loadUser = async (userId) => {
+  const user = await sql`
+    SELECT
+      id,
+      email,
+      role,
+      status,
+      full_name,
+      last_login,
+      is_super_admin,
+      is_verified,
+      password_changed_at,
+      token_invalidated_at
+    FROM users
+    WHERE id = ${userId};
+  `;
+
+  return user[0] || null;
+};
+
+const inactiveAccountMessage = (status) => {
+  switch (status) {
+    case "suspended":
+      return "Account is suspended";
+    case "banned":
+      return "Account has been banned";
+    case "pending_deletion":
+      return "Account is scheduled for deletion";
+    default:
+      return "Account is not active";
+  }
+};
+
+const issuedBefore = (decoded, timestamp) => {
+  return timestamp && decoded.iat < Math.floor(new Date(timestamp).getTime() / 1000);
+};
+
+/**
+ * Verify an access token and load the user it belongs to
+ * @param {string} token - Access token from a header, cookie or socket handshake
+ * @returns {Promise<Object>} The user, with userId and sessionId
+ * @throws {APIError} 401 with a code when the token or account cannot be used
+ */
+const authenticateAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token, { audience: TokenAudiences.ACCESS });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw authError(
+        "Session expired. Please login again to continue with enjoying our services",
+        "TOKEN_EXPIRED"
+      );
+    }
+    if (error.name === "JsonWebTokenError") {
+      throw authError("Invalid authentication token", "INVALID_TOKEN");
+    }
+    throw error;
+  }
+
+  // Challenge and other special-purpose tokens are not access tokens
+  if (decoded.type) {
+    throw authError("Invalid authentication token", "INVALID_TOKEN");
+  }
+
+  const user = await getAuthUser(decoded.userId, loadUser);
+  if (!user) {
+    throw authError("Invalid authentication");
+  }
+
+  if (user.status !== "active") {
+    throw authError(inactiveAccountMessage(user.status), "ACCOUNT_INACTIVE");
+  }
+
+  // Tokens issued before a password change or a logout everywhere are dead
+  if (issuedBefore(decoded, user.password_changed_at)) {
+    throw authError(
+      "Security session expired. Please login again to continue with enjoying our services"
+    );
+  }
+
+  if (issuedBefore(decoded, user.token_invalidated_at)) {
+    throw authError("Session expired. Please login again");
+  }
+
+  // Checked on every request, so signing out a device takes effect at once
+  if (decoded.sessionId && !(await isSessionActive(decoded.sessionId, user.id))) {
+    throw authError("Session has been signed out. Please login again", "SESSION_REVOKED");
+  }
+
+  return {
+    ...user,
+    userId: user.id, // Add consistent userId property
+    sessionId: decoded.sessionId || null,
+  };
+};
+
+// Each strategy finds its credential in a source (see fromRequest and
+// fromSocketHandshake) and turns it into { user } or { apiKey }
+const strategies = {
+  [AuthStrategies.BEARER]: {
+    extract: (source) => {
+      const header = source.headers.authorization;
+      if (header?.startsWith("Bearer ")) {
+        return header.split(" ")[1];
+      }
+      return source.token || null;
+    },
+    authenticate: async (token) => ({ user: await authenticateAccessToken(token) }),
+  },
+  [AuthStrategies.COOKIE]: {
+    extract: (source) => source.cookies?.[AUTH_COOKIE_NAME] || null,
+    authenticate: async (token) => ({ user: await authenticateAccessToken(token) }),
+  },
+  [AuthStrategies.API_KEY]: {
+    extract: (source) => source.headers["x-api-key"] || null,
+    authenticate: async (key, source) => {
+      const apiKey = await authenticateApiKey(key, source.ip || null);
+      if (!apiKey) {
+        throw authError("Invalid, expired or revoked API key", "INVALID_API_KEY");
+      }
+      return { apiKey };
+    },
+  },
+};
+
+/**
+ * Add or replace a strategy
+ * @param {string} name
+ * @param {Object} strategy
+ * @param {Function} strategy.extract - (source) => credential, or null if not presented
+ * @param {Function} strategy.authenticate - (credential, source) => { user } or { apiKey }; throws when invalid
+ */
+const registerStrategy = (name, { extract, authenticate: verify }) => {
+  strategies[name] = { extract, authenticate: verify };
+};
+
+/**
+ * Authenticate with the first of the strategies whose credential was presented.
+ * A credential that fails is not retried with the next strategy.
+ * @param {Object} source - { headers, cookies, token, ip }
+ * @param {string[]} strategyNames - In order of preference
+ * @returns {Promise<Object>} { strategy, user } or { strategy, apiKey }
+ * @throws {APIError} 401 when nothing was presented or the credential is invalid
+ */
+const authenticate = async (source, strategyNames) => {
+  for (const name of strategyNames) {
+    const strategy = strategies[name];
+    if (!strategy) {
+      throw new Error(`Unknown authentication strategy: ${name}`);
+    }
+
+    const credential = strategy.extract(source);
+    if (credential) {
+      return { strategy: name, ...(await strategy.authenticate(credential, source)) };
+    }
+  }
+
+  throw authError("Authentication required");
+};
+
+const fromRequest = (req) => ({
+  headers: req.headers,
+  cookies: req.cookies || {},
+  token: null,
+  ip: req.ip || null,
+});
+
+const parseCookies = (header = "") => {
+  return Object.fromEntries(
+    header
+      .split(";")
+      .map((pair) => pair.trim().split("="))
+      .filter(([name, ...value]) => name && value.length > 0)
+      .map(([name, ...value]) => {
+        try {
+          return [name, decodeURIComponent(value.join("="))];
+        } catch (error) {
+          return [name, value.join("=")];
+        }
+      })
+  );
+};
+
+// Socket.io clients send the token as `auth: { token }`, or rely on the cookie
+const fromSocketHandshake = (handshake) => ({
+  headers: handshake.headers || {},
+  cookies: parseCookies(handshake.headers?.cookie),
+  token: handshake.auth?.token || null,
+  ip: handshake.address || null,
+});
+
+/**
+ * Socket.io middleware applying the same token checks as the HTTP API, once
+ * per connection. Clients connect with `io(url, { auth: { token } })` or the
+ * auth_token cookie; the user is available as socket.data.user.
+ * @param {Object} socket
+ * @param {Function} next
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { user } = await authenticate(fromSocketHandshake(socket.handshake), [
+      AuthStrategies.BEARER,
+      AuthStrategies.COOKIE,
+    ]);
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error("Authentication - Socket handshake error", { error: error.message });
+    }
+
+    const rejection = new Error(error.statusCode ? error.message : "Authentication failed");
+    rejection.data = { code: error.details?.code || "AUTHENTICATION_FAILED" };
+    next(rejection);
+  }
+};
+
+module.exports = {
+  AUTH_COOKIE_NAME,
+  AuthStrategies,
+  authenticateAccessToken,
+  registerStrategy,
+  authenticate,
+  fromRequest,
+  fromSocketHandshake,
+  authenticateSocket,
+};
@@ -0,0 +1,64 @@
+const logger = require("../config/logger");
+const {
+  processDataExport,
+  findPendingDataExports,
+  failStalledDataExports,
+  purgeExpiredDataExports,
+} = require("../models/members/dataExportModel");
+
+const CHECK_INTERVAL_MINUTES =
+  parseInt(process.env.DATA_EXPORT_CHECK_INTERVAL_MINUTES) || 5;
+
+// Build an export in the background, after the request that queued it has returned
+const scheduleDataExport = (exportId) => {
+  setImmediate(() => {
+    processDataExport(exportId).catch((error) => {
+      logger.error("DataExportJobs - Export processing failed", {
+        error: error.message,
+        exportId,
+      });
+    });
+  });
+};
+
+// Pick up exports a restart interrupted and delete archives past their expiry
+const runDataExportMaintenance = async () => {
+  try {
+    const stalled = await failStalledDataExports();
+
+    const pending = await findPendingDataExports();
+    for (const exportId of pending) {
+      await processDataExport(exportId);
+    }
+
+    const purged = await purgeExpiredDataExports();
+
+    if (stalled > 0 || pending.length > 0 || purged > 0) {
+      logger.info("DataExportJobs - Maintenance run complete", {
+        stalled,
+        processed: pending.length,
+        purged,
+      });
+    }
+  } catch (error) {
+    logger.error("DataExportJobs - Maintenance failed", {
+      error: error.message,
+    });
+  }
+};
+
+const startDataExportJob = () => {
+  const timer = setInterval(
+    runDataExportMaintenance,
+    CHECK_INTERVAL_MINUTES * 60 * 1000
+  );
+  // Never keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  scheduleDataExport,
+  runDataExportMaintenance,
+  startDataExportJob,
+};
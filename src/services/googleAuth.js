@@ -0,0 +1,115 @@
+// src/services/googleAuth.js
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+const GOOGLE_JWKS_URI = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const DEFAULT_CACHE_SECONDS = 60 * 60; // 1 hour
+
+/**
+ * Key set loaded from a JWKS URL, a local JWKS file, or an in-memory key list.
+ * Local sources let tests and offline development use their own signing keys.
+ * @param {Object} options
+ * @param {string} [options.uri] - Remote JWKS URL
+ * @param {string} [options.file] - Path to a JWKS JSON file
+ * @param {Array<Object>} [options.keys] - JWK objects
+ */
+const createJwksKeySource = ({ uri, file, keys } = {}) => {
+  let cachedKeys = null;
+  let expiresAt = 0;
+
+  const loadKeys = async () => {
+    if (keys) {
+      return keys;
+    }
+
+    if (file) {
+      return JSON.parse(fs.readFileSync(file, "utf8")).keys;
+    }
+
+    const response = await axios.get(uri || GOOGLE_JWKS_URI, {
+      timeout: 5000,
+    });
+
+    // Respect Google's Cache-Control max-age when present
+    const maxAge = /max-age=(\d+)/.exec(
+      response.headers?.["cache-control"] || ""
+    );
+    expiresAt =
+      Date.now() +
+      (maxAge ? parseInt(maxAge[1]) : DEFAULT_CACHE_SECONDS) * 1000;
+
+    return response.data.keys;
+  };
+
+  return {
+    async getKey(kid) {
+      if (!cachedKeys || (expiresAt && Date.now() > expiresAt)) {
+        cachedKeys = await loadKeys();
+      }
+
+      let jwk = cachedKeys.find((key) => key.kid === kid);
+
+      // Keys rotate; refetch once before giving up on an unknown kid
+      if (!jwk && !keys && !file) {
+        cachedKeys = await loadKeys();
+        jwk = cachedKeys.find((key) => key.kid === kid);
+      }
+
+      if (!jwk) {
+        throw new Error("Unknown Google signing key");
+      }
+
+      return crypto.createPublicKey({ key: jwk, format: "jwk" });
+    },
+  };
+};
+
+let keySource = createJwksKeySource({
+  uri: process.env.GOOGLE_JWKS_URI,
+  file: process.env.GOOGLE_JWKS_FILE,
+});
+
+// Swap the key source used for verification (e.g. a local key set in tests)
+const setGoogleKeySource = (nextKeySource) => {
+  keySource = nextKeySource;
+  return keySource;
+};
+
+/**
+ * Verify a Google ID token and return its claims
+ * @param {string} idToken - ID token from Google Sign-In
+ * @returns {Promise<Object>} Verified token payload
+ * @throws {Error} - Throws if the token is malformed, unsigned by Google or not for this app
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const audience = process.env.GOOGLE_CLIENT_ID;
+  if (!audience) {
+    throw new Error("Google sign-in is not configured");
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new Error("Invalid Google ID token");
+  }
+
+  const publicKey = await keySource.getKey(decoded.header.kid);
+
+  try {
+    return jwt.verify(idToken, publicKey, {
+      algorithms: ["RS256"],
+      audience: audience.split(",").map((clientId) => clientId.trim()),
+      issuer: GOOGLE_ISSUERS,
+    });
+  } catch (error) {
+    throw new Error(`Invalid Google ID token: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createJwksKeySource,
+  setGoogleKeySource,
+  verifyGoogleIdToken,
+};
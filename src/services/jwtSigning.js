@@ -0,0 +1,240 @@
+// src/services/jwtSigning.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+const SigningAlgorithms = {
+  RS256: "RS256",
+  ES256: "ES256",
+};
+
+const DEFAULT_KEYS_FILE = path.join("keys", "jwt-keys.json");
+
+// Every token shares the keys published at /.well-known/jwks.json, so the
+// audience is what tells an access token apart from a 2FA challenge, step-up
+// token or download link. Other services must require ACCESS.
+const TokenAudiences = {
+  ACCESS: "api",
+  INTERNAL: "auth-internal",
+};
+
+/**
+ * Create a new signing key pair
+ * @param {string} [alg=RS256] - RS256 or ES256
+ * @returns {Object} { kid, alg, privateKey, publicKey, createdAt } with PEM keys
+ */
+const generateSigningKey = (alg = SigningAlgorithms.RS256) => {
+  if (!Object.values(SigningAlgorithms).includes(alg)) {
+    throw new Error(`Unsupported signing algorithm: ${alg}`);
+  }
+
+  const { privateKey, publicKey } =
+    alg === SigningAlgorithms.ES256
+      ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+      : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  return {
+    kid: crypto.randomBytes(8).toString("hex"),
+    alg,
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    createdAt: new Date().toISOString(),
+  };
+};
+
+// { signingKeyId, keys: [...] } from JWT_KEYS (JSON, e.g. from a secret store),
+// then JWT_KEYS_FILE, then keys/jwt-keys.json. Null when none is configured.
+const loadKeySetFromEnv = () => {
+  if (process.env.JWT_KEYS) {
+    return JSON.parse(process.env.JWT_KEYS);
+  }
+
+  const file = process.env.JWT_KEYS_FILE || DEFAULT_KEYS_FILE;
+  if (fs.existsSync(file)) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  return null;
+};
+
+// Parsed once; createPrivateKey and createPublicKey are too slow to repeat per request
+const prepareKeySet = (keySet) => {
+  if (!keySet || !keySet.keys?.length) {
+    return null;
+  }
+
+  const keys = new Map(
+    keySet.keys.map((key) => [
+      key.kid,
+      {
+        ...key,
+        privateKeyObject: key.privateKey ? crypto.createPrivateKey(key.privateKey) : null,
+        publicKeyObject: crypto.createPublicKey(key.publicKey),
+      },
+    ])
+  );
+
+  const signingKey = keys.get(keySet.signingKeyId);
+  if (!signingKey?.privateKeyObject) {
+    throw new Error(`JWT signing key ${keySet.signingKeyId} is missing or has no private key`);
+  }
+
+  return { signingKey, keys };
+};
+
+let activeKeys;
+
+const getActiveKeys = () => {
+  if (activeKeys === undefined) {
+    activeKeys = prepareKeySet(loadKeySetFromEnv());
+  }
+  return activeKeys;
+};
+
+// Swap the key set (e.g. one generated in tests); null falls back to JWT_SECRET
+const setKeySet = (keySet) => {
+  activeKeys = prepareKeySet(keySet);
+  return activeKeys;
+};
+
+// HS256 tokens signed with JWT_SECRET are what we issued before key pairs.
+// Once keys are configured they are only accepted while JWT_ACCEPT_LEGACY_HS256=true.
+const acceptsLegacyTokens = () => {
+  return !getActiveKeys() || process.env.JWT_ACCEPT_LEGACY_HS256 === "true";
+};
+
+/**
+ * Sign a token with the current key, or with JWT_SECRET when no keys are configured
+ * @param {Object} payload
+ * @param {Object} [options] - jsonwebtoken sign options, e.g. expiresIn
+ * @param {string} [options.audience=TokenAudiences.INTERNAL] - ACCESS only for access tokens
+ * @returns {string}
+ */
+const signToken = (payload, { audience = TokenAudiences.INTERNAL, ...options } = {}) => {
+  const keys = getActiveKeys();
+  const issuer = process.env.JWT_ISSUER ? { issuer: process.env.JWT_ISSUER } : {};
+
+  if (!keys) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { ...issuer, ...options, audience });
+  }
+
+  return jwt.sign(payload, keys.signingKey.privateKeyObject, {
+    ...issuer,
+    ...options,
+    audience,
+    algorithm: keys.signingKey.alg,
+    keyid: keys.signingKey.kid,
+  });
+};
+
+/**
+ * Verify a token signed by signToken with any key still in the key set
+ * @param {string} token
+ * @param {Object} [options]
+ * @param {string} [options.audience=TokenAudiences.INTERNAL] - Audience the token must carry
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} - Same errors as jwt.verify
+ */
+const verifyToken = (token, { audience = TokenAudiences.INTERNAL } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded?.header?.kid;
+  const issuer = process.env.JWT_ISSUER ? { issuer: process.env.JWT_ISSUER } : {};
+
+  if (!kid) {
+    if (!acceptsLegacyTokens()) {
+      throw new jwt.JsonWebTokenError("token has no key id");
+    }
+    const legacy = jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+      ...issuer,
+    });
+
+    // HS256 tokens from before audiences were added were all access tokens
+    if ((legacy.aud ?? TokenAudiences.ACCESS) !== audience) {
+      throw new jwt.JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+    }
+    return legacy;
+  }
+
+  const key = getActiveKeys()?.keys.get(kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+
+  return jwt.verify(token, key.publicKeyObject, {
+    algorithms: [key.alg],
+    audience,
+    ...issuer,
+  });
+};
+
+/**
+ * Public keys for other services to verify our tokens, as served at /.well-known/jwks.json
+ * @returns {Object} { keys: [JWK] }
+ */
+const getJwks = () => {
+  const keys = getActiveKeys();
+  if (!keys) {
+    return { keys: [] };
+  }
+
+  return {
+    keys: [...keys.keys.values()].map((key) => ({
+      ...key.publicKeyObject.export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    })),
+  };
+};
+
+/**
+ * Add a key to a key set. The first key signs at once; later keys only verify
+ * until activated, so every instance can learn a key before any instance uses it.
+ * @param {Object|null} keySet
+ * @param {string} [alg]
+ * @returns {Object} { keySet, key }
+ */
+const addSigningKey = (keySet, alg) => {
+  const key = generateSigningKey(alg);
+  const keys = [...(keySet?.keys || []), key];
+
+  return {
+    keySet: { signingKeyId: keySet?.signingKeyId || key.kid, keys },
+    key,
+  };
+};
+
+// Start signing with a key already in the set
+const activateSigningKey = (keySet, kid) => {
+  if (!keySet?.keys.some((key) => key.kid === kid)) {
+    throw new Error(`No key with kid ${kid}`);
+  }
+  return { ...keySet, signingKeyId: kid };
+};
+
+// Remove a key; tokens signed with it stop verifying
+const retireSigningKey = (keySet, kid) => {
+  if (keySet?.signingKeyId === kid) {
+    throw new Error("Activate another key before retiring the signing key");
+  }
+  if (!keySet?.keys.some((key) => key.kid === kid)) {
+    throw new Error(`No key with kid ${kid}`);
+  }
+  return { ...keySet, keys: keySet.keys.filter((key) => key.kid !== kid) };
+};
+
+module.exports = {
+  SigningAlgorithms,
+  TokenAudiences,
+  DEFAULT_KEYS_FILE,
+  generateSigningKey,
+  setKeySet,
+  signToken,
+  verifyToken,
+  getJwks,
+  addSigningKey,
+  activateSigningKey,
+  retireSigningKey,
+};
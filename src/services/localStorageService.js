@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Filesystem backend with the same object API as AzureStorageService,
+ * for development and tests. Files are served by app.js under publicPath.
+ */
+class LocalStorageService {
+  constructor({ rootDir, publicPath }) {
+    this.rootDir = path.resolve(rootDir);
+    this.publicPath = publicPath;
+  }
+
+  // Keys are generated by the app, but never let one escape the storage root
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async putObject(key, buffer) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return this.getUrl(key);
+  }
+
+  async deleteObject(key) {
+    await fs.promises.rm(this.resolveKey(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${process.env.BASE_URL || ""}${this.publicPath}/${key}`;
+  }
+}
+
+module.exports = { LocalStorageService };
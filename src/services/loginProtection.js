@@ -0,0 +1,246 @@
+// src/services/loginProtection.js
+const { APIError } = require("../utils/global-errorHandler");
+
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOCKOUT_SECONDS =
+  (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+
+// In-memory store for a single instance, local development and tests
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: "memory",
+    async increment(key, ttlSeconds) {
+      const entry = read(key);
+      if (entry) {
+        entry.value += 1;
+        return entry.value;
+      }
+      entries.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return 1;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+    // Remaining lifetime in ms, 0 when the key is missing
+    async ttl(key) {
+      const entry = read(key);
+      return entry ? entry.expiresAt - Date.now() : 0;
+    },
+    async del(...keys) {
+      keys.forEach((key) => entries.delete(key));
+    },
+  };
+};
+
+// Redis store so limits hold across instances; the client is created lazily
+const createRedisStore = (client) => {
+  const redis = () => client || (client = require("../config/redis"));
+
+  return {
+    name: "redis",
+    async increment(key, ttlSeconds) {
+      const value = await redis().incr(key);
+      if (value === 1) {
+        await redis().expire(key, ttlSeconds);
+      }
+      return value;
+    },
+    async set(key, value, ttlSeconds) {
+      await redis().set(key, value, "EX", ttlSeconds);
+    },
+    async get(key) {
+      const value = await redis().get(key);
+      return value === null ? null : Number(value);
+    },
+    async ttl(key) {
+      return Math.max(await redis().pttl(key), 0);
+    },
+    async del(...keys) {
+      await redis().del(...keys);
+    },
+  };
+};
+
+let store =
+  process.env.LOGIN_ATTEMPT_STORE === "redis"
+    ? createRedisStore()
+    : createMemoryStore();
+
+// Swap the store used for login attempt tracking (e.g. a fresh one in tests)
+const setLoginAttemptStore = (nextStore) => {
+  store = nextStore;
+  return store;
+};
+
+const getLoginAttemptStore = () => store;
+
+const keysFor = (email, ipAddress) => {
+  const account = String(email || "").trim().toLowerCase();
+  return {
+    accountFailures: `login:failures:account:${account}`,
+    accountDelay: `login:delay:account:${account}`,
+    accountLock: `login:lock:account:${account}`,
+    ipFailures: `login:failures:ip:${ipAddress}`,
+  };
+};
+
+const retryAfterSeconds = (ms) => Math.max(Math.ceil(ms / 1000), 1);
+
+/**
+ * Refuse a login attempt while the account is locked, a progressive delay is
+ * pending, or the IP has failed too often
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email the login is for
+ * @param {string} [attempt.ipAddress] - Client IP address
+ * @throws {APIError} 423 when locked, 429 when delayed or the IP is blocked
+ */
+const assertLoginAllowed = async ({ email, ipAddress }) => {
+  const keys = keysFor(email, ipAddress);
+
+  const lockMs = await store.ttl(keys.accountLock);
+  if (lockMs > 0) {
+    throw new APIError(
+      "Account temporarily locked after too many failed login attempts. Please try again later",
+      423,
+      { code: "ACCOUNT_LOCKED", retryAfter: retryAfterSeconds(lockMs) }
+    );
+  }
+
+  if (ipAddress && (await store.get(keys.ipFailures)) >= MAX_IP_FAILURES) {
+    throw new APIError(
+      "Too many failed login attempts. Please try again later",
+      429,
+      {
+        code: "TOO_MANY_ATTEMPTS",
+        retryAfter: retryAfterSeconds(await store.ttl(keys.ipFailures)),
+      }
+    );
+  }
+
+  const delayMs = await store.ttl(keys.accountDelay);
+  if (delayMs > 0) {
+    throw new APIError("Please wait before trying to log in again", 429, {
+      code: "LOGIN_DELAYED",
+      retryAfter: retryAfterSeconds(delayMs),
+    });
+  }
+};
+
+/**
+ * Count a failed login and apply delays or a lockout
+ * @returns {Promise<Object>} { failures, locked, lockedUntil }
+ */
+const recordLoginFailure = async ({ email, ipAddress }) => {
+  const keys = keysFor(email, ipAddress);
+
+  if (ipAddress) {
+    await store.increment(keys.ipFailures, FAILURE_WINDOW_SECONDS);
+  }
+
+  const failures = await store.increment(
+    keys.accountFailures,
+    FAILURE_WINDOW_SECONDS
+  );
+
+  if (failures >= MAX_ACCOUNT_FAILURES) {
+    await store.set(keys.accountLock, 1, LOCKOUT_SECONDS);
+    await store.del(keys.accountFailures, keys.accountDelay);
+    return {
+      failures,
+      locked: true,
+      lockedUntil: new Date(Date.now() + LOCKOUT_SECONDS * 1000),
+    };
+  }
+
+  // 1s, 2s, 4s ... between attempts once failures start piling up
+  if (failures >= DELAY_AFTER_FAILURES) {
+    const delaySeconds = Math.min(
+      2 ** (failures - DELAY_AFTER_FAILURES),
+      MAX_DELAY_SECONDS
+    );
+    await store.set(keys.accountDelay, 1, delaySeconds);
+  }
+
+  return { failures, locked: false, lockedUntil: null };
+};
+
+// A successful login clears the account's failures; IP counts age out on their own
+const recordLoginSuccess = async ({ email }) => {
+  const keys = keysFor(email);
+  await store.del(keys.accountFailures, keys.accountDelay);
+};
+
+/**
+ * Throttle one-time codes sent to a phone number or email address. Every
+ * request counts, whether or not an account uses the recipient, so a 429
+ * never reveals which ones are registered.
+ * @param {string} recipient - Scoped key, e.g. "phone:254712345678"
+ * @param {Object} limits
+ * @param {number} limits.cooldownSeconds - Minimum gap between two codes
+ * @param {number} limits.maxPerHour - Codes allowed per rolling hour
+ * @param {string} limits.limitMessage - Error once the hourly cap is reached
+ * @throws {APIError} 429 during the cooldown or past the hourly cap
+ */
+const assertCodeRequestAllowed = async (
+  recipient,
+  { cooldownSeconds, maxPerHour, limitMessage }
+) => {
+  const cooldownKey = `code:cooldown:${recipient}`;
+  const hourlyKey = `code:hourly:${recipient}`;
+
+  const cooldownMs = await store.ttl(cooldownKey);
+  if (cooldownMs > 0) {
+    throw new APIError("Please wait a minute before requesting another code", 429, {
+      code: "CODE_COOLDOWN",
+      retryAfter: retryAfterSeconds(cooldownMs),
+    });
+  }
+
+  const sent = await store.increment(hourlyKey, 60 * 60);
+  if (sent > maxPerHour) {
+    throw new APIError(limitMessage, 429, {
+      code: "TOO_MANY_CODES",
+      retryAfter: retryAfterSeconds(await store.ttl(hourlyKey)),
+    });
+  }
+
+  await store.set(cooldownKey, 1, cooldownSeconds);
+};
+
+// Admin unlock: clears the lock and any pending failures or delay
+const unlockAccount = async (email) => {
+  const keys = keysFor(email);
+  const wasLocked = (await store.ttl(keys.accountLock)) > 0;
+  await store.del(keys.accountLock, keys.accountFailures, keys.accountDelay);
+  return wasLocked;
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  setLoginAttemptStore,
+  getLoginAttemptStore,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  assertCodeRequestAllowed,
+  unlockAccount,
+};
@@ -61,6 +61,361 @@ class EmailService {
       throw error;
     }
   }
+
+  // Wrap message content in the church header and footer
+  buildTemplate(heading, content) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+        <h1 style="text-align: center; color: #4CAF50;">Bishop Amiraki Methodist Church</h1>
+        <p style="text-align: center; font-size: 18px; margin-bottom: 30px;">${heading}</p>
+        ${content}
+        <p style="font-size: 14px; color: #666; text-align: center; margin-top: 20px;">
+          For assistance, contact us at
+          <a href="mailto:${process.env.EMAIL_ACCOUNT}" style="color: #4CAF50;">${process.env.EMAIL_ACCOUNT}</a>.
+        </p>
+        <footer style="margin-top: 30px; text-align: center; font-size: 12px; color: #999;">
+          <p>Bishop Amiraki Methodist Church</p>
+          <p>Bringing hope and spiritual guidance to the community.</p>
+        </footer>
+      </div>
+    `;
+  }
+
+  // Highlighted code block used by the one-time code emails
+  buildCodeBlock(code, validity) {
+    return `
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; text-align: center;">
+        <p style="font-size: 16px; margin-bottom: 10px;">Your code is:</p>
+        <h2 style="color: #4CAF50; font-size: 36px; margin: 0; letter-spacing: 5px;">${code}</h2>
+        <p style="color: #666; font-size: 14px; margin-top: 20px;">
+          This code is valid for ${validity}.
+        </p>
+      </div>
+    `;
+  }
+
+  // Escape free text (e.g. an admin's reason) before putting it in an email
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  async deliver({ to, subject, html }) {
+    try {
+      const result = await this.transporter.sendMail({
+        from: `"Bishop Amiraki Methodist Church" <${process.env.EMAIL_ACCOUNT}>`,
+        to,
+        subject,
+        html,
+      });
+      console.log("Email sent successfully:", {
+        messageId: result.messageId,
+        subject,
+      });
+      return true;
+    } catch (error) {
+      console.error("Email sending error:", {
+        errorName: error.name,
+        errorMessage: error.message,
+      });
+      throw error;
+    }
+  }
+
+  async sendPasswordResetCode(email, resetCode) {
+    if (!email || !resetCode) {
+      throw new Error("Email and reset code are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "Your Password Reset Code",
+      html: this.buildTemplate(
+        "We received a request to reset your password.",
+        `${this.buildCodeBlock(resetCode, "15 minutes")}
+        <p style="font-size: 14px; color: #666; text-align: center; margin-top: 20px;">
+          If you did not request a password reset, you can safely ignore this email.
+          Your password will not change.
+        </p>`
+      ),
+    });
+  }
+
+  // Prove the member owns the address they are moving their account to
+  async sendEmailChangeCode(email, fullName, code, validity) {
+    if (!email || !code) {
+      throw new Error("Email and confirmation code are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "Confirm Your New Email Address",
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, enter this code in the app to use this address for your account.`,
+        `${this.buildCodeBlock(code, validity)}
+        <p style="font-size: 14px; color: #666; text-align: center; margin-top: 20px;">
+          If you did not ask to change your email address, you can safely ignore this email.
+        </p>`
+      ),
+    });
+  }
+
+  // Warn the current address and let its owner stop a change they didn't ask for
+  async sendEmailChangeNoticeEmail(email, { fullName, newEmail, cancelLink, expiresAt }) {
+    if (!email || !cancelLink) {
+      throw new Error("Email and cancel link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "Your Account Email Is Being Changed",
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, someone asked to change the email address on your account.`,
+        `<p style="font-size: 16px; color: #333; text-align: center;">
+          The new address would be <strong>${this.escapeHtml(newEmail)}</strong>.
+          Once it is confirmed, you will sign in with that address and every device will be signed out.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${cancelLink}" style="background-color: #d9534f; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            This wasn't me, cancel the change
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          The request expires on <strong>${new Date(expiresAt).toUTCString()}</strong>.
+          If you didn't ask for this, cancel it and change your password.
+        </p>`
+      ),
+    });
+  }
+
+  // Tell the member about a login from a device or network we haven't seen them use
+  async sendNewDeviceLoginEmail(email, { fullName, device, ipAddress, loggedInAt, reviewLink }) {
+    if (!email || !reviewLink) {
+      throw new Error("Email and review link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "New Login to Your Account",
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, your account was just used to log in from a new device or location.`,
+        `<p style="font-size: 16px; color: #333; text-align: center;">
+          <strong>${this.escapeHtml(device || "Unknown device")}</strong><br />
+          IP address ${this.escapeHtml(ipAddress || "unknown")}<br />
+          ${new Date(loggedInAt).toUTCString()}
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${reviewLink}" style="background-color: #d9534f; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            Review your account activity
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          If this was you, there is nothing to do. If not, sign out that device and change your password.
+        </p>`
+      ),
+    });
+  }
+
+  async sendAccountLockedEmail(email, lockedUntil) {
+    if (!email) {
+      throw new Error("Email is required");
+    }
+
+    const unlockTime = new Date(lockedUntil).toUTCString();
+
+    return this.deliver({
+      to: email,
+      subject: "Your Account Has Been Temporarily Locked",
+      html: this.buildTemplate(
+        "We locked your account after several failed login attempts.",
+        `<p style="font-size: 16px; color: #333; text-align: center;">
+          You can try logging in again after <strong>${unlockTime}</strong>.
+        </p>
+        <p style="font-size: 14px; color: #666; text-align: center; margin-top: 20px;">
+          If this wasn't you, someone may be trying to guess your password.
+          Consider resetting it, or contact a church administrator to unlock your account.
+        </p>`
+      ),
+    });
+  }
+
+  // Invite an imported member to set a password and start using their account
+  async sendMemberInvitationEmail(email, fullName, invitationLink, expiresAt) {
+    if (!email || !invitationLink) {
+      throw new Error("Email and invitation link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "You're Invited to the Bishop Amiraki Church App",
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, an account has been created for you.`,
+        `<div style="text-align: center; margin: 30px 0;">
+          <a href="${invitationLink}" style="background-color: #4CAF50; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            Set your password
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          This invitation expires on <strong>${new Date(expiresAt).toUTCString()}</strong>.
+        </p>`
+      ),
+    });
+  }
+
+  async sendAdminInvitationEmail(email, { roleLabel, invitedByName, invitationLink, expiresAt }) {
+    if (!email || !invitationLink) {
+      throw new Error("Email and invitation link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "You're Invited to Administer the Bishop Amiraki Church App",
+      html: this.buildTemplate(
+        `Hello, ${this.escapeHtml(invitedByName || "a super admin")} has invited you to join as ${this.escapeHtml(roleLabel)}.`,
+        `<div style="text-align: center; margin: 30px 0;">
+          <a href="${invitationLink}" style="background-color: #4CAF50; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            Set up your account
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          This link can be used once and expires on <strong>${new Date(expiresAt).toUTCString()}</strong>.
+          If you weren't expecting it, you can ignore this email.
+        </p>`
+      ),
+    });
+  }
+
+  // Ask a member to join a household; they accept or decline in the app
+  async sendHouseholdInvitationEmail(email, { fullName, householdName, invitedByName, relationship, invitationsLink }) {
+    if (!email || !invitationsLink) {
+      throw new Error("Email and invitations link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: `You're Invited to Join ${householdName}`,
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, ${this.escapeHtml(invitedByName || "a family member")} has added you to their household.`,
+        `<p style="font-size: 16px; color: #333; text-align: center;">
+          You were invited to <strong>${this.escapeHtml(householdName)}</strong> as <strong>${this.escapeHtml(relationship)}</strong>.
+          Members of a household can see each other's family details and combined giving.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${invitationsLink}" style="background-color: #4CAF50; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            View invitation
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          If you don't know this person, you can decline the invitation.
+        </p>`
+      ),
+    });
+  }
+
+  // Confirm a deletion request and offer a way back during the grace period
+  async sendAccountDeletionScheduledEmail(email, fullName, restoreLink, scheduledFor) {
+    if (!email || !restoreLink) {
+      throw new Error("Email and restore link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "Your Account Is Scheduled for Deletion",
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, we received your request to delete your account.`,
+        `<p style="font-size: 16px; color: #333; text-align: center;">
+          Your account has been deactivated and will be permanently deleted on
+          <strong>${new Date(scheduledFor).toUTCString()}</strong>.
+          Your giving records are kept for the church's accounts, without your personal details.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${restoreLink}" style="background-color: #4CAF50; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            Restore my account
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          If you didn't ask for this, restore your account and change your password.
+        </p>`
+      ),
+    });
+  }
+
+  // Let a member know their personal data archive can be downloaded
+  async sendDataExportReadyEmail(email, fullName, downloadLink, expiresAt) {
+    if (!email || !downloadLink) {
+      throw new Error("Email and download link are required");
+    }
+
+    return this.deliver({
+      to: email,
+      subject: "Your Data Export Is Ready",
+      html: this.buildTemplate(
+        `Hello ${this.escapeHtml(fullName)}, the copy of your data you requested is ready.`,
+        `<div style="text-align: center; margin: 30px 0;">
+          <a href="${downloadLink}" style="background-color: #4CAF50; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-size: 16px;">
+            Download your data
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #666; text-align: center;">
+          The link expires on <strong>${new Date(expiresAt).toUTCString()}</strong>.
+          If you didn't request this export, please change your password.
+        </p>`
+      ),
+    });
+  }
+
+  // Tell a member their account was suspended, banned or reactivated
+  async sendAccountStatusEmail(email, { status, reason, expiresAt }) {
+    if (!email) {
+      throw new Error("Email is required");
+    }
+
+    const messages = {
+      suspended: {
+        subject: "Your Account Has Been Suspended",
+        heading: "Your church account has been suspended.",
+        detail: expiresAt
+          ? `The suspension ends on <strong>${new Date(expiresAt).toUTCString()}</strong>, after which you can log in again.`
+          : "The suspension stays in place until an administrator lifts it.",
+      },
+      banned: {
+        subject: "Your Account Has Been Closed",
+        heading: "Your church account has been banned.",
+        detail: "You will no longer be able to log in.",
+      },
+      active: {
+        subject: "Your Account Has Been Reactivated",
+        heading: "Your church account is active again.",
+        detail: "You can log in and use all services as before.",
+      },
+    };
+    const message = messages[status];
+    if (!message) {
+      throw new Error(`No email for account status: ${status}`);
+    }
+
+    return this.deliver({
+      to: email,
+      subject: message.subject,
+      html: this.buildTemplate(
+        message.heading,
+        `${
+          reason
+            ? `<p style="font-size: 16px; color: #333; text-align: center;">
+          Reason: ${this.escapeHtml(reason)}
+        </p>`
+            : ""
+        }
+        <p style="font-size: 14px; color: #666; text-align: center; margin-top: 20px;">
+          ${message.detail}
+        </p>`
+      ),
+    });
+  }
 }
 
 module.exports = new EmailService();
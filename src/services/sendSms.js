@@ -1,14 +1,63 @@
 // src/services/sendSms.js
 require("dotenv").config();
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const client = require("twilio")(accountSid, authToken);
-
 const generateVerificationCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+// Twilio transport, created lazily so missing credentials only fail on send
+const createTwilioTransport = () => {
+  let client;
+
+  return {
+    name: "twilio",
+    async send({ to, body }) {
+      if (!client) {
+        client = require("twilio")(
+          process.env.TWILIO_ACCOUNT_SID,
+          process.env.TWILIO_AUTH_TOKEN
+        );
+      }
+
+      const message = await client.messages.create({
+        body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to,
+      });
+
+      return { id: message.sid };
+    },
+  };
+};
+
+// In-memory transport for local development and tests
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages,
+    async send({ to, body }) {
+      const id = `memory-${messages.length + 1}`;
+      messages.push({ id, to, body, sentAt: new Date() });
+      return { id };
+    },
+  };
+};
+
+let transport =
+  process.env.SMS_TRANSPORT === "memory"
+    ? createMemoryTransport()
+    : createTwilioTransport();
+
+// Swap the transport used for outgoing SMS (e.g. a fake in tests)
+const setSmsTransport = (nextTransport) => {
+  transport = nextTransport;
+  return transport;
+};
+
+const getSmsTransport = () => transport;
+
 const formatPhoneNumber = (phoneNumber) => {
   // Remove any spaces or special characters
   const cleaned = phoneNumber.replace(/\s+/g, "").replace(/[^\d+]/g, "");
@@ -28,9 +77,8 @@ const sendVerificationCode = async (phoneNumber, code) => {
 
   try {
     // Send SMS
-    const smsMessage = await client.messages.create({
+    const smsMessage = await transport.send({
       body: messageTemplate,
-      from: process.env.TWILIO_PHONE_NUMBER,
       to: formattedNumber,
     });
 
@@ -43,7 +91,7 @@ const sendVerificationCode = async (phoneNumber, code) => {
 
     return {
       success: true,
-      smsId: smsMessage.sid,
+      smsId: smsMessage.id,
     //   whatsappId: whatsappMessage.sid,
       phoneNumber: formattedNumber,
     };
@@ -76,4 +124,8 @@ module.exports = {
   sendVerificationCode,
   verifyCode,
   formatPhoneNumber,
+  createTwilioTransport,
+  createMemoryTransport,
+  setSmsTransport,
+  getSmsTransport,
 };
@@ -0,0 +1,48 @@
+const { LocalStorageService } = require("./localStorageService");
+
+const StorageDrivers = {
+  LOCAL: "local",
+  AZURE: "azure",
+};
+
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || "storage/files";
+const LOCAL_STORAGE_PUBLIC_PATH = "/files";
+
+// Azure when it is configured, local files otherwise
+const getStorageDriver = () =>
+  process.env.STORAGE_DRIVER ||
+  (process.env.AZURE_STORAGE_CONNECTION_STRING
+    ? StorageDrivers.AZURE
+    : StorageDrivers.LOCAL);
+
+let storageService = null;
+
+/**
+ * Shared object storage for user files: putObject, deleteObject and getUrl
+ * @returns {LocalStorageService|AzureStorageService}
+ */
+const getStorageService = () => {
+  if (!storageService) {
+    if (getStorageDriver() === StorageDrivers.AZURE) {
+      // Loaded lazily so local setups never need the Azure SDK configured
+      const {
+        AzureStorageService,
+      } = require("../models/churchgallery/azureStorage");
+      storageService = new AzureStorageService();
+    } else {
+      storageService = new LocalStorageService({
+        rootDir: LOCAL_STORAGE_DIR,
+        publicPath: LOCAL_STORAGE_PUBLIC_PATH,
+      });
+    }
+  }
+  return storageService;
+};
+
+module.exports = {
+  StorageDrivers,
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_PUBLIC_PATH,
+  getStorageDriver,
+  getStorageService,
+};
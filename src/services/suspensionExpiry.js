@@ -0,0 +1,36 @@
+const logger = require("../config/logger");
+const {
+  reactivateExpiredSuspensions,
+} = require("../models/auth/accountStatusModel");
+
+const CHECK_INTERVAL_MINUTES =
+  parseInt(process.env.SUSPENSION_CHECK_INTERVAL_MINUTES) || 5;
+
+const runSuspensionExpiryCheck = async () => {
+  try {
+    const reactivated = await reactivateExpiredSuspensions();
+    if (reactivated.length > 0) {
+      logger.info("SuspensionExpiry - Expired suspensions lifted", {
+        count: reactivated.length,
+      });
+    }
+  } catch (error) {
+    logger.error("SuspensionExpiry - Check failed", { error: error.message });
+  }
+};
+
+// Periodically reactivate members whose suspension has expired
+const startSuspensionExpiryJob = () => {
+  const timer = setInterval(
+    runSuspensionExpiryCheck,
+    CHECK_INTERVAL_MINUTES * 60 * 1000
+  );
+  // Never keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runSuspensionExpiryCheck,
+  startSuspensionExpiryJob,
+};
@@ -0,0 +1,123 @@
+// CSV helpers for admin imports and exports (RFC 4180, CRLF line endings)
+
+// Cells starting with these run as formulas when opened in a spreadsheet
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+  if (FORMULA_TRIGGER.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Cell values; objects are written as JSON
+ * @returns {string} Escaped line ending in CRLF
+ */
+const toCsvRow = (values) => {
+  return `${values.map(escapeCsvValue).join(",")}\r\n`;
+};
+
+/**
+ * Header line for a set of columns
+ * @param {Array<{header: string}>} columns
+ * @returns {string}
+ */
+const toCsvHeader = (columns) => {
+  return toCsvRow(columns.map((column) => column.header));
+};
+
+/**
+ * Data line for a record
+ * @param {Array<{key: string, value?: Function}>} columns - value(record) overrides record[key]
+ * @param {Object} record
+ * @returns {string}
+ */
+const toCsvRecord = (columns, record) => {
+  return toCsvRow(
+    columns.map((column) =>
+      column.value ? column.value(record) : record[column.key]
+    )
+  );
+};
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} text
+ * @returns {string[][]} Rows, with fully blank lines dropped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Malformed CSV: unterminated quoted field");
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsvRow,
+  toCsvHeader,
+  toCsvRecord,
+};
@@ -0,0 +1,35 @@
+// Image formats accepted for uploads, identified by their leading bytes
+const IMAGE_SIGNATURES = [
+  { type: "jpeg", mimeType: "image/jpeg", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    type: "png",
+    mimeType: "image/png",
+    matches: (b) =>
+      b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: "webp",
+    mimeType: "image/webp",
+    matches: (b) =>
+      b.subarray(0, 4).toString("latin1") === "RIFF" &&
+      b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+/**
+ * Identify an image from its content rather than its name or declared mime type
+ * @param {Buffer} buffer
+ * @returns {Object|null} { type, mimeType } or null if not a supported image
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = IMAGE_SIGNATURES.find((candidate) => candidate.matches(buffer));
+  return signature ? { type: signature.type, mimeType: signature.mimeType } : null;
+};
+
+module.exports = {
+  detectImageType,
+};
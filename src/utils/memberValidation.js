@@ -0,0 +1,33 @@
+const { check, validationResult } = require("express-validator");
+
+// Member details shared by self-registration and admin bulk import
+const memberDetailsValidation = [
+  check("fullName").trim().notEmpty().withMessage("Full name is required"),
+  check("email").isEmail().withMessage("Valid email is required"),
+  check("phoneNumber").notEmpty().withMessage("Phone number is required"),
+];
+
+/**
+ * Run validation chains against a plain object, outside of a request
+ * @param {Object} values - e.g. one row of an import file
+ * @param {Array} [validations=memberDetailsValidation]
+ * @returns {Promise<Object>} { errors: [{ field, message }], values } with sanitised values
+ */
+const validateMemberDetails = async (
+  values,
+  validations = memberDetailsValidation
+) => {
+  const req = { body: { ...values }, params: {}, query: {}, headers: {}, cookies: {} };
+  await Promise.all(validations.map((validation) => validation.run(req)));
+
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path, message: error.msg }));
+
+  return { errors, values: req.body };
+};
+
+module.exports = {
+  memberDetailsValidation,
+  validateMemberDetails,
+};
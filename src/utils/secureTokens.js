@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+
+// Hash one-time codes and opaque tokens before they are stored
+const hashToken = (value) => {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+};
+
+// Constant-time comparison of a submitted value against a stored hash
+const matchesHash = (value, storedHash) => {
+  if (!value || !storedHash) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashToken(value), "hex");
+  const expected = Buffer.from(storedHash, "hex");
+
+  return (
+    candidate.length === expected.length &&
+    crypto.timingSafeEqual(candidate, expected)
+  );
+};
+
+// Random URL-safe token for emailed links and opaque credentials
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("base64url");
+};
+
+// AES-256-GCM key for secrets that must be recoverable (e.g. TOTP seeds)
+const getEncryptionKey = () => {
+  const keyMaterial =
+    process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keyMaterial) {
+    throw new Error("SECRETS_ENCRYPTION_KEY is not configured");
+  }
+  return crypto.createHash("sha256").update(keyMaterial).digest();
+};
+
+// Encrypt a secret for storage as iv.authTag.ciphertext
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, authTag, ciphertext] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+module.exports = {
+  hashToken,
+  matchesHash,
+  generateSecureToken,
+  encryptSecret,
+  decryptSecret,
+};
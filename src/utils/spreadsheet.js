@@ -0,0 +1,155 @@
+const ExcelJS = require("exceljs");
+const { parseCsv } = require("./csv");
+
+const SpreadsheetTypes = {
+  CSV: "csv",
+  XLSX: "xlsx",
+};
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Work out the format from the upload; browsers disagree on CSV mime types
+const detectSpreadsheetType = (file) => {
+  const name = (file.originalname || "").toLowerCase();
+
+  if (name.endsWith(".xlsx") || file.mimetype === XLSX_MIME_TYPE) {
+    return SpreadsheetTypes.XLSX;
+  }
+  if (
+    name.endsWith(".csv") ||
+    ["text/csv", "application/csv", "text/plain"].includes(file.mimetype)
+  ) {
+    return SpreadsheetTypes.CSV;
+  }
+  return null;
+};
+
+// Rows of the first worksheet as display text, so formatted numbers and links read as typed
+const readXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      cells.push(row.getCell(column).text || "");
+    }
+    rows.push(cells);
+  });
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// Objects go in as JSON text, like the CSV export; ExcelJS writes strings as text, never formulas
+const toXlsxValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date || typeof value !== "object") {
+    return value;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Stream a single-sheet XLSX workbook to a writable stream, row by row
+ * @param {stream.Writable} output - e.g. an Express response
+ * @param {string} sheetName
+ * @param {Array<{key: string, header: string, value?: Function, width?: number}>} columns - Same shape as the CSV export columns
+ * @returns {Object} { addRecord(record), finish() } where finish resolves once the file is complete
+ */
+const createXlsxWriter = (output, sheetName, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 20,
+  }));
+
+  return {
+    addRecord: (record) => {
+      worksheet
+        .addRow(
+          columns.map((column) =>
+            toXlsxValue(column.value ? column.value(record) : record[column.key])
+          )
+        )
+        .commit();
+    },
+    finish: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+/**
+ * Read an uploaded CSV or XLSX into records keyed by header
+ * @param {Object} file - Multer file held in memory (buffer, originalname, mimetype)
+ * @param {Object<string, string[]>} headerAliases - Record key => accepted header spellings
+ * @returns {Promise<Object>} { records, missingHeaders } with records carrying their sheet row number
+ * @throws {Error} - Throws if the file type is unsupported or cannot be parsed
+ */
+const readSpreadsheet = async (file, headerAliases) => {
+  const type = detectSpreadsheetType(file);
+  if (!type) {
+    throw new Error("Only CSV and XLSX files are supported");
+  }
+
+  const rows =
+    type === SpreadsheetTypes.XLSX
+      ? await readXlsxRows(file.buffer)
+      : parseCsv(file.buffer.toString("utf8"));
+
+  if (rows.length === 0) {
+    return { records: [], missingHeaders: Object.keys(headerAliases) };
+  }
+
+  // "Full Name", "full_name" and "fullname" all match the same column
+  const normalise = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const headers = rows[0].map(normalise);
+
+  const columns = {};
+  for (const [key, aliases] of Object.entries(headerAliases)) {
+    const index = headers.findIndex((header) =>
+      aliases.map(normalise).includes(header)
+    );
+    if (index !== -1) {
+      columns[key] = index;
+    }
+  }
+
+  const missingHeaders = Object.keys(headerAliases).filter(
+    (key) => columns[key] === undefined
+  );
+
+  const records = rows.slice(1).map((cells, index) => {
+    const record = { rowNumber: index + 2 };
+    for (const [key, column] of Object.entries(columns)) {
+      record[key] = (cells[column] || "").trim();
+    }
+    return record;
+  });
+
+  return { records, missingHeaders };
+};
+
+module.exports = {
+  SpreadsheetTypes,
+  XLSX_MIME_TYPE,
+  detectSpreadsheetType,
+  readSpreadsheet,
+  createXlsxWriter,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords, compatible with authenticator apps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const cleaned = encoded.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded for authenticator apps
+const generateTotpSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+// HOTP value for a given time step
+const generateTotp = (secret, step, digits = TOTP_DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+};
+
+const currentTotpStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Check a code against the current step and its neighbours to allow clock drift
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps accepted either side of now
+ * @param {number} [options.timestamp] - Time to check against (ms)
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+const verifyTotp = (code, secret, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const now = currentTotpStep(timestamp);
+  for (let step = now - window; step <= now + window; step += 1) {
+    const expected = generateTotp(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI understood by Google Authenticator, Authy, etc.
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Spaces must be %20 rather than URLSearchParams' "+" for authenticator apps
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP_SECONDS,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  currentTotpStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -1,3 +1,4 @@
+const { validationResult } = require("express-validator");
 const { SuggestionModel } = require("../models/suggestions/suggestions-model");
 
 /**
@@ -23,6 +24,25 @@ static  validateSuggestionCreation({ description, category, urgency }) {
 
   return { valid: Object.keys(errors).length === 0, errors };
 }
+
+/**
+ * Send the shared 400 response when express-validator found problems
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if a response was sent and the handler should stop
+ */
+static rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    status: "error",
+    errors: errors.array(),
+  });
+  return true;
+}
 };
 
 module.exports = ValidationHelpers;